@@ -0,0 +1,35 @@
+﻿using System;
+using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace ProductCatalogApp.Migrations
+{
+    public partial class AddProductTrash : Migration
+    {
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<DateTime>(
+                name: "DeletedDate",
+                table: "Products",
+                type: "TEXT",
+                nullable: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Products_DeletedDate",
+                table: "Products",
+                column: "DeletedDate");
+        }
+
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropIndex(
+                name: "IX_Products_DeletedDate",
+                table: "Products");
+
+            migrationBuilder.DropColumn(
+                name: "DeletedDate",
+                table: "Products");
+        }
+    }
+}
@@ -0,0 +1,55 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace ProductCatalogApp.Migrations
+{
+    public partial class AddProductVariantGroups : Migration
+    {
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "Size",
+                table: "Products",
+                type: "TEXT",
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "VariantAxes",
+                table: "Products",
+                type: "TEXT",
+                maxLength: 100,
+                nullable: true);
+
+            migrationBuilder.AddColumn<int>(
+                name: "VariantParentId",
+                table: "Products",
+                type: "INTEGER",
+                nullable: true);
+
+            migrationBuilder.CreateIndex(
+                name: "IX_Products_VariantParentId",
+                table: "Products",
+                column: "VariantParentId");
+        }
+
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropIndex(
+                name: "IX_Products_VariantParentId",
+                table: "Products");
+
+            migrationBuilder.DropColumn(
+                name: "Size",
+                table: "Products");
+
+            migrationBuilder.DropColumn(
+                name: "VariantAxes",
+                table: "Products");
+
+            migrationBuilder.DropColumn(
+                name: "VariantParentId",
+                table: "Products");
+        }
+    }
+}
@@ -83,6 +83,9 @@ namespace ProductCatalogApp.Migrations
                     b.Property<DateTime>("CreatedDate")
                         .HasColumnType("TEXT");
 
+                    b.Property<DateTime?>("DeletedDate")
+                        .HasColumnType("TEXT");
+
                     b.Property<decimal>("Depth")
                         .HasColumnType("TEXT");
 
@@ -258,6 +261,9 @@ namespace ProductCatalogApp.Migrations
                         .HasMaxLength(100)
                         .HasColumnType("TEXT");
 
+                    b.Property<string>("Size")
+                        .HasColumnType("TEXT");
+
                     b.Property<string>("SpareBarcode1")
                         .HasColumnType("TEXT");
 
@@ -276,6 +282,13 @@ namespace ProductCatalogApp.Migrations
                     b.Property<DateTime?>("UpdatedDate")
                         .HasColumnType("TEXT");
 
+                    b.Property<string>("VariantAxes")
+                        .HasMaxLength(100)
+                        .HasColumnType("TEXT");
+
+                    b.Property<int?>("VariantParentId")
+                        .HasColumnType("INTEGER");
+
                     b.Property<string>("VideoUrls")
                         .HasColumnType("TEXT");
 
@@ -298,12 +311,16 @@ namespace ProductCatalogApp.Migrations
 
                     b.HasIndex("CreatedDate");
 
+                    b.HasIndex("DeletedDate");
+
                     b.HasIndex("IsArchived");
 
                     b.HasIndex("Name");
 
                     b.HasIndex("SKU");
 
+                    b.HasIndex("VariantParentId");
+
                     b.HasIndex("Category", "Brand");
 
                     b.HasIndex("IsArchived", "Name");
@@ -313,6 +330,49 @@ namespace ProductCatalogApp.Migrations
                     b.ToTable("Products");
                 });
 
+            modelBuilder.Entity("product_catalog_app.src.models.ProductChangeLog", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("ChangeType")
+                        .IsRequired()
+                        .HasMaxLength(20)
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("ChangedBy")
+                        .IsRequired()
+                        .HasMaxLength(200)
+                        .HasColumnType("TEXT");
+
+                    b.Property<DateTime>("ChangedDate")
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("Changes")
+                        .IsRequired()
+                        .HasColumnType("TEXT");
+
+                    b.Property<int>("ProductId")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("ProductName")
+                        .IsRequired()
+                        .HasMaxLength(500)
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("Source")
+                        .IsRequired()
+                        .HasMaxLength(200)
+                        .HasColumnType("TEXT");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("ProductId", "ChangedDate");
+
+                    b.ToTable("ProductChangeLogs");
+                });
+
             modelBuilder.Entity("product_catalog_app.src.models.ProductXml", b =>
                 {
                     b.Property<int>("Id")
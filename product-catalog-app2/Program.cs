@@ -66,7 +66,11 @@ builder.Services.AddControllersWithViews();
 var connectionString = builder.Configuration.GetConnectionString("DefaultConnection")
     ?? "Data Source=data/products.db;Cache=Shared;Pooling=true;";
 
-builder.Services.AddDbContextPool<ProductDbContext>(options =>
+// Product change history - the interceptor is shared by all pooled contexts
+builder.Services.AddHttpContextAccessor();
+builder.Services.AddSingleton<ProductAuditInterceptor>();
+
+builder.Services.AddDbContextPool<ProductDbContext>((serviceProvider, options) =>
     options.UseSqlite(connectionString, sqlOptions =>
     {
         sqlOptions.CommandTimeout(30);
@@ -74,7 +78,8 @@ builder.Services.AddDbContextPool<ProductDbContext>(options =>
     .EnableSensitiveDataLogging(builder.Environment.IsDevelopment())
     .EnableServiceProviderCaching()
     .EnableDetailedErrors(builder.Environment.IsDevelopment())
-    .UseQueryTrackingBehavior(QueryTrackingBehavior.NoTrackingWithIdentityResolution),
+    .UseQueryTrackingBehavior(QueryTrackingBehavior.NoTrackingWithIdentityResolution)
+    .AddInterceptors(serviceProvider.GetRequiredService<ProductAuditInterceptor>()),
     poolSize: 128);
 
 // Register services
@@ -101,6 +106,11 @@ builder.Services.AddScoped<CategoryRepository>();
 builder.Services.AddScoped<ICategoryService, CategoryService>();
 builder.Services.AddScoped<CategoryService>();
 builder.Services.AddScoped<ValidationService>();
+builder.Services.AddScoped<ProductFieldService>();
+builder.Services.AddScoped<ProductVariantService>();
+builder.Services.AddScoped<ProductHistoryService>();
+builder.Services.AddScoped<ProductComparisonService>();
+builder.Services.AddScoped<ProductDuplicateService>();
 builder.Services.AddScoped<XmlService>();
 
 // Export/Import services
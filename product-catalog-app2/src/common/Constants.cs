@@ -46,6 +46,7 @@ namespace product_catalog_app.src.common
         {
             public const int SLOW_REQUEST_THRESHOLD_MS = 2000; // Increased for large datasets
             public const int BULK_OPERATION_BATCH_SIZE = 500; // Increased batch size
+            public const int MAX_SELECTION_SIZE = 10000; // "Select all matching" upper bound
             public const int MAX_CONCURRENT_QUERIES = 10; // For parallel processing
             public const int QUERY_TIMEOUT_SECONDS = 60; // For complex queries
         }
@@ -0,0 +1,228 @@
+using System;
+using System.Collections.Generic;
+using System.Linq;
+using System.Net;
+using System.Text;
+using System.Text.RegularExpressions;
+using product_catalog_app.src.models;
+
+namespace product_catalog_app.src.common
+{
+    /// <summary>
+    /// Marketplace description profiles: the HTML subset and length limit each marketplace accepts
+    /// The description editor validates against these live; exports emit a cleaned variant per profile
+    /// </summary>
+    public static class MarketplaceDescriptionProfiles
+    {
+        public const string ExportColumnPrefix = "MarketplaceDescription_";
+
+        private static readonly string[] TextTags = { "p", "br", "strong", "b", "em", "i", "u", "ul", "ol", "li" };
+        private static readonly string[] TableTags = { "table", "thead", "tbody", "tr", "th", "td" };
+
+        // Pazaryeri içerik kılavuzlarındaki sınırlar; kılavuz değişirse yalnızca bu liste güncellenir
+        public static readonly IReadOnlyList<MarketplaceDescriptionProfile> All = new[]
+        {
+            new MarketplaceDescriptionProfile
+            {
+                Key = "Trendyol", Name = "Trendyol", MaxLength = 30000,
+                AllowedTags = TextTags.Concat(new[] { "h1", "h2", "h3", "img" }).Concat(TableTags).ToArray()
+            },
+            new MarketplaceDescriptionProfile
+            {
+                Key = "Hepsiburada", Name = "Hepsiburada", MaxLength = 65000,
+                AllowedTags = TextTags.Concat(new[] { "h1", "h2", "h3", "h4", "img" }).Concat(TableTags).ToArray()
+            },
+            new MarketplaceDescriptionProfile
+            {
+                Key = "N11", Name = "N11", MaxLength = 50000,
+                AllowedTags = TextTags.Concat(new[] { "h1", "h2", "h3" }).Concat(TableTags).ToArray()
+            },
+            new MarketplaceDescriptionProfile
+            {
+                Key = "Amazon", Name = "Amazon", MaxLength = 2000,
+                AllowedTags = new[] { "p", "br", "strong", "b", "em", "i", "ul", "ol", "li" }
+            },
+            new MarketplaceDescriptionProfile
+            {
+                Key = "Koctas", Name = "Koçtaş", MaxLength = 5000,
+                AllowedTags = TextTags.Concat(new[] { "h2", "h3" }).ToArray()
+            }
+        };
+
+        // Kaldırıldığında yerine satır sonu bırakılan blok etiketleri
+        private static readonly HashSet<string> BlockTags = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "p", "h1", "h2", "h3", "h4", "h5", "h6", "li", "ul", "ol", "tr", "table", "div", "blockquote", "pre"
+        };
+
+        private static readonly HashSet<string> VoidTags = new(StringComparer.OrdinalIgnoreCase) { "br", "img", "hr" };
+
+        // İzin verilen etiketlerde korunan nitelikler - class/style gibi editör nitelikleri pazaryerine gitmez
+        private static readonly HashSet<string> AllowedAttributes = new(StringComparer.OrdinalIgnoreCase)
+        {
+            "href", "src", "alt", "colspan", "rowspan"
+        };
+
+        private static readonly Regex TagPattern = new(@"<(/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>", RegexOptions.Compiled);
+        private static readonly Regex AttributePattern = new(@"([a-zA-Z-]+)\s*=\s*(""|')(.*?)\2", RegexOptions.Compiled | RegexOptions.Singleline);
+        private static readonly Regex TokenPattern = new(@"<[^>]+>|[^<]+", RegexOptions.Compiled);
+        private static readonly Regex SafeUrlPattern = new(@"^https?://[^\s""'<>]+$", RegexOptions.Compiled | RegexOptions.IgnoreCase);
+
+        /// <summary>
+        /// Finds a profile by key (case-insensitive), null when unknown
+        /// </summary>
+        public static MarketplaceDescriptionProfile? Find(string? key)
+        {
+            return All.FirstOrDefault(p => string.Equals(p.Key, key, StringComparison.OrdinalIgnoreCase));
+        }
+
+        /// <summary>
+        /// Cleans a description for one marketplace: disallowed tags are removed but their content is kept,
+        /// allowed tags keep only safe attributes, and the result is cut at a tag boundary when it exceeds the limit
+        /// </summary>
+        public static string Clean(string? html, MarketplaceDescriptionProfile profile)
+        {
+            if (string.IsNullOrWhiteSpace(html))
+                return string.Empty;
+
+            var allowedTags = new HashSet<string>(profile.AllowedTags, StringComparer.OrdinalIgnoreCase);
+            var lineBreak = allowedTags.Contains("br") ? "<br>" : " ";
+
+            // Script/style içerikleriyle, yorumlar tamamen atılır
+            var cleaned = Regex.Replace(html, @"<(script|style)\b[^>]*>.*?</\1>", "", RegexOptions.IgnoreCase | RegexOptions.Singleline);
+            cleaned = Regex.Replace(cleaned, @"<!--.*?-->", "", RegexOptions.Singleline);
+
+            cleaned = TagPattern.Replace(cleaned, match =>
+            {
+                var isClosing = match.Groups[1].Value == "/";
+                var tag = match.Groups[2].Value.ToLowerInvariant();
+
+                if (allowedTags.Contains(tag))
+                {
+                    if (isClosing)
+                        return VoidTags.Contains(tag) ? "" : $"</{tag}>";
+
+                    var attributes = FilterAttributes(match.Groups[3].Value);
+                    if (tag == "img" && !attributes.Contains(" src="))
+                        return "";
+                    return $"<{tag}{attributes}>";
+                }
+
+                // Metin birbirine yapışmasın diye kaldırılan blok etiketinin yerine satır sonu, hücrenin yerine boşluk bırakılır
+                if (tag == "br" || (isClosing && BlockTags.Contains(tag)))
+                    return lineBreak;
+                if (isClosing && (tag == "td" || tag == "th"))
+                    return " ";
+                return "";
+            });
+
+            cleaned = Regex.Replace(cleaned, @"\s+", " ");
+            cleaned = Regex.Replace(cleaned, @">\s+<", "><");
+            cleaned = RemoveEmptyElements(cleaned);
+            cleaned = Regex.Replace(cleaned, @"(<br>\s*){3,}", "<br><br>", RegexOptions.IgnoreCase);
+            cleaned = Regex.Replace(cleaned, @"^(\s|<br>)+|(\s|<br>)+$", "", RegexOptions.IgnoreCase);
+
+            return Truncate(cleaned, profile.MaxLength);
+        }
+
+        private static string FilterAttributes(string attributes)
+        {
+            var result = new StringBuilder();
+
+            foreach (Match attribute in AttributePattern.Matches(attributes))
+            {
+                var name = attribute.Groups[1].Value.ToLowerInvariant();
+                var value = attribute.Groups[3].Value;
+
+                if (!AllowedAttributes.Contains(name))
+                    continue;
+                if ((name == "href" || name == "src") && !SafeUrlPattern.IsMatch(WebUtility.HtmlDecode(value)))
+                    continue;
+
+                result.Append($" {name}=\"{value.Replace("\"", "&quot;")}\"");
+            }
+
+            return result.ToString();
+        }
+
+        private static string RemoveEmptyElements(string html)
+        {
+            string previous;
+            do
+            {
+                previous = html;
+                html = Regex.Replace(html, @"<(p|h[1-6]|li|ul|ol|strong|b|em|i|u)>(\s|&nbsp;)*</\1>", "", RegexOptions.IgnoreCase);
+            }
+            while (html != previous);
+
+            return html;
+        }
+
+        // Sınırı aşan açıklama etiket ya da kelime sınırında kesilir, açık kalan etiketler kapatılır
+        private static string Truncate(string html, int maxLength)
+        {
+            if (html.Length <= maxLength)
+                return html;
+
+            var result = new StringBuilder();
+            var openTags = new List<string>();
+            int ClosingLength() => openTags.Sum(t => t.Length + 3);
+
+            foreach (Match token in TokenPattern.Matches(html))
+            {
+                var text = token.Value;
+                var tagMatch = TagPattern.Match(text);
+
+                if (!text.StartsWith("<") || !tagMatch.Success)
+                {
+                    var available = maxLength - result.Length - ClosingLength();
+                    if (text.Length <= available)
+                    {
+                        result.Append(text);
+                        continue;
+                    }
+
+                    var cut = text.Substring(0, Math.Max(0, available));
+                    var lastSpace = cut.LastIndexOf(' ');
+                    if (lastSpace > 0)
+                        cut = cut.Substring(0, lastSpace);
+
+                    // Yarım kalan HTML entity bırakılmaz
+                    var lastAmpersand = cut.LastIndexOf('&');
+                    if (lastAmpersand >= 0 && cut.IndexOf(';', lastAmpersand) < 0)
+                        cut = cut.Substring(0, lastAmpersand);
+
+                    result.Append(cut.TrimEnd());
+                    break;
+                }
+
+                var tag = tagMatch.Groups[2].Value.ToLowerInvariant();
+
+                if (tagMatch.Groups[1].Value == "/")
+                {
+                    var index = openTags.LastIndexOf(tag);
+                    if (index < 0)
+                        continue;
+
+                    for (var i = openTags.Count - 1; i >= index; i--)
+                        result.Append($"</{openTags[i]}>");
+                    openTags.RemoveRange(index, openTags.Count - index);
+                    continue;
+                }
+
+                var closingCost = VoidTags.Contains(tag) ? 0 : tag.Length + 3;
+                if (result.Length + text.Length + closingCost + ClosingLength() > maxLength)
+                    break;
+
+                result.Append(text);
+                if (!VoidTags.Contains(tag))
+                    openTags.Add(tag);
+            }
+
+            for (var i = openTags.Count - 1; i >= 0; i--)
+                result.Append($"</{openTags[i]}>");
+
+            return RemoveEmptyElements(result.ToString());
+        }
+    }
+}
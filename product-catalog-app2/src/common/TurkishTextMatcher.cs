@@ -0,0 +1,270 @@
+using System;
+using System.Collections.Generic;
+using System.Globalization;
+using System.Linq;
+using System.Net;
+using System.Text;
+
+namespace product_catalog_app.src.common
+{
+    /// <summary>
+    /// Turkish-aware fuzzy text matching for search suggestions
+    /// Folds case with tr-TR rules and drops diacritics (ı/i, ş/s, ğ/g, ü/u, ö/o, ç/c) so "Lavabo", "LAVABO" and "lawabo" meet
+    /// </summary>
+    public static class TurkishTextMatcher
+    {
+        private static readonly CultureInfo TurkishCulture = new CultureInfo("tr-TR");
+
+        /// <summary>
+        /// A matched character range in the original text
+        /// </summary>
+        public readonly struct MatchRange
+        {
+            public MatchRange(int start, int length)
+            {
+                Start = start;
+                Length = length;
+            }
+
+            public int Start { get; }
+            public int Length { get; }
+        }
+
+        /// <summary>
+        /// Match result: score in 0..1 (0 = no match) and the ranges to highlight
+        /// </summary>
+        public sealed class MatchResult
+        {
+            public static readonly MatchResult None = new MatchResult(0, Array.Empty<MatchRange>());
+
+            public MatchResult(double score, IReadOnlyList<MatchRange> ranges)
+            {
+                Score = score;
+                Ranges = ranges;
+            }
+
+            public double Score { get; }
+            public IReadOnlyList<MatchRange> Ranges { get; }
+            public bool IsMatch => Score > 0;
+        }
+
+        /// <summary>
+        /// Case and diacritic folding that keeps the string length, so folded indexes map back to the original text
+        /// </summary>
+        public static string Fold(string? text)
+        {
+            if (string.IsNullOrEmpty(text)) return string.Empty;
+
+            var buffer = new StringBuilder(text.Length);
+            foreach (var c in text)
+            {
+                buffer.Append(FoldChar(c));
+            }
+            return buffer.ToString();
+        }
+
+        private static char FoldChar(char c)
+        {
+            var lower = char.ToLower(c, TurkishCulture);
+            switch (lower)
+            {
+                case 'ı': return 'i';
+                case 'ş': return 's';
+                case 'ğ': return 'g';
+                case 'ü': return 'u';
+                case 'ö': return 'o';
+                case 'ç': return 'c';
+                case 'â': return 'a';
+                case 'î': return 'i';
+                case 'û': return 'u';
+            }
+
+            if (lower < 128) return lower;
+
+            // Other accented letters (é, à, ñ...) - keep the base letter
+            var decomposed = lower.ToString().Normalize(NormalizationForm.FormD);
+            return decomposed.Length > 0 && CharUnicodeInfo.GetUnicodeCategory(decomposed[0]) != UnicodeCategory.NonSpacingMark
+                ? decomposed[0]
+                : lower;
+        }
+
+        /// <summary>
+        /// Scores how well <paramref name="text"/> matches the (already folded) query
+        /// Exact, prefix and substring matches rank first; otherwise every query word must fuzzily match a word of the text
+        /// </summary>
+        public static MatchResult Match(string? text, string foldedQuery, bool allowTypos = true)
+        {
+            if (string.IsNullOrEmpty(text) || string.IsNullOrWhiteSpace(foldedQuery)) return MatchResult.None;
+
+            var foldedText = Fold(text);
+            var query = foldedQuery.Trim();
+
+            if (foldedText == query)
+                return new MatchResult(1.0, new[] { new MatchRange(0, text.Length) });
+
+            var index = foldedText.IndexOf(query, StringComparison.Ordinal);
+            if (index >= 0)
+            {
+                var score = index == 0 ? 0.95 : IsWordStart(foldedText, index) ? 0.9 : 0.8;
+                // Shorter texts are closer to what was typed
+                score -= Math.Min(0.05, (foldedText.Length - query.Length) / 2000.0);
+                return new MatchResult(score, new[] { new MatchRange(index, query.Length) });
+            }
+
+            if (!allowTypos) return MatchResult.None;
+
+            var textWords = SplitWords(foldedText);
+            var queryWords = SplitWords(query);
+            if (queryWords.Count == 0 || textWords.Count == 0) return MatchResult.None;
+
+            var ranges = new List<MatchRange>();
+            double similarityTotal = 0;
+
+            foreach (var queryWord in queryWords)
+            {
+                var q = query.Substring(queryWord.Start, queryWord.Length);
+                var maxDistance = AllowedDistance(q.Length);
+                double best = 0;
+                MatchRange bestRange = default;
+
+                foreach (var textWord in textWords)
+                {
+                    var word = foldedText.Substring(textWord.Start, textWord.Length);
+
+                    if (word.StartsWith(q, StringComparison.Ordinal))
+                    {
+                        best = 1.0;
+                        bestRange = new MatchRange(textWord.Start, q.Length);
+                        break;
+                    }
+
+                    if (maxDistance == 0) continue;
+
+                    // Compare against the whole word and against its prefix, so half-typed words still match
+                    var prefix = word.Length > q.Length ? word.Substring(0, q.Length) : word;
+                    var distance = Math.Min(DamerauLevenshtein(q, word), DamerauLevenshtein(q, prefix));
+                    if (distance > maxDistance) continue;
+
+                    var similarity = 1.0 - (double)distance / Math.Max(q.Length, 1);
+                    if (similarity > best)
+                    {
+                        best = similarity;
+                        bestRange = new MatchRange(textWord.Start, Math.Min(word.Length, Math.Max(prefix.Length, 1)));
+                    }
+                }
+
+                if (best <= 0) return MatchResult.None;
+
+                similarityTotal += best;
+                ranges.Add(bestRange);
+            }
+
+            var fuzzyScore = 0.75 * similarityTotal / queryWords.Count;
+            return new MatchResult(fuzzyScore, MergeRanges(ranges));
+        }
+
+        /// <summary>
+        /// HTML-encodes the text and wraps the matched ranges in &lt;mark&gt;
+        /// </summary>
+        public static string Highlight(string text, IReadOnlyList<MatchRange> ranges)
+        {
+            if (string.IsNullOrEmpty(text)) return string.Empty;
+            if (ranges == null || ranges.Count == 0) return WebUtility.HtmlEncode(text);
+
+            var html = new StringBuilder();
+            var position = 0;
+            foreach (var range in ranges.OrderBy(r => r.Start))
+            {
+                var start = Math.Max(range.Start, position);
+                var end = Math.Min(range.Start + range.Length, text.Length);
+                if (end <= start) continue;
+
+                html.Append(WebUtility.HtmlEncode(text.Substring(position, start - position)));
+                html.Append("<mark>").Append(WebUtility.HtmlEncode(text.Substring(start, end - start))).Append("</mark>");
+                position = end;
+            }
+            html.Append(WebUtility.HtmlEncode(text.Substring(position)));
+            return html.ToString();
+        }
+
+        private static int AllowedDistance(int length)
+        {
+            if (length <= 3) return 0;
+            if (length <= 6) return 1;
+            return 2;
+        }
+
+        private static bool IsWordStart(string text, int index)
+        {
+            return index == 0 || !char.IsLetterOrDigit(text[index - 1]);
+        }
+
+        private static List<MatchRange> SplitWords(string text)
+        {
+            var words = new List<MatchRange>();
+            var start = -1;
+            for (var i = 0; i <= text.Length; i++)
+            {
+                var isWordChar = i < text.Length && char.IsLetterOrDigit(text[i]);
+                if (isWordChar && start < 0)
+                {
+                    start = i;
+                }
+                else if (!isWordChar && start >= 0)
+                {
+                    words.Add(new MatchRange(start, i - start));
+                    start = -1;
+                }
+            }
+            return words;
+        }
+
+        private static IReadOnlyList<MatchRange> MergeRanges(List<MatchRange> ranges)
+        {
+            var merged = new List<MatchRange>();
+            foreach (var range in ranges.OrderBy(r => r.Start))
+            {
+                if (merged.Count > 0)
+                {
+                    var last = merged[merged.Count - 1];
+                    if (range.Start <= last.Start + last.Length)
+                    {
+                        var end = Math.Max(last.Start + last.Length, range.Start + range.Length);
+                        merged[merged.Count - 1] = new MatchRange(last.Start, end - last.Start);
+                        continue;
+                    }
+                }
+                merged.Add(range);
+            }
+            return merged;
+        }
+
+        /// <summary>
+        /// Optimal string alignment distance - insert, delete, substitute and swap of adjacent letters
+        /// </summary>
+        private static int DamerauLevenshtein(string a, string b)
+        {
+            if (a.Length == 0) return b.Length;
+            if (b.Length == 0) return a.Length;
+
+            var d = new int[a.Length + 1, b.Length + 1];
+            for (var i = 0; i <= a.Length; i++) d[i, 0] = i;
+            for (var j = 0; j <= b.Length; j++) d[0, j] = j;
+
+            for (var i = 1; i <= a.Length; i++)
+            {
+                for (var j = 1; j <= b.Length; j++)
+                {
+                    var cost = a[i - 1] == b[j - 1] ? 0 : 1;
+                    d[i, j] = Math.Min(Math.Min(d[i - 1, j] + 1, d[i, j - 1] + 1), d[i - 1, j - 1] + cost);
+
+                    if (i > 1 && j > 1 && a[i - 1] == b[j - 2] && a[i - 2] == b[j - 1])
+                    {
+                        d[i, j] = Math.Min(d[i, j], d[i - 2, j - 2] + 1);
+                    }
+                }
+            }
+            return d[a.Length, b.Length];
+        }
+    }
+}
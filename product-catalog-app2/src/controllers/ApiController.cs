@@ -1,6 +1,7 @@
 using Microsoft.AspNetCore.Mvc;
 using product_catalog_app.src.models;
 using product_catalog_app.src.services;
+using product_catalog_app.src.common;
 using Microsoft.Extensions.Logging;
 
 namespace product_catalog_app.src.controllers
@@ -10,40 +11,74 @@ namespace product_catalog_app.src.controllers
     public class ProductsController : ControllerBase
     {
         private readonly ProductService _productService;
+        private readonly ExportColumnService _columnService;
+        private readonly ProductVariantService _variantService;
         private readonly ILogger<ProductsController> _logger;
 
-        public ProductsController(ProductService productService, ILogger<ProductsController> logger)
+        // Uzun metin sütunları listede kısaltılır
+        private const int GRID_TEXT_MAX_LENGTH = 300;
+
+        public ProductsController(ProductService productService, ExportColumnService columnService, ProductVariantService variantService,
+            ILogger<ProductsController> logger)
         {
             _productService = productService;
+            _columnService = columnService;
+            _variantService = variantService;
             _logger = logger;
         }
 
-        [HttpGet]
+        /// <summary>
+        /// Ürün listesi için JSON arama endpoint'i - Index sayfasındaki tüm filtreleri destekler
+        /// GET /api/products Program.cs'deki minimal API'ye ait olduğundan ayrı yol kullanılır
+        /// </summary>
+        [HttpGet("search")]
         public async Task<ActionResult<IEnumerable<object>>> GetProducts(
             [FromQuery] string search = "",
             [FromQuery] string category = "",
             [FromQuery] string brand = "",
             [FromQuery] int page = 1,
-            [FromQuery] int pageSize = 20)
+            [FromQuery] int pageSize = 20,
+            [FromQuery] string status = "",
+            [FromQuery] string material = "",
+            [FromQuery] string color = "",
+            [FromQuery] string eanCode = "",
+            [FromQuery] decimal? minWeight = null,
+            [FromQuery] decimal? maxWeight = null,
+            [FromQuery] decimal? minDesi = null,
+            [FromQuery] decimal? maxDesi = null,
+            [FromQuery] int? minWarranty = null,
+            [FromQuery] int? maxWarranty = null,
+            [FromQuery] string sortBy = "updated",
+            [FromQuery] string sortDirection = "desc",
+            [FromQuery] bool? hasImage = null,
+            [FromQuery] bool? hasEan = null,
+            [FromQuery] bool? hasBarcode = null,
+            [FromQuery] string barcodeType = "",
+            [FromQuery] string columns = "")
         {
             try
             {
-                var products = await _productService.SearchProductsAsync(search, category, brand, page, pageSize);
-                var totalCount = await _productService.GetProductCountAsync(search, category, brand);
+                page = Math.Max(Constants.Pagination.DEFAULT_PAGE, page);
+                pageSize = Math.Clamp(pageSize, 1, Constants.Pagination.MAX_PAGE_SIZE);
+
+                var products = await _productService.SearchProductsAdvancedAsync(search ?? "", category ?? "", brand ?? "",
+                    status ?? "", material ?? "", color ?? "", eanCode ?? "",
+                    minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty,
+                    sortBy ?? "updated", sortDirection ?? "desc",
+                    hasImage, hasEan, hasBarcode, barcodeType ?? "", page, pageSize);
+
+                var totalCount = await _productService.GetProductCountAdvancedAsync(search ?? "", category ?? "", brand ?? "",
+                    status ?? "", material ?? "", color ?? "", eanCode ?? "",
+                    minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty,
+                    hasImage, hasEan, hasBarcode, barcodeType ?? "");
+
+                // Sütun seçiciden gelen ek sütunlar - sadece export metadata'sında tanımlı olanlar
+                var extraColumns = ParseExtraColumns(columns);
+                var variantInfo = await _variantService.GetRowInfoAsync(products);
 
                 var response = new
                 {
-                    Products = products.Select(p => new
-                    {
-                        Id = p.Id,
-                        Name = p.Name,
-                        SKU = p.SKU,
-                        Brand = p.Brand,
-                        Category = p.Category,
-                        ImageUrl = p.ImageUrls?.FirstOrDefault() ?? "",
-                        Features = p.Features,
-                        IsActive = !p.IsArchived // Active = !Archived
-                    }),
+                    Products = products.Select(p => ToGridRow(p, extraColumns, variantInfo.GetValueOrDefault(p.Id))),
                     TotalCount = totalCount,
                     Page = page,
                     PageSize = pageSize,
@@ -133,5 +168,67 @@ namespace product_catalog_app.src.controllers
                 return StatusCode(500, new { Error = "An error occurred while retrieving brands" });
             }
         }
+
+        /// <summary>
+        /// Ürün tablosundaki bir satırı çizmek için gereken alanlar
+        /// </summary>
+        private List<string> ParseExtraColumns(string columns)
+        {
+            if (string.IsNullOrWhiteSpace(columns)) return new List<string>();
+
+            var known = _columnService.GetAvailableColumns().Select(c => c.PropertyName).ToHashSet();
+            return columns.Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Where(known.Contains)
+                .Distinct()
+                .ToList();
+        }
+
+        private object? GetGridValue(Product p, string propertyName)
+        {
+            var value = propertyName switch
+            {
+                "Description_PlainText" => _columnService.ConvertHtmlToPlainText(p.Description),
+                "Description_HTML" => _columnService.CleanHtmlForExport(p.Description),
+                _ when propertyName.StartsWith(MarketplaceDescriptionProfiles.ExportColumnPrefix) => _columnService.GetMarketplaceDescription(p.Description, propertyName),
+                _ => _columnService.GetProductValue(p, propertyName)
+            };
+
+            return value switch
+            {
+                List<string> list => string.Join(", ", list.Where(v => !string.IsNullOrWhiteSpace(v))),
+                DateTime date => DateTime.SpecifyKind(date, DateTimeKind.Utc),
+                string text when text.Length > GRID_TEXT_MAX_LENGTH => text.Substring(0, GRID_TEXT_MAX_LENGTH) + "…",
+                _ => value
+            };
+        }
+
+        private object ToGridRow(Product p, List<string> extraColumns, VariantRowInfo? variant)
+        {
+            var imageUrls = p.ImageUrls?.Where(u => !string.IsNullOrWhiteSpace(u)).Take(10).ToList() ?? new List<string>();
+            var marketplaceImageUrls = p.MarketplaceImageUrls?.Where(u => !string.IsNullOrWhiteSpace(u)).Take(10).ToList() ?? new List<string>();
+
+            return new
+            {
+                Id = p.Id,
+                Name = p.Name,
+                SKU = p.SKU,
+                Brand = p.Brand,
+                Category = p.Category,
+                EanCode = p.EanCode,
+                ImageUrl = imageUrls.FirstOrDefault() ?? p.ImageUrl ?? "",
+                ImageUrls = imageUrls,
+                MarketplaceImageUrls = marketplaceImageUrls,
+                MarketplaceImageCount = p.MarketplaceImageUrls?.Count(u => !string.IsNullOrWhiteSpace(u)) ?? 0,
+                Features = p.Features,
+                IsActive = !p.IsArchived, // Active = !Archived
+                IsArchived = p.IsArchived,
+                // Veritabanında UTC tutuluyor; istemci Türkiye saatine çevirir
+                UpdatedDate = DateTime.SpecifyKind(p.UpdatedDate ?? p.CreatedDate, DateTimeKind.Utc),
+                Variant = variant,
+                Extra = extraColumns.Count == 0
+                    ? null
+                    : extraColumns.ToDictionary(column => column, column => GetGridValue(p, column))
+            };
+        }
     }
 }
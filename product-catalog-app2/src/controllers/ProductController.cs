@@ -1,6 +1,7 @@
 using Microsoft.AspNetCore.Mvc;
 using product_catalog_app.src.models;
 using product_catalog_app.src.services;
+using product_catalog_app.src.common;
 using System.Text;
 using Microsoft.Extensions.Logging;
 using System.Diagnostics;
@@ -16,14 +17,26 @@ namespace product_catalog_app.src.controllers
         private readonly XmlService _xmlService;
         private readonly CategoryService _categoryService;
         private readonly IWebHostEnvironment _hostEnvironment;
+        private readonly ProductFieldService _productFieldService;
+        private readonly ProductVariantService _variantService;
+        private readonly ProductHistoryService _historyService;
+        private readonly ProductComparisonService _comparisonService;
+        private readonly ProductDuplicateService _duplicateService;
 
         public ProductController(ProductService productService, XmlService xmlService, CategoryService categoryService, 
-            ILogger<ProductController> logger, IWebHostEnvironment hostEnvironment) : base(logger)
+            ILogger<ProductController> logger, IWebHostEnvironment hostEnvironment, ProductFieldService productFieldService,
+            ProductVariantService variantService, ProductHistoryService historyService,
+            ProductComparisonService comparisonService, ProductDuplicateService duplicateService) : base(logger)
         {
             _productService = productService;
             _xmlService = xmlService;
             _categoryService = categoryService;
             _hostEnvironment = hostEnvironment;
+            _productFieldService = productFieldService;
+            _variantService = variantService;
+            _historyService = historyService;
+            _comparisonService = comparisonService;
+            _duplicateService = duplicateService;
         }
 
         public async Task<IActionResult> Index(int page = 1, int pageSize = 50, string search = "", string category = "", string brand = "", 
@@ -80,6 +93,9 @@ namespace product_catalog_app.src.controllers
                 ViewBag.HasBarcode = hasBarcode;
                 ViewBag.BarcodeType = barcodeType ?? "";
 
+                // Varyant grubu rozetleri (ana ürünlerde varyant sayısı, varyantlarda eksen değerleri)
+                ViewBag.VariantInfo = await _variantService.GetRowInfoAsync(products);
+
                 // Index sayfası (arşiv değil)
                 ViewData["IsArchivePage"] = false;
                 ViewBag.IsArchivePage = false;
@@ -94,28 +110,129 @@ namespace product_catalog_app.src.controllers
             }
         }
 
-        public IActionResult Details(int id)
+        /// <summary>
+        /// Index filtreleri için facet sayıları - her seçenek diğer aktif filtrelerle kaç ürün döndürür
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> Facets(string search = "", string category = "", string brand = "", 
+                                                string status = "", string material = "", string color = "", string eanCode = "",
+                                                decimal? minWeight = null, decimal? maxWeight = null, decimal? minDesi = null, decimal? maxDesi = null,
+                                                int? minWarranty = null, int? maxWarranty = null,
+                                                bool? hasImage = null, bool? hasEan = null, bool? hasBarcode = null, string barcodeType = "")
+        {
+            try
+            {
+                var facets = await _productService.GetSearchFacetsAsync(search ?? "", category ?? "", brand ?? "", status ?? "",
+                    material ?? "", color ?? "", eanCode ?? "", minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty,
+                    hasImage, hasEan, hasBarcode, barcodeType ?? "");
+
+                return Json(facets);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Facet sayıları hesaplanırken hata oluştu");
+                return StatusCode(500, new { error = "Facet sayıları hesaplanamadı" });
+            }
+        }
+
+        /// <summary>
+        /// Filtreye uyan tüm ürünler (id, ad, SKU) - toplu seçimde "eşleşen N ürünün tümünü seç" için
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> MatchingProducts(string search = "", string category = "", string brand = "", 
+                                                          string status = "", string material = "", string color = "", string eanCode = "",
+                                                          decimal? minWeight = null, decimal? maxWeight = null, decimal? minDesi = null, decimal? maxDesi = null,
+                                                          int? minWarranty = null, int? maxWarranty = null,
+                                                          bool? hasImage = null, bool? hasEan = null, bool? hasBarcode = null, string barcodeType = "")
+        {
+            try
+            {
+                var totalCount = await _productService.GetProductCountAdvancedAsync(search ?? "", category ?? "", brand ?? "", status ?? "",
+                    material ?? "", color ?? "", eanCode ?? "", minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty,
+                    hasImage, hasEan, hasBarcode, barcodeType ?? "");
+
+                var items = await _productService.GetMatchingProductsAsync(Constants.Performance.MAX_SELECTION_SIZE,
+                    search ?? "", category ?? "", brand ?? "", status ?? "",
+                    material ?? "", color ?? "", eanCode ?? "", minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty,
+                    hasImage, hasEan, hasBarcode, barcodeType ?? "");
+
+                return Json(new
+                {
+                    success = true,
+                    totalCount,
+                    truncated = totalCount > items.Count,
+                    items
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Filtreye uyan ürünler alınırken hata oluştu");
+                return Json(new { success = false, message = "Eşleşen ürünler alınamadı" });
+            }
+        }
+
+        public async Task<IActionResult> Details(int id)
         {
             var product = _productService.GetProductById(id);
             if (product == null)
             {
                 return NotFound();
             }
+
+            var variantGroup = await _variantService.GetGroupAsync(product);
+            ViewBag.VariantGroup = variantGroup;
+            ViewBag.InheritedFields = variantGroup != null && product.VariantParentId.HasValue
+                ? ProductVariantService.ApplyInheritance(product, variantGroup.Parent)
+                : new List<string>();
+            ViewBag.ChangeHistory = await _historyService.GetHistoryAsync(product.Id);
+
             return View(product);
         }
 
+        // Seçilen 2-4 ürünü yan yana karşılaştırır - ids: "12,15,40" (listedeki toplu işlem panelinden)
+        public async Task<IActionResult> Compare(string ids = "")
+        {
+            var productIds = ProductComparisonService.ParseIds(ids);
+            if (productIds.Count < ProductComparisonService.MinProducts || productIds.Count > ProductComparisonService.MaxProducts)
+            {
+                TempData["Error"] = $"Karşılaştırma için {ProductComparisonService.MinProducts}-{ProductComparisonService.MaxProducts} ürün seçmelisiniz.";
+                return RedirectToAction(nameof(Index));
+            }
+
+            var comparison = await _comparisonService.BuildAsync(productIds);
+            if (comparison.Products.Count < ProductComparisonService.MinProducts)
+            {
+                TempData["Error"] = "Karşılaştırılacak ürünler bulunamadı.";
+                return RedirectToAction(nameof(Index));
+            }
 
-        // XML ürün ekleme (detaylı)
-        public async Task<IActionResult> CreateProduct()
+            return View(comparison);
+        }
+
+
+        // XML ürün ekleme (detaylı) - cloneFrom verilirse form o ürünün kopyasıyla açılır
+        public async Task<IActionResult> CreateProduct(int? cloneFrom = null)
         {
             _logger.LogInformation("CreateProduct GET çağrıldı");
+
+            if (cloneFrom.HasValue)
+            {
+                var source = await _productService.GetProductByIdAsync(cloneFrom.Value);
+                if (source == null)
+                    return NotFound();
+
+                _logger.LogInformation("CreateProduct GET - Kopyalanan ürün ID: {ProductId}", source.Id);
+                await PrepareProductFormViewDataAsync(source.Id);
+                return View(ProductFieldService.CreateCloneDraft(source));
+            }
+
             await PrepareProductFormViewDataAsync();
             return View(new Product());
         }
 
         [HttpPost]
         [ValidateAntiForgeryToken]
-        public async Task<IActionResult> CreateProduct(Product product)
+        public async Task<IActionResult> CreateProduct(Product product, int? cloneSourceId = null)
         {
             _logger.LogInformation("CreateProduct POST çağrıldı!");
 
@@ -137,7 +254,15 @@ namespace product_catalog_app.src.controllers
                 // Validate product data
                 if (!ValidateProductData(product))
                 {
-                    await PrepareProductFormViewDataAsync();
+                    await PrepareProductFormViewDataAsync(cloneSourceId);
+                    return View(product);
+                }
+
+                // A clone differs from its source by its own product code
+                if (cloneSourceId.HasValue && string.IsNullOrWhiteSpace(product.SKU))
+                {
+                    TempData["Error"] = "Kopyalanan ürün için yeni bir üretici ürün kodu girilmelidir.";
+                    await PrepareProductFormViewDataAsync(cloneSourceId);
                     return View(product);
                 }
 
@@ -146,7 +271,7 @@ namespace product_catalog_app.src.controllers
                 if (!validationResult.IsValid)
                 {
                     TempData["ValidationErrors"] = validationResult.ValidationErrors;
-                    await PrepareProductFormViewDataAsync();
+                    await PrepareProductFormViewDataAsync(cloneSourceId);
                     return View(product);
                 }
 
@@ -158,6 +283,10 @@ namespace product_catalog_app.src.controllers
                 // Save product
                 _productService.AddProduct(product);
                 _logger.LogInformation("Ürün başarıyla eklendi: {ProductName}", product.Name);
+                if (cloneSourceId.HasValue)
+                {
+                    _logger.LogInformation("Ürün {SourceId} kopyalanarak oluşturuldu: {ProductId}", cloneSourceId, product.Id);
+                }
                 TempData["Success"] = "Ürün başarıyla eklendi!";
                 return RedirectToAction("Index");
             }
@@ -610,8 +739,8 @@ namespace product_catalog_app.src.controllers
 
                 await _productService.BulkDeleteProductsAsync(productIds);
 
-                _logger.LogInformation("{Count} ürün toplu olarak silindi", productIds.Count);
-                TempData["Success"] = $"{productIds.Count} ürün başarıyla silindi.";
+                _logger.LogInformation("{Count} ürün toplu olarak çöp kutusuna taşındı", productIds.Count);
+                TempData["Success"] = $"{productIds.Count} ürün çöp kutusuna taşındı.";
             }
             catch (Exception ex)
             {
@@ -639,8 +768,8 @@ namespace product_catalog_app.src.controllers
                 var productName = product.Name;
                 await _productService.DeleteProductAsync(id);
 
-                _logger.LogInformation("Ürün silindi: {ProductName} (ID: {ProductId})", productName, id);
-                TempData["Success"] = $"'{productName}' ürünü başarıyla silindi.";
+                _logger.LogInformation("Ürün çöp kutusuna taşındı: {ProductName} (ID: {ProductId})", productName, id);
+                TempData["Success"] = $"'{productName}' ürünü çöp kutusuna taşındı.";
             }
             catch (Exception ex)
             {
@@ -651,6 +780,44 @@ namespace product_catalog_app.src.controllers
             return RedirectToAction("Index");
         }
 
+        // Trash Management - silinen ürünler kalıcı silinene kadar burada bekler
+        public async Task<IActionResult> Trash(int page = 1, int pageSize = 50, string search = "")
+        {
+            page = Math.Max(1, page);
+            pageSize = Math.Clamp(pageSize, 1, Constants.Pagination.MAX_PAGE_SIZE);
+
+            var products = await _productService.GetTrashedProductsAsync(search, page, pageSize);
+            var totalCount = await _productService.GetTrashedProductCountAsync(search);
+
+            ViewBag.CurrentPage = page;
+            ViewBag.TotalPages = Math.Max(1, (int)Math.Ceiling((double)totalCount / pageSize));
+            ViewBag.TotalCount = totalCount;
+            ViewBag.PageSize = pageSize;
+            ViewBag.Search = search ?? "";
+
+            return View(products);
+        }
+
+        [HttpPost]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> EmptyTrash()
+        {
+            try
+            {
+                var purgedCount = await _productService.EmptyTrashAsync();
+
+                _logger.LogInformation("Çöp kutusu boşaltıldı: {Count} ürün kalıcı olarak silindi", purgedCount);
+                TempData["Success"] = $"Çöp kutusu boşaltıldı, {purgedCount} ürün kalıcı olarak silindi.";
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Çöp kutusu boşaltılırken hata oluştu");
+                TempData["Error"] = "Çöp kutusu boşaltılırken bir hata oluştu.";
+            }
+
+            return RedirectToAction("Trash");
+        }
+
         // Utility method for stripping HTML tags from text
         private string StripHtmlTags(string html)
         {
@@ -660,6 +827,10 @@ namespace product_catalog_app.src.controllers
             // Remove HTML tags but preserve basic formatting
             string cleaned = html;
             
+            // Replace table rows with lines and cells with ' | ' separators
+            cleaned = Regex.Replace(cleaned, @"</t[hd]>\s*<t[hd](\s[^>]*)?>", " | ", RegexOptions.IgnoreCase);
+            cleaned = Regex.Replace(cleaned, @"</tr>", "\n", RegexOptions.IgnoreCase);
+            
             // Replace list items with bullet points
             cleaned = Regex.Replace(cleaned, @"<li[^>]*>", "• ", RegexOptions.IgnoreCase);
             cleaned = Regex.Replace(cleaned, @"</li>", "\n", RegexOptions.IgnoreCase);
@@ -1043,6 +1214,250 @@ namespace product_catalog_app.src.controllers
 
         #endregion
 
+        #region Satır İçi Düzenleme
+
+        /// <summary>
+        /// Ürün listesinden tek bir alanı günceller (satır içi düzenleme ve geri alma)
+        /// </summary>
+        [HttpPost]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> UpdateField([FromBody] ProductFieldUpdateRequest request)
+        {
+            try
+            {
+                if (request == null || request.ProductId <= 0)
+                {
+                    return Json(new { success = false, message = "Geçersiz istek" });
+                }
+
+                var result = await _productFieldService.UpdateFieldAsync(request);
+                return Json(result);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Satır içi düzenleme sırasında hata oluştu: {ProductId} {Field}", request?.ProductId, request?.Field);
+                return Json(new { success = false, message = "Alan kaydedilirken bir hata oluştu" });
+            }
+        }
+
+        #endregion
+
+        #region Varyant Grupları
+
+        /// <summary>
+        /// Ürünü varyant grubunun ana ürünü yapar ya da grubun eksenlerini günceller
+        /// </summary>
+        [HttpPost]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> SaveVariantGroup([FromBody] VariantGroupRequest request)
+        {
+            try
+            {
+                if (request == null || request.ParentId <= 0)
+                {
+                    return Json(new { success = false, message = "Geçersiz istek" });
+                }
+
+                var error = await _variantService.SaveGroupAsync(request.ParentId, request.Axes);
+                return Json(new { success = error == null, message = error ?? "Varyant grubu kaydedildi" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Varyant grubu kaydedilirken hata oluştu: {ParentId}", request?.ParentId);
+                return Json(new { success = false, message = "Varyant grubu kaydedilirken bir hata oluştu" });
+            }
+        }
+
+        /// <summary>
+        /// SKU ya da ID ile verilen ürünleri gruba varyant olarak ekler
+        /// </summary>
+        [HttpPost]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> AddVariants([FromBody] VariantAddRequest request)
+        {
+            try
+            {
+                if (request == null || request.ParentId <= 0 || request.Codes == null || !request.Codes.Any())
+                {
+                    return Json(new { success = false, message = "Eklenecek ürün belirtilmedi" });
+                }
+
+                var result = await _variantService.AddVariantsAsync(request.ParentId, request.Codes);
+                return Json(new
+                {
+                    success = result.AddedIds.Any(),
+                    message = result.AddedIds.Any() ? $"{result.AddedIds.Count} varyant eklendi" : "Hiçbir ürün eklenemedi",
+                    addedCount = result.AddedIds.Count,
+                    errors = result.Errors
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Varyant eklenirken hata oluştu: {ParentId}", request?.ParentId);
+                return Json(new { success = false, message = "Varyantlar eklenirken bir hata oluştu" });
+            }
+        }
+
+        [HttpPost]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> RemoveVariant(int id)
+        {
+            try
+            {
+                var removed = await _variantService.RemoveVariantAsync(id);
+                return Json(new { success = removed, message = removed ? "Ürün gruptan çıkarıldı" : "Ürün bir varyant grubunda değil" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Varyant gruptan çıkarılırken hata oluştu: {ProductId}", id);
+                return Json(new { success = false, message = "Ürün gruptan çıkarılırken bir hata oluştu" });
+            }
+        }
+
+        [HttpPost]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> DissolveVariantGroup(int id)
+        {
+            try
+            {
+                var detachedCount = await _variantService.DissolveGroupAsync(id);
+                if (detachedCount == null)
+                {
+                    return Json(new { success = false, message = "Varyant grubu bulunamadı" });
+                }
+
+                return Json(new { success = true, message = $"Grup dağıtıldı, {detachedCount} varyant bağımsız ürün oldu" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Varyant grubu dağıtılırken hata oluştu: {ParentId}", id);
+                return Json(new { success = false, message = "Varyant grubu dağıtılırken bir hata oluştu" });
+            }
+        }
+
+        #endregion
+
+        #region Değişiklik Geçmişi
+
+        /// <summary>
+        /// Ürünü geçmişteki bir sürüme döndürür (Details sayfası Geçmiş sekmesi)
+        /// </summary>
+        [HttpPost]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> RevertProduct([FromBody] ProductRevertRequest request)
+        {
+            try
+            {
+                if (request == null || request.ProductId <= 0 || request.ChangeLogId <= 0)
+                {
+                    return Json(new { success = false, message = "Geçersiz istek" });
+                }
+
+                var error = await _historyService.RevertToVersionAsync(request.ProductId, request.ChangeLogId);
+                return Json(new { success = error == null, message = error ?? "Ürün seçilen sürüme döndürüldü" });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Ürün geçmiş sürüme döndürülürken hata oluştu: {ProductId}", request?.ProductId);
+                return Json(new { success = false, message = "Ürün geri yüklenirken bir hata oluştu" });
+            }
+        }
+
+        #endregion
+
+        #region Mükerrer Ürünler
+
+        // Aktif ürünlerde ortak barkod ve benzer ad ile bulunan mükerrer aday kümeleri
+        public async Task<IActionResult> Duplicates()
+        {
+            var scan = await _duplicateService.FindDuplicatesAsync();
+            return View(scan);
+        }
+
+        // Birleştirme sihirbazı - ids: "12,15" (mükerrer listesinden ya da karşılaştırma sayfasından)
+        public async Task<IActionResult> MergeProducts(string ids = "")
+        {
+            var productIds = ProductComparisonService.ParseIds(ids);
+            if (productIds.Count < ProductComparisonService.MinProducts || productIds.Count > ProductComparisonService.MaxProducts)
+            {
+                TempData["Error"] = $"Birleştirme için {ProductComparisonService.MinProducts}-{ProductComparisonService.MaxProducts} ürün seçmelisiniz.";
+                return RedirectToAction(nameof(Duplicates));
+            }
+
+            var comparison = await _comparisonService.BuildAsync(productIds);
+            if (comparison.Products.Count < ProductComparisonService.MinProducts)
+            {
+                TempData["Error"] = "Birleştirilecek ürünler bulunamadı.";
+                return RedirectToAction(nameof(Duplicates));
+            }
+
+            ViewBag.SuggestedWinnerId = ProductDuplicateService.SuggestWinner(comparison.Products).Id;
+            return View(comparison);
+        }
+
+        /// <summary>
+        /// Seçilen alan değerleriyle ürünleri ana üründe birleştirir, diğerlerini arşivler
+        /// </summary>
+        [HttpPost]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> MergeProducts([FromBody] ProductMergeRequest request)
+        {
+            try
+            {
+                if (request == null || request.WinnerId <= 0)
+                {
+                    return Json(new { success = false, message = "Geçersiz istek" });
+                }
+
+                var error = await _duplicateService.MergeAsync(request.WinnerId, request.ProductIds, request.FieldSources);
+                if (error != null)
+                {
+                    return Json(new { success = false, message = error });
+                }
+
+                return Json(new
+                {
+                    success = true,
+                    message = "Ürünler birleştirildi, diğer kayıtlar arşive taşındı",
+                    redirectUrl = $"/Product/Details/{request.WinnerId}"
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Ürünler birleştirilirken hata oluştu: {WinnerId}", request?.WinnerId);
+                return Json(new { success = false, message = "Ürünler birleştirilirken bir hata oluştu" });
+            }
+        }
+
+        #endregion
+
+        #region Barkod Okuyucu
+
+        /// <summary>
+        /// Okutulan barkodu EAN ve tüm pazaryeri barkod alanlarında arar
+        /// </summary>
+        [HttpGet]
+        public async Task<IActionResult> BarcodeLookup(string code)
+        {
+            try
+            {
+                if (string.IsNullOrWhiteSpace(code))
+                {
+                    return Json(new { success = false, message = "Barkod boş olamaz" });
+                }
+
+                var matches = await _productService.LookupBarcodeAsync(code);
+                return Json(new { success = true, code = code.Trim(), matches });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Barkod araması sırasında hata oluştu: {Code}", code);
+                return Json(new { success = false, message = "Barkod aranırken bir hata oluştu" });
+            }
+        }
+
+        #endregion
+
         #region Bulk Operations
 
         [HttpPost]
@@ -1056,13 +1471,13 @@ namespace product_catalog_app.src.controllers
                     return Json(new { success = false, message = "Hiçbir ürün seçilmedi" });
                 }
 
-                if (request.ProductIds.Count > 500) // Batch size limit
+                if (request.ProductIds.Count > Constants.Performance.BULK_OPERATION_BATCH_SIZE) // Larger selections are batched by the client
                 {
-                    return Json(new { success = false, message = "Tek seferde en fazla 500 ürün işlenebilir" });
+                    return Json(new { success = false, message = $"Tek seferde en fazla {Constants.Performance.BULK_OPERATION_BATCH_SIZE} ürün işlenebilir" });
                 }
 
                 var stopwatch = Stopwatch.StartNew();
-                var result = new { successCount = 0, failCount = 0 };
+                var result = new { successCount = 0, failCount = 0, processedIds = new List<int>() };
 
                 switch (request.Action?.ToUpper())
                 {
@@ -1075,6 +1490,12 @@ namespace product_catalog_app.src.controllers
                     case "DELETE":
                         result = await BulkDeleteProducts(request.ProductIds);
                         break;
+                    case "RESTORE":
+                        result = await BulkRestoreProducts(request.ProductIds);
+                        break;
+                    case "PURGE":
+                        result = await BulkPurgeProducts(request.ProductIds);
+                        break;
                     default:
                         return Json(new { success = false, message = "Geçersiz işlem türü" });
                 }
@@ -1087,7 +1508,8 @@ namespace product_catalog_app.src.controllers
                     success = true, 
                     message = $"İşlem tamamlandı. Başarılı: {result.successCount}, Başarısız: {result.failCount}",
                     successCount = result.successCount,
-                    failCount = result.failCount
+                    failCount = result.failCount,
+                    processedIds = result.processedIds // Undo only reverses what actually changed
                 });
             }
             catch (Exception ex)
@@ -1097,10 +1519,128 @@ namespace product_catalog_app.src.controllers
             }
         }
 
+        /// <summary>
+        /// Seçili ürünlerde toplu alan düzenleme - PreviewOnly ile önce/sonra değerleri kaydetmeden döner
+        /// </summary>
+        [HttpPost]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> BulkEdit([FromBody] BulkEditRequest request)
+        {
+            try
+            {
+                if (request?.ProductIds == null || !request.ProductIds.Any())
+                {
+                    return Json(new { success = false, message = "Hiçbir ürün seçilmedi" });
+                }
+
+                if (request.Operations == null || !request.Operations.Any())
+                {
+                    return Json(new { success = false, message = "Hiçbir alan işlemi tanımlanmadı" });
+                }
+
+                if (request.ProductIds.Count > Constants.Performance.BULK_OPERATION_BATCH_SIZE)
+                {
+                    return Json(new { success = false, message = $"Tek seferde en fazla {Constants.Performance.BULK_OPERATION_BATCH_SIZE} ürün işlenebilir" });
+                }
+
+                var results = await _productFieldService.BulkEditAsync(request);
+
+                return Json(new
+                {
+                    success = true,
+                    preview = request.PreviewOnly,
+                    changedCount = results.Count(r => r.Success && r.Changes.Any()),
+                    unchangedCount = results.Count(r => r.Success && !r.Changes.Any()),
+                    failCount = results.Count(r => !r.Success),
+                    results
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Bulk edit failed");
+                return Json(new { success = false, message = "Toplu düzenleme sırasında bir hata oluştu" });
+            }
+        }
+
+        /// <summary>
+        /// Seçili ürünleri bir kategoriye taşır - yanıt, geri alma için ürünlerin önceki kategorilerini içerir
+        /// </summary>
+        [HttpPost]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> BulkReassignCategory([FromBody] BulkCategoryReassignRequest request)
+        {
+            try
+            {
+                if (request?.ProductIds == null || !request.ProductIds.Any())
+                {
+                    return Json(new { success = false, message = "Hiçbir ürün seçilmedi" });
+                }
+
+                if (request.ProductIds.Count > Constants.Performance.BULK_OPERATION_BATCH_SIZE)
+                {
+                    return Json(new { success = false, message = $"Tek seferde en fazla {Constants.Performance.BULK_OPERATION_BATCH_SIZE} ürün taşınabilir" });
+                }
+
+                var category = await _categoryService.GetCategoryByIdAsync(request.CategoryId);
+                if (category == null)
+                {
+                    return Json(new { success = false, message = "Kategori bulunamadı" });
+                }
+
+                var previous = await _productFieldService.ReassignCategoryAsync(request.ProductIds, category);
+
+                return Json(new
+                {
+                    success = true,
+                    message = $"{previous.Count} ürün '{category.Name}' kategorisine taşındı",
+                    category = new { id = category.Id, name = category.Name },
+                    successCount = previous.Count,
+                    skippedCount = request.ProductIds.Distinct().Count() - previous.Count,
+                    processedIds = previous.Select(p => p.ProductId),
+                    previous
+                });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Bulk category reassignment failed");
+                return Json(new { success = false, message = "Kategori taşıma sırasında bir hata oluştu" });
+            }
+        }
+
+        /// <summary>
+        /// Kategori taşımasını geri alır (BulkReassignCategory yanıtındaki previous listesi)
+        /// </summary>
+        [HttpPost]
+        [ValidateAntiForgeryToken]
+        public async Task<IActionResult> RestoreCategoryAssignments([FromBody] CategoryAssignmentRestoreRequest request)
+        {
+            try
+            {
+                if (request?.Assignments == null || !request.Assignments.Any())
+                {
+                    return Json(new { success = false, message = "Geri alınacak kayıt yok" });
+                }
+
+                if (request.Assignments.Count > Constants.Performance.BULK_OPERATION_BATCH_SIZE)
+                {
+                    return Json(new { success = false, message = $"Tek seferde en fazla {Constants.Performance.BULK_OPERATION_BATCH_SIZE} ürün işlenebilir" });
+                }
+
+                var restoredIds = await _productFieldService.RestoreCategoryAssignmentsAsync(request.Assignments);
+                return Json(new { success = true, successCount = restoredIds.Count, processedIds = restoredIds });
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Category assignment restore failed");
+                return Json(new { success = false, message = "Kategori taşıma geri alınamadı" });
+            }
+        }
+
         private async Task<dynamic> BulkArchiveProducts(List<int> productIds)
         {
             int successCount = 0;
             int failCount = 0;
+            var processedIds = new List<int>();
 
             foreach (var productId in productIds)
             {
@@ -1112,6 +1652,7 @@ namespace product_catalog_app.src.controllers
                         product.IsArchived = true;
                         product.UpdatedDate = DateTime.UtcNow;
                         await _productService.UpdateProductAsync(product);
+                        processedIds.Add(productId);
                         successCount++;
                     }
                     else
@@ -1126,13 +1667,14 @@ namespace product_catalog_app.src.controllers
                 }
             }
 
-            return new { successCount, failCount };
+            return new { successCount, failCount, processedIds };
         }
 
         private async Task<dynamic> BulkUnarchiveProducts(List<int> productIds)
         {
             int successCount = 0;
             int failCount = 0;
+            var processedIds = new List<int>();
 
             foreach (var productId in productIds)
             {
@@ -1144,6 +1686,7 @@ namespace product_catalog_app.src.controllers
                         product.IsArchived = false;
                         product.UpdatedDate = DateTime.UtcNow;
                         await _productService.UpdateProductAsync(product);
+                        processedIds.Add(productId);
                         successCount++;
                     }
                     else
@@ -1158,19 +1701,29 @@ namespace product_catalog_app.src.controllers
                 }
             }
 
-            return new { successCount, failCount };
+            return new { successCount, failCount, processedIds };
         }
 
         private async Task<dynamic> BulkDeleteProducts(List<int> productIds)
         {
             int successCount = 0;
             int failCount = 0;
+            var processedIds = new List<int>();
 
             foreach (var productId in productIds)
             {
                 try
                 {
+                    // Already trashed or missing products are not counted as deleted
+                    var product = await _productService.GetProductByIdAsync(productId);
+                    if (product == null)
+                    {
+                        failCount++;
+                        continue;
+                    }
+
                     await _productService.DeleteProductAsync(productId);
+                    processedIds.Add(productId);
                     successCount++;
                 }
                 catch (Exception ex)
@@ -1180,7 +1733,19 @@ namespace product_catalog_app.src.controllers
                 }
             }
 
-            return new { successCount, failCount };
+            return new { successCount, failCount, processedIds };
+        }
+
+        private async Task<dynamic> BulkRestoreProducts(List<int> productIds)
+        {
+            var processedIds = await _productService.RestoreProductsAsync(productIds);
+            return new { successCount = processedIds.Count, failCount = productIds.Count - processedIds.Count, processedIds };
+        }
+
+        private async Task<dynamic> BulkPurgeProducts(List<int> productIds)
+        {
+            var purgedCount = await _productService.PurgeProductsAsync(productIds);
+            return new { successCount = purgedCount, failCount = productIds.Count - purgedCount, processedIds = new List<int>() };
         }
 
         [HttpGet]
@@ -1193,60 +1758,8 @@ namespace product_catalog_app.src.controllers
                     return Json(new List<object>());
                 }
 
-                // Get products matching the query for suggestions
-                var suggestions = await _productService.SearchProductsAdvancedAsync(
-                    searchTerm: query.Trim(), 
-                    page: 1, 
-                    pageSize: 10 // Limit to 10 suggestions
-                );
-
-                // Create distinct suggestions from product names and brands
-                var suggestionItems = new List<object>();
-                var addedSuggestions = new HashSet<string>();
-
-                // Add product names that match
-                foreach (var product in suggestions)
-                {
-                    if (!string.IsNullOrEmpty(product.Name))
-                    {
-                        var lowerName = product.Name.ToLower();
-                        var lowerQuery = query.ToLower();
-                        
-                        if (lowerName.Contains(lowerQuery) && !addedSuggestions.Contains(lowerName))
-                        {
-                            suggestionItems.Add(new 
-                            { 
-                                text = product.Name,
-                                type = "product",
-                                highlight = GetHighlightedText(product.Name, query)
-                            });
-                            addedSuggestions.Add(lowerName);
-                        }
-                    }
-
-                    // Add brands that match
-                    if (!string.IsNullOrEmpty(product.Brand))
-                    {
-                        var lowerBrand = product.Brand.ToLower();
-                        var lowerQuery = query.ToLower();
-                        
-                        if (lowerBrand.Contains(lowerQuery) && !addedSuggestions.Contains(lowerBrand))
-                        {
-                            suggestionItems.Add(new 
-                            { 
-                                text = product.Brand,
-                                type = "brand",
-                                highlight = GetHighlightedText(product.Brand, query)
-                            });
-                            addedSuggestions.Add(lowerBrand);
-                        }
-                    }
-
-                    // Limit total suggestions
-                    if (suggestionItems.Count >= 8) break;
-                }
-
-                return Json(suggestionItems);
+                var suggestions = await _productService.GetSearchSuggestionsAsync(query, limitPerType: 5);
+                return Json(suggestions);
             }
             catch (Exception ex)
             {
@@ -1255,15 +1768,6 @@ namespace product_catalog_app.src.controllers
             }
         }
 
-        private string GetHighlightedText(string text, string query)
-        {
-            if (string.IsNullOrEmpty(text) || string.IsNullOrEmpty(query))
-                return text;
-
-            var pattern = Regex.Escape(query);
-            return Regex.Replace(text, pattern, $"<mark>$0</mark>", RegexOptions.IgnoreCase);
-        }
-
         #endregion
 
         #region Common Helper Methods for Product Form Operations
@@ -1271,9 +1775,16 @@ namespace product_catalog_app.src.controllers
         /// <summary>
         /// Prepares ViewBag data required for product forms (Create/Edit)
         /// </summary>
-        private async Task PrepareProductFormViewDataAsync()
+        private async Task PrepareProductFormViewDataAsync(int? cloneSourceId = null)
         {
             ViewBag.Categories = await _categoryService.GetAllCategoriesAsync();
+
+            // Kopyalama: form kaynağı ve yeniden girilmesi gereken alanları gösterir
+            if (cloneSourceId.HasValue)
+            {
+                ViewBag.CloneSource = await _productService.GetProductByIdAsync(cloneSourceId.Value);
+                ViewBag.CloneClearedFields = ProductFieldService.CloneClearedFields;
+            }
         }
 
         /// <summary>
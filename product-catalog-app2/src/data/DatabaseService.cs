@@ -12,6 +12,13 @@ namespace product_catalog_app.src.data
         private readonly ILogger<DatabaseService> _logger;
         private readonly string _connectionString;
 
+        // Columns that must not get the default TEXT '' definition (e.g. nullable dates)
+        private static readonly Dictionary<string, string> ColumnDefinitions = new Dictionary<string, string>
+        {
+            ["DeletedDate"] = "TEXT NULL",
+            ["VariantParentId"] = "INTEGER NULL"
+        };
+
         public DatabaseService(ProductDbContext context, ILogger<DatabaseService> logger, IConfiguration configuration)
         {
             _context = context;
@@ -91,6 +98,7 @@ namespace product_catalog_app.src.data
 
                 // Verify critical columns exist
                 await VerifyCriticalColumnsAsync();
+                await VerifyChangeLogTableAsync();
 
                 var productCount = await _context.Products.CountAsync();
                 _logger.LogInformation("Database initialization completed. Product count: {Count}", productCount);
@@ -194,7 +202,11 @@ namespace product_catalog_app.src.data
                     "MarketplaceImageUrls",
                     "EntegraUrunId",
                     "EntegraUrunKodu",
-                    "EntegraBarkod"
+                    "EntegraBarkod",
+                    "DeletedDate",
+                    "Size",
+                    "VariantAxes",
+                    "VariantParentId"
                 };
 
                 using var connection = new SqliteConnection(_connectionString);
@@ -232,6 +244,38 @@ namespace product_catalog_app.src.data
             }
         }
 
+        /// <summary>
+        /// Create the product change history table when migrations could not be applied
+        /// </summary>
+        private async Task VerifyChangeLogTableAsync()
+        {
+            try
+            {
+                using var connection = new SqliteConnection(_connectionString);
+                await connection.OpenAsync();
+
+                using var command = connection.CreateCommand();
+                command.CommandText = @"
+                    CREATE TABLE IF NOT EXISTS ProductChangeLogs (
+                        Id INTEGER NOT NULL CONSTRAINT PK_ProductChangeLogs PRIMARY KEY AUTOINCREMENT,
+                        ProductId INTEGER NOT NULL,
+                        ProductName TEXT NOT NULL,
+                        ChangeType TEXT NOT NULL,
+                        Source TEXT NOT NULL,
+                        ChangedBy TEXT NOT NULL,
+                        ChangedDate TEXT NOT NULL,
+                        Changes TEXT NOT NULL
+                    );
+                    CREATE INDEX IF NOT EXISTS IX_ProductChangeLogs_ProductId_ChangedDate
+                        ON ProductChangeLogs (ProductId, ChangedDate);";
+                await command.ExecuteNonQueryAsync();
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Failed to verify ProductChangeLogs table");
+            }
+        }
+
         /// <summary>
         /// Add missing columns safely
         /// </summary>
@@ -247,7 +291,8 @@ namespace product_catalog_app.src.data
                     try
                     {
                         using var command = connection.CreateCommand();
-                        command.CommandText = $"ALTER TABLE Products ADD COLUMN {column} TEXT DEFAULT ''";
+                        var definition = ColumnDefinitions.TryGetValue(column, out var customDefinition) ? customDefinition : "TEXT DEFAULT ''";
+                        command.CommandText = $"ALTER TABLE Products ADD COLUMN {column} {definition}";
                         await command.ExecuteNonQueryAsync();
                         
                         _logger.LogInformation("Added missing column: {Column}", column);
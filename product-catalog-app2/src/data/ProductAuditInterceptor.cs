@@ -0,0 +1,314 @@
+using System.Collections;
+using System.Globalization;
+using System.Runtime.CompilerServices;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.EntityFrameworkCore.ChangeTracking;
+using Microsoft.EntityFrameworkCore.Diagnostics;
+using product_catalog_app.src.models;
+
+namespace product_catalog_app.src.data
+{
+    /// <summary>
+    /// Ürün değişiklik geçmişi: her SaveChanges'te eklenen, değişen ve silinen ürünlerin alan farklarını ProductChangeLog olarak yazar
+    /// Tüm yazma yolları (form, satır içi/toplu düzenleme, arşiv, çöp kutusu, içe aktarma) EF üzerinden geçtiği için tek noktada yakalanır
+    /// </summary>
+    public class ProductAuditInterceptor : SaveChangesInterceptor
+    {
+        private readonly IHttpContextAccessor _httpContextAccessor;
+        private readonly ILogger<ProductAuditInterceptor> _logger;
+
+        // Geçmişe yazılmayan kayıt alanları
+        private static readonly HashSet<string> IgnoredFields = new HashSet<string>
+        {
+            nameof(Product.Id), nameof(Product.CreatedDate), nameof(Product.UpdatedDate)
+        };
+
+        // Interceptor singleton, context'ler havuzdan gelir - bekleyen kayıtlar context başına tutulur
+        private readonly ConditionalWeakTable<DbContext, List<PendingChangeLog>> _pending = new ConditionalWeakTable<DbContext, List<PendingChangeLog>>();
+
+        public ProductAuditInterceptor(IHttpContextAccessor httpContextAccessor, ILogger<ProductAuditInterceptor> logger)
+        {
+            _httpContextAccessor = httpContextAccessor;
+            _logger = logger;
+        }
+
+        public override InterceptionResult<int> SavingChanges(DbContextEventData eventData, InterceptionResult<int> result)
+        {
+            if (eventData.Context != null)
+            {
+                CaptureChangesAsync(eventData.Context, false, CancellationToken.None).GetAwaiter().GetResult();
+            }
+            return result;
+        }
+
+        public override async ValueTask<InterceptionResult<int>> SavingChangesAsync(DbContextEventData eventData,
+            InterceptionResult<int> result, CancellationToken cancellationToken = default)
+        {
+            if (eventData.Context != null)
+            {
+                await CaptureChangesAsync(eventData.Context, true, cancellationToken);
+            }
+            return result;
+        }
+
+        public override int SavedChanges(SaveChangesCompletedEventData eventData, int result)
+        {
+            if (eventData.Context != null)
+            {
+                WriteLogsAsync(eventData.Context, false, CancellationToken.None).GetAwaiter().GetResult();
+            }
+            return result;
+        }
+
+        public override async ValueTask<int> SavedChangesAsync(SaveChangesCompletedEventData eventData, int result,
+            CancellationToken cancellationToken = default)
+        {
+            if (eventData.Context != null)
+            {
+                await WriteLogsAsync(eventData.Context, true, cancellationToken);
+            }
+            return result;
+        }
+
+        public override void SaveChangesFailed(DbContextErrorEventData eventData)
+        {
+            if (eventData.Context != null) _pending.Remove(eventData.Context);
+        }
+
+        public override Task SaveChangesFailedAsync(DbContextErrorEventData eventData, CancellationToken cancellationToken = default)
+        {
+            if (eventData.Context != null) _pending.Remove(eventData.Context);
+            return Task.CompletedTask;
+        }
+
+        /// <summary>
+        /// Kaydedilecek ürün değişikliklerini okur; yeni ürünlerin ID'si kayıttan sonra belli olduğu için yazma SavedChanges'e bırakılır
+        /// </summary>
+        private async Task CaptureChangesAsync(DbContext context, bool async, CancellationToken cancellationToken)
+        {
+            // Interceptor DetectChanges'ten önce çalışır
+            context.ChangeTracker.DetectChanges();
+
+            var entries = context.ChangeTracker.Entries<Product>()
+                .Where(e => e.State == EntityState.Added || e.State == EntityState.Modified || e.State == EntityState.Deleted)
+                .ToList();
+            if (!entries.Any()) return;
+
+            // Update() ile bağlanan ürünlerde OriginalValues yeni değerlerle aynıdır; eski değerler veritabanından tek sorguda okunur
+            var modifiedIds = entries.Where(e => e.State == EntityState.Modified).Select(e => e.Entity.Id).Distinct().ToList();
+            var storedProducts = new Dictionary<int, Product>();
+            if (modifiedIds.Any())
+            {
+                var query = context.Set<Product>().IgnoreQueryFilters().AsNoTracking().Where(p => modifiedIds.Contains(p.Id));
+                storedProducts = async
+                    ? await query.ToDictionaryAsync(p => p.Id, cancellationToken)
+                    : query.ToDictionary(p => p.Id);
+            }
+
+            var (source, changedBy) = GetRequestInfo();
+            var pending = new List<PendingChangeLog>();
+
+            foreach (var entry in entries)
+            {
+                var log = new ProductChangeLog
+                {
+                    ProductName = entry.Entity.Name ?? string.Empty,
+                    Source = source,
+                    ChangedBy = changedBy,
+                    ChangedDate = DateTime.UtcNow
+                };
+
+                switch (entry.State)
+                {
+                    case EntityState.Added:
+                        log.ChangeType = ProductChangeTypes.Created;
+                        log.Changes = GetFieldChanges(entry, null);
+                        break;
+                    case EntityState.Deleted:
+                        log.ChangeType = ProductChangeTypes.Purged;
+                        break;
+                    default:
+                        storedProducts.TryGetValue(entry.Entity.Id, out var stored);
+                        log.Changes = GetFieldChanges(entry, stored);
+                        if (!log.Changes.Any()) continue;
+                        log.ChangeType = GetUpdateType(log.Changes);
+                        break;
+                }
+
+                pending.Add(new PendingChangeLog(entry, log));
+            }
+
+            if (!pending.Any()) return;
+
+            _pending.AddOrUpdate(context, pending);
+        }
+
+        private async Task WriteLogsAsync(DbContext context, bool async, CancellationToken cancellationToken)
+        {
+            if (!_pending.TryGetValue(context, out var pending)) return;
+            _pending.Remove(context);
+
+            // Ürün kaydı tamamlandı - geçmiş yazılamazsa kullanıcının işlemi bozulmaz, sadece loglanır
+            try
+            {
+                var logs = pending.Select(p =>
+                {
+                    p.Log.ProductId = p.Entry.Entity.Id;
+                    return p.Log;
+                }).ToList();
+
+                context.Set<ProductChangeLog>().AddRange(logs);
+                if (async)
+                    await context.SaveChangesAsync(cancellationToken);
+                else
+                    context.SaveChanges();
+
+                // Toplu işlemlerde ve içe aktarmada context'te birikmesinler
+                foreach (var log in logs)
+                {
+                    context.Entry(log).State = EntityState.Detached;
+                }
+            }
+            catch (Exception ex)
+            {
+                _logger.LogError(ex, "Ürün değişiklik geçmişi yazılamadı ({Count} kayıt)", pending.Count);
+
+                foreach (var entry in context.ChangeTracker.Entries<ProductChangeLog>().ToList())
+                {
+                    entry.State = EntityState.Detached;
+                }
+            }
+        }
+
+        /// <summary>
+        /// Ürünün alan farklarını döndürür; stored null ise (yeni ürün) dolu alanların tamamı yeni değer olarak yazılır
+        /// </summary>
+        private static List<ProductFieldChange> GetFieldChanges(EntityEntry<Product> entry, Product? stored)
+        {
+            var changes = new List<ProductFieldChange>();
+
+            foreach (var property in entry.Metadata.GetProperties())
+            {
+                if (IgnoredFields.Contains(property.Name) || property.IsShadowProperty()) continue;
+
+                var newValue = FormatValue(entry.CurrentValues[property]);
+                string? oldValue = null;
+                if (entry.State == EntityState.Modified)
+                {
+                    oldValue = stored != null
+                        ? FormatValue(property.PropertyInfo?.GetValue(stored))
+                        : FormatValue(entry.OriginalValues[property]);
+                }
+
+                if (oldValue == newValue) continue;
+
+                changes.Add(new ProductFieldChange { Field = property.Name, OldValue = oldValue, NewValue = newValue });
+            }
+
+            return changes;
+        }
+
+        private static string GetUpdateType(List<ProductFieldChange> changes)
+        {
+            var deleted = changes.FirstOrDefault(c => c.Field == nameof(Product.DeletedDate));
+            if (deleted != null)
+            {
+                return deleted.NewValue != null ? ProductChangeTypes.Deleted : ProductChangeTypes.Restored;
+            }
+
+            var archived = changes.FirstOrDefault(c => c.Field == nameof(Product.IsArchived));
+            if (archived != null)
+            {
+                return archived.NewValue == FormatValue(true) ? ProductChangeTypes.Archived : ProductChangeTypes.Unarchived;
+            }
+
+            return ProductChangeTypes.Updated;
+        }
+
+        /// <summary>
+        /// İsteği yapan action ("Product/BulkEdit") ve kullanıcı; istek dışı işlemlerde (başlangıç, arka plan) "Sistem"
+        /// </summary>
+        private (string Source, string ChangedBy) GetRequestInfo()
+        {
+            var httpContext = _httpContextAccessor.HttpContext;
+            if (httpContext == null) return ("Sistem", "Sistem");
+
+            var routeValues = httpContext.Request.RouteValues;
+            var source = routeValues.TryGetValue("controller", out var controller) && routeValues.TryGetValue("action", out var action)
+                ? $"{controller}/{action}"
+                : httpContext.Request.Path.ToString();
+
+            var user = httpContext.User?.Identity?.IsAuthenticated == true ? httpContext.User.Identity.Name : null;
+            if (string.IsNullOrEmpty(user))
+            {
+                // Cloudflare tüneli ve reverse proxy arkasında gerçek istemci adresi başlıkta gelir
+                var forwarded = httpContext.Request.Headers["CF-Connecting-IP"].FirstOrDefault()
+                    ?? httpContext.Request.Headers["X-Forwarded-For"].FirstOrDefault()?.Split(',')[0].Trim();
+                user = !string.IsNullOrEmpty(forwarded) ? forwarded : httpContext.Connection.RemoteIpAddress?.ToString();
+            }
+
+            return (source, string.IsNullOrEmpty(user) ? "Bilinmiyor" : user);
+        }
+
+        /// <summary>
+        /// Alan değerini geçmişte saklanan metne çevirir; boş metin ve boş liste null sayılır
+        /// Listeler veritabanındaki gibi '|' ile birleştirilir, sayı ve tarihler kültürden bağımsız yazılır
+        /// </summary>
+        public static string? FormatValue(object? value)
+        {
+            switch (value)
+            {
+                case null:
+                    return null;
+                case string text:
+                    return text.Length == 0 ? null : text;
+                case DateTime date:
+                    return date.ToString("o", CultureInfo.InvariantCulture);
+                case IFormattable formattable:
+                    return formattable.ToString(null, CultureInfo.InvariantCulture);
+                case IEnumerable<string> list:
+                    var joined = string.Join('|', list.Where(item => !string.IsNullOrEmpty(item)));
+                    return joined.Length == 0 ? null : joined;
+                case IEnumerable items:
+                    return FormatValue(items.Cast<object?>().Select(item => item?.ToString() ?? string.Empty).ToList());
+                default:
+                    return value.ToString();
+            }
+        }
+
+        /// <summary>
+        /// FormatValue ile yazılmış değeri alan tipine geri çevirir (geçmişten geri yükleme)
+        /// </summary>
+        public static object? ParseValue(string? value, Type type)
+        {
+            var underlying = Nullable.GetUnderlyingType(type);
+
+            if (type == typeof(string)) return value ?? string.Empty;
+            if (type == typeof(List<string>))
+                return (value ?? string.Empty).Split('|', StringSplitOptions.RemoveEmptyEntries).ToList();
+
+            if (value == null)
+            {
+                return underlying != null || !type.IsValueType ? null : Activator.CreateInstance(type);
+            }
+
+            var targetType = underlying ?? type;
+            if (targetType == typeof(DateTime))
+                return DateTime.Parse(value, CultureInfo.InvariantCulture, DateTimeStyles.RoundtripKind);
+
+            return Convert.ChangeType(value, targetType, CultureInfo.InvariantCulture);
+        }
+
+        private sealed class PendingChangeLog
+        {
+            public PendingChangeLog(EntityEntry<Product> entry, ProductChangeLog log)
+            {
+                Entry = entry;
+                Log = log;
+            }
+
+            public EntityEntry<Product> Entry { get; }
+            public ProductChangeLog Log { get; }
+        }
+    }
+}
@@ -1,3 +1,4 @@
+using System.Text.Json;
 using Microsoft.EntityFrameworkCore;
 using product_catalog_app.src.models;
 
@@ -8,6 +9,7 @@ namespace product_catalog_app.src.data
         public DbSet<Product> Products { get; set; } = null!;
         public DbSet<ProductXml> XmlProducts { get; set; } = null!;
         public DbSet<Category> Categories { get; set; } = null!;
+        public DbSet<ProductChangeLog> ProductChangeLogs { get; set; } = null!;
 
         public ProductDbContext(DbContextOptions<ProductDbContext> options) : base(options)
         {
@@ -56,6 +58,8 @@ namespace product_catalog_app.src.data
                 
                 entity.Property(e => e.Material).IsRequired(false);
                 entity.Property(e => e.Color).IsRequired(false);
+                entity.Property(e => e.Size).IsRequired(false);
+                entity.Property(e => e.VariantAxes).HasMaxLength(100).IsRequired(false);
                 entity.Property(e => e.EanCode).IsRequired(false);
                 entity.Property(e => e.Notes).IsRequired(false);
 
@@ -83,6 +87,11 @@ namespace product_catalog_app.src.data
                 entity.HasIndex(e => e.IsArchived); // Archive index
                 // entity.HasIndex(e => new { e.IsActive, e.IsArchived }); // Removed - using only IsArchived
                 entity.HasIndex(e => e.CreatedDate);
+                entity.HasIndex(e => e.DeletedDate); // Trash lookups
+                entity.HasIndex(e => e.VariantParentId); // Variant group members
+
+                // Soft delete - trashed products are invisible unless IgnoreQueryFilters() is used
+                entity.HasQueryFilter(e => e.DeletedDate == null);
 
                 // Additional performance indexes for search operations
                 entity.HasIndex(e => new { e.IsArchived, e.Name }); // For search with archive filter
@@ -160,6 +169,30 @@ namespace product_catalog_app.src.data
                 entity.HasIndex(e => e.IsActive);
             });
 
+            // ProductChangeLog tablosu için - ProductAuditInterceptor yazar
+            modelBuilder.Entity<ProductChangeLog>(entity =>
+            {
+                entity.HasKey(e => e.Id);
+                entity.Property(e => e.Id).ValueGeneratedOnAdd();
+                entity.Property(e => e.ProductName).HasMaxLength(500);
+                entity.Property(e => e.ChangeType).IsRequired().HasMaxLength(20);
+                entity.Property(e => e.Source).HasMaxLength(200);
+                entity.Property(e => e.ChangedBy).HasMaxLength(200);
+
+                entity.HasIndex(e => new { e.ProductId, e.ChangedDate }); // Ürün geçmişi zaman çizelgesi
+
+                // Alan farkları tek sütunda JSON olarak saklanır
+                entity.Property(e => e.Changes)
+                    .HasConversion(
+                        v => JsonSerializer.Serialize(v ?? new List<ProductFieldChange>(), (JsonSerializerOptions?)null),
+                        v => JsonSerializer.Deserialize<List<ProductFieldChange>>(v, (JsonSerializerOptions?)null) ?? new List<ProductFieldChange>()
+                    )
+                    .Metadata.SetValueComparer(new Microsoft.EntityFrameworkCore.ChangeTracking.ValueComparer<List<ProductFieldChange>>(
+                        (c1, c2) => ReferenceEquals(c1, c2), // Kayıtlar sonradan değiştirilmez
+                        c => c == null ? 0 : c.Count,
+                        c => c));
+            });
+
             // Product-Category relationship
             modelBuilder.Entity<Product>(entity =>
             {
@@ -3,6 +3,7 @@ using Microsoft.Extensions.Logging;
 using product_catalog_app.src.models;
 using product_catalog_app.src.interfaces;
 using product_catalog_app.src.common;
+using System.Linq.Expressions;
 
 namespace product_catalog_app.src.data
 {
@@ -342,6 +343,17 @@ namespace product_catalog_app.src.data
             }
         }
 
+        /// <summary>
+        /// ApplyBarcodeTypeFilter tarafından desteklenen barkod türü anahtarları (facet sayımı için)
+        /// </summary>
+        private static readonly string[] BarcodeTypeKeys =
+        {
+            "any", "trendyol", "hepsiburada", "hepsiburada_seller", "hepsiburada_tedarik",
+            "koctas", "koctas_istanbul", "koctas_ean", "koctas_ean_istanbul",
+            "pttavm", "ptt_urun_stok", "n11", "n11_catalog", "n11_product",
+            "amazon", "pazarama", "haceyapi", "spare1", "spare2", "spare3", "spare4", "logo"
+        };
+
         /// <summary>
         /// Specific barcode type filtresi
         /// </summary>
@@ -401,6 +413,50 @@ namespace product_catalog_app.src.data
             };
         }
 
+        /// <summary>
+        /// Gelişmiş arama filtre zinciri - arama, sayım ve facet sorguları aynı filtreleri kullanır
+        /// </summary>
+        private static IQueryable<Product> ApplyAdvancedFilters(IQueryable<Product> query, string searchTerm, string category, string brand,
+            string status, string material, string color, string eanCode,
+            decimal? minWeight, decimal? maxWeight, decimal? minDesi, decimal? maxDesi,
+            int? minWarranty, int? maxWarranty,
+            bool? hasImage, bool? hasEan, bool? hasBarcode, string barcodeType)
+        {
+            // Apply standard filters using helper methods
+            query = ApplyActiveFilter(query, includeArchived: false);
+            query = ApplySearchTermFilter(query, searchTerm);
+            query = ApplyCategoryFilter(query, category);
+            query = ApplyBrandFilter(query, brand);
+
+            // Advanced status filter override (if specified)
+            if (!string.IsNullOrEmpty(status))
+            {
+                if (status == "active")
+                {
+                    query = query.Where(p => !p.IsArchived);
+                }
+                else if (status == "archived")
+                {
+                    query = query.Where(p => p.IsArchived);
+                }
+                // "all" status includes both active and archived
+            }
+
+            // Apply additional filters using helper methods
+            query = ApplyMaterialFilter(query, material);
+            query = ApplyColorFilter(query, color);
+            query = ApplyEanCodeFilter(query, eanCode);
+            query = ApplyWeightRangeFilter(query, minWeight, maxWeight);
+            query = ApplyDesiRangeFilter(query, minDesi, maxDesi);
+            query = ApplyWarrantyRangeFilter(query, minWarranty, maxWarranty);
+            query = ApplyHasImageFilter(query, hasImage);
+            query = ApplyHasEanFilter(query, hasEan);
+            query = ApplyHasBarcodeFilter(query, hasBarcode);
+            query = ApplyBarcodeTypeFilter(query, barcodeType);
+
+            return query;
+        }
+
         /// <summary>
         /// Sorting helper
         /// </summary>
@@ -450,31 +506,100 @@ namespace product_catalog_app.src.data
                     : query.OrderBy(p => p.Desi)
                            .ThenBy(p => p.CreatedDate)
                            .ThenBy(p => p.Id),
-                "warranty" => sortDirection == "desc" 
+                "warranty" or "warrantymonths" => sortDirection == "desc" 
                     ? query.OrderByDescending(p => p.WarrantyMonths)
                            .ThenByDescending(p => p.CreatedDate)
                            .ThenByDescending(p => p.Id) 
                     : query.OrderBy(p => p.WarrantyMonths)
                            .ThenBy(p => p.CreatedDate)
                            .ThenBy(p => p.Id),
-                "created" => sortDirection == "desc" 
+                "created" or "createddate" => sortDirection == "desc" 
                     ? query.OrderByDescending(p => p.CreatedDate)
                            .ThenByDescending(p => p.Id) 
                     : query.OrderBy(p => p.CreatedDate)
                            .ThenBy(p => p.Id),
-                "updated" => sortDirection == "desc" 
+                // Varyant grupları: ana ürün ve varyantları (grup içinde ID sırasıyla) art arda listelenir
+                "variant" or "variantgroupid" => sortDirection == "desc"
+                    ? query.OrderByDescending(p => p.VariantParentId ?? p.Id)
+                           .ThenBy(p => p.VariantParentId != null)
+                           .ThenBy(p => p.Id)
+                    : query.OrderBy(p => p.VariantParentId ?? p.Id)
+                           .ThenBy(p => p.VariantParentId != null)
+                           .ThenBy(p => p.Id),
+                "updated" or "updateddate" => sortDirection == "desc" 
                     ? query.OrderByDescending(p => p.UpdatedDate ?? p.CreatedDate)
                            .ThenByDescending(p => p.CreatedDate)
                            .ThenByDescending(p => p.Id) 
                     : query.OrderBy(p => p.UpdatedDate ?? p.CreatedDate)
                            .ThenBy(p => p.CreatedDate)
                            .ThenBy(p => p.Id),
+                // Sütun seçicideki diğer sütunlar - istemci Product alan adını gönderir
+                "id" => OrderByColumn(query, p => p.Id, sortDirection),
+                "eancode" => OrderByColumn(query, p => p.EanCode ?? "", sortDirection),
+                "isarchived" => OrderByColumn(query, p => p.IsArchived, sortDirection),
+                "features" => OrderByColumn(query, p => p.Features ?? "", sortDirection),
+                "notes" => OrderByColumn(query, p => p.Notes ?? "", sortDirection),
+                // SQLite decimal sütunlarda ORDER BY desteklemiyor - double olarak sırala
+                "width" => OrderByColumn(query, p => (double)p.Width, sortDirection),
+                "height" => OrderByColumn(query, p => (double)p.Height, sortDirection),
+                "depth" => OrderByColumn(query, p => (double)p.Depth, sortDirection),
+                "length" => OrderByColumn(query, p => (double?)p.Length, sortDirection),
+                "material" => OrderByColumn(query, p => p.Material ?? "", sortDirection),
+                "color" => OrderByColumn(query, p => p.Color ?? "", sortDirection),
+                "size" => OrderByColumn(query, p => p.Size ?? "", sortDirection),
+                "klozetkanalyapisi" => OrderByColumn(query, p => p.KlozetKanalYapisi ?? "", sortDirection),
+                "klozettipi" => OrderByColumn(query, p => p.KlozetTipi ?? "", sortDirection),
+                "klozetkapakcinsi" => OrderByColumn(query, p => p.KlozetKapakCinsi ?? "", sortDirection),
+                "klozetmontajtipi" => OrderByColumn(query, p => p.KlozetMontajTipi ?? "", sortDirection),
+                "lawabosutasmadeligi" => OrderByColumn(query, p => p.LawaboSuTasmaDeligi ?? "", sortDirection),
+                "lawaboarmaturdeligi" => OrderByColumn(query, p => p.LawaboArmaturDeligi ?? "", sortDirection),
+                "lawabotipi" => OrderByColumn(query, p => p.LawaboTipi ?? "", sortDirection),
+                "lawaboozelligi" => OrderByColumn(query, p => p.LawaboOzelligi ?? "", sortDirection),
+                "bataryacikisucuuzunlugu" => OrderByColumn(query, p => p.BataryaCikisUcuUzunlugu ?? "", sortDirection),
+                "bataryayuksekligi" => OrderByColumn(query, p => p.BataryaYuksekligi ?? "", sortDirection),
+                "trendyolbarcode" => OrderByColumn(query, p => p.TrendyolBarcode ?? "", sortDirection),
+                "hepsiburadabarcode" => OrderByColumn(query, p => p.HepsiburadaBarcode ?? "", sortDirection),
+                "hepsiburadasellerstockcode" => OrderByColumn(query, p => p.HepsiburadaSellerStockCode ?? "", sortDirection),
+                "koctasbarcode" => OrderByColumn(query, p => p.KoctasBarcode ?? "", sortDirection),
+                "koctasistanbulbarcode" => OrderByColumn(query, p => p.KoctasIstanbulBarcode ?? "", sortDirection),
+                "koctaseanbarcode" => OrderByColumn(query, p => p.KoctasEanBarcode ?? "", sortDirection),
+                "koctaseanistanbulbarcode" => OrderByColumn(query, p => p.KoctasEanIstanbulBarcode ?? "", sortDirection),
+                "hepsiburadatedarikbarcode" => OrderByColumn(query, p => p.HepsiburadaTedarikBarcode ?? "", sortDirection),
+                "pttavmbarcode" => OrderByColumn(query, p => p.PttAvmBarcode ?? "", sortDirection),
+                "ptturunstokkodu" => OrderByColumn(query, p => p.PttUrunStokKodu ?? "", sortDirection),
+                "pazaramabarcode" => OrderByColumn(query, p => p.PazaramaBarcode ?? "", sortDirection),
+                "haceyapibarcode" => OrderByColumn(query, p => p.HaceyapiBarcode ?? "", sortDirection),
+                "amazonbarcode" => OrderByColumn(query, p => p.AmazonBarcode ?? "", sortDirection),
+                "n11catalogid" => OrderByColumn(query, p => p.N11CatalogId ?? "", sortDirection),
+                "n11productcode" => OrderByColumn(query, p => p.N11ProductCode ?? "", sortDirection),
+                "entegraurunid" => OrderByColumn(query, p => p.EntegraUrunId ?? "", sortDirection),
+                "entegraurunkodu" => OrderByColumn(query, p => p.EntegraUrunKodu ?? "", sortDirection),
+                "entegrabarkod" => OrderByColumn(query, p => p.EntegraBarkod ?? "", sortDirection),
+                "sparebarcode1" => OrderByColumn(query, p => p.SpareBarcode1 ?? "", sortDirection),
+                "sparebarcode2" => OrderByColumn(query, p => p.SpareBarcode2 ?? "", sortDirection),
+                "sparebarcode3" => OrderByColumn(query, p => p.SpareBarcode3 ?? "", sortDirection),
+                "sparebarcode4" => OrderByColumn(query, p => p.SpareBarcode4 ?? "", sortDirection),
                 _ => query.OrderBy(p => p.Name ?? "")
                           .ThenBy(p => p.CreatedDate)
                           .ThenBy(p => p.Id)
             };
         }
 
+        /// <summary>
+        /// Tek sütuna göre sıralama - eşitlikte oluşturma tarihi ve ID ile sabit sıra
+        /// </summary>
+        private static IQueryable<Product> OrderByColumn<TKey>(IQueryable<Product> query,
+            Expression<Func<Product, TKey>> keySelector, string sortDirection)
+        {
+            return sortDirection == "desc"
+                ? query.OrderByDescending(keySelector)
+                       .ThenByDescending(p => p.CreatedDate)
+                       .ThenByDescending(p => p.Id)
+                : query.OrderBy(keySelector)
+                       .ThenBy(p => p.CreatedDate)
+                       .ThenBy(p => p.Id);
+        }
+
         #endregion
 
         // Product metodları - AsNoTracking optimizasyonu eklendi
@@ -561,13 +686,15 @@ namespace product_catalog_app.src.data
         {
             try
             {
-                var product = _context.Products.FirstOrDefault(p => p.Id == id);
+                // Context defaults to no-tracking; the entity must be tracked for the soft delete to be saved
+                var product = _context.Products.AsTracking().FirstOrDefault(p => p.Id == id);
                 if (product != null)
                 {
-                    _logger.LogInformation("Deleting product: {ProductName} (ID: {ProductId})", product.Name, id);
-                    _context.Products.Remove(product);
+                    _logger.LogInformation("Moving product to trash: {ProductName} (ID: {ProductId})", product.Name, id);
+                    product.DeletedDate = DateTime.UtcNow;
+                    product.UpdatedDate = DateTime.UtcNow;
                     var changes = _context.SaveChanges();
-                    _logger.LogInformation("Product deleted successfully. Records affected: {RecordsAffected}", changes);
+                    _logger.LogInformation("Product moved to trash. Records affected: {RecordsAffected}", changes);
                 }
                 else
                 {
@@ -586,13 +713,14 @@ namespace product_catalog_app.src.data
         {
             try
             {
-                var product = await _context.Products.FirstOrDefaultAsync(p => p.Id == id);
+                var product = await _context.Products.AsTracking().FirstOrDefaultAsync(p => p.Id == id);
                 if (product != null)
                 {
-                    _logger.LogInformation("Deleting product async: {ProductName} (ID: {ProductId})", product.Name, id);
-                    _context.Products.Remove(product);
+                    _logger.LogInformation("Moving product to trash async: {ProductName} (ID: {ProductId})", product.Name, id);
+                    product.DeletedDate = DateTime.UtcNow;
+                    product.UpdatedDate = DateTime.UtcNow;
                     var changes = await _context.SaveChangesAsync();
-                    _logger.LogInformation("Product deleted successfully. Records affected: {RecordsAffected}", changes);
+                    _logger.LogInformation("Product moved to trash. Records affected: {RecordsAffected}", changes);
                 }
                 else
                 {
@@ -743,39 +871,8 @@ namespace product_catalog_app.src.data
         {
             _logger.LogInformation("SearchProductsAdvancedAsync called with advanced filters");
 
-            var query = _context.Products.AsQueryable();
-
-            // Apply standard filters using helper methods
-            query = ApplyActiveFilter(query, includeArchived: false);
-            query = ApplySearchTermFilter(query, searchTerm);
-            query = ApplyCategoryFilter(query, category);
-            query = ApplyBrandFilter(query, brand);
-
-            // Advanced status filter override (if specified)
-            if (!string.IsNullOrEmpty(status))
-            {
-                if (status == "active")
-                {
-                    query = query.Where(p => !p.IsArchived);
-                }
-                else if (status == "archived")
-                {
-                    query = query.Where(p => p.IsArchived);
-                }
-                // "all" status includes both active and archived
-            }
-
-            // Apply additional filters using helper methods
-            query = ApplyMaterialFilter(query, material);
-            query = ApplyColorFilter(query, color);
-            query = ApplyEanCodeFilter(query, eanCode);
-            query = ApplyWeightRangeFilter(query, minWeight, maxWeight);
-            query = ApplyDesiRangeFilter(query, minDesi, maxDesi);
-            query = ApplyWarrantyRangeFilter(query, minWarranty, maxWarranty);
-            query = ApplyHasImageFilter(query, hasImage);
-            query = ApplyHasEanFilter(query, hasEan);
-            query = ApplyHasBarcodeFilter(query, hasBarcode);
-            query = ApplyBarcodeTypeFilter(query, barcodeType);
+            var query = ApplyAdvancedFilters(_context.Products.AsQueryable(), searchTerm, category, brand, status, material, color, eanCode,
+                minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty, hasImage, hasEan, hasBarcode, barcodeType);
 
             // Apply sorting
             query = ApplySorting(query, sortBy, sortDirection);
@@ -797,40 +894,231 @@ namespace product_catalog_app.src.data
             int? minWarranty = null, int? maxWarranty = null,
             bool? hasImage = null, bool? hasEan = null, bool? hasBarcode = null, string barcodeType = "")
         {
-            var query = _context.Products.AsQueryable();
+            // Apply the same filters as in SearchProductsAdvancedAsync
+            var query = ApplyAdvancedFilters(_context.Products.AsQueryable(), searchTerm, category, brand, status, material, color, eanCode,
+                minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty, hasImage, hasEan, hasBarcode, barcodeType);
 
-            // Apply the same filters as in SearchProductsAdvancedAsync using helper methods
-            query = ApplyActiveFilter(query, includeArchived: false);
-            query = ApplySearchTermFilter(query, searchTerm);
-            query = ApplyCategoryFilter(query, category);
-            query = ApplyBrandFilter(query, brand);
+            return await query.CountAsync();
+        }
 
-            // Advanced status filter override (if specified)
-            if (!string.IsNullOrEmpty(status))
+        // Facet counts for the advanced search panel - each facet ignores its own filter
+        public async Task<ProductSearchFacets> GetSearchFacetsAsync(string searchTerm = "", string category = "", string brand = "", 
+            string status = "", string material = "", string color = "", string eanCode = "",
+            decimal? minWeight = null, decimal? maxWeight = null, decimal? minDesi = null, decimal? maxDesi = null,
+            int? minWarranty = null, int? maxWarranty = null,
+            bool? hasImage = null, bool? hasEan = null, bool? hasBarcode = null, string barcodeType = "")
+        {
+            var products = _context.Products.AsNoTracking();
+            var facets = new ProductSearchFacets();
+
+            // Kategori: legacy Category alanı ve CategoryEntity adı ayrı ayrı sayılır (filtre ikisini de eşleştirir)
+            var categoryQuery = ApplyAdvancedFilters(products, searchTerm, "", brand, status, material, color, eanCode,
+                minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty, hasImage, hasEan, hasBarcode, barcodeType);
+
+            var legacyCategoryCounts = await categoryQuery
+                .Where(p => p.Category != null && p.Category != "")
+                .GroupBy(p => p.Category!)
+                .Select(g => new { Key = g.Key, Count = g.Count() })
+                .ToListAsync();
+
+            var relatedCategoryCounts = await categoryQuery
+                .Where(p => p.CategoryEntity != null && p.CategoryEntity.Name != p.Category)
+                .GroupBy(p => p.CategoryEntity!.Name)
+                .Select(g => new { Key = g.Key, Count = g.Count() })
+                .ToListAsync();
+
+            foreach (var item in legacyCategoryCounts.Concat(relatedCategoryCounts))
             {
-                if (status == "active")
+                facets.Categories[item.Key] = facets.Categories.GetValueOrDefault(item.Key) + item.Count;
+            }
+
+            var brandQuery = ApplyAdvancedFilters(products, searchTerm, category, "", status, material, color, eanCode,
+                minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty, hasImage, hasEan, hasBarcode, barcodeType);
+            facets.Brands = await brandQuery
+                .Where(p => p.Brand != null && p.Brand != "")
+                .GroupBy(p => p.Brand!)
+                .Select(g => new { Key = g.Key, Count = g.Count() })
+                .ToDictionaryAsync(x => x.Key, x => x.Count);
+
+            var materialQuery = ApplyAdvancedFilters(products, searchTerm, category, brand, status, "", color, eanCode,
+                minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty, hasImage, hasEan, hasBarcode, barcodeType);
+            facets.Materials = await materialQuery
+                .Where(p => p.Material != null && p.Material != "")
+                .GroupBy(p => p.Material!)
+                .Select(g => new { Key = g.Key, Count = g.Count() })
+                .ToDictionaryAsync(x => x.Key, x => x.Count);
+
+            var colorQuery = ApplyAdvancedFilters(products, searchTerm, category, brand, status, material, "", eanCode,
+                minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty, hasImage, hasEan, hasBarcode, barcodeType);
+            facets.Colors = await colorQuery
+                .Where(p => p.Color != null && p.Color != "")
+                .GroupBy(p => p.Color!)
+                .Select(g => new { Key = g.Key, Count = g.Count() })
+                .ToDictionaryAsync(x => x.Key, x => x.Count);
+
+            var barcodeQuery = ApplyAdvancedFilters(products, searchTerm, category, brand, status, material, color, eanCode,
+                minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty, hasImage, hasEan, hasBarcode, "");
+
+            // Tüm barkod türü sayıları tek sorguda koşullu toplamlarla alınır - tür başına ayrı COUNT yerine
+            var barcodeCounts = await barcodeQuery
+                .GroupBy(p => 1)
+                .Select(g => new
                 {
-                    query = query.Where(p => !p.IsArchived);
-                }
-                else if (status == "archived")
+                    Total = g.Count(),
+                    Any = g.Sum(p => !string.IsNullOrEmpty(p.TrendyolBarcode) || !string.IsNullOrEmpty(p.HepsiburadaBarcode) ||
+                        !string.IsNullOrEmpty(p.HepsiburadaSellerStockCode) || !string.IsNullOrEmpty(p.HepsiburadaTedarikBarcode) ||
+                        !string.IsNullOrEmpty(p.AmazonBarcode) || !string.IsNullOrEmpty(p.KoctasBarcode) ||
+                        !string.IsNullOrEmpty(p.KoctasIstanbulBarcode) || !string.IsNullOrEmpty(p.N11ProductCode) ||
+                        !string.IsNullOrEmpty(p.N11CatalogId) || !string.IsNullOrEmpty(p.PazaramaBarcode) ||
+                        !string.IsNullOrEmpty(p.PttAvmBarcode) || !string.IsNullOrEmpty(p.HaceyapiBarcode) ||
+                        !string.IsNullOrEmpty(p.SpareBarcode1) || !string.IsNullOrEmpty(p.SpareBarcode2) ||
+                        !string.IsNullOrEmpty(p.SpareBarcode3) || !string.IsNullOrEmpty(p.SpareBarcode4) ||
+                        !string.IsNullOrEmpty(p.LogoBarcodes) || !string.IsNullOrEmpty(p.KoctasEanBarcode) ||
+                        !string.IsNullOrEmpty(p.KoctasEanIstanbulBarcode) || !string.IsNullOrEmpty(p.PttUrunStokKodu) ? 1 : 0),
+                    Trendyol = g.Sum(p => !string.IsNullOrEmpty(p.TrendyolBarcode) ? 1 : 0),
+                    Hepsiburada = g.Sum(p => !string.IsNullOrEmpty(p.HepsiburadaBarcode) ? 1 : 0),
+                    HepsiburadaSeller = g.Sum(p => !string.IsNullOrEmpty(p.HepsiburadaSellerStockCode) ? 1 : 0),
+                    HepsiburadaTedarik = g.Sum(p => !string.IsNullOrEmpty(p.HepsiburadaTedarikBarcode) ? 1 : 0),
+                    Koctas = g.Sum(p => !string.IsNullOrEmpty(p.KoctasBarcode) ? 1 : 0),
+                    KoctasIstanbul = g.Sum(p => !string.IsNullOrEmpty(p.KoctasIstanbulBarcode) ? 1 : 0),
+                    KoctasEan = g.Sum(p => !string.IsNullOrEmpty(p.KoctasEanBarcode) ? 1 : 0),
+                    KoctasEanIstanbul = g.Sum(p => !string.IsNullOrEmpty(p.KoctasEanIstanbulBarcode) ? 1 : 0),
+                    PttAvm = g.Sum(p => !string.IsNullOrEmpty(p.PttAvmBarcode) ? 1 : 0),
+                    PttUrunStok = g.Sum(p => !string.IsNullOrEmpty(p.PttUrunStokKodu) ? 1 : 0),
+                    N11 = g.Sum(p => !string.IsNullOrEmpty(p.N11ProductCode) || !string.IsNullOrEmpty(p.N11CatalogId) ? 1 : 0),
+                    N11Catalog = g.Sum(p => !string.IsNullOrEmpty(p.N11CatalogId) ? 1 : 0),
+                    N11Product = g.Sum(p => !string.IsNullOrEmpty(p.N11ProductCode) ? 1 : 0),
+                    Amazon = g.Sum(p => !string.IsNullOrEmpty(p.AmazonBarcode) ? 1 : 0),
+                    Pazarama = g.Sum(p => !string.IsNullOrEmpty(p.PazaramaBarcode) ? 1 : 0),
+                    Haceyapi = g.Sum(p => !string.IsNullOrEmpty(p.HaceyapiBarcode) ? 1 : 0),
+                    Spare1 = g.Sum(p => !string.IsNullOrEmpty(p.SpareBarcode1) ? 1 : 0),
+                    Spare2 = g.Sum(p => !string.IsNullOrEmpty(p.SpareBarcode2) ? 1 : 0),
+                    Spare3 = g.Sum(p => !string.IsNullOrEmpty(p.SpareBarcode3) ? 1 : 0),
+                    Spare4 = g.Sum(p => !string.IsNullOrEmpty(p.SpareBarcode4) ? 1 : 0),
+                    Logo = g.Sum(p => !string.IsNullOrEmpty(p.LogoBarcodes) ? 1 : 0)
+                })
+                .FirstOrDefaultAsync();
+
+            if (barcodeCounts != null)
+            {
+                facets.BarcodeTypes = new Dictionary<string, int>
                 {
-                    query = query.Where(p => p.IsArchived);
-                }
+                    ["any"] = barcodeCounts.Any,
+                    ["trendyol"] = barcodeCounts.Trendyol,
+                    ["hepsiburada"] = barcodeCounts.Hepsiburada,
+                    ["hepsiburada_seller"] = barcodeCounts.HepsiburadaSeller,
+                    ["hepsiburada_tedarik"] = barcodeCounts.HepsiburadaTedarik,
+                    ["koctas"] = barcodeCounts.Koctas,
+                    ["koctas_istanbul"] = barcodeCounts.KoctasIstanbul,
+                    ["koctas_ean"] = barcodeCounts.KoctasEan,
+                    ["koctas_ean_istanbul"] = barcodeCounts.KoctasEanIstanbul,
+                    ["pttavm"] = barcodeCounts.PttAvm,
+                    ["ptt_urun_stok"] = barcodeCounts.PttUrunStok,
+                    ["n11"] = barcodeCounts.N11,
+                    ["n11_catalog"] = barcodeCounts.N11Catalog,
+                    ["n11_product"] = barcodeCounts.N11Product,
+                    ["amazon"] = barcodeCounts.Amazon,
+                    ["pazarama"] = barcodeCounts.Pazarama,
+                    ["haceyapi"] = barcodeCounts.Haceyapi,
+                    ["spare1"] = barcodeCounts.Spare1,
+                    ["spare2"] = barcodeCounts.Spare2,
+                    ["spare3"] = barcodeCounts.Spare3,
+                    ["spare4"] = barcodeCounts.Spare4,
+                    ["logo"] = barcodeCounts.Logo
+                };
+            }
+            else
+            {
+                facets.BarcodeTypes = BarcodeTypeKeys.ToDictionary(type => type, _ => 0);
             }
 
-            // Apply additional filters using helper methods
-            query = ApplyMaterialFilter(query, material);
-            query = ApplyColorFilter(query, color);
-            query = ApplyEanCodeFilter(query, eanCode);
-            query = ApplyWeightRangeFilter(query, minWeight, maxWeight);
-            query = ApplyDesiRangeFilter(query, minDesi, maxDesi);
-            query = ApplyWarrantyRangeFilter(query, minWarranty, maxWarranty);
-            query = ApplyHasImageFilter(query, hasImage);
-            query = ApplyHasEanFilter(query, hasEan);
-            query = ApplyHasBarcodeFilter(query, hasBarcode);
-            query = ApplyBarcodeTypeFilter(query, barcodeType);
+            // Seçili barkod türü filtresiyle eşleşen toplam - bilinmeyen tür filtre uygulamaz (ApplyBarcodeTypeFilter ile aynı)
+            var total = barcodeCounts?.Total ?? 0;
+            facets.TotalCount = string.IsNullOrEmpty(barcodeType)
+                ? total
+                : facets.BarcodeTypes.GetValueOrDefault(barcodeType.ToLower(), total);
 
-            return await query.CountAsync();
+            return facets;
+        }
+
+        // Every product matching the filters (capped) - used by "select all matching" in bulk selection
+        public async Task<List<ProductSelectionItem>> GetMatchingProductsAsync(int maxResults, string searchTerm = "", string category = "", string brand = "", 
+            string status = "", string material = "", string color = "", string eanCode = "",
+            decimal? minWeight = null, decimal? maxWeight = null, decimal? minDesi = null, decimal? maxDesi = null,
+            int? minWarranty = null, int? maxWarranty = null,
+            bool? hasImage = null, bool? hasEan = null, bool? hasBarcode = null, string barcodeType = "")
+        {
+            var query = ApplyAdvancedFilters(_context.Products.AsNoTracking(), searchTerm, category, brand, status, material, color, eanCode,
+                minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty, hasImage, hasEan, hasBarcode, barcodeType);
+
+            return await query
+                .OrderBy(p => p.Name)
+                .Take(maxResults)
+                .Select(p => new ProductSelectionItem
+                {
+                    Id = p.Id,
+                    Name = p.Name ?? "",
+                    SKU = p.SKU ?? ""
+                })
+                .ToListAsync();
+        }
+
+        public async Task<List<ProductSuggestionSource>> GetSuggestionSourcesAsync()
+        {
+            return await _context.Products
+                .AsNoTracking()
+                .Where(p => !p.IsArchived)
+                .Select(p => new ProductSuggestionSource
+                {
+                    Id = p.Id,
+                    Name = p.Name ?? "",
+                    SKU = p.SKU ?? "",
+                    Brand = p.Brand ?? "",
+                    EanCode = p.EanCode ?? ""
+                })
+                .ToListAsync();
+        }
+
+        /// <summary>
+        /// EAN ve tüm pazaryeri barkod alanlarında birebir eşleşen ürünler (arşivdekiler dahil)
+        /// LogoBarcodes virgüllü liste olduğu için Contains ile aday bulunur, kesin eşleşme servis katmanında yapılır
+        /// </summary>
+        public async Task<List<Product>> FindProductsByBarcodeAsync(string code)
+        {
+            if (string.IsNullOrWhiteSpace(code)) return new List<Product>();
+
+            var trimmed = code.Trim();
+            return await _context.Products
+                .AsNoTracking()
+                .Where(p =>
+                    p.EanCode == trimmed ||
+                    p.TrendyolBarcode == trimmed ||
+                    p.HepsiburadaBarcode == trimmed ||
+                    p.HepsiburadaSellerStockCode == trimmed ||
+                    p.HepsiburadaTedarikBarcode == trimmed ||
+                    p.KoctasBarcode == trimmed ||
+                    p.KoctasIstanbulBarcode == trimmed ||
+                    p.KoctasEanBarcode == trimmed ||
+                    p.KoctasEanIstanbulBarcode == trimmed ||
+                    p.PttAvmBarcode == trimmed ||
+                    p.PttUrunStokKodu == trimmed ||
+                    p.PazaramaBarcode == trimmed ||
+                    p.AmazonBarcode == trimmed ||
+                    p.N11CatalogId == trimmed ||
+                    p.N11ProductCode == trimmed ||
+                    p.HaceyapiBarcode == trimmed ||
+                    p.SpareBarcode1 == trimmed ||
+                    p.SpareBarcode2 == trimmed ||
+                    p.SpareBarcode3 == trimmed ||
+                    p.SpareBarcode4 == trimmed ||
+                    p.EntegraBarkod == trimmed ||
+                    p.EntegraUrunKodu == trimmed ||
+                    p.EntegraUrunId == trimmed ||
+                    (p.LogoBarcodes != null && p.LogoBarcodes.Contains(trimmed)))
+                .OrderBy(p => p.IsArchived)
+                .ThenBy(p => p.Name)
+                .Take(20)
+                .ToListAsync();
         }
 
         // Async versions for better performance (excludes archived)
@@ -885,10 +1173,17 @@ namespace product_catalog_app.src.data
         public async Task BulkDeleteProductsAsync(List<int> productIds)
         {
             var products = await _context.Products
+                .AsTracking()
                 .Where(p => productIds.Contains(p.Id))
                 .ToListAsync();
 
-            _context.Products.RemoveRange(products);
+            var deletedDate = DateTime.UtcNow;
+            foreach (var product in products)
+            {
+                product.DeletedDate = deletedDate;
+                product.UpdatedDate = deletedDate;
+            }
+
             await _context.SaveChangesAsync();
         }
 
@@ -1310,6 +1605,7 @@ namespace product_catalog_app.src.data
             _logger.LogInformation("BulkArchiveProductsAsync called with {Count} product IDs", productIds.Count);
 
             var products = await _context.Products
+                .AsTracking()
                 .Where(p => productIds.Contains(p.Id))
                 .ToListAsync();
 
@@ -1328,6 +1624,7 @@ namespace product_catalog_app.src.data
             _logger.LogInformation("BulkUnarchiveProductsAsync called with {Count} product IDs", productIds.Count);
 
             var products = await _context.Products
+                .AsTracking()
                 .Where(p => productIds.Contains(p.Id))
                 .ToListAsync();
 
@@ -1341,6 +1638,155 @@ namespace product_catalog_app.src.data
             _logger.LogInformation("Successfully unarchived {Count} products", products.Count);
         }
 
+        // Trash operations - the global query filter hides trashed products, so these must ignore it
+        private IQueryable<Product> GetTrashQuery(string searchTerm = "")
+        {
+            var query = _context.Products.IgnoreQueryFilters().Where(p => p.DeletedDate != null);
+            return ApplySearchTermFilter(query, searchTerm);
+        }
+
+        public async Task<List<Product>> GetTrashedProductsAsync(string searchTerm = "", int page = 1, int pageSize = 50)
+        {
+            return await GetTrashQuery(searchTerm)
+                .AsNoTracking()
+                .OrderByDescending(p => p.DeletedDate)
+                .Skip((page - 1) * pageSize)
+                .Take(pageSize)
+                .ToListAsync();
+        }
+
+        public async Task<int> GetTrashedProductCountAsync(string searchTerm = "")
+        {
+            return await GetTrashQuery(searchTerm).CountAsync();
+        }
+
+        public async Task<List<int>> RestoreProductsAsync(List<int> productIds)
+        {
+            var products = await GetTrashQuery()
+                .AsTracking()
+                .Where(p => productIds.Contains(p.Id))
+                .ToListAsync();
+
+            foreach (var product in products)
+            {
+                product.DeletedDate = null;
+                product.UpdatedDate = DateTime.UtcNow;
+            }
+
+            await _context.SaveChangesAsync();
+            _logger.LogInformation("Restored {Count} products from trash", products.Count);
+            return products.Select(p => p.Id).ToList();
+        }
+
+        public async Task<int> PurgeProductsAsync(List<int> productIds)
+        {
+            // Only trashed products can be removed for good
+            var products = await GetTrashQuery()
+                .AsTracking()
+                .Where(p => productIds.Contains(p.Id))
+                .ToListAsync();
+
+            // Variants of a purged parent become standalone products
+            await DetachVariantsAsync(products.Select(p => p.Id).ToList());
+
+            _context.Products.RemoveRange(products);
+            await _context.SaveChangesAsync();
+            _logger.LogInformation("Permanently deleted {Count} products from trash", products.Count);
+            return products.Count;
+        }
+
+        public async Task<int> EmptyTrashAsync()
+        {
+            var products = await GetTrashQuery().AsTracking().ToListAsync();
+
+            await DetachVariantsAsync(products.Select(p => p.Id).ToList());
+
+            _context.Products.RemoveRange(products);
+            await _context.SaveChangesAsync();
+            _logger.LogInformation("Trash emptied, {Count} products permanently deleted", products.Count);
+            return products.Count;
+        }
+
+        // Variant groups
+        public async Task<List<Product>> GetVariantsAsync(int parentId)
+        {
+            return await _context.Products
+                .AsNoTracking()
+                .Where(p => p.VariantParentId == parentId)
+                .OrderBy(p => p.Id)
+                .ToListAsync();
+        }
+
+        public async Task<Dictionary<int, int>> GetVariantCountsAsync(List<int> parentIds)
+        {
+            return await _context.Products
+                .AsNoTracking()
+                .Where(p => p.VariantParentId != null && parentIds.Contains(p.VariantParentId.Value))
+                .GroupBy(p => p.VariantParentId!.Value)
+                .Select(g => new { ParentId = g.Key, Count = g.Count() })
+                .ToDictionaryAsync(x => x.ParentId, x => x.Count);
+        }
+
+        public async Task<Product?> GetProductBySkuAsync(string sku)
+        {
+            return await _context.Products.AsNoTracking().FirstOrDefaultAsync(p => p.SKU == sku);
+        }
+
+        public async Task<int> DetachVariantsAsync(List<int> parentIds)
+        {
+            if (parentIds == null || !parentIds.Any()) return 0;
+
+            // Trashed variants are detached too, so a restore never points at a missing parent
+            var variants = await _context.Products
+                .IgnoreQueryFilters()
+                .AsTracking()
+                .Where(p => p.VariantParentId != null && parentIds.Contains(p.VariantParentId.Value))
+                .ToListAsync();
+
+            foreach (var variant in variants)
+            {
+                variant.VariantParentId = null;
+                variant.UpdatedDate = DateTime.UtcNow;
+            }
+
+            await _context.SaveChangesAsync();
+            _logger.LogInformation("Detached {Count} variants from {ParentCount} variant groups", variants.Count, parentIds.Count);
+            return variants.Count;
+        }
+
+        public async Task<int> MoveVariantsAsync(List<int> fromParentIds, int toParentId)
+        {
+            if (fromParentIds == null || !fromParentIds.Any()) return 0;
+
+            // Same scope as DetachVariantsAsync - trashed variants follow the group too
+            var variants = await _context.Products
+                .IgnoreQueryFilters()
+                .AsTracking()
+                .Where(p => p.VariantParentId != null && fromParentIds.Contains(p.VariantParentId.Value) && p.Id != toParentId)
+                .ToListAsync();
+
+            foreach (var variant in variants)
+            {
+                variant.VariantParentId = toParentId;
+                variant.UpdatedDate = DateTime.UtcNow;
+            }
+
+            await _context.SaveChangesAsync();
+            _logger.LogInformation("Moved {Count} variants from {ParentCount} variant groups to {ParentId}", variants.Count, fromParentIds.Count, toParentId);
+            return variants.Count;
+        }
+
+        // Change history - written by ProductAuditInterceptor, newest first
+        public async Task<List<ProductChangeLog>> GetChangeLogsAsync(int productId)
+        {
+            return await _context.ProductChangeLogs
+                .AsNoTracking()
+                .Where(l => l.ProductId == productId)
+                .OrderByDescending(l => l.ChangedDate)
+                .ThenByDescending(l => l.Id)
+                .ToListAsync();
+        }
+
         // Utility methods for dropdowns and filters
         public async Task<List<string>> GetDistinctCategoriesAsync()
         {
@@ -1570,7 +2016,8 @@ namespace product_catalog_app.src.data
         {
             if (string.IsNullOrWhiteSpace(sku)) return true;
 
-            var query = _context.Products.Where(p => p.SKU == sku);
+            // Trashed products count too - otherwise restoring one would create a silent duplicate
+            var query = _context.Products.IgnoreQueryFilters().Where(p => p.SKU == sku);
             
             if (excludeProductId.HasValue)
             {
@@ -1584,7 +2031,7 @@ namespace product_catalog_app.src.data
         {
             if (string.IsNullOrWhiteSpace(eanCode)) return true;
 
-            var query = _context.Products.Where(p => p.EanCode == eanCode);
+            var query = _context.Products.IgnoreQueryFilters().Where(p => p.EanCode == eanCode);
             
             if (excludeProductId.HasValue)
             {
@@ -42,6 +42,21 @@ namespace product_catalog_app.src.interfaces
             int? minWarranty = null, int? maxWarranty = null,
             bool? hasImage = null, bool? hasEan = null, bool? hasBarcode = null, string barcodeType = "");
 
+        Task<ProductSearchFacets> GetSearchFacetsAsync(string searchTerm = "", string category = "", string brand = "", 
+            string status = "", string material = "", string color = "", string eanCode = "",
+            decimal? minWeight = null, decimal? maxWeight = null, decimal? minDesi = null, decimal? maxDesi = null,
+            int? minWarranty = null, int? maxWarranty = null,
+            bool? hasImage = null, bool? hasEan = null, bool? hasBarcode = null, string barcodeType = "");
+
+        Task<List<ProductSelectionItem>> GetMatchingProductsAsync(int maxResults, string searchTerm = "", string category = "", string brand = "", 
+            string status = "", string material = "", string color = "", string eanCode = "",
+            decimal? minWeight = null, decimal? maxWeight = null, decimal? minDesi = null, decimal? maxDesi = null,
+            int? minWarranty = null, int? maxWarranty = null,
+            bool? hasImage = null, bool? hasEan = null, bool? hasBarcode = null, string barcodeType = "");
+
+        Task<List<ProductSuggestionSource>> GetSuggestionSourcesAsync();
+        Task<List<Product>> FindProductsByBarcodeAsync(string code);
+
         // Bulk operations
         Task BulkUpdateProductsAsync(List<Product> products);
         Task BulkDeleteProductsAsync(List<int> productIds);
@@ -52,6 +67,23 @@ namespace product_catalog_app.src.interfaces
         Task<List<Product>> GetArchivedProductsAsync(string searchTerm = "", string category = "", string brand = "", int page = 1, int pageSize = 50);
         Task<int> GetArchivedProductCountAsync(string searchTerm = "", string category = "", string brand = "");
 
+        // Trash operations - delete only moves products to the trash
+        Task<List<Product>> GetTrashedProductsAsync(string searchTerm = "", int page = 1, int pageSize = 50);
+        Task<int> GetTrashedProductCountAsync(string searchTerm = "");
+        Task<List<int>> RestoreProductsAsync(List<int> productIds);
+        Task<int> PurgeProductsAsync(List<int> productIds);
+        Task<int> EmptyTrashAsync();
+
+        // Variant groups - members point to their parent product through VariantParentId
+        Task<List<Product>> GetVariantsAsync(int parentId);
+        Task<Dictionary<int, int>> GetVariantCountsAsync(List<int> parentIds);
+        Task<Product?> GetProductBySkuAsync(string sku);
+        Task<int> DetachVariantsAsync(List<int> parentIds);
+        Task<int> MoveVariantsAsync(List<int> fromParentIds, int toParentId);
+
+        // Change history - ProductAuditInterceptor records every product save
+        Task<List<ProductChangeLog>> GetChangeLogsAsync(int productId);
+
         // Utility methods for dropdowns and filters - Both sync and async for compatibility
         List<string> GetDistinctCategories();
         List<string> GetDistinctBrands();
@@ -154,9 +186,41 @@ namespace product_catalog_app.src.interfaces
             int? minWarranty = null, int? maxWarranty = null,
             bool? hasImage = null, bool? hasEan = null, bool? hasBarcode = null, string barcodeType = "");
 
+        Task<ProductSearchFacets> GetSearchFacetsAsync(string searchTerm = "", string category = "", string brand = "", 
+            string status = "", string material = "", string color = "", string eanCode = "",
+            decimal? minWeight = null, decimal? maxWeight = null, decimal? minDesi = null, decimal? maxDesi = null,
+            int? minWarranty = null, int? maxWarranty = null,
+            bool? hasImage = null, bool? hasEan = null, bool? hasBarcode = null, string barcodeType = "");
+
+        Task<List<ProductSelectionItem>> GetMatchingProductsAsync(int maxResults, string searchTerm = "", string category = "", string brand = "", 
+            string status = "", string material = "", string color = "", string eanCode = "",
+            decimal? minWeight = null, decimal? maxWeight = null, decimal? minDesi = null, decimal? maxDesi = null,
+            int? minWarranty = null, int? maxWarranty = null,
+            bool? hasImage = null, bool? hasEan = null, bool? hasBarcode = null, string barcodeType = "");
+
+        Task<List<SearchSuggestion>> GetSearchSuggestionsAsync(string query, int limitPerType = 5);
+        Task<List<BarcodeLookupMatch>> LookupBarcodeAsync(string code);
+
         // Bulk operations
         Task BulkDeleteProductsAsync(List<int> productIds);
 
+        // Trash operations
+        Task<List<Product>> GetTrashedProductsAsync(string searchTerm = "", int page = 1, int pageSize = 50);
+        Task<int> GetTrashedProductCountAsync(string searchTerm = "");
+        Task<List<int>> RestoreProductsAsync(List<int> productIds);
+        Task<int> PurgeProductsAsync(List<int> productIds);
+        Task<int> EmptyTrashAsync();
+
+        // Variant groups
+        Task<List<Product>> GetVariantsAsync(int parentId);
+        Task<Dictionary<int, int>> GetVariantCountsAsync(List<int> parentIds);
+        Task<Product?> GetProductBySkuAsync(string sku);
+        Task<int> DetachVariantsAsync(List<int> parentIds);
+        Task<int> MoveVariantsAsync(List<int> fromParentIds, int toParentId);
+
+        // Change history
+        Task<List<ProductChangeLog>> GetChangeLogsAsync(int productId);
+
         // Cache management
         void ClearCache();
     }
@@ -9,6 +9,18 @@ namespace product_catalog_app.src.models
         public List<int> ProductIds { get; set; } = new List<int>();
     }
 
+    /// <summary>
+    /// Single field update from the product list (inline editing)
+    /// ExpectedValue is the value the client edited from; a mismatch means someone else changed it meanwhile
+    /// </summary>
+    public class ProductFieldUpdateRequest
+    {
+        public int ProductId { get; set; }
+        public string Field { get; set; } = string.Empty;
+        public string? Value { get; set; }
+        public string? ExpectedValue { get; set; }
+    }
+
     /// <summary>
     /// Standardized API response wrapper for consistent response format
     /// </summary>
@@ -118,6 +130,181 @@ namespace product_catalog_app.src.models
         }
     }
 
+    /// <summary>
+    /// Facet counts for the advanced search filters (option value -> matching product count)
+    /// </summary>
+    public class ProductSearchFacets
+    {
+        public Dictionary<string, int> Categories { get; set; } = new Dictionary<string, int>();
+        public Dictionary<string, int> Brands { get; set; } = new Dictionary<string, int>();
+        public Dictionary<string, int> Materials { get; set; } = new Dictionary<string, int>();
+        public Dictionary<string, int> Colors { get; set; } = new Dictionary<string, int>();
+        public Dictionary<string, int> BarcodeTypes { get; set; } = new Dictionary<string, int>();
+        public int TotalCount { get; set; }
+    }
+
+    /// <summary>
+    /// Lightweight product projection the search suggestions are ranked from
+    /// </summary>
+    public class ProductSuggestionSource
+    {
+        public int Id { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string SKU { get; set; } = string.Empty;
+        public string Brand { get; set; } = string.Empty;
+        public string EanCode { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Ranked search suggestion - Type is "product", "sku", "brand" or "barcode"
+    /// Highlight is HTML-encoded text with the matched fragments wrapped in &lt;mark&gt;
+    /// </summary>
+    public class SearchSuggestion
+    {
+        public string Text { get; set; } = string.Empty;
+        public string Type { get; set; } = string.Empty;
+        public string Highlight { get; set; } = string.Empty;
+        public double Score { get; set; }
+        public int? ProductId { get; set; }
+    }
+
+    /// <summary>
+    /// Minimal product reference kept in the cross-page bulk selection
+    /// </summary>
+    public class ProductSelectionItem
+    {
+        public int Id { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string SKU { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Product found by a scanned barcode and the fields the code matched
+    /// </summary>
+    public class BarcodeLookupMatch
+    {
+        public int ProductId { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public string SKU { get; set; } = string.Empty;
+        public string Brand { get; set; } = string.Empty;
+        public bool IsArchived { get; set; }
+        public List<string> MatchedFields { get; set; } = new List<string>();
+    }
+
+    /// <summary>
+    /// Bulk field edit for the selected products
+    /// Mode is "set", "clear", "replace" (text: Find -> Value) or "increment" (numbers: adds Value, may be negative)
+    /// </summary>
+    public class BulkEditRequest
+    {
+        public List<int> ProductIds { get; set; } = new List<int>();
+        public List<BulkEditOperation> Operations { get; set; } = new List<BulkEditOperation>();
+        public bool PreviewOnly { get; set; }
+    }
+
+    public class BulkEditOperation
+    {
+        public string Field { get; set; } = string.Empty;
+        public string Mode { get; set; } = "set";
+        public string? Value { get; set; }
+        public string? Find { get; set; }
+    }
+
+    /// <summary>
+    /// Per-product bulk edit outcome with before/after values of the changed fields
+    /// </summary>
+    public class BulkEditItemResult
+    {
+        public int ProductId { get; set; }
+        public string Name { get; set; } = string.Empty;
+        public bool Success { get; set; }
+        public string Message { get; set; } = string.Empty;
+        public List<BulkEditChange> Changes { get; set; } = new List<BulkEditChange>();
+    }
+
+    public class BulkEditChange
+    {
+        public string Field { get; set; } = string.Empty;
+        public string Before { get; set; } = string.Empty;
+        public string After { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Moves the selected products into one category (drag-and-drop onto the category sidebar)
+    /// </summary>
+    public class BulkCategoryReassignRequest
+    {
+        public List<int> ProductIds { get; set; } = new List<int>();
+        public int CategoryId { get; set; }
+    }
+
+    /// <summary>
+    /// A product's category before a reassignment - sent back as-is to undo it
+    /// CategoryId may be null for products that only carry the category name
+    /// </summary>
+    public class ProductCategoryAssignment
+    {
+        public int ProductId { get; set; }
+        public int? CategoryId { get; set; }
+        public string Category { get; set; } = string.Empty;
+    }
+
+    public class CategoryAssignmentRestoreRequest
+    {
+        public List<ProductCategoryAssignment> Assignments { get; set; } = new List<ProductCategoryAssignment>();
+    }
+
+    /// <summary>
+    /// Creates a variant group on a product or changes its axes (Color, Size, Material)
+    /// </summary>
+    public class VariantGroupRequest
+    {
+        public int ParentId { get; set; }
+        public List<string> Axes { get; set; } = new List<string>();
+    }
+
+    /// <summary>
+    /// Adds products to a variant group - each code is a product ID or SKU
+    /// </summary>
+    public class VariantAddRequest
+    {
+        public int ParentId { get; set; }
+        public List<string> Codes { get; set; } = new List<string>();
+    }
+
+    /// <summary>
+    /// Outcome of a single field update - Value/PreviousValue are the stored values formatted invariantly
+    /// </summary>
+    public class ProductFieldUpdateResult
+    {
+        public bool Success { get; set; }
+        public bool IsConflict { get; set; }
+        public string Field { get; set; } = string.Empty;
+        public string Value { get; set; } = string.Empty;
+        public string PreviousValue { get; set; } = string.Empty;
+        public DateTime? UpdatedDate { get; set; }
+        public string Message { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Reverts a product to the state recorded by one of its change history entries
+    /// </summary>
+    public class ProductRevertRequest
+    {
+        public int ProductId { get; set; }
+        public int ChangeLogId { get; set; }
+    }
+
+    /// <summary>
+    /// Merges duplicate products into the winner; FieldSources maps a field name to the product whose value is kept
+    /// </summary>
+    public class ProductMergeRequest
+    {
+        public int WinnerId { get; set; }
+        public List<int> ProductIds { get; set; } = new List<int>();
+        public Dictionary<string, int> FieldSources { get; set; } = new Dictionary<string, int>();
+    }
+
     /// <summary>
     /// Bulk operation result for tracking success/failure of multiple operations
     /// </summary>
@@ -0,0 +1,13 @@
+namespace product_catalog_app.src.models
+{
+    /// <summary>
+    /// Pazaryeri açıklama profili: pazaryerinin kabul ettiği HTML etiketleri ve açıklama uzunluk sınırı
+    /// </summary>
+    public class MarketplaceDescriptionProfile
+    {
+        public string Key { get; set; } = string.Empty; // Export sütun adında kullanılır (MarketplaceDescription_{Key})
+        public string Name { get; set; } = string.Empty;
+        public int MaxLength { get; set; } // Temizlenmiş HTML'in karakter sınırı
+        public string[] AllowedTags { get; set; } = Array.Empty<string>();
+    }
+}
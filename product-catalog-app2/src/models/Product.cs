@@ -1,4 +1,5 @@
 using System.ComponentModel.DataAnnotations;
+using System.ComponentModel.DataAnnotations.Schema;
 
 namespace product_catalog_app.src.models
 {
@@ -38,6 +39,9 @@ namespace product_catalog_app.src.models
         
         public string Material { get; set; } = string.Empty;
         public string Color { get; set; } = string.Empty;
+
+        // Ölçü - varyant eksenlerinden biri (ör. "60 cm", "Büyük")
+        public string Size { get; set; } = string.Empty;
         public string EanCode { get; set; } = string.Empty;
         public string Notes { get; set; } = string.Empty;
         
@@ -109,6 +113,10 @@ namespace product_catalog_app.src.models
         
         // Durum Bilgileri - Sadece Aktif/Arşiv yapısı
         public bool IsArchived { get; set; } = false;
+
+        // Çöp kutusu: DeletedDate dolu ise ürün silinmiştir ama geri yüklenebilir.
+        // Kalıcı silme sadece çöp kutusundan yapılır (ProductDbContext query filter'ı bu ürünleri gizler)
+        public DateTime? DeletedDate { get; set; }
         
         // IsActive property'si kaldırıldı - sadece IsArchived kullanılacak
         // Aktif ürün: IsArchived = false
@@ -117,6 +125,17 @@ namespace product_catalog_app.src.models
         // Kategori İlişkisi
         public int? CategoryId { get; set; }
         public virtual Category? CategoryEntity { get; set; }
+
+        // Varyant Grubu: ana ürün VariantAxes ile eksenleri (Color, Size, Material) tanımlar,
+        // varyantlar VariantParentId ile ana ürüne bağlanır (ProductVariantService)
+        public int? VariantParentId { get; set; }
+
+        [StringLength(100)]
+        public string VariantAxes { get; set; } = string.Empty;
+
+        // Grup ID'si ana ürünün ID'sidir; gruba ait olmayan ürünlerde null
+        [NotMapped]
+        public int? VariantGroupId => VariantParentId ?? (string.IsNullOrWhiteSpace(VariantAxes) ? null : Id);
         
         /// <summary>
         /// Debug: Tüm alan değerlerini kontrol et
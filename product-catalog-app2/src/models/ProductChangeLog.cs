@@ -0,0 +1,49 @@
+namespace product_catalog_app.src.models
+{
+    /// <summary>
+    /// Ürün değişiklik geçmişi - bir kayıtta tek bir kaydetme işleminde ürüne yapılan alan değişiklikleri tutulur
+    /// Kayıtlar ProductAuditInterceptor tarafından otomatik yazılır ve sonradan değiştirilmez
+    /// </summary>
+    public class ProductChangeLog
+    {
+        public int Id { get; set; }
+
+        // Ürün kalıcı silinse de geçmiş okunabilsin diye yabancı anahtar yok
+        public int ProductId { get; set; }
+        public string ProductName { get; set; } = string.Empty;
+
+        // ProductChangeTypes değerlerinden biri
+        public string ChangeType { get; set; } = string.Empty;
+
+        // Değişikliği yapan istek - "Controller/Action" (ör. "Product/BulkEdit", "ExportImport/ImportExcel")
+        public string Source { get; set; } = string.Empty;
+
+        // Oturum açmış kullanıcı, yoksa istemci IP adresi; istek dışı işlemlerde "Sistem"
+        public string ChangedBy { get; set; } = string.Empty;
+
+        public DateTime ChangedDate { get; set; } = DateTime.UtcNow;
+
+        public List<ProductFieldChange> Changes { get; set; } = new List<ProductFieldChange>();
+    }
+
+    /// <summary>
+    /// Tek bir alanın eski ve yeni değeri - değerler ProductAuditInterceptor.FormatValue biçimindedir
+    /// </summary>
+    public class ProductFieldChange
+    {
+        public string Field { get; set; } = string.Empty;
+        public string? OldValue { get; set; }
+        public string? NewValue { get; set; }
+    }
+
+    public static class ProductChangeTypes
+    {
+        public const string Created = "Created";
+        public const string Updated = "Updated";
+        public const string Archived = "Archived";
+        public const string Unarchived = "Unarchived";
+        public const string Deleted = "Deleted";
+        public const string Restored = "Restored";
+        public const string Purged = "Purged";
+    }
+}
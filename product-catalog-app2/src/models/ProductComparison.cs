@@ -0,0 +1,42 @@
+namespace product_catalog_app.src.models
+{
+    /// <summary>
+    /// Yan yana ürün karşılaştırması - ürünler sütun, alanlar satır (ProductComparisonService)
+    /// </summary>
+    public class ProductComparison
+    {
+        public List<Product> Products { get; set; } = new List<Product>();
+        public List<ProductComparisonSection> Sections { get; set; } = new List<ProductComparisonSection>();
+
+        public int DifferenceCount => Sections.Sum(s => s.Rows.Count(r => r.IsDifferent));
+    }
+
+    public class ProductComparisonSection
+    {
+        public string Title { get; set; } = string.Empty;
+        public string Icon { get; set; } = string.Empty;
+        public List<ProductComparisonRow> Rows { get; set; } = new List<ProductComparisonRow>();
+    }
+
+    /// <summary>
+    /// Tek alanın ürünlerdeki değerleri - Values ürün sırasıyla aynı sıradadır
+    /// Görsel satırlarında her değer '|' ile ayrılmış URL listesidir
+    /// </summary>
+    public class ProductComparisonRow
+    {
+        public string Field { get; set; } = string.Empty;
+        public string Label { get; set; } = string.Empty;
+
+        // ProductComparisonKinds değerlerinden biri
+        public string Kind { get; set; } = ProductComparisonKinds.Text;
+        public List<string> Values { get; set; } = new List<string>();
+        public bool IsDifferent { get; set; }
+    }
+
+    public static class ProductComparisonKinds
+    {
+        public const string Text = "text";
+        public const string Html = "html";
+        public const string Images = "images";
+    }
+}
@@ -0,0 +1,23 @@
+namespace product_catalog_app.src.models
+{
+    /// <summary>
+    /// Mükerrer ürün adayı kümesi (ProductDuplicateService) - aynı ürün olduğu düşünülen aktif ürünler
+    /// </summary>
+    public class DuplicateCluster
+    {
+        public List<Product> Products { get; set; } = new List<Product>();
+
+        // Kümeyi oluşturan eşleşmeler: "Aynı EAN: 869...", "Benzer ad" ...
+        public List<string> Reasons { get; set; } = new List<string>();
+
+        // Barkod eşleşmesi ad benzerliğinden güçlüdür - liste önce bunları gösterir
+        public bool HasCodeMatch { get; set; }
+    }
+
+    public class DuplicateScanResult
+    {
+        public List<DuplicateCluster> Clusters { get; set; } = new List<DuplicateCluster>();
+        public int ScannedCount { get; set; }
+        public int TotalClusterCount { get; set; }
+    }
+}
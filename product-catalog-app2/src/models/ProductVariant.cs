@@ -0,0 +1,34 @@
+namespace product_catalog_app.src.models
+{
+    /// <summary>
+    /// Bir varyant grubunun tamamı - ana ürün, eksenler ve varyantlar (Details sayfası)
+    /// </summary>
+    public class VariantGroupInfo
+    {
+        public Product Parent { get; set; } = new Product();
+        public List<string> Axes { get; set; } = new List<string>();
+        public List<Product> Variants { get; set; } = new List<Product>();
+    }
+
+    /// <summary>
+    /// Ürün listesinde bir satırın varyant bilgisi
+    /// </summary>
+    public class VariantRowInfo
+    {
+        public int GroupId { get; set; }
+        public bool IsParent { get; set; }
+        public int VariantCount { get; set; }
+
+        // Varyantlarda eksen değerleri ("Renk: Beyaz · Ölçü: 60 cm")
+        public string Label { get; set; } = string.Empty;
+    }
+
+    /// <summary>
+    /// Gruba varyant ekleme sonucu
+    /// </summary>
+    public class VariantAddResult
+    {
+        public List<int> AddedIds { get; set; } = new List<int>();
+        public List<string> Errors { get; set; } = new List<string>();
+    }
+}
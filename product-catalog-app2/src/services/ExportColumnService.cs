@@ -1,5 +1,6 @@
 using System.Reflection;
 using System.Text.RegularExpressions;
+using product_catalog_app.src.common;
 using product_catalog_app.src.models;
 
 namespace product_catalog_app.src.services
@@ -117,6 +118,10 @@ namespace product_catalog_app.src.services
                 // Process indent classes before removing HTML tags
                 plainText = ProcessIndentClassesToPlainText(plainText);
                 
+                // Replace table rows with lines and cells with ' | ' separators
+                plainText = Regex.Replace(plainText, @"</t[hd]>\s*<t[hd](\s[^>]*)?>", " | ", RegexOptions.IgnoreCase);
+                plainText = Regex.Replace(plainText, @"</tr>", "\n", RegexOptions.IgnoreCase);
+                
                 // Replace list items with bullet points
                 plainText = Regex.Replace(plainText, @"<li[^>]*>", "• ", RegexOptions.IgnoreCase);
                 plainText = Regex.Replace(plainText, @"</li>", "\n", RegexOptions.IgnoreCase);
@@ -199,6 +204,15 @@ namespace product_catalog_app.src.services
             }
         }
 
+        /// <summary>
+        /// Pazaryeri açıklama sütununun (MarketplaceDescription_{Key}) değerini döndürür
+        /// </summary>
+        public string? GetMarketplaceDescription(string? htmlContent, string propertyName)
+        {
+            var profile = MarketplaceDescriptionProfiles.Find(propertyName.Substring(MarketplaceDescriptionProfiles.ExportColumnPrefix.Length));
+            return profile != null ? MarketplaceDescriptionProfiles.Clean(htmlContent, profile) : null;
+        }
+
         /// <summary>
         /// Girinti CSS class'larını plain text girinti formatına çevirir
         /// </summary>
@@ -386,6 +400,11 @@ namespace product_catalog_app.src.services
                         var plainText = ConvertHtmlToPlainText(product.Description);
                         productData.SetValue(column.PropertyName, plainText);
                     }
+                    else if (column.PropertyName.StartsWith(MarketplaceDescriptionProfiles.ExportColumnPrefix))
+                    {
+                        // Pazaryerine özel açıklama - profilin izin verdiği etiketler ve uzunluk sınırıyla temizlenmiş HTML
+                        productData.SetValue(column.PropertyName, GetMarketplaceDescription(product.Description, column.PropertyName));
+                    }
                     else
                     {
                         // Diğer tüm sütunlar normal şekilde işlenir
@@ -441,6 +460,7 @@ namespace product_catalog_app.src.services
                 new ExportColumn { PropertyName = "SKU", DisplayName = "SKU", Category = "Temel Bilgiler", IsSelected = true, DataType = "string", Order = 23 },
                 new ExportColumn { PropertyName = "Brand", DisplayName = "Marka", Category = "Temel Bilgiler", IsSelected = true, DataType = "string", Order = 24 },
                 new ExportColumn { PropertyName = "Category", DisplayName = "Kategori", Category = "Temel Bilgiler", IsSelected = true, DataType = "string", Order = 25 },
+                new ExportColumn { PropertyName = "VariantGroupId", DisplayName = "Varyant Grup ID", Category = "Temel Bilgiler", IsSelected = false, DataType = "int", Order = 26 },
             });
 
             // Açıklama ve Notlar
@@ -452,6 +472,18 @@ namespace product_catalog_app.src.services
                 new ExportColumn { PropertyName = "Notes", DisplayName = "Notlar", Category = "Açıklama ve Notlar", IsSelected = false, DataType = "string", Order = 33 },
             });
 
+            // Pazaryeri açıklamaları - her profil için ayrı sütun
+            columns.AddRange(MarketplaceDescriptionProfiles.All.Select((profile, index) => new ExportColumn
+            {
+                PropertyName = MarketplaceDescriptionProfiles.ExportColumnPrefix + profile.Key,
+                DisplayName = $"Açıklama ({profile.Name})",
+                Category = "Açıklama ve Notlar",
+                IsSelected = false,
+                DataType = "string",
+                Description = $"{profile.Name} için izin verilen etiketler ve {profile.MaxLength} karakter sınırıyla temizlenmiş HTML",
+                Order = 34 + index
+            }));
+
             // Genel Özellikler
             columns.AddRange(new[]
             {
@@ -464,6 +496,7 @@ namespace product_catalog_app.src.services
                 new ExportColumn { PropertyName = "Material", DisplayName = "Malzeme", Category = "Genel Özellikler", IsSelected = false, DataType = "string", Order = 46 },
                 new ExportColumn { PropertyName = "Color", DisplayName = "Renk", Category = "Genel Özellikler", IsSelected = false, DataType = "string", Order = 47 },
                 new ExportColumn { PropertyName = "WarrantyMonths", DisplayName = "Garanti", Category = "Genel Özellikler", IsSelected = false, DataType = "int", Order = 48 },
+                new ExportColumn { PropertyName = "Size", DisplayName = "Ölçü", Category = "Genel Özellikler", IsSelected = false, DataType = "string", Order = 49 },
             });
 
             // Ürün Özellikleri (Kabin Tipi kaldırıldı)
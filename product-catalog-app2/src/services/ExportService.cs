@@ -5,6 +5,7 @@ using System.Net;
 using System.Xml.Serialization;
 using ClosedXML.Excel;
 using Microsoft.Extensions.Logging;
+using product_catalog_app.src.common;
 using product_catalog_app.src.models;
 using product_catalog_app.src.interfaces;
 using System.Globalization;
@@ -16,12 +17,14 @@ namespace product_catalog_app.src.services
         private readonly IProductService _productService;
         private readonly ILogger<ExportService> _logger;
         private readonly ExportColumnService _columnService;
+        private readonly ProductVariantService _variantService;
 
-        public ExportService(IProductService productService, ILogger<ExportService> logger, ExportColumnService columnService)
+        public ExportService(IProductService productService, ILogger<ExportService> logger, ExportColumnService columnService, ProductVariantService variantService)
         {
             _productService = productService;
             _logger = logger;
             _columnService = columnService;
+            _variantService = variantService;
         }
 
         /// <summary>
@@ -109,6 +112,9 @@ namespace product_catalog_app.src.services
                 ).ToList();
             }
 
+            // Varyantların boş açıklama/özellik/görsel alanları ana üründen gelir
+            await _variantService.ApplyInheritanceAsync(products);
+
             _logger.LogInformation("Filtrelenmiş ürün sayısı: {Count}", products.Count);
             return products;
         }
@@ -123,6 +129,7 @@ namespace product_catalog_app.src.services
             {
                 var allProducts = await _productService.GetAllProductsAsync();
                 var selectedProducts = allProducts.Where(p => filter.SelectedProductIds.Contains(p.Id)).ToList();
+                await _variantService.ApplyInheritanceAsync(selectedProducts);
                 
                 _logger.LogInformation("Seçili ürünler filtrelendi: {Count} ürün", selectedProducts.Count);
                 return selectedProducts;
@@ -531,7 +538,10 @@ namespace product_catalog_app.src.services
                     "Pazaryeri Görseli 6", "Pazaryeri Görseli 7", "Pazaryeri Görseli 8", "Pazaryeri Görseli 9", "Pazaryeri Görseli 10",
                     // Video URL'leri
                     "Video 1", "Video 2", "Video 3", "Video 4", "Video 5"
-                };
+                }
+                // Pazaryeri açıklamaları - mevcut sütunların yeri değişmesin diye sona eklenir
+                .Concat(MarketplaceDescriptionProfiles.All.Select(p => $"Açıklama ({p.Name})"))
+                .ToArray();
 
                 for (int i = 0; i < headers.Length; i++)
                 {
@@ -653,6 +663,12 @@ namespace product_catalog_app.src.services
                     worksheet.Cell(row, col++).Value = GetVideoUrlByIndex(product.VideoUrls, 2);
                     worksheet.Cell(row, col++).Value = GetVideoUrlByIndex(product.VideoUrls, 3);
                     worksheet.Cell(row, col++).Value = GetVideoUrlByIndex(product.VideoUrls, 4);
+
+                    // Pazaryeri açıklamaları
+                    foreach (var profile in MarketplaceDescriptionProfiles.All)
+                    {
+                        worksheet.Cell(row, col++).Value = MarketplaceDescriptionProfiles.Clean(product.Description, profile);
+                    }
                 }
 
                 // Sütunları otomatik boyutlandır
@@ -1226,6 +1242,10 @@ namespace product_catalog_app.src.services
             {
                 string cleaned = html;
                 
+                // Replace table rows with lines and cells with ' | ' separators
+                cleaned = Regex.Replace(cleaned, @"</t[hd]>\s*<t[hd](\s[^>]*)?>", " | ", RegexOptions.IgnoreCase);
+                cleaned = Regex.Replace(cleaned, @"</tr>", "\n", RegexOptions.IgnoreCase);
+                
                 // Replace list items with bullet points
                 cleaned = Regex.Replace(cleaned, @"<li[^>]*>", "• ", RegexOptions.IgnoreCase);
                 cleaned = Regex.Replace(cleaned, @"</li>", "\n", RegexOptions.IgnoreCase);
@@ -0,0 +1,199 @@
+using System.Globalization;
+using System.Reflection;
+using ProductCatalogApp.Helpers;
+using product_catalog_app.src.models;
+
+namespace product_catalog_app.src.services
+{
+    /// <summary>
+    /// Ürün karşılaştırma: listeden seçilen 2-4 ürünün tüm alanları satır satır hizalanır, farklı satırlar işaretlenir
+    /// Mükerrer ürün temizliğinde iki Details sekmesi arasında gidip gelmek yerine kullanılır
+    /// </summary>
+    public class ProductComparisonService
+    {
+        public const int MinProducts = 2;
+        public const int MaxProducts = 4;
+
+        private readonly ProductService _productService;
+
+        // Bölümler ve alanlar - Details sayfasındaki sırayla
+        private static readonly (string Title, string Icon, (string Field, string Label, string Kind)[] Fields)[] Sections =
+        {
+            ("Temel Bilgiler", "fas fa-info-circle", new[]
+            {
+                ("Name", "Ürün Adı", ProductComparisonKinds.Text),
+                ("SKU", "SKU", ProductComparisonKinds.Text),
+                ("EanCode", "EAN Kodu", ProductComparisonKinds.Text),
+                ("Brand", "Marka", ProductComparisonKinds.Text),
+                ("Category", "Kategori", ProductComparisonKinds.Text),
+                ("IsArchived", "Arşivlenmiş", ProductComparisonKinds.Text),
+                ("VariantGroupId", "Varyant Grup ID", ProductComparisonKinds.Text),
+                ("VariantAxes", "Varyant Eksenleri", ProductComparisonKinds.Text),
+                ("CreatedDate", "Oluşturma Tarihi", ProductComparisonKinds.Text),
+                ("UpdatedDate", "Güncelleme Tarihi", ProductComparisonKinds.Text)
+            }),
+            ("Görseller ve Videolar", "fas fa-images", new[]
+            {
+                ("ImageUrl", "Ana Görsel", ProductComparisonKinds.Images),
+                ("ImageUrls", "Ürün Görselleri", ProductComparisonKinds.Images),
+                ("ImageUrl1", "Görsel 1", ProductComparisonKinds.Images),
+                ("ImageUrl2", "Görsel 2", ProductComparisonKinds.Images),
+                ("ImageUrl3", "Görsel 3", ProductComparisonKinds.Images),
+                ("ImageUrl4", "Görsel 4", ProductComparisonKinds.Images),
+                ("ImageUrl5", "Görsel 5", ProductComparisonKinds.Images),
+                ("ImageUrl6", "Görsel 6", ProductComparisonKinds.Images),
+                ("ImageUrl7", "Görsel 7", ProductComparisonKinds.Images),
+                ("ImageUrl8", "Görsel 8", ProductComparisonKinds.Images),
+                ("ImageUrl9", "Görsel 9", ProductComparisonKinds.Images),
+                ("ImageUrl10", "Görsel 10", ProductComparisonKinds.Images),
+                ("MarketplaceImageUrls", "Pazaryeri Görselleri", ProductComparisonKinds.Images),
+                ("VideoUrls", "Videolar", ProductComparisonKinds.Text)
+            }),
+            ("Açıklama ve Notlar", "fas fa-align-left", new[]
+            {
+                ("Description", "Açıklama", ProductComparisonKinds.Html),
+                ("Features", "Özellikler", ProductComparisonKinds.Text),
+                ("Notes", "Notlar", ProductComparisonKinds.Text)
+            }),
+            ("Fiziksel Özellikler", "fas fa-ruler-combined", new[]
+            {
+                ("Weight", "Ağırlık (kg)", ProductComparisonKinds.Text),
+                ("Desi", "Desi", ProductComparisonKinds.Text),
+                ("Width", "Genişlik (cm)", ProductComparisonKinds.Text),
+                ("Height", "Yükseklik (cm)", ProductComparisonKinds.Text),
+                ("Depth", "En (cm)", ProductComparisonKinds.Text),
+                ("Length", "Uzunluk (cm)", ProductComparisonKinds.Text),
+                ("Material", "Malzeme", ProductComparisonKinds.Text),
+                ("Color", "Renk", ProductComparisonKinds.Text),
+                ("Size", "Ölçü", ProductComparisonKinds.Text),
+                ("WarrantyMonths", "Garanti (ay)", ProductComparisonKinds.Text)
+            }),
+            ("Pazaryeri Barkodları", "fas fa-barcode", new[]
+            {
+                ("TrendyolBarcode", "Trendyol Barkod", ProductComparisonKinds.Text),
+                ("HepsiburadaBarcode", "Hepsiburada Barkod", ProductComparisonKinds.Text),
+                ("HepsiburadaSellerStockCode", "Hepsiburada Satıcı Stok Kodu", ProductComparisonKinds.Text),
+                ("HepsiburadaTedarikBarcode", "Hepsiburada Tedarik Barkod", ProductComparisonKinds.Text),
+                ("KoctasBarcode", "Koçtaş Barkod", ProductComparisonKinds.Text),
+                ("KoctasIstanbulBarcode", "Koçtaş İstanbul Barkod", ProductComparisonKinds.Text),
+                ("KoctasEanBarcode", "Koçtaş EAN Barkod", ProductComparisonKinds.Text),
+                ("KoctasEanIstanbulBarcode", "Koçtaş EAN İstanbul Barkod", ProductComparisonKinds.Text),
+                ("PttAvmBarcode", "PTT AVM Barkod", ProductComparisonKinds.Text),
+                ("PttUrunStokKodu", "PTT Ürün ID", ProductComparisonKinds.Text),
+                ("PazaramaBarcode", "Pazarama Barkod", ProductComparisonKinds.Text),
+                ("HaceyapiBarcode", "Haceyapı Barkod", ProductComparisonKinds.Text),
+                ("AmazonBarcode", "Amazon Barkod", ProductComparisonKinds.Text),
+                ("N11CatalogId", "N11 Katalog ID", ProductComparisonKinds.Text),
+                ("N11ProductCode", "N11 Ürün Kodu", ProductComparisonKinds.Text),
+                ("EntegraUrunId", "Entegra Ürün ID", ProductComparisonKinds.Text),
+                ("EntegraUrunKodu", "Entegra Ürün Kodu", ProductComparisonKinds.Text),
+                ("EntegraBarkod", "Entegra Barkod", ProductComparisonKinds.Text),
+                ("SpareBarcode1", "Yedek Barkod 1", ProductComparisonKinds.Text),
+                ("SpareBarcode2", "Yedek Barkod 2", ProductComparisonKinds.Text),
+                ("SpareBarcode3", "Yedek Barkod 3", ProductComparisonKinds.Text),
+                ("SpareBarcode4", "Yedek Barkod 4", ProductComparisonKinds.Text),
+                ("LogoBarcodes", "Logo Barkodları", ProductComparisonKinds.Text)
+            }),
+            ("Klozet Özellikleri", "fas fa-toilet", new[]
+            {
+                ("KlozetKanalYapisi", "Kanal Yapısı", ProductComparisonKinds.Text),
+                ("KlozetTipi", "Klozet Tipi", ProductComparisonKinds.Text),
+                ("KlozetKapakCinsi", "Kapak Cinsi", ProductComparisonKinds.Text),
+                ("KlozetMontajTipi", "Montaj Tipi", ProductComparisonKinds.Text)
+            }),
+            ("Lavabo Özellikleri", "fas fa-sink", new[]
+            {
+                ("LawaboSuTasmaDeligi", "Su Taşma Deliği", ProductComparisonKinds.Text),
+                ("LawaboArmaturDeligi", "Armatür Deliği", ProductComparisonKinds.Text),
+                ("LawaboTipi", "Lavabo Tipi", ProductComparisonKinds.Text),
+                ("LawaboOzelligi", "Lavabo Özelliği", ProductComparisonKinds.Text)
+            }),
+            ("Batarya Özellikleri", "fas fa-faucet", new[]
+            {
+                ("BataryaCikisUcuUzunlugu", "Çıkış Ucu Uzunluğu", ProductComparisonKinds.Text),
+                ("BataryaYuksekligi", "Batarya Yüksekliği", ProductComparisonKinds.Text)
+            }),
+            ("Kabin Özellikleri", "fas fa-shower", new[]
+            {
+                ("KabinTipi", "Kabin Tipi", ProductComparisonKinds.Text)
+            })
+        };
+
+        public ProductComparisonService(ProductService productService)
+        {
+            _productService = productService;
+        }
+
+        /// <summary>
+        /// "12,15,40" biçimindeki ID listesini çözer - tekrarlar atlanır, sıra korunur
+        /// </summary>
+        public static List<int> ParseIds(string? ids)
+        {
+            return (ids ?? string.Empty)
+                .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Select(id => int.TryParse(id, out var value) ? value : 0)
+                .Where(id => id > 0)
+                .Distinct()
+                .ToList();
+        }
+
+        /// <summary>
+        /// Seçilen ürünlerin karşılaştırmasını hazırlar; bulunamayan ürünler atlanır
+        /// Hiçbir üründe dolu olmayan satırlar ve tamamen boş bölümler gösterilmez
+        /// </summary>
+        public async Task<ProductComparison> BuildAsync(List<int> productIds)
+        {
+            var found = await _productService.GetProductsByIdsAsync(productIds);
+            var products = productIds
+                .Select(id => found.FirstOrDefault(p => p.Id == id))
+                .Where(p => p != null)
+                .Select(p => p!)
+                .ToList();
+
+            var comparison = new ProductComparison { Products = products };
+
+            foreach (var (title, icon, fields) in Sections)
+            {
+                var section = new ProductComparisonSection { Title = title, Icon = icon };
+
+                foreach (var (field, label, kind) in fields)
+                {
+                    var property = typeof(Product).GetProperty(field, BindingFlags.Public | BindingFlags.Instance)!;
+                    var values = products.Select(p => FormatValue(property.GetValue(p))).ToList();
+                    if (values.All(string.IsNullOrEmpty)) continue;
+
+                    section.Rows.Add(new ProductComparisonRow
+                    {
+                        Field = field,
+                        Label = label,
+                        Kind = kind,
+                        Values = values,
+                        IsDifferent = values.Distinct(StringComparer.Ordinal).Count() > 1
+                    });
+                }
+
+                if (section.Rows.Any())
+                {
+                    comparison.Sections.Add(section);
+                }
+            }
+
+            return comparison;
+        }
+
+        private static string FormatValue(object? value)
+        {
+            return value switch
+            {
+                null => string.Empty,
+                string text => text.Trim(),
+                bool flag => flag ? "Evet" : "Hayır",
+                DateTime date => date.ToTurkeyTimeString("dd.MM.yyyy HH:mm"),
+                decimal number => number == 0 ? string.Empty : number.ToString("0.##", CultureInfo.InvariantCulture),
+                int number => number == 0 ? string.Empty : number.ToString(CultureInfo.InvariantCulture),
+                List<string> list => string.Join('|', list.Where(item => !string.IsNullOrWhiteSpace(item)).Select(item => item.Trim())),
+                _ => value.ToString() ?? string.Empty
+            };
+        }
+    }
+}
@@ -0,0 +1,395 @@
+using System.Reflection;
+using System.Text.RegularExpressions;
+using product_catalog_app.src.common;
+using product_catalog_app.src.data;
+using product_catalog_app.src.models;
+
+namespace product_catalog_app.src.services
+{
+    /// <summary>
+    /// Mükerrer ürün bulma ve birleştirme: içe aktarmaların açtığı kopyalar ortak EAN/barkod ve
+    /// marka içinde aynı ya da benzer ad ile kümelenir; birleştirmede alan değerleri seçilen ürünlerden
+    /// ana ürüne taşınır, varyantlar ana ürüne bağlanır ve diğer ürünler arşivlenir
+    /// </summary>
+    public class ProductDuplicateService
+    {
+        // Listede gösterilen en fazla küme
+        public const int MaxClusters = 200;
+
+        // Bu kadar çok üründe geçen kod yer tutucu sayılır ("0", "1111111111111", firma kodu...)
+        private const int MaxCodeShare = 10;
+        private const int MinCodeLength = 5;
+
+        // Benzer ad eşiği (kelime kümesi Jaccard) ve aday üretiminde atlanan yaygın kelime sınırı
+        private const double NameSimilarityThreshold = 0.75;
+        private const int MaxTokenBlockSize = 200;
+
+        private static readonly Regex NonWordRegex = new Regex(@"[^\p{L}\p{N}]+", RegexOptions.Compiled);
+        private static readonly Regex RepeatedCharRegex = new Regex(@"^(.)\1*$", RegexOptions.Compiled);
+
+        // Birleştirmede seçilemeyen alanlar - kimlik, tarihler ve kendi işlemleri olan durum/grup alanları
+        private static readonly HashSet<string> NonMergeableFields = new HashSet<string>
+        {
+            nameof(Product.Id), nameof(Product.CreatedDate), nameof(Product.UpdatedDate), nameof(Product.DeletedDate),
+            nameof(Product.IsArchived), nameof(Product.VariantParentId), nameof(Product.VariantAxes), nameof(Product.CategoryId)
+        };
+
+        private readonly ProductService _productService;
+        private readonly ProductDbContext _context;
+        private readonly ILogger<ProductDuplicateService> _logger;
+
+        public ProductDuplicateService(ProductService productService, ProductDbContext context, ILogger<ProductDuplicateService> logger)
+        {
+            _productService = productService;
+            _context = context;
+            _logger = logger;
+        }
+
+        public static bool IsMergeableField(string field)
+        {
+            if (NonMergeableFields.Contains(field)) return false;
+
+            var property = typeof(Product).GetProperty(field, BindingFlags.Public | BindingFlags.Instance);
+            return property != null && property.CanWrite;
+        }
+
+        /// <summary>
+        /// Birleştirmede ana ürün önerisi: en çok alanı dolu olan, eşitlikte en eski ürün
+        /// </summary>
+        public static Product SuggestWinner(List<Product> products)
+        {
+            return products
+                .OrderByDescending(CountFilledFields)
+                .ThenBy(p => p.Id)
+                .First();
+        }
+
+        /// <summary>
+        /// Aktif ürünleri tarar ve mükerrer aday kümelerini döndürür (arşiv ve çöp kutusu taranmaz)
+        /// </summary>
+        public async Task<DuplicateScanResult> FindDuplicatesAsync()
+        {
+            var products = (await _productService.GetAllProductsAsync())
+                .Where(p => !p.IsArchived)
+                .OrderBy(p => p.Id)
+                .ToList();
+
+            var clusters = new DuplicateClusterBuilder(products.Count);
+            MatchCodes(products, clusters);
+            MatchNames(products, clusters);
+
+            var result = clusters.Build(products);
+            _logger.LogInformation("Duplicate scan: {ProductCount} products, {ClusterCount} candidate clusters", products.Count, result.Count);
+
+            return new DuplicateScanResult
+            {
+                Clusters = result.Take(MaxClusters).ToList(),
+                ScannedCount = products.Count,
+                TotalClusterCount = result.Count
+            };
+        }
+
+        /// <summary>
+        /// Ürünleri ana üründe birleştirir: fieldSources'taki alanlar seçilen üründen kopyalanır,
+        /// diğer ürünlerin varyantları ana ürüne taşınır, kendileri gruptan çıkarılıp arşivlenir
+        /// </summary>
+        /// <returns>Hata mesajı; başarılıysa null</returns>
+        public async Task<string?> MergeAsync(int winnerId, List<int> productIds, Dictionary<string, int> fieldSources)
+        {
+            var ids = (productIds ?? new List<int>()).Append(winnerId).Where(id => id > 0).Distinct().ToList();
+            if (ids.Count < ProductComparisonService.MinProducts || ids.Count > ProductComparisonService.MaxProducts)
+            {
+                return $"Birleştirme için {ProductComparisonService.MinProducts}-{ProductComparisonService.MaxProducts} ürün seçilmelidir";
+            }
+
+            var products = await _productService.GetProductsByIdsAsync(ids);
+            if (products.Count != ids.Count)
+            {
+                return "Seçilen ürünlerden bazıları bulunamadı";
+            }
+
+            var winner = products.First(p => p.Id == winnerId);
+            var losers = products.Where(p => p.Id != winnerId).ToList();
+            var loserIds = losers.Select(p => p.Id).ToList();
+
+            var copiedFields = new List<string>();
+            foreach (var (field, sourceId) in fieldSources ?? new Dictionary<string, int>())
+            {
+                if (sourceId == winnerId || !IsMergeableField(field)) continue;
+
+                var source = losers.FirstOrDefault(p => p.Id == sourceId);
+                if (source == null)
+                {
+                    return $"'{field}' alanı için seçilen ürün birleştirilen ürünler arasında değil";
+                }
+
+                var property = typeof(Product).GetProperty(field, BindingFlags.Public | BindingFlags.Instance)!;
+                var value = property.GetValue(source);
+                property.SetValue(winner, value is List<string> list ? new List<string>(list) : value);
+
+                // Kategori adı ile bağlantısı birlikte taşınır
+                if (field == nameof(Product.Category))
+                {
+                    winner.CategoryId = source.CategoryId;
+                }
+
+                copiedFields.Add(field);
+            }
+
+            // Ana ürün diğerlerinden birinin varyantıysa o grubu devralır
+            if (winner.VariantParentId.HasValue && loserIds.Contains(winner.VariantParentId.Value))
+            {
+                winner.VariantParentId = null;
+            }
+
+            if (!winner.VariantParentId.HasValue && string.IsNullOrWhiteSpace(winner.VariantAxes))
+            {
+                winner.VariantAxes = losers.Select(p => p.VariantAxes).FirstOrDefault(axes => !string.IsNullOrWhiteSpace(axes)) ?? string.Empty;
+            }
+
+            // Arşivleme, varyant taşıma ve ana ürün güncellemesi tek işlem - yarıda kalan hata yarım birleştirme bırakmaz
+            await using var transaction = await _context.Database.BeginTransactionAsync();
+
+            // SKU ve EAN değerleri kümedeki ürünlerden geldiği için dışarıda yeni bir çakışma oluşmaz;
+            // arşivlenen ürünler ana ürüne geçen kodları bırakır ki benzersizlik kontrolleri ve içe aktarma ana ürünü bulsun
+            foreach (var loser in losers)
+            {
+                if (string.Equals(loser.SKU?.Trim(), winner.SKU?.Trim(), StringComparison.OrdinalIgnoreCase)) loser.SKU = string.Empty;
+                if (string.Equals(loser.EanCode?.Trim(), winner.EanCode?.Trim(), StringComparison.Ordinal)) loser.EanCode = string.Empty;
+
+                loser.VariantParentId = null;
+                loser.VariantAxes = string.Empty;
+                loser.IsArchived = true;
+                await _productService.UpdateProductAsync(loser);
+            }
+
+            int movedVariants;
+            if (!winner.VariantParentId.HasValue && !string.IsNullOrWhiteSpace(winner.VariantAxes))
+            {
+                movedVariants = await _productService.MoveVariantsAsync(loserIds, winner.Id);
+            }
+            else
+            {
+                // Ana ürün başka bir grubun varyantı - iç içe grup olmaz, varyantlar bağımsız kalır
+                movedVariants = 0;
+                await _productService.DetachVariantsAsync(loserIds);
+            }
+
+            await _productService.UpdateProductAsync(winner);
+            await transaction.CommitAsync();
+
+            _logger.LogInformation("Merged products {LoserIds} into {WinnerId}, copied fields: {Fields}, moved variants: {VariantCount}",
+                string.Join(", ", loserIds), winnerId, string.Join(", ", copiedFields), movedVariants);
+            return null;
+        }
+
+        /// <summary>
+        /// Ortak EAN, pazaryeri barkodu ya da Logo barkodu olan ürünleri eşleştirir - farklı alanlarda olsa da (EAN = Trendyol barkodu)
+        /// </summary>
+        private static void MatchCodes(List<Product> products, DuplicateClusterBuilder clusters)
+        {
+            var owners = new Dictionary<string, List<(int Index, string Label)>>(StringComparer.OrdinalIgnoreCase);
+
+            for (var i = 0; i < products.Count; i++)
+            {
+                foreach (var (label, code) in ProductService.GetBarcodes(products[i]))
+                {
+                    var normalized = code.Replace(" ", string.Empty);
+                    if (normalized.Length < MinCodeLength || RepeatedCharRegex.IsMatch(normalized)) continue;
+
+                    if (!owners.TryGetValue(normalized, out var list))
+                    {
+                        owners[normalized] = list = new List<(int, string)>();
+                    }
+                    if (list.All(owner => owner.Index != i)) list.Add((i, label));
+                }
+            }
+
+            foreach (var (code, list) in owners)
+            {
+                if (list.Count < 2 || list.Count > MaxCodeShare) continue;
+
+                var reason = list.All(owner => owner.Label == "EAN")
+                    ? $"Aynı EAN: {code}"
+                    : $"Ortak kod ({string.Join(" / ", list.Select(owner => owner.Label).Distinct())}): {code}";
+
+                for (var i = 1; i < list.Count; i++)
+                {
+                    clusters.Union(list[0].Index, list[i].Index, reason, true);
+                }
+            }
+        }
+
+        /// <summary>
+        /// Aynı markada aynı (kelime sırası önemsiz) ya da benzer adlı ürünleri eşleştirir
+        /// Ölçü/model numaraları birebir aynı olmalı; farklı EAN'lı, aynı gruptaki ya da farklı renk/ölçüdeki ürünler varyant sayılır
+        /// </summary>
+        private static void MatchNames(List<Product> products, DuplicateClusterBuilder clusters)
+        {
+            var names = products.Select(p => new NameInfo(p)).ToList();
+
+            foreach (var brandBlock in Enumerable.Range(0, products.Count).GroupBy(i => names[i].BrandKey))
+            {
+                var members = brandBlock.Where(i => names[i].Tokens.Count > 0).ToList();
+
+                // Aynı ad - kelimeler sıralanmış anahtar
+                foreach (var sameName in members.GroupBy(i => names[i].SortedKey).Where(g => g.Count() > 1))
+                {
+                    var list = sameName.ToList();
+                    for (var a = 0; a < list.Count; a++)
+                    {
+                        for (var b = a + 1; b < list.Count; b++)
+                        {
+                            if (AreDistinctProducts(products[list[a]], products[list[b]])) continue;
+                            clusters.Union(list[a], list[b], "Aynı ad", false);
+                        }
+                    }
+                }
+
+                // Benzer ad - ortak kelimesi olan ürünler karşılaştırılır, çok yaygın kelimeler aday üretmez
+                var tokenIndex = new Dictionary<string, List<int>>();
+                foreach (var i in members)
+                {
+                    foreach (var token in names[i].Tokens.Where(t => t.Length >= 3 && !t.Any(char.IsDigit)))
+                    {
+                        if (!tokenIndex.TryGetValue(token, out var list))
+                        {
+                            tokenIndex[token] = list = new List<int>();
+                        }
+                        list.Add(i);
+                    }
+                }
+
+                var compared = new HashSet<(int, int)>();
+                foreach (var block in tokenIndex.Values.Where(list => list.Count > 1 && list.Count <= MaxTokenBlockSize))
+                {
+                    for (var a = 0; a < block.Count; a++)
+                    {
+                        for (var b = a + 1; b < block.Count; b++)
+                        {
+                            var pair = (block[a], block[b]);
+                            if (!compared.Add(pair) || names[pair.Item1].SortedKey == names[pair.Item2].SortedKey) continue;
+                            if (!names[pair.Item1].IsSimilarTo(names[pair.Item2])) continue;
+                            if (AreDistinctProducts(products[pair.Item1], products[pair.Item2])) continue;
+
+                            clusters.Union(pair.Item1, pair.Item2, "Benzer ad", false);
+                        }
+                    }
+                }
+            }
+        }
+
+        private static bool AreDistinctProducts(Product a, Product b)
+        {
+            if (a.VariantGroupId.HasValue && a.VariantGroupId == b.VariantGroupId) return true;
+            if (Differs(a.EanCode, b.EanCode)) return true;
+            return Differs(a.Color, b.Color) || Differs(a.Size, b.Size);
+        }
+
+        private static bool Differs(string? a, string? b)
+        {
+            return !string.IsNullOrWhiteSpace(a) && !string.IsNullOrWhiteSpace(b)
+                && TurkishTextMatcher.Fold(a.Trim()) != TurkishTextMatcher.Fold(b.Trim());
+        }
+
+        private static int CountFilledFields(Product product)
+        {
+            return typeof(Product).GetProperties(BindingFlags.Public | BindingFlags.Instance)
+                .Where(p => p.CanWrite && p.GetIndexParameters().Length == 0)
+                .Count(p => p.GetValue(product) switch
+                {
+                    null => false,
+                    string text => !string.IsNullOrWhiteSpace(text),
+                    decimal number => number != 0,
+                    int number => number != 0,
+                    List<string> list => list.Any(item => !string.IsNullOrWhiteSpace(item)),
+                    _ => false
+                });
+        }
+
+        /// <summary>
+        /// Karşılaştırma için katlanmış ad: Türkçe harfler sadeleşir, noktalama atılır, marka adı çıkarılır
+        /// </summary>
+        private sealed class NameInfo
+        {
+            public NameInfo(Product product)
+            {
+                BrandKey = string.Join(" ", Split(product.Brand));
+                var brandTokens = Split(product.Brand).ToHashSet();
+                Tokens = Split(product.Name).Where(t => !brandTokens.Contains(t)).ToHashSet();
+                SortedKey = string.Join(" ", Tokens.OrderBy(t => t, StringComparer.Ordinal));
+                Numbers = Tokens.Where(t => t.Any(char.IsDigit)).ToHashSet();
+            }
+
+            public string BrandKey { get; }
+            public HashSet<string> Tokens { get; }
+            public string SortedKey { get; }
+            public HashSet<string> Numbers { get; }
+
+            public bool IsSimilarTo(NameInfo other)
+            {
+                if (!Numbers.SetEquals(other.Numbers)) return false;
+
+                var shared = Tokens.Count(other.Tokens.Contains);
+                var union = Tokens.Count + other.Tokens.Count - shared;
+                return union > 0 && (double)shared / union >= NameSimilarityThreshold;
+            }
+
+            private static IEnumerable<string> Split(string? text)
+            {
+                return NonWordRegex.Split(TurkishTextMatcher.Fold(text)).Where(t => t.Length > 0);
+            }
+        }
+
+        /// <summary>
+        /// Union-find: eşleşen ürün çiftlerini kümelere toplar ve her kümenin eşleşme nedenlerini tutar
+        /// </summary>
+        private sealed class DuplicateClusterBuilder
+        {
+            private readonly int[] _parent;
+            private readonly List<(int Index, string Reason, bool IsCode)> _matches = new List<(int, string, bool)>();
+
+            public DuplicateClusterBuilder(int count)
+            {
+                _parent = Enumerable.Range(0, count).ToArray();
+            }
+
+            public void Union(int a, int b, string reason, bool isCode)
+            {
+                var rootA = Find(a);
+                var rootB = Find(b);
+                if (rootA != rootB) _parent[rootB] = rootA;
+                _matches.Add((a, reason, isCode));
+            }
+
+            public List<DuplicateCluster> Build(List<Product> products)
+            {
+                var matchesByRoot = _matches.GroupBy(m => Find(m.Index)).ToDictionary(g => g.Key, g => g.ToList());
+
+                return Enumerable.Range(0, products.Count)
+                    .GroupBy(Find)
+                    .Where(g => g.Count() > 1)
+                    .Select(g => new DuplicateCluster
+                    {
+                        Products = g.Select(i => products[i]).ToList(),
+                        Reasons = matchesByRoot[g.Key].Select(m => m.Reason).Distinct().ToList(),
+                        HasCodeMatch = matchesByRoot[g.Key].Any(m => m.IsCode)
+                    })
+                    .OrderByDescending(c => c.HasCodeMatch)
+                    .ThenByDescending(c => c.Products.Count)
+                    .ThenBy(c => c.Products[0].Id)
+                    .ToList();
+            }
+
+            private int Find(int index)
+            {
+                while (_parent[index] != index)
+                {
+                    _parent[index] = _parent[_parent[index]];
+                    index = _parent[index];
+                }
+                return index;
+            }
+        }
+    }
+}
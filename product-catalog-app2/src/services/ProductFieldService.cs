@@ -0,0 +1,639 @@
+using System.Globalization;
+using System.Reflection;
+using product_catalog_app.src.common;
+using product_catalog_app.src.models;
+
+namespace product_catalog_app.src.services
+{
+    /// <summary>
+    /// Alan bazlı güncellemeler: ürün listesinde satır içi düzenleme ve toplu düzenleme
+    /// Satır içinde sadece basit metin/sayı alanları düzenlenebilir; Category, CategoryId ile birlikte tutulduğu için
+    /// sadece toplu düzenlemede ve mevcut bir kategoriye atanarak değiştirilebilir
+    /// </summary>
+    public class ProductFieldService
+    {
+        private readonly ProductService _productService;
+        private readonly ValidationService _validationService;
+        private readonly CategoryService _categoryService;
+        private readonly ILogger<ProductFieldService> _logger;
+
+        // Düzenlenebilir metin alanları ve maksimum uzunlukları
+        private static readonly Dictionary<string, int> TextFields = new Dictionary<string, int>(StringComparer.OrdinalIgnoreCase)
+        {
+            ["Name"] = Constants.Validation.MAX_NAME_LENGTH,
+            ["SKU"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["Brand"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["EanCode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["Material"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["Color"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["Size"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["TrendyolBarcode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["HepsiburadaBarcode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["HepsiburadaSellerStockCode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["HepsiburadaTedarikBarcode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["KoctasBarcode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["KoctasIstanbulBarcode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["KoctasEanBarcode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["KoctasEanIstanbulBarcode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["PttAvmBarcode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["PttUrunStokKodu"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["PazaramaBarcode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["HaceyapiBarcode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["AmazonBarcode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["N11CatalogId"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["N11ProductCode"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["EntegraUrunId"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["EntegraUrunKodu"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["EntegraBarkod"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["SpareBarcode1"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["SpareBarcode2"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["SpareBarcode3"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["SpareBarcode4"] = Constants.Validation.MAX_SKU_LENGTH,
+            ["KlozetKanalYapisi"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["KlozetTipi"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["KlozetKapakCinsi"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["KlozetMontajTipi"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["LawaboSuTasmaDeligi"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["LawaboArmaturDeligi"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["LawaboTipi"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["LawaboOzelligi"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["BataryaCikisUcuUzunlugu"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["BataryaYuksekligi"] = Constants.Validation.MAX_BRAND_LENGTH,
+            ["KabinTipi"] = Constants.Validation.MAX_BRAND_LENGTH
+        };
+
+        // Düzenlenebilir sayısal alanlar
+        private static readonly HashSet<string> NumberFields = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+        {
+            "Weight", "Desi", "Width", "Height", "Depth", "Length", "WarrantyMonths"
+        };
+
+        // Toplu düzenleme alanları - marka, kategori, malzeme, renk, ölçü, garanti, desi ve özel özellikler
+        private static readonly HashSet<string> BulkEditFields = new HashSet<string>(StringComparer.OrdinalIgnoreCase)
+        {
+            "Brand", "Category", "Material", "Color", "Size", "WarrantyMonths", "Desi",
+            "KlozetKanalYapisi", "KlozetTipi", "KlozetKapakCinsi", "KlozetMontajTipi",
+            "LawaboSuTasmaDeligi", "LawaboArmaturDeligi", "LawaboTipi", "LawaboOzelligi",
+            "BataryaCikisUcuUzunlugu", "BataryaYuksekligi", "KabinTipi"
+        };
+
+        // Kopyalamada taşınmayan benzersiz alanlar (form etiketleriyle) - yeni ürün için yeniden girilmeli
+        public static readonly IReadOnlyDictionary<string, string> CloneClearedFields = new Dictionary<string, string>
+        {
+            ["SKU"] = "Üretici Ürün Kodu",
+            ["EanCode"] = "EAN Kodu",
+            ["TrendyolBarcode"] = "Trendyol Barkodu",
+            ["HepsiburadaBarcode"] = "Hepsiburada Barkodu",
+            ["HepsiburadaSellerStockCode"] = "Hepsiburada Satıcı Stok Kodu",
+            ["HepsiburadaTedarikBarcode"] = "Hepsiburada Tedarik Barkodu",
+            ["KoctasBarcode"] = "Koçtaş Barkodu",
+            ["KoctasIstanbulBarcode"] = "Koçtaş İstanbul Barkodu",
+            ["KoctasEanBarcode"] = "Koçtaş EAN Barkodu",
+            ["KoctasEanIstanbulBarcode"] = "Koçtaş EAN İstanbul Barkodu",
+            ["PttAvmBarcode"] = "PTT AVM Barkodu",
+            ["PttUrunStokKodu"] = "PTT Ürün ID",
+            ["PazaramaBarcode"] = "Pazarama Barkodu",
+            ["HaceyapiBarcode"] = "Haceyapı Barkodu",
+            ["AmazonBarcode"] = "Amazon Barkodu",
+            ["N11CatalogId"] = "N11 Katalog ID",
+            ["N11ProductCode"] = "N11 Ürün Kodu",
+            ["SpareBarcode1"] = "Yedek Pazaryeri Barkodu 1",
+            ["SpareBarcode2"] = "Yedek Pazaryeri Barkodu 2",
+            ["SpareBarcode3"] = "Yedek Pazaryeri Barkodu 3",
+            ["SpareBarcode4"] = "Yedek Pazaryeri Barkodu 4",
+            ["LogoBarcodes"] = "Logo Barkodları",
+            ["EntegraUrunId"] = "Entegra Ürün ID",
+            ["EntegraUrunKodu"] = "Entegra Ürün Kodu",
+            ["EntegraBarkod"] = "Entegra Barkod"
+        };
+
+        // Kopyaya hiç taşınmayan kayıt alanları
+        private static readonly HashSet<string> CloneSkippedProperties = new HashSet<string>
+        {
+            nameof(Product.Id), nameof(Product.CreatedDate), nameof(Product.UpdatedDate), nameof(Product.DeletedDate),
+            nameof(Product.IsArchived), nameof(Product.CategoryEntity)
+        };
+
+        public ProductFieldService(ProductService productService, ValidationService validationService, CategoryService categoryService,
+            ILogger<ProductFieldService> logger)
+        {
+            _productService = productService;
+            _validationService = validationService;
+            _categoryService = categoryService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// Alan satır içi düzenlenebilir mi?
+        /// </summary>
+        public static bool IsEditable(string? field)
+        {
+            return !string.IsNullOrWhiteSpace(field) && (TextFields.ContainsKey(field) || NumberFields.Contains(field));
+        }
+
+        /// <summary>
+        /// Alanın saklanan değerini metin olarak döndürür (sayılar InvariantCulture ile)
+        /// </summary>
+        public static string FormatValue(Product product, string field)
+        {
+            var value = GetProperty(field)?.GetValue(product);
+            return value switch
+            {
+                null => string.Empty,
+                decimal d => d.ToString("0.####", CultureInfo.InvariantCulture),
+                int i => i.ToString(CultureInfo.InvariantCulture),
+                _ => value.ToString() ?? string.Empty
+            };
+        }
+
+        /// <summary>
+        /// Ham değeri ayrıştırıp ürüne yazar - sayılarda hem "1,5" hem "1.5" kabul edilir
+        /// </summary>
+        public bool TryApplyValue(Product product, string field, string? rawValue, out string error)
+        {
+            error = string.Empty;
+            var property = GetProperty(field);
+            if (property == null || !IsEditable(field))
+            {
+                error = "Bu alan düzenlenemez";
+                return false;
+            }
+
+            var text = rawValue?.Trim() ?? string.Empty;
+
+            if (property.PropertyType == typeof(string))
+            {
+                var maxLength = TextFields[property.Name];
+                if (text.Length > maxLength)
+                {
+                    error = $"En fazla {maxLength} karakter girilebilir";
+                    return false;
+                }
+
+                property.SetValue(product, text);
+                return true;
+            }
+
+            if (property.PropertyType == typeof(int))
+            {
+                if (text.Length == 0) text = "0";
+                if (!int.TryParse(text, NumberStyles.Integer, CultureInfo.InvariantCulture, out var intValue) || intValue < 0)
+                {
+                    error = "Geçerli bir pozitif tam sayı girin";
+                    return false;
+                }
+
+                property.SetValue(product, intValue);
+                return true;
+            }
+
+            if (!TryParseDecimal(text, out var decimalValue) || decimalValue < 0)
+            {
+                error = "Geçerli bir pozitif sayı girin";
+                return false;
+            }
+
+            // Ürün formuyla aynı sınırlar: üst sınır sadece ağırlıkta var (ValidationService), diğer ölçüler negatif olmasın yeter
+            if (property.Name == nameof(Product.Weight) && decimalValue > Constants.Validation.MAX_WEIGHT)
+            {
+                error = $"Ağırlık 0 ile {Constants.Validation.MAX_WEIGHT} kg arasında olmalıdır";
+                return false;
+            }
+
+            property.SetValue(product, decimalValue);
+            return true;
+        }
+
+        /// <summary>
+        /// Ürünün tek bir alanını günceller
+        /// Benzersizlik (SKU/EAN) ve ValidationService kuralları sadece düzenlenen alan için uygulanır
+        /// </summary>
+        public async Task<ProductFieldUpdateResult> UpdateFieldAsync(ProductFieldUpdateRequest request)
+        {
+            var property = GetProperty(request.Field);
+            if (property == null || !IsEditable(request.Field))
+            {
+                return new ProductFieldUpdateResult { Field = request.Field, Message = "Bu alan düzenlenemez" };
+            }
+
+            var field = property.Name;
+            var product = await _productService.GetProductByIdAsync(request.ProductId);
+            if (product == null)
+            {
+                return new ProductFieldUpdateResult { Field = field, Message = "Ürün bulunamadı" };
+            }
+
+            var previousValue = FormatValue(product, field);
+            var result = new ProductFieldUpdateResult { Field = field, Value = previousValue, PreviousValue = previousValue, UpdatedDate = product.UpdatedDate };
+
+            if (request.ExpectedValue != null && !ValuesEqual(property, previousValue, request.ExpectedValue))
+            {
+                result.IsConflict = true;
+                result.Message = "Bu alan siz düzenlerken değiştirilmiş. Güncel değer yüklendi.";
+                return result;
+            }
+
+            if (!TryApplyValue(product, field, request.Value, out var error))
+            {
+                result.Message = error;
+                return result;
+            }
+
+            var newValue = FormatValue(product, field);
+            if (ValuesEqual(property, previousValue, newValue))
+            {
+                result.Success = true;
+                return result;
+            }
+
+            if (field == nameof(Product.SKU) && !await _productService.IsSkuUniqueAsync(product.SKU, product.Id))
+            {
+                result.Message = $"Üretici Ürün Kodu '{product.SKU}' zaten kullanılıyor";
+                return result;
+            }
+
+            if (field == nameof(Product.EanCode) && !await _productService.IsEanCodeUniqueAsync(product.EanCode, product.Id))
+            {
+                result.Message = $"EAN Kodu '{product.EanCode}' zaten kullanılıyor";
+                return result;
+            }
+
+            var validation = _validationService.ValidateProduct(product);
+            if (validation.Errors.TryGetValue(field, out var fieldErrors) && fieldErrors.Any())
+            {
+                result.Message = string.Join(" ", fieldErrors);
+                return result;
+            }
+
+            await _productService.UpdateProductAsync(product);
+
+            _logger.LogInformation("Product {ProductId} field {Field} updated inline", product.Id, field);
+
+            result.Success = true;
+            result.Value = FormatValue(product, field);
+            result.UpdatedDate = product.UpdatedDate;
+            return result;
+        }
+
+        /// <summary>
+        /// Alan toplu düzenlenebilir mi?
+        /// </summary>
+        public static bool IsBulkEditable(string? field)
+        {
+            return !string.IsNullOrWhiteSpace(field) && BulkEditFields.Contains(field);
+        }
+
+        /// <summary>
+        /// Seçili ürünlere toplu alan işlemleri uygular; PreviewOnly ise hiçbir şey kaydetmeden önce/sonra değerlerini döndürür
+        /// Her ürün ayrı değerlendirilir - birinin hatası diğerlerini durdurmaz
+        /// </summary>
+        public async Task<List<BulkEditItemResult>> BulkEditAsync(BulkEditRequest request)
+        {
+            var operations = request.Operations.Where(o => !string.IsNullOrWhiteSpace(o.Field)).ToList();
+            var categoryCache = new Dictionary<string, Category?>(StringComparer.OrdinalIgnoreCase);
+            var results = new List<BulkEditItemResult>();
+
+            foreach (var productId in request.ProductIds.Distinct())
+            {
+                var result = new BulkEditItemResult { ProductId = productId };
+                results.Add(result);
+
+                try
+                {
+                    var product = await _productService.GetProductByIdAsync(productId);
+                    if (product == null)
+                    {
+                        result.Message = "Ürün bulunamadı";
+                        continue;
+                    }
+
+                    result.Name = product.Name;
+                    var error = await ApplyBulkOperationsAsync(product, operations, result.Changes, categoryCache);
+                    if (error != null)
+                    {
+                        result.Changes.Clear();
+                        result.Message = error;
+                        continue;
+                    }
+
+                    if (result.Changes.Count == 0)
+                    {
+                        result.Success = true;
+                        result.Message = "Değişiklik yok";
+                        continue;
+                    }
+
+                    if (!request.PreviewOnly)
+                    {
+                        await _productService.UpdateProductAsync(product);
+                    }
+                    result.Success = true;
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Bulk edit failed for product {ProductId}", productId);
+                    result.Changes.Clear();
+                    result.Message = "Kaydedilirken bir hata oluştu";
+                }
+            }
+
+            if (!request.PreviewOnly)
+            {
+                _logger.LogInformation("Bulk edit applied to {Changed}/{Total} products ({Fields})",
+                    results.Count(r => r.Success && r.Changes.Any()), results.Count, string.Join(", ", operations.Select(o => $"{o.Field}:{o.Mode}")));
+            }
+
+            return results;
+        }
+
+        private async Task<string?> ApplyBulkOperationsAsync(Product product, List<BulkEditOperation> operations,
+            List<BulkEditChange> changes, Dictionary<string, Category?> categoryCache)
+        {
+            foreach (var operation in operations)
+            {
+                var property = GetProperty(operation.Field);
+                if (property == null || !IsBulkEditable(operation.Field))
+                {
+                    return $"'{operation.Field}' alanı toplu düzenlenemez";
+                }
+
+                var field = property.Name;
+                var before = FormatValue(product, field);
+
+                if (!TryComputeBulkValue(property, before, operation, out var newValue, out var error))
+                {
+                    return error;
+                }
+
+                if (ValuesEqual(property, before, newValue)) continue;
+
+                if (field == nameof(Product.Category))
+                {
+                    var categoryError = await ApplyCategoryAsync(product, newValue, categoryCache);
+                    if (categoryError != null) return categoryError;
+                }
+                else if (!TryApplyValue(product, field, newValue, out error))
+                {
+                    return error;
+                }
+
+                // Two operations on the same field keep the original "before" value
+                var after = FormatValue(product, field);
+                var existing = changes.FirstOrDefault(c => c.Field == field);
+                if (existing != null)
+                {
+                    existing.After = after;
+                }
+                else
+                {
+                    changes.Add(new BulkEditChange { Field = field, Before = before, After = after });
+                }
+            }
+
+            changes.RemoveAll(c => c.Before == c.After);
+
+            var validation = _validationService.ValidateProduct(product);
+            foreach (var change in changes)
+            {
+                if (validation.Errors.TryGetValue(change.Field, out var fieldErrors) && fieldErrors.Any())
+                {
+                    return string.Join(" ", fieldErrors);
+                }
+            }
+
+            return null;
+        }
+
+        private static bool TryComputeBulkValue(PropertyInfo property, string current, BulkEditOperation operation, out string value, out string error)
+        {
+            value = current;
+            error = string.Empty;
+            var isText = property.PropertyType == typeof(string);
+
+            switch (operation.Mode?.Trim().ToLowerInvariant())
+            {
+                case "set":
+                    value = operation.Value?.Trim() ?? string.Empty;
+                    return true;
+
+                case "clear":
+                    value = isText ? string.Empty : "0";
+                    return true;
+
+                case "replace":
+                    if (!isText)
+                    {
+                        error = "Bul/değiştir sadece metin alanlarında kullanılabilir";
+                        return false;
+                    }
+                    if (string.IsNullOrEmpty(operation.Find))
+                    {
+                        error = "Aranacak metin boş olamaz";
+                        return false;
+                    }
+                    value = current.Replace(operation.Find, operation.Value ?? string.Empty, StringComparison.OrdinalIgnoreCase).Trim();
+                    return true;
+
+                case "increment":
+                    if (isText)
+                    {
+                        error = "Artırma sadece sayısal alanlarda kullanılabilir";
+                        return false;
+                    }
+                    var deltaText = operation.Value?.Trim() ?? string.Empty;
+                    if (deltaText.Length == 0 || !TryParseDecimal(deltaText, out var delta))
+                    {
+                        error = "Geçerli bir artış miktarı girin";
+                        return false;
+                    }
+                    TryParseDecimal(current, out var currentNumber);
+                    var result = currentNumber + delta;
+                    if (result < 0)
+                    {
+                        error = $"Sonuç negatif olamaz ({result.ToString(CultureInfo.InvariantCulture)})";
+                        return false;
+                    }
+                    value = result.ToString(CultureInfo.InvariantCulture);
+                    return true;
+
+                default:
+                    error = "Geçersiz işlem türü";
+                    return false;
+            }
+        }
+
+        /// <summary>
+        /// Ürünleri tek bir kategoriye taşır (Category ve CategoryId birlikte)
+        /// Geri alma için taşınan ürünlerin önceki kategorilerini döndürür; zaten o kategoride olanlar atlanır
+        /// </summary>
+        public async Task<List<ProductCategoryAssignment>> ReassignCategoryAsync(List<int> productIds, Category category)
+        {
+            var previous = new List<ProductCategoryAssignment>();
+
+            foreach (var productId in productIds.Distinct())
+            {
+                try
+                {
+                    var product = await _productService.GetProductByIdAsync(productId);
+                    if (product == null || (product.CategoryId == category.Id && product.Category == category.Name)) continue;
+
+                    var assignment = new ProductCategoryAssignment
+                    {
+                        ProductId = product.Id,
+                        CategoryId = product.CategoryId,
+                        Category = product.Category ?? string.Empty
+                    };
+
+                    product.Category = category.Name;
+                    product.CategoryId = category.Id;
+                    await _productService.UpdateProductAsync(product);
+                    previous.Add(assignment);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Category reassignment failed for product {ProductId}", productId);
+                }
+            }
+
+            _logger.LogInformation("Moved {Count}/{Total} products to category {CategoryName}", previous.Count, productIds.Count, category.Name);
+            return previous;
+        }
+
+        /// <summary>
+        /// Kategori taşımasını geri alır - önceki ad ve CategoryId olduğu gibi geri yazılır
+        /// </summary>
+        public async Task<List<int>> RestoreCategoryAssignmentsAsync(List<ProductCategoryAssignment> assignments)
+        {
+            var restoredIds = new List<int>();
+
+            foreach (var assignment in assignments)
+            {
+                try
+                {
+                    var product = await _productService.GetProductByIdAsync(assignment.ProductId);
+                    if (product == null) continue;
+
+                    // A category id that no longer exists would break the FK - keep just the name then
+                    var categoryId = assignment.CategoryId;
+                    if (categoryId.HasValue && await _categoryService.GetCategoryByIdAsync(categoryId.Value) == null)
+                    {
+                        categoryId = null;
+                    }
+
+                    product.Category = assignment.Category ?? string.Empty;
+                    product.CategoryId = categoryId;
+                    await _productService.UpdateProductAsync(product);
+                    restoredIds.Add(product.Id);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Category restore failed for product {ProductId}", assignment.ProductId);
+                }
+            }
+
+            return restoredIds;
+        }
+
+        /// <summary>
+        /// Kategori adı ve CategoryId birlikte güncellenir; yeni kategori oluşturulmaz
+        /// </summary>
+        private async Task<string?> ApplyCategoryAsync(Product product, string name, Dictionary<string, Category?> categoryCache)
+        {
+            if (string.IsNullOrWhiteSpace(name))
+            {
+                product.Category = string.Empty;
+                product.CategoryId = null;
+                return null;
+            }
+
+            if (!categoryCache.TryGetValue(name, out var category))
+            {
+                category = await _categoryService.GetCategoryByNameAsync(name);
+                categoryCache[name] = category;
+            }
+
+            if (category == null)
+            {
+                return $"'{name}' adında bir kategori bulunamadı";
+            }
+
+            product.Category = category.Name;
+            product.CategoryId = category.Id;
+            return null;
+        }
+
+        /// <summary>
+        /// CreateProduct formunu doldurmak için kaynak ürünün kaydedilmemiş kopyasını oluşturur
+        /// Benzersiz alanlar (CloneClearedFields) boş bırakılır; medya listeleri ayrı kopyalanır
+        /// </summary>
+        public static Product CreateCloneDraft(Product source)
+        {
+            var draft = new Product();
+
+            foreach (var property in typeof(Product).GetProperties(BindingFlags.Public | BindingFlags.Instance))
+            {
+                if (!property.CanWrite || CloneSkippedProperties.Contains(property.Name)) continue;
+
+                var value = property.GetValue(source);
+                if (value is List<string> list)
+                {
+                    value = new List<string>(list);
+                }
+                property.SetValue(draft, value);
+            }
+
+            foreach (var field in CloneClearedFields.Keys)
+            {
+                GetProperty(field)?.SetValue(draft, string.Empty);
+            }
+
+            // Varyant grubundaki bir ürünün kopyası aynı grubun yeni varyantı olur
+            draft.VariantAxes = string.Empty;
+            draft.VariantParentId = source.VariantGroupId;
+            if (source.VariantGroupId == source.Id)
+            {
+                // Ana üründen kopyalanan ortak alanlar boş bırakılır ki varyant bunları devralsın
+                foreach (var field in ProductVariantService.InheritedFields.Keys)
+                {
+                    var property = GetProperty(field)!;
+                    property.SetValue(draft, property.PropertyType == typeof(List<string>) ? new List<string>() : string.Empty);
+                }
+            }
+
+            return draft;
+        }
+
+        private static PropertyInfo? GetProperty(string? field)
+        {
+            if (string.IsNullOrWhiteSpace(field)) return null;
+            return typeof(Product).GetProperty(field, BindingFlags.Public | BindingFlags.Instance | BindingFlags.IgnoreCase);
+        }
+
+        private static bool TryParseDecimal(string text, out decimal value)
+        {
+            if (text.Length == 0)
+            {
+                value = 0;
+                return true;
+            }
+
+            // "1.234,5" -> tr-TR, "1,5" -> "1.5", "1.5" -> invariant
+            if (text.Contains(',') && text.Contains('.'))
+            {
+                return decimal.TryParse(text, NumberStyles.Number, new CultureInfo("tr-TR"), out value);
+            }
+
+            return decimal.TryParse(text.Replace(',', '.'), NumberStyles.Number, CultureInfo.InvariantCulture, out value);
+        }
+
+        private static bool ValuesEqual(PropertyInfo property, string left, string right)
+        {
+            if (property.PropertyType == typeof(string))
+            {
+                return string.Equals(left.Trim(), right.Trim(), StringComparison.Ordinal);
+            }
+
+            return TryParseDecimal(left.Trim(), out var a) && TryParseDecimal(right.Trim(), out var b) && a == b;
+        }
+    }
+}
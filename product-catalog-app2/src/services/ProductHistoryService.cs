@@ -0,0 +1,189 @@
+using System.Globalization;
+using System.Reflection;
+using ProductCatalogApp.Helpers;
+using product_catalog_app.src.data;
+using product_catalog_app.src.models;
+
+namespace product_catalog_app.src.services
+{
+    /// <summary>
+    /// Ürün değişiklik geçmişi: Details sayfasındaki zaman çizelgesi ve bir önceki sürüme geri dönme
+    /// Kayıtları ProductAuditInterceptor yazar; geri dönme de normal bir güncelleme olarak geçmişe eklenir
+    /// </summary>
+    public class ProductHistoryService
+    {
+        private readonly ProductService _productService;
+        private readonly CategoryService _categoryService;
+        private readonly ILogger<ProductHistoryService> _logger;
+
+        // Alan adları export sütunlarındaki Türkçe başlıklarla gösterilir
+        private static readonly IReadOnlyDictionary<string, string> FieldLabels = new ExportColumnService()
+            .GetAvailableColumns()
+            .GroupBy(c => c.PropertyName)
+            .ToDictionary(g => g.Key, g => g.First().DisplayName);
+
+        private static readonly IReadOnlyDictionary<string, string> ExtraFieldLabels = new Dictionary<string, string>
+        {
+            ["CategoryId"] = "Kategori ID",
+            ["DeletedDate"] = "Silinme Tarihi",
+            ["VariantParentId"] = "Varyant Ana Ürünü",
+            ["VariantAxes"] = "Varyant Eksenleri"
+        };
+
+        // Değişikliği yapan işlemin okunur adı ("Controller/Action" -> etiket)
+        private static readonly IReadOnlyDictionary<string, string> SourceLabels = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase)
+        {
+            ["Product/CreateProduct"] = "Ürün ekleme formu",
+            ["Product/EditProduct"] = "Düzenleme formu",
+            ["Product/UpdateField"] = "Listede satır içi düzenleme",
+            ["Product/BulkEdit"] = "Toplu düzenleme",
+            ["Product/BulkOperation"] = "Toplu işlem",
+            ["Product/BulkArchive"] = "Toplu arşivleme",
+            ["Product/BulkUnarchive"] = "Toplu arşivden çıkarma",
+            ["Product/BulkDelete"] = "Toplu silme",
+            ["Product/BulkReassignCategory"] = "Kategori taşıma",
+            ["Product/RestoreCategoryAssignments"] = "Kategori taşımasını geri alma",
+            ["Product/ArchiveProduct"] = "Arşivleme",
+            ["Product/UnarchiveProduct"] = "Arşivden çıkarma",
+            ["Product/DeleteProduct"] = "Silme",
+            ["Product/SaveVariantGroup"] = "Varyant grubu",
+            ["Product/AddVariants"] = "Varyant grubu",
+            ["Product/RemoveVariant"] = "Varyant grubu",
+            ["Product/DissolveVariantGroup"] = "Varyant grubu",
+            ["Product/RevertProduct"] = "Geçmişten geri yükleme",
+            ["Product/MergeProducts"] = "Mükerrer ürün birleştirme",
+            ["ExportImport/ImportExcel"] = "Excel içe aktarma",
+            ["ExportImport/ImportCsv"] = "CSV içe aktarma",
+            ["ExportImport/ImportJson"] = "JSON içe aktarma",
+            ["ExportImport/ImportXml"] = "XML içe aktarma"
+        };
+
+        public static readonly IReadOnlyDictionary<string, string> ChangeTypeLabels = new Dictionary<string, string>
+        {
+            [ProductChangeTypes.Created] = "Oluşturuldu",
+            [ProductChangeTypes.Updated] = "Güncellendi",
+            [ProductChangeTypes.Archived] = "Arşivlendi",
+            [ProductChangeTypes.Unarchived] = "Arşivden çıkarıldı",
+            [ProductChangeTypes.Deleted] = "Çöp kutusuna taşındı",
+            [ProductChangeTypes.Restored] = "Çöp kutusundan geri yüklendi",
+            [ProductChangeTypes.Purged] = "Kalıcı olarak silindi"
+        };
+
+        // Zaman çizelgesinde HTML farkı olarak gösterilen zengin metin alanları
+        public static readonly HashSet<string> RichTextFields = new HashSet<string> { nameof(Product.Description) };
+
+        // Geri dönmede değiştirilmeyen durum ve grup alanları - bunların kendi işlemleri var (arşiv, çöp kutusu, varyant grubu)
+        private static readonly HashSet<string> NonRevertibleFields = new HashSet<string>
+        {
+            nameof(Product.IsArchived), nameof(Product.DeletedDate), nameof(Product.VariantParentId), nameof(Product.VariantAxes)
+        };
+
+        public ProductHistoryService(ProductService productService, CategoryService categoryService, ILogger<ProductHistoryService> logger)
+        {
+            _productService = productService;
+            _categoryService = categoryService;
+            _logger = logger;
+        }
+
+        public static string GetFieldLabel(string field)
+        {
+            if (FieldLabels.TryGetValue(field, out var label)) return label;
+            return ExtraFieldLabels.TryGetValue(field, out label) ? label : field;
+        }
+
+        public static string GetSourceLabel(string source)
+        {
+            return SourceLabels.TryGetValue(source, out var label) ? label : source;
+        }
+
+        /// <summary>
+        /// Geçmişte saklanan değeri tabloda gösterilecek hale getirir (boş, evet/hayır, Türkiye saatiyle tarih)
+        /// </summary>
+        public static string FormatDisplayValue(string? value)
+        {
+            if (value == null) return "—";
+            if (bool.TryParse(value, out var flag)) return flag ? "Evet" : "Hayır";
+            if (DateTime.TryParseExact(value, "o", CultureInfo.InvariantCulture, DateTimeStyles.RoundtripKind, out var date))
+                return date.ToTurkeyTimeString("dd.MM.yyyy HH:mm");
+            return value;
+        }
+
+        public async Task<List<ProductChangeLog>> GetHistoryAsync(int productId)
+        {
+            return await _productService.GetChangeLogsAsync(productId);
+        }
+
+        /// <summary>
+        /// Ürünü verilen geçmiş kaydından hemen sonraki haline döndürür: daha yeni kayıtlardaki
+        /// değişiklikler yeniden eskiye doğru eski değerleriyle geri alınır
+        /// </summary>
+        /// <returns>Hata mesajı; başarılıysa null</returns>
+        public async Task<string?> RevertToVersionAsync(int productId, int changeLogId)
+        {
+            var product = await _productService.GetProductByIdAsync(productId);
+            if (product == null)
+            {
+                return "Ürün bulunamadı";
+            }
+
+            var history = await _productService.GetChangeLogsAsync(productId);
+            var targetIndex = history.FindIndex(l => l.Id == changeLogId);
+            if (targetIndex < 0)
+            {
+                return "Geçmiş kaydı bulunamadı";
+            }
+
+            if (targetIndex == 0)
+            {
+                return "Ürün zaten bu sürümde";
+            }
+
+            // Geçmiş yeniden eskiye sıralı - her alan en eski geri alınan değerine döner
+            var restored = new Dictionary<string, string?>();
+            foreach (var change in history.Take(targetIndex).SelectMany(l => l.Changes))
+            {
+                if (NonRevertibleFields.Contains(change.Field)) continue;
+                restored[change.Field] = change.OldValue;
+            }
+
+            var changedFields = new List<string>();
+            foreach (var (field, value) in restored)
+            {
+                var property = typeof(Product).GetProperty(field, BindingFlags.Public | BindingFlags.Instance);
+                if (property == null || !property.CanWrite) continue;
+
+                if (ProductAuditInterceptor.FormatValue(property.GetValue(product)) == value) continue;
+
+                property.SetValue(product, ProductAuditInterceptor.ParseValue(value, property.PropertyType));
+                changedFields.Add(field);
+            }
+
+            if (!changedFields.Any())
+            {
+                return "Bu sürümle mevcut ürün arasında geri alınacak fark yok";
+            }
+
+            // Kategori o günden beri silinmiş olabilir - metin olarak kalır, bağlantı kaldırılır
+            if (product.CategoryId.HasValue && await _categoryService.GetCategoryByIdAsync(product.CategoryId.Value) == null)
+            {
+                product.CategoryId = null;
+            }
+
+            if (changedFields.Contains(nameof(Product.SKU)) && !await _productService.IsSkuUniqueAsync(product.SKU, product.Id))
+            {
+                return $"Eski SKU '{product.SKU}' artık başka bir üründe kullanılıyor";
+            }
+
+            if (changedFields.Contains(nameof(Product.EanCode)) && !await _productService.IsEanCodeUniqueAsync(product.EanCode, product.Id))
+            {
+                return $"Eski EAN kodu '{product.EanCode}' artık başka bir üründe kullanılıyor";
+            }
+
+            await _productService.UpdateProductAsync(product);
+
+            _logger.LogInformation("Product {ProductId} reverted to change {ChangeLogId}, fields: {Fields}",
+                productId, changeLogId, string.Join(", ", changedFields));
+            return null;
+        }
+    }
+}
@@ -21,6 +21,36 @@ namespace product_catalog_app.src.services
         private const string CATEGORIES_CACHE_KEY = "distinct_categories"; // Different from CategoryService
         private const string BRANDS_CACHE_KEY = Constants.CacheKeys.ALL_BRANDS;
         private const string PRODUCTS_COUNT_CACHE_PREFIX = "products_count_";
+        private const string SUGGESTION_SOURCES_CACHE_KEY = "search_suggestion_sources";
+        private static readonly string[] SuggestionTypeOrder = { "product", "sku", "brand", "barcode" };
+
+        // Barkod okuyucu araması - alan etiketi ve değeri
+        private static readonly (string Label, Func<Product, string?> Value)[] BarcodeFields =
+        {
+            ("EAN", p => p.EanCode),
+            ("Trendyol", p => p.TrendyolBarcode),
+            ("Hepsiburada", p => p.HepsiburadaBarcode),
+            ("Hepsiburada Satıcı Stok Kodu", p => p.HepsiburadaSellerStockCode),
+            ("Hepsiburada Tedarik", p => p.HepsiburadaTedarikBarcode),
+            ("Koçtaş", p => p.KoctasBarcode),
+            ("Koçtaş İstanbul", p => p.KoctasIstanbulBarcode),
+            ("Koçtaş EAN", p => p.KoctasEanBarcode),
+            ("Koçtaş EAN İstanbul", p => p.KoctasEanIstanbulBarcode),
+            ("PTT AVM", p => p.PttAvmBarcode),
+            ("PTT Ürün Stok Kodu", p => p.PttUrunStokKodu),
+            ("Pazarama", p => p.PazaramaBarcode),
+            ("Amazon", p => p.AmazonBarcode),
+            ("N11 Katalog ID", p => p.N11CatalogId),
+            ("N11 Ürün Kodu", p => p.N11ProductCode),
+            ("Haceyapı", p => p.HaceyapiBarcode),
+            ("Yedek Barkod 1", p => p.SpareBarcode1),
+            ("Yedek Barkod 2", p => p.SpareBarcode2),
+            ("Yedek Barkod 3", p => p.SpareBarcode3),
+            ("Yedek Barkod 4", p => p.SpareBarcode4),
+            ("Entegra Barkod", p => p.EntegraBarkod),
+            ("Entegra Ürün Kodu", p => p.EntegraUrunKodu),
+            ("Entegra Ürün ID", p => p.EntegraUrunId)
+        };
 
         public ProductService(IProductRepository productRepository, IMemoryCache cache, ILogger<ProductService> logger)
         {
@@ -117,6 +147,8 @@ namespace product_catalog_app.src.services
             product.EanCode ??= string.Empty;
             product.Material ??= string.Empty;
             product.Color ??= string.Empty;
+            product.Size ??= string.Empty;
+            product.VariantAxes ??= string.Empty;
             product.ImageUrl ??= string.Empty;
             product.LogoBarcodes ??= string.Empty;
 
@@ -346,6 +378,165 @@ namespace product_catalog_app.src.services
                 hasImage, hasEan, hasBarcode, barcodeType);
         }
 
+        public async Task<ProductSearchFacets> GetSearchFacetsAsync(string searchTerm = "", string category = "", string brand = "", 
+            string status = "", string material = "", string color = "", string eanCode = "",
+            decimal? minWeight = null, decimal? maxWeight = null, decimal? minDesi = null, decimal? maxDesi = null,
+            int? minWarranty = null, int? maxWarranty = null,
+            bool? hasImage = null, bool? hasEan = null, bool? hasBarcode = null, string barcodeType = "")
+        {
+            return await _productRepository.GetSearchFacetsAsync(
+                searchTerm, category, brand, status, material, color, eanCode,
+                minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty,
+                hasImage, hasEan, hasBarcode, barcodeType);
+        }
+
+        public async Task<List<ProductSelectionItem>> GetMatchingProductsAsync(int maxResults, string searchTerm = "", string category = "", string brand = "", 
+            string status = "", string material = "", string color = "", string eanCode = "",
+            decimal? minWeight = null, decimal? maxWeight = null, decimal? minDesi = null, decimal? maxDesi = null,
+            int? minWarranty = null, int? maxWarranty = null,
+            bool? hasImage = null, bool? hasEan = null, bool? hasBarcode = null, string barcodeType = "")
+        {
+            return await _productRepository.GetMatchingProductsAsync(maxResults,
+                searchTerm, category, brand, status, material, color, eanCode,
+                minWeight, maxWeight, minDesi, maxDesi, minWarranty, maxWarranty,
+                hasImage, hasEan, hasBarcode, barcodeType);
+        }
+
+        /// <summary>
+        /// Fuzzy, Turkish-aware suggestions ranked per type (product name, SKU, brand, barcode)
+        /// Ranking happens in memory over a cached projection because SQLite LIKE can't fold ı/i or tolerate typos
+        /// </summary>
+        public async Task<List<SearchSuggestion>> GetSearchSuggestionsAsync(string query, int limitPerType = 5)
+        {
+            var foldedQuery = TurkishTextMatcher.Fold(query?.Trim());
+            if (foldedQuery.Length < 2) return new List<SearchSuggestion>();
+
+            if (!_cache.TryGetValue(SUGGESTION_SOURCES_CACHE_KEY, out List<ProductSuggestionSource>? sources) || sources == null)
+            {
+                sources = await _productRepository.GetSuggestionSourcesAsync();
+                _cache.Set(SUGGESTION_SOURCES_CACHE_KEY, sources, new MemoryCacheEntryOptions
+                {
+                    AbsoluteExpirationRelativeToNow = _shortCacheExpiration,
+                    Size = 1 // Set cache entry size for SizeLimit compatibility
+                });
+            }
+
+            // Codes are typed exactly - only names and brands get typo tolerance, SKUs too unless the query is numeric
+            var isNumericQuery = foldedQuery.All(char.IsDigit);
+            var best = new Dictionary<string, SearchSuggestion>();
+
+            void Consider(string text, string type, int? productId, bool allowTypos)
+            {
+                var match = TurkishTextMatcher.Match(text, foldedQuery, allowTypos);
+                if (!match.IsMatch) return;
+
+                var key = type + "|" + TurkishTextMatcher.Fold(text);
+                if (best.TryGetValue(key, out var existing) && existing.Score >= match.Score) return;
+
+                best[key] = new SearchSuggestion
+                {
+                    Text = text,
+                    Type = type,
+                    Highlight = TurkishTextMatcher.Highlight(text, match.Ranges),
+                    Score = Math.Round(match.Score, 3),
+                    ProductId = productId
+                };
+            }
+
+            foreach (var source in sources)
+            {
+                Consider(source.Name, "product", source.Id, true);
+                Consider(source.SKU, "sku", source.Id, !isNumericQuery);
+                Consider(source.Brand, "brand", null, true);
+                Consider(source.EanCode, "barcode", source.Id, false);
+            }
+
+            return best.Values
+                .GroupBy(s => s.Type)
+                .OrderBy(g => Array.IndexOf(SuggestionTypeOrder, g.Key))
+                .SelectMany(g => g
+                    .OrderByDescending(s => s.Score)
+                    .ThenBy(s => s.Text.Length)
+                    .Take(limitPerType))
+                .ToList();
+        }
+
+        /// <summary>
+        /// Finds products whose EAN or any marketplace barcode equals the scanned code
+        /// </summary>
+        public async Task<List<BarcodeLookupMatch>> LookupBarcodeAsync(string code)
+        {
+            var trimmed = code?.Trim() ?? string.Empty;
+            if (trimmed.Length == 0) return new List<BarcodeLookupMatch>();
+
+            var candidates = await _productRepository.FindProductsByBarcodeAsync(trimmed);
+            var matches = new List<BarcodeLookupMatch>();
+
+            foreach (var product in candidates)
+            {
+                var matchedFields = BarcodeFields
+                    .Where(field => string.Equals(field.Value(product)?.Trim(), trimmed, StringComparison.Ordinal))
+                    .Select(field => field.Label)
+                    .ToList();
+
+                if (ParseLogoBarcodes(product.LogoBarcodes).Contains(trimmed))
+                {
+                    matchedFields.Add("Logo");
+                }
+
+                // LogoBarcodes içinde sadece parça olarak geçen kodlar eşleşme sayılmaz
+                if (matchedFields.Count == 0) continue;
+
+                matches.Add(new BarcodeLookupMatch
+                {
+                    ProductId = product.Id,
+                    Name = product.Name,
+                    SKU = product.SKU,
+                    Brand = product.Brand,
+                    IsArchived = product.IsArchived,
+                    MatchedFields = matchedFields
+                });
+            }
+
+            return matches;
+        }
+
+        /// <summary>
+        /// All filled barcode and marketplace codes of a product with their field labels, Logo barcodes one by one
+        /// </summary>
+        public static List<(string Label, string Code)> GetBarcodes(Product product)
+        {
+            return BarcodeFields
+                .Select(field => (field.Label, Code: field.Value(product)?.Trim() ?? string.Empty))
+                .Concat(ParseLogoBarcodes(product.LogoBarcodes).Select(code => (Label: "Logo", Code: code)))
+                .Where(barcode => barcode.Code.Length > 0)
+                .ToList();
+        }
+
+        /// <summary>
+        /// LogoBarcodes is stored either as a comma separated list or as a JSON array
+        /// </summary>
+        private static List<string> ParseLogoBarcodes(string? logoBarcodes)
+        {
+            if (string.IsNullOrWhiteSpace(logoBarcodes)) return new List<string>();
+
+            if (logoBarcodes.Trim().StartsWith("["))
+            {
+                try
+                {
+                    return (JsonSerializer.Deserialize<List<string>>(logoBarcodes) ?? new List<string>())
+                        .Select(b => b?.Trim() ?? "")
+                        .ToList();
+                }
+                catch (JsonException)
+                {
+                    // Bozuk JSON - virgüllü liste olarak dene
+                }
+            }
+
+            return logoBarcodes.Split(',').Select(b => b.Trim()).ToList();
+        }
+
         public int GetProductCount(string searchTerm = "", string category = "", string brand = "")
         {
             var cacheKey = $"{PRODUCTS_COUNT_CACHE_PREFIX}{searchTerm}_{category}_{brand}";
@@ -377,6 +568,7 @@ namespace product_catalog_app.src.services
                 _cache.Remove("distinct_materials");
                 _cache.Remove("distinct_colors");
                 _cache.Remove("distinct_special_features");
+                _cache.Remove(SUGGESTION_SOURCES_CACHE_KEY);
 
                 // Clear common count cache patterns
                 var commonKeys = new[]
@@ -419,6 +611,79 @@ namespace product_catalog_app.src.services
             ClearCache();
         }
 
+        // Trash management - deleted products stay restorable until purged
+        public async Task<List<Product>> GetTrashedProductsAsync(string searchTerm = "", int page = 1, int pageSize = 50)
+        {
+            return await _productRepository.GetTrashedProductsAsync(searchTerm, page, pageSize);
+        }
+
+        public async Task<int> GetTrashedProductCountAsync(string searchTerm = "")
+        {
+            return await _productRepository.GetTrashedProductCountAsync(searchTerm);
+        }
+
+        public async Task<List<int>> RestoreProductsAsync(List<int> productIds)
+        {
+            var restoredIds = await _productRepository.RestoreProductsAsync(productIds);
+            ClearCache();
+            return restoredIds;
+        }
+
+        public async Task<int> PurgeProductsAsync(List<int> productIds)
+        {
+            var purgedCount = await _productRepository.PurgeProductsAsync(productIds);
+            ClearCache();
+            return purgedCount;
+        }
+
+        public async Task<int> EmptyTrashAsync()
+        {
+            var purgedCount = await _productRepository.EmptyTrashAsync();
+            ClearCache();
+            return purgedCount;
+        }
+
+        // Variant groups - grouping rules live in ProductVariantService
+        public async Task<List<Product>> GetVariantsAsync(int parentId)
+        {
+            return await _productRepository.GetVariantsAsync(parentId);
+        }
+
+        public async Task<Dictionary<int, int>> GetVariantCountsAsync(List<int> parentIds)
+        {
+            if (parentIds == null || !parentIds.Any())
+                return new Dictionary<int, int>();
+
+            return await _productRepository.GetVariantCountsAsync(parentIds);
+        }
+
+        public async Task<Product?> GetProductBySkuAsync(string sku)
+        {
+            if (string.IsNullOrWhiteSpace(sku)) return null;
+
+            return await _productRepository.GetProductBySkuAsync(sku.Trim());
+        }
+
+        public async Task<int> DetachVariantsAsync(List<int> parentIds)
+        {
+            var detachedCount = await _productRepository.DetachVariantsAsync(parentIds);
+            ClearCache();
+            return detachedCount;
+        }
+
+        public async Task<int> MoveVariantsAsync(List<int> fromParentIds, int toParentId)
+        {
+            var movedCount = await _productRepository.MoveVariantsAsync(fromParentIds, toParentId);
+            ClearCache();
+            return movedCount;
+        }
+
+        // Change history - diffing and revert live in ProductHistoryService
+        public async Task<List<ProductChangeLog>> GetChangeLogsAsync(int productId)
+        {
+            return await _productRepository.GetChangeLogsAsync(productId);
+        }
+
         // Archive management methods
         public void ArchiveProduct(int productId)
         {
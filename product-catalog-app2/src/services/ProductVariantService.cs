@@ -0,0 +1,343 @@
+using System.Reflection;
+using System.Text.RegularExpressions;
+using product_catalog_app.src.models;
+
+namespace product_catalog_app.src.services
+{
+    /// <summary>
+    /// Varyant grupları: aynı ürünün renk/ölçü/malzeme seçenekleri ana ürün altında toplanır
+    /// Ana ürün VariantAxes ile eksenleri tanımlar; varyantlar VariantParentId ile bağlanır ve
+    /// açıklama, özellikler ve görselleri boş bıraktıklarında ana üründen devralır (dolu alan varyanta özeldir)
+    /// </summary>
+    public class ProductVariantService
+    {
+        private readonly ProductService _productService;
+        private readonly ILogger<ProductVariantService> _logger;
+
+        // Varyant eksenleri - Product alan adı ve görünen adı
+        public static readonly IReadOnlyDictionary<string, string> Axes = new Dictionary<string, string>(StringComparer.OrdinalIgnoreCase)
+        {
+            ["Color"] = "Renk",
+            ["Size"] = "Ölçü",
+            ["Material"] = "Malzeme"
+        };
+
+        // Varyantta boş bırakıldığında ana üründen devralınan ortak alanlar
+        public static readonly IReadOnlyDictionary<string, string> InheritedFields = new Dictionary<string, string>
+        {
+            ["Description"] = "Açıklama",
+            ["Features"] = "Özellikler",
+            ["ImageUrl"] = "Ana Görsel",
+            ["ImageUrls"] = "Ürün Görselleri",
+            ["MarketplaceImageUrls"] = "Pazaryeri Görselleri"
+        };
+
+        public ProductVariantService(ProductService productService, ILogger<ProductVariantService> logger)
+        {
+            _productService = productService;
+            _logger = logger;
+        }
+
+        /// <summary>
+        /// "Color,Size" biçimindeki eksen listesini çözer; bilinmeyen eksenler atlanır
+        /// </summary>
+        public static List<string> ParseAxes(string? axes)
+        {
+            return (axes ?? string.Empty)
+                .Split(',', StringSplitOptions.RemoveEmptyEntries | StringSplitOptions.TrimEntries)
+                .Select(axis => Axes.Keys.FirstOrDefault(key => key.Equals(axis, StringComparison.OrdinalIgnoreCase)))
+                .Where(axis => axis != null)
+                .Select(axis => axis!)
+                .Distinct()
+                .ToList();
+        }
+
+        public static string GetAxisValue(Product product, string axis)
+        {
+            var value = axis switch
+            {
+                "Color" => product.Color,
+                "Size" => product.Size,
+                "Material" => product.Material,
+                _ => string.Empty
+            };
+            return value?.Trim() ?? string.Empty;
+        }
+
+        /// <summary>
+        /// Varyantın eksen değerlerini okunur hale getirir: "Renk: Beyaz · Ölçü: 60 cm"
+        /// </summary>
+        public static string DescribeVariant(Product product, IEnumerable<string> axes)
+        {
+            return string.Join(" · ", axes
+                .Select(axis => (Label: Axes[axis], Value: GetAxisValue(product, axis)))
+                .Where(axis => axis.Value.Length > 0)
+                .Select(axis => $"{axis.Label}: {axis.Value}"));
+        }
+
+        /// <summary>
+        /// Boş ortak alanları ana üründen doldurur ve devralınan alanların adlarını döndürür
+        /// Sadece gösterim/export içindir - AsNoTracking ürünlerde çağrılır, kaydedilmez
+        /// </summary>
+        public static List<string> ApplyInheritance(Product variant, Product parent)
+        {
+            var inherited = new List<string>();
+
+            foreach (var field in InheritedFields.Keys)
+            {
+                var property = typeof(Product).GetProperty(field, BindingFlags.Public | BindingFlags.Instance)!;
+                if (!IsEmpty(property.GetValue(variant))) continue;
+
+                var parentValue = property.GetValue(parent);
+                if (IsEmpty(parentValue)) continue;
+
+                property.SetValue(variant, parentValue is List<string> list ? new List<string>(list) : parentValue);
+                inherited.Add(field);
+            }
+
+            return inherited;
+        }
+
+        /// <summary>
+        /// Ürünün bağlı olduğu grubu döndürür; ana ürün silinmiş ya da grup dağıtılmışsa null
+        /// </summary>
+        public async Task<VariantGroupInfo?> GetGroupAsync(Product product)
+        {
+            var groupId = product.VariantGroupId;
+            if (!groupId.HasValue) return null;
+
+            var parent = groupId.Value == product.Id ? product : await _productService.GetProductByIdAsync(groupId.Value);
+            if (parent == null || string.IsNullOrWhiteSpace(parent.VariantAxes)) return null;
+
+            return new VariantGroupInfo
+            {
+                Parent = parent,
+                Axes = ParseAxes(parent.VariantAxes),
+                Variants = await _productService.GetVariantsAsync(parent.Id)
+            };
+        }
+
+        /// <summary>
+        /// Ürünü varyant grubunun ana ürünü yapar ya da mevcut grubun eksenlerini değiştirir
+        /// </summary>
+        /// <returns>Hata mesajı; başarılıysa null</returns>
+        public async Task<string?> SaveGroupAsync(int parentId, List<string> axes)
+        {
+            var parent = await _productService.GetProductByIdAsync(parentId);
+            if (parent == null)
+            {
+                return "Ürün bulunamadı";
+            }
+
+            if (parent.VariantParentId.HasValue)
+            {
+                return "Bu ürün başka bir grubun varyantı. Önce gruptan çıkarın.";
+            }
+
+            var validAxes = ParseAxes(string.Join(",", axes ?? new List<string>()));
+            if (!validAxes.Any())
+            {
+                return "En az bir varyant ekseni seçin (Renk, Ölçü, Malzeme)";
+            }
+
+            parent.VariantAxes = string.Join(",", validAxes);
+            await _productService.UpdateProductAsync(parent);
+
+            _logger.LogInformation("Variant group {ParentId} saved with axes {Axes}", parentId, parent.VariantAxes);
+            return null;
+        }
+
+        /// <summary>
+        /// Ürünleri (SKU ya da ID ile) gruba ekler
+        /// Başka bir gruba bağlı ürünler, ana ürünler ve eksen değerleri gruptaki bir ürünle aynı olanlar eklenmez
+        /// </summary>
+        public async Task<VariantAddResult> AddVariantsAsync(int parentId, List<string> codes)
+        {
+            var result = new VariantAddResult();
+
+            var parent = await _productService.GetProductByIdAsync(parentId);
+            if (parent == null || string.IsNullOrWhiteSpace(parent.VariantAxes))
+            {
+                result.Errors.Add("Varyant grubu bulunamadı");
+                return result;
+            }
+
+            var axes = ParseAxes(parent.VariantAxes);
+            var members = await _productService.GetVariantsAsync(parentId);
+            var usedCombinations = members.Append(parent)
+                .Select(member => GetAxisKey(member, axes))
+                .ToHashSet();
+
+            foreach (var code in codes.Select(c => c?.Trim() ?? string.Empty).Where(c => c.Length > 0).Distinct())
+            {
+                // SKU önce denenir - sayısal SKU'lar ürün ID'si ile karışmasın
+                var product = await _productService.GetProductBySkuAsync(code);
+                if (product == null && int.TryParse(code, out var productId))
+                {
+                    product = await _productService.GetProductByIdAsync(productId);
+                }
+
+                var error = ValidateNewVariant(product, parent, code);
+                if (error == null)
+                {
+                    var key = GetAxisKey(product!, axes);
+                    if (!usedCombinations.Add(key))
+                    {
+                        error = $"'{product!.Name}': gruptaki bir ürünle aynı {string.Join("/", axes.Select(a => Axes[a].ToLowerInvariant()))} değerlerine sahip";
+                    }
+                }
+
+                if (error != null)
+                {
+                    result.Errors.Add(error);
+                    continue;
+                }
+
+                product!.VariantParentId = parent.Id;
+                await _productService.UpdateProductAsync(product);
+                result.AddedIds.Add(product.Id);
+            }
+
+            _logger.LogInformation("Added {Count} variants to group {ParentId}, {ErrorCount} rejected", result.AddedIds.Count, parentId, result.Errors.Count);
+            return result;
+        }
+
+        /// <summary>
+        /// Varyantı gruptan çıkarır; ürün bağımsız hale gelir (devraldığı alanlar boş kalır)
+        /// </summary>
+        public async Task<bool> RemoveVariantAsync(int variantId)
+        {
+            var product = await _productService.GetProductByIdAsync(variantId);
+            if (product?.VariantParentId == null) return false;
+
+            product.VariantParentId = null;
+            await _productService.UpdateProductAsync(product);
+            return true;
+        }
+
+        /// <summary>
+        /// Grubu dağıtır - tüm varyantlar bağımsız ürün olur
+        /// </summary>
+        public async Task<int?> DissolveGroupAsync(int parentId)
+        {
+            var parent = await _productService.GetProductByIdAsync(parentId);
+            if (parent == null || string.IsNullOrWhiteSpace(parent.VariantAxes)) return null;
+
+            var detachedCount = await _productService.DetachVariantsAsync(new List<int> { parentId });
+            parent.VariantAxes = string.Empty;
+            await _productService.UpdateProductAsync(parent);
+
+            _logger.LogInformation("Variant group {ParentId} dissolved, {Count} variants detached", parentId, detachedCount);
+            return detachedCount;
+        }
+
+        /// <summary>
+        /// Ürün listesindeki satırlar için grup bilgisi (ana ürünlerde varyant sayısı, varyantlarda eksen değerleri)
+        /// </summary>
+        public async Task<Dictionary<int, VariantRowInfo>> GetRowInfoAsync(List<Product> products)
+        {
+            var rows = new Dictionary<int, VariantRowInfo>();
+
+            var parentIds = products.Where(p => !string.IsNullOrWhiteSpace(p.VariantAxes)).Select(p => p.Id).ToList();
+            var variantCounts = await _productService.GetVariantCountsAsync(parentIds);
+            foreach (var parentId in parentIds)
+            {
+                rows[parentId] = new VariantRowInfo
+                {
+                    GroupId = parentId,
+                    IsParent = true,
+                    VariantCount = variantCounts.GetValueOrDefault(parentId)
+                };
+            }
+
+            var parents = await GetParentsAsync(products);
+            foreach (var variant in products.Where(p => p.VariantParentId.HasValue))
+            {
+                if (!parents.TryGetValue(variant.VariantParentId!.Value, out var parent)) continue;
+
+                rows[variant.Id] = new VariantRowInfo
+                {
+                    GroupId = parent.Id,
+                    Label = DescribeVariant(variant, ParseAxes(parent.VariantAxes))
+                };
+            }
+
+            return rows;
+        }
+
+        /// <summary>
+        /// Export öncesi varyantların boş ortak alanlarını ana üründen doldurur
+        /// </summary>
+        public async Task ApplyInheritanceAsync(List<Product> products)
+        {
+            var parents = await GetParentsAsync(products);
+
+            foreach (var variant in products.Where(p => p.VariantParentId.HasValue))
+            {
+                if (parents.TryGetValue(variant.VariantParentId!.Value, out var parent))
+                {
+                    ApplyInheritance(variant, parent);
+                }
+            }
+        }
+
+        /// <summary>
+        /// Listedeki varyantların ana ürünleri - listede olmayanlar veritabanından okunur
+        /// Silinmiş ya da dağıtılmış gruplar dahil edilmez
+        /// </summary>
+        private async Task<Dictionary<int, Product>> GetParentsAsync(List<Product> products)
+        {
+            var parentIds = products
+                .Where(p => p.VariantParentId.HasValue)
+                .Select(p => p.VariantParentId!.Value)
+                .Distinct()
+                .ToList();
+            if (!parentIds.Any()) return new Dictionary<int, Product>();
+
+            var parents = products.Where(p => parentIds.Contains(p.Id)).ToList();
+            var missingIds = parentIds.Except(parents.Select(p => p.Id)).ToList();
+            if (missingIds.Any())
+            {
+                parents.AddRange(await _productService.GetProductsByIdsAsync(missingIds));
+            }
+
+            return parents
+                .Where(p => !string.IsNullOrWhiteSpace(p.VariantAxes))
+                .GroupBy(p => p.Id)
+                .ToDictionary(g => g.Key, g => g.First());
+        }
+
+        private static string? ValidateNewVariant(Product? product, Product parent, string code)
+        {
+            if (product == null)
+                return $"'{code}' ile eşleşen ürün bulunamadı";
+            if (product.Id == parent.Id)
+                return "Ana ürün kendi grubuna varyant olarak eklenemez";
+            if (!string.IsNullOrWhiteSpace(product.VariantAxes))
+                return $"'{product.Name}' başka bir varyant grubunun ana ürünü";
+            if (product.VariantParentId == parent.Id)
+                return $"'{product.Name}' zaten bu grupta";
+            if (product.VariantParentId.HasValue)
+                return $"'{product.Name}' başka bir varyant grubunda (#{product.VariantParentId})";
+            return null;
+        }
+
+        private static string GetAxisKey(Product product, List<string> axes)
+        {
+            return string.Join("|", axes.Select(axis => GetAxisValue(product, axis).ToLowerInvariant()));
+        }
+
+        private static bool IsEmpty(object? value)
+        {
+            return value switch
+            {
+                null => true,
+                // Editörün boş içeriği (<p><br></p>) da boş sayılır
+                string text => !text.Contains("<img", StringComparison.OrdinalIgnoreCase) &&
+                    string.IsNullOrWhiteSpace(Regex.Replace(text, "<[^>]*>", string.Empty).Replace("&nbsp;", " ")),
+                List<string> list => !list.Any(item => !string.IsNullOrWhiteSpace(item)),
+                _ => false
+            };
+        }
+    }
+}
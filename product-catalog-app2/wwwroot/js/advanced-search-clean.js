@@ -7,6 +7,8 @@ class AdvancedSearchManager {
     constructor() {
         this.toggleTimeout = null;
         this.isInitialized = false;
+        this.savedViewsStorageKey = 'productIndexSavedViews';
+        this.savedViews = [];
     }
 
     init() {
@@ -18,6 +20,7 @@ class AdvancedSearchManager {
         console.log('🔍 Initializing AdvancedSearchManager...');
         this.setupToggleHandler();
         this.restoreState();
+        this.initializeSavedViews();
         this.isInitialized = true;
         console.log('✅ AdvancedSearchManager initialized successfully');
     }
@@ -164,6 +167,289 @@ class AdvancedSearchManager {
         
         console.log('🔄 Advanced search reset');
     }
+
+    // ===== Kayıtlı Görünümler (Saved Views) =====
+
+    initializeSavedViews() {
+        const savedViewsContainer = document.getElementById('savedViews');
+        if (!savedViewsContainer) return;
+
+        this.savedViews = this.loadSavedViews();
+        this.renderSavedViews();
+
+        // Görünüm butonları için tek delegasyon
+        document.addEventListener('click', (e) => {
+            const actionElement = e.target.closest('[data-view-action]');
+            if (!actionElement) return;
+
+            e.preventDefault();
+            const viewId = actionElement.dataset.viewId;
+
+            switch (actionElement.dataset.viewAction) {
+                case 'save':
+                    this.saveCurrentView();
+                    break;
+                case 'apply':
+                    this.applyView(viewId);
+                    break;
+                case 'pin':
+                    this.togglePinView(viewId);
+                    break;
+                case 'default':
+                    this.toggleDefaultView(viewId);
+                    break;
+                case 'share':
+                    this.shareView(viewId);
+                    break;
+                case 'rename':
+                    this.renameView(viewId);
+                    break;
+                case 'delete':
+                    this.deleteView(viewId);
+                    break;
+            }
+        });
+
+        // ProductIndexManager aynı DOMContentLoaded turunda başlatılıyor, ondan sonra çalış
+        setTimeout(() => this.applyDefaultView(), 0);
+        console.log(`🔖 Saved views initialized (${this.savedViews.length} view)`);
+    }
+
+    loadSavedViews() {
+        try {
+            const views = JSON.parse(localStorage.getItem(this.savedViewsStorageKey) || '[]');
+            return Array.isArray(views) ? views : [];
+        } catch (error) {
+            console.warn('⚠️ Saved views could not be read, starting empty:', error);
+            return [];
+        }
+    }
+
+    persistSavedViews() {
+        localStorage.setItem(this.savedViewsStorageKey, JSON.stringify(this.savedViews));
+        this.renderSavedViews();
+    }
+
+    getView(viewId) {
+        return this.savedViews.find(view => view.id === viewId);
+    }
+
+    /**
+     * Arama formundaki tüm dolu alanları görünüm parametresi olarak topla
+     */
+    getCurrentSearchParams() {
+        const form = document.getElementById('searchForm');
+        const params = {};
+        if (!form) return params;
+
+        new FormData(form).forEach((value, key) => {
+            if (key === '__RequestVerificationToken' || key === 'page') return;
+            if (typeof value === 'string' && value.trim() !== '') {
+                params[key] = value.trim();
+            }
+        });
+
+        return params;
+    }
+
+    isSameParams(a, b) {
+        const keysA = Object.keys(a).sort();
+        const keysB = Object.keys(b).sort();
+        return keysA.length === keysB.length && keysA.every((key, i) => key === keysB[i] && a[key] === b[key]);
+    }
+
+    getViewUrl(view) {
+        const url = new URL(window.location.pathname, window.location.origin);
+        Object.keys(view.params).forEach(key => url.searchParams.set(key, view.params[key]));
+        return url.toString();
+    }
+
+    saveCurrentView() {
+        const name = (prompt('Görünüm adı:') || '').trim();
+        if (!name) return;
+
+        if (this.savedViews.some(view => view.name.toLocaleLowerCase('tr-TR') === name.toLocaleLowerCase('tr-TR'))) {
+            window.showWarning?.('Uyarı', `"${name}" adında bir görünüm zaten var.`);
+            return;
+        }
+
+        this.savedViews.push({
+            id: Date.now().toString(36),
+            name: name,
+            params: this.getCurrentSearchParams(),
+            pinned: false,
+            isDefault: false,
+            createdAt: new Date().toISOString()
+        });
+        this.persistSavedViews();
+        window.showSuccess?.('Görünüm Kaydedildi', `"${name}" görünümü kaydedildi.`);
+    }
+
+    applyView(viewId) {
+        const view = this.getView(viewId);
+        const form = document.getElementById('searchForm');
+        if (!view || !form) return;
+
+        // Form alanlarını görünümdeki değerlerle doldur, olmayanları temizle
+        Array.from(form.elements).forEach(element => {
+            if (!element.name || element.name === '__RequestVerificationToken' || element.type === 'submit') return;
+
+            if (element.tagName === 'SELECT') {
+                element.value = view.params[element.name] ?? '';
+                if (element.selectedIndex === -1) {
+                    element.selectedIndex = 0;
+                }
+            } else {
+                element.value = view.params[element.name] ?? '';
+            }
+        });
+
+        if (window.productIndexManager?.state.jsonGridEnabled) {
+            window.productIndexManager.refreshFromForm();
+            this.renderSavedViews();
+        } else {
+            window.location.href = this.getViewUrl(view);
+        }
+    }
+
+    /**
+     * URL'de filtre yoksa varsayılan görünümü uygula
+     */
+    applyDefaultView() {
+        const defaultView = this.savedViews.find(view => view.isDefault);
+        if (!defaultView) return;
+
+        const urlParams = new URLSearchParams(window.location.search);
+        const hasFilters = Array.from(urlParams.keys()).some(key => key !== 'page');
+        if (hasFilters) return;
+
+        console.log('🔖 Applying default view:', defaultView.name);
+        this.applyView(defaultView.id);
+    }
+
+    togglePinView(viewId) {
+        const view = this.getView(viewId);
+        if (!view) return;
+
+        view.pinned = !view.pinned;
+        this.persistSavedViews();
+    }
+
+    toggleDefaultView(viewId) {
+        const view = this.getView(viewId);
+        if (!view) return;
+
+        const makeDefault = !view.isDefault;
+        this.savedViews.forEach(v => v.isDefault = false);
+        view.isDefault = makeDefault;
+        this.persistSavedViews();
+
+        if (makeDefault) {
+            window.showInfo?.('Varsayılan Görünüm', `"${view.name}" sayfa açılışında uygulanacak.`);
+        }
+    }
+
+    async shareView(viewId) {
+        const view = this.getView(viewId);
+        if (!view) return;
+
+        const url = this.getViewUrl(view);
+        try {
+            await navigator.clipboard.writeText(url);
+            window.showSuccess?.('Bağlantı Kopyalandı', `"${view.name}" görünümünün bağlantısı panoya kopyalandı.`);
+        } catch (error) {
+            // Pano erişimi yoksa kullanıcı elle kopyalasın
+            prompt('Görünüm bağlantısı:', url);
+        }
+    }
+
+    renameView(viewId) {
+        const view = this.getView(viewId);
+        if (!view) return;
+
+        const name = (prompt('Yeni görünüm adı:', view.name) || '').trim();
+        if (!name || name === view.name) return;
+
+        view.name = name;
+        this.persistSavedViews();
+    }
+
+    deleteView(viewId) {
+        const view = this.getView(viewId);
+        if (!view) return;
+
+        if (!confirm(`"${view.name}" görünümünü silmek istediğinizden emin misiniz?`)) return;
+
+        this.savedViews = this.savedViews.filter(v => v.id !== viewId);
+        this.persistSavedViews();
+    }
+
+    renderSavedViews() {
+        const list = document.getElementById('savedViewsList');
+        const pinnedContainer = document.getElementById('pinnedViews');
+        if (!list) return;
+
+        const currentParams = this.getCurrentSearchParams();
+        const views = [...this.savedViews].sort((a, b) => (b.pinned - a.pinned) || a.name.localeCompare(b.name, 'tr'));
+
+        list.innerHTML = '';
+        if (views.length === 0) {
+            list.innerHTML = '<div class="saved-views-empty">Henüz kayıtlı görünüm yok. Filtreleri ayarlayıp "Mevcut Filtreleri Kaydet" ile ekleyebilirsiniz.</div>';
+        }
+
+        const createButton = (action, viewId, icon, title, isOn = false) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.dataset.viewAction = action;
+            button.dataset.viewId = viewId;
+            button.title = title;
+            button.innerHTML = `<i class="${icon}"></i>`;
+            if (isOn) button.classList.add('is-on');
+            return button;
+        };
+
+        views.forEach(view => {
+            const item = document.createElement('div');
+            item.className = 'saved-view-item';
+            item.classList.toggle('active', this.isSameParams(view.params, currentParams));
+
+            const nameButton = document.createElement('button');
+            nameButton.type = 'button';
+            nameButton.className = 'saved-view-name';
+            nameButton.dataset.viewAction = 'apply';
+            nameButton.dataset.viewId = view.id;
+            nameButton.textContent = view.name;
+            item.appendChild(nameButton);
+
+            const actions = document.createElement('div');
+            actions.className = 'saved-view-actions';
+            actions.append(
+                createButton('pin', view.id, 'fas fa-thumbtack', view.pinned ? 'Sabitlemeyi kaldır' : 'Sabitle', view.pinned),
+                createButton('default', view.id, 'fas fa-star', view.isDefault ? 'Varsayılan olmaktan çıkar' : 'Varsayılan yap', view.isDefault),
+                createButton('share', view.id, 'fas fa-link', 'Bağlantıyı kopyala'),
+                createButton('rename', view.id, 'fas fa-pen', 'Yeniden adlandır'),
+                createButton('delete', view.id, 'fas fa-trash', 'Sil')
+            );
+            item.appendChild(actions);
+            list.appendChild(item);
+        });
+
+        if (pinnedContainer) {
+            pinnedContainer.innerHTML = '';
+            views.filter(view => view.pinned).forEach(view => {
+                const chip = document.createElement('button');
+                chip.type = 'button';
+                chip.className = 'pinned-view-chip';
+                chip.classList.toggle('active', this.isSameParams(view.params, currentParams));
+                chip.dataset.viewAction = 'apply';
+                chip.dataset.viewId = view.id;
+                chip.innerHTML = '<i class="fas fa-thumbtack"></i> ';
+                chip.appendChild(document.createTextNode(view.name));
+                pinnedContainer.appendChild(chip);
+            });
+            pinnedContainer.classList.toggle('hidden', pinnedContainer.children.length === 0);
+        }
+    }
 }
 
 // Export globally only if not already defined
@@ -371,7 +371,7 @@ function toggleMobileMenu() {
 // These are just placeholders for backwards compatibility
 
 function deleteProduct(productId, productName) {
-    if (confirm(`"${productName}" ürünü kalıcı olarak silmek istediğinizden emin misiniz? Bu işlem geri alınamaz!`)) {
+    if (confirm(`"${productName}" ürününü çöp kutusuna taşımak istediğinizden emin misiniz? Çöp kutusundan geri yükleyebilirsiniz.`)) {
         // Show loading indicator
         if (window.showProgress) {
             window.showProgress('Ürün Siliniyor', `"${productName}" siliniyor...`);
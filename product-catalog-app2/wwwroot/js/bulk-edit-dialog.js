@@ -0,0 +1,427 @@
+/**
+ * BULK EDIT DIALOG
+ * Toplu alan düzenleme - seçili ürünlerde marka, kategori, malzeme, renk, garanti, desi ve özel özellikleri
+ * değiştir / temizle / bul-değiştir / artır. Önce sunucudan önce/sonra önizlemesi alınır, uygulandıktan sonra
+ * ürün bazında sonuç raporu gösterilir. BulkOperationsManager "bulk-edit" eylemiyle açar.
+ */
+
+class BulkEditDialog {
+    constructor() {
+        this.isInitialized = false;
+        this.endpoint = '/Product/BulkEdit';
+        this.maxItems = 500;
+
+        this.fields = [
+            { key: 'Brand', label: 'Marka', type: 'text', source: 'brandFilter' },
+            { key: 'Category', label: 'Kategori', type: 'text', source: 'categoryFilter' },
+            { key: 'Material', label: 'Malzeme', type: 'text', source: 'materialFilter' },
+            { key: 'Color', label: 'Renk', type: 'text', source: 'colorFilter' },
+            { key: 'Size', label: 'Ölçü', type: 'text' },
+            { key: 'WarrantyMonths', label: 'Garanti (ay)', type: 'number' },
+            { key: 'Desi', label: 'Desi', type: 'number' },
+            { key: 'KlozetKanalYapisi', label: 'Klozet Kanal Yapısı', type: 'text' },
+            { key: 'KlozetTipi', label: 'Klozet Tipi', type: 'text' },
+            { key: 'KlozetKapakCinsi', label: 'Klozet Kapak Cinsi', type: 'text' },
+            { key: 'KlozetMontajTipi', label: 'Klozet Montaj Tipi', type: 'text' },
+            { key: 'LawaboSuTasmaDeligi', label: 'Lavabo Su Taşma Deliği', type: 'text' },
+            { key: 'LawaboArmaturDeligi', label: 'Lavabo Armatür Deliği', type: 'text' },
+            { key: 'LawaboTipi', label: 'Lavabo Tipi', type: 'text' },
+            { key: 'LawaboOzelligi', label: 'Lavabo Özelliği', type: 'text' },
+            { key: 'BataryaCikisUcuUzunlugu', label: 'Batarya Çıkış Ucu Uzunluğu', type: 'text' },
+            { key: 'BataryaYuksekligi', label: 'Batarya Yüksekliği', type: 'text' },
+            { key: 'KabinTipi', label: 'Kabin Tipi', type: 'text' }
+        ];
+
+        this.modes = [
+            { key: 'set', label: 'Değer ata', types: ['text', 'number'] },
+            { key: 'clear', label: 'Temizle', types: ['text', 'number'] },
+            { key: 'replace', label: 'Bul / değiştir', types: ['text'] },
+            { key: 'increment', label: 'Artır / azalt', types: ['number'] }
+        ];
+
+        this.productIds = [];
+        this.previewReady = false;
+        this.reloadOnClose = false;
+        this.isBusy = false;
+        this.elements = {};
+    }
+
+    init() {
+        if (this.isInitialized) return;
+
+        this.elements.overlay = this.createDialog();
+        document.body.appendChild(this.elements.overlay);
+
+        this.isInitialized = true;
+        console.log('✅ BulkEditDialog initialized');
+    }
+
+    open(productIds) {
+        if (!this.isInitialized) return;
+
+        const ids = (productIds || []).map(id => parseInt(id)).filter(id => id > 0);
+        if (!ids.length) {
+            window.showWarning?.('Uyarı', 'Lütfen düzenlemek için en az bir ürün seçin.');
+            return;
+        }
+        if (ids.length > this.maxItems) {
+            window.showWarning?.('Uyarı', `Toplu düzenleme tek seferde en fazla ${this.maxItems} ürün için yapılabilir.`);
+            return;
+        }
+
+        this.productIds = ids;
+        this.elements.title.textContent = `${ids.length} ürünü toplu düzenle`;
+        this.elements.operations.innerHTML = '';
+        this.addOperationRow();
+        this.showStep('edit');
+        this.elements.overlay.classList.add('show');
+        this.elements.operations.querySelector('select')?.focus();
+    }
+
+    close() {
+        if (this.isBusy) return;
+        this.elements.overlay.classList.remove('show');
+
+        if (this.reloadOnClose) {
+            this.reloadOnClose = false;
+            window.location.reload();
+        }
+    }
+
+    createDialog() {
+        const overlay = document.createElement('div');
+        overlay.className = 'bulk-edit-overlay';
+        overlay.innerHTML = `
+            <div class="bulk-edit-dialog" role="dialog" aria-modal="true" aria-labelledby="bulkEditTitle">
+                <div class="bulk-edit-header">
+                    <h3 id="bulkEditTitle"></h3>
+                    <button type="button" class="bulk-edit-close" data-bulk-edit="close" title="Kapat">&times;</button>
+                </div>
+                <div class="bulk-edit-body">
+                    <div class="bulk-edit-operations"></div>
+                    <button type="button" class="bulk-link bulk-edit-add" data-bulk-edit="add">
+                        <i class="fas fa-plus"></i> Alan ekle
+                    </button>
+                    <div class="bulk-edit-summary" hidden></div>
+                    <div class="bulk-edit-results" hidden></div>
+                </div>
+                <div class="bulk-edit-footer">
+                    <button type="button" class="btn btn-outline" data-bulk-edit="back" hidden>
+                        <i class="fas fa-arrow-left"></i> Düzenlemeye dön
+                    </button>
+                    <button type="button" class="btn btn-outline" data-bulk-edit="close">Kapat</button>
+                    <button type="button" class="btn btn-info" data-bulk-edit="preview">
+                        <i class="fas fa-eye"></i> Önizle
+                    </button>
+                    <button type="button" class="btn btn-success" data-bulk-edit="apply" disabled>
+                        <i class="fas fa-check"></i> Uygula
+                    </button>
+                </div>
+            </div>
+            ${this.createDatalists()}
+        `;
+
+        this.elements.title = overlay.querySelector('#bulkEditTitle');
+        this.elements.operations = overlay.querySelector('.bulk-edit-operations');
+        this.elements.addButton = overlay.querySelector('[data-bulk-edit="add"]');
+        this.elements.summary = overlay.querySelector('.bulk-edit-summary');
+        this.elements.results = overlay.querySelector('.bulk-edit-results');
+        this.elements.backButton = overlay.querySelector('[data-bulk-edit="back"]');
+        this.elements.previewButton = overlay.querySelector('[data-bulk-edit="preview"]');
+        this.elements.applyButton = overlay.querySelector('[data-bulk-edit="apply"]');
+
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay) this.close();
+        });
+        overlay.addEventListener('keydown', (e) => {
+            // Page shortcuts (j/k, Ctrl+A...) must not fire while typing here
+            e.stopPropagation();
+            if (e.key === 'Escape') this.close();
+        });
+        overlay.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bulk-edit]');
+            if (!button) return;
+
+            switch (button.dataset.bulkEdit) {
+                case 'close':
+                    this.close();
+                    break;
+                case 'add':
+                    this.addOperationRow();
+                    break;
+                case 'remove':
+                    button.closest('.bulk-edit-operation')?.remove();
+                    this.invalidatePreview();
+                    break;
+                case 'back':
+                    this.showStep('edit');
+                    break;
+                case 'preview':
+                    this.submit(true);
+                    break;
+                case 'apply':
+                    this.submit(false);
+                    break;
+            }
+        });
+        overlay.addEventListener('change', (e) => {
+            const row = e.target.closest('.bulk-edit-operation');
+            if (!row) return;
+            if (e.target.matches('[name="field"], [name="mode"]')) this.updateOperationRow(row);
+            this.invalidatePreview();
+        });
+        overlay.addEventListener('input', (e) => {
+            if (e.target.closest('.bulk-edit-operation')) this.invalidatePreview();
+        });
+
+        return overlay;
+    }
+
+    /**
+     * Öneri listeleri sayfadaki filtre seçeneklerinden doldurulur
+     */
+    createDatalists() {
+        return this.fields.filter(field => field.source).map(field => {
+            const options = Array.from(document.getElementById(field.source)?.options || [])
+                .filter(option => option.value)
+                .map(option => `<option value="${this.escapeHtml(option.value)}"></option>`)
+                .join('');
+            return `<datalist id="bulkEditOptions${field.key}">${options}</datalist>`;
+        }).join('');
+    }
+
+    addOperationRow() {
+        const used = new Set(Array.from(this.elements.operations.querySelectorAll('[name="field"]')).map(select => select.value));
+        const nextField = this.fields.find(field => !used.has(field.key)) || this.fields[0];
+
+        const row = document.createElement('div');
+        row.className = 'bulk-edit-operation';
+        row.innerHTML = `
+            <select name="field" class="filter-select" aria-label="Alan">
+                ${this.fields.map(field => `<option value="${field.key}">${this.escapeHtml(field.label)}</option>`).join('')}
+            </select>
+            <select name="mode" class="filter-select" aria-label="İşlem"></select>
+            <input type="text" name="find" class="filter-input" placeholder="Aranacak metin" autocomplete="off" />
+            <input type="text" name="value" class="filter-input" autocomplete="off" />
+            <button type="button" class="bulk-edit-remove" data-bulk-edit="remove" title="Kaldır">&times;</button>
+        `;
+        row.querySelector('[name="field"]').value = nextField.key;
+
+        this.elements.operations.appendChild(row);
+        this.updateOperationRow(row);
+        this.invalidatePreview();
+    }
+
+    updateOperationRow(row) {
+        const field = this.getField(row.querySelector('[name="field"]').value);
+        const modeSelect = row.querySelector('[name="mode"]');
+        const findInput = row.querySelector('[name="find"]');
+        const valueInput = row.querySelector('[name="value"]');
+
+        // Keep the chosen mode when it still applies to the new field
+        const modes = this.modes.filter(mode => mode.types.includes(field.type));
+        const currentMode = modes.some(mode => mode.key === modeSelect.value) ? modeSelect.value : 'set';
+        modeSelect.innerHTML = modes.map(mode => `<option value="${mode.key}">${mode.label}</option>`).join('');
+        modeSelect.value = currentMode;
+
+        findInput.hidden = currentMode !== 'replace';
+        valueInput.hidden = currentMode === 'clear';
+        valueInput.type = field.type === 'number' ? 'number' : 'text';
+        valueInput.step = field.key === 'WarrantyMonths' ? '1' : 'any';
+        valueInput.placeholder = {
+            set: 'Yeni değer',
+            replace: 'Yerine gelecek metin',
+            increment: 'Miktar (azaltmak için negatif)'
+        }[currentMode] || '';
+
+        if (field.source) {
+            valueInput.setAttribute('list', `bulkEditOptions${field.key}`);
+        } else {
+            valueInput.removeAttribute('list');
+        }
+    }
+
+    getField(key) {
+        return this.fields.find(field => field.key === key) || this.fields[0];
+    }
+
+    getOperations() {
+        return Array.from(this.elements.operations.querySelectorAll('.bulk-edit-operation')).map(row => ({
+            field: row.querySelector('[name="field"]').value,
+            mode: row.querySelector('[name="mode"]').value,
+            find: row.querySelector('[name="find"]').value,
+            value: row.querySelector('[name="value"]').value
+        }));
+    }
+
+    validateOperations(operations) {
+        if (!operations.length) return 'En az bir alan işlemi ekleyin.';
+
+        for (const operation of operations) {
+            const label = this.getField(operation.field).label;
+            if (operation.mode === 'replace' && !operation.find) {
+                return `${label}: aranacak metni girin.`;
+            }
+            if (operation.mode === 'increment' && !operation.value.trim()) {
+                return `${label}: artış miktarını girin.`;
+            }
+        }
+        return null;
+    }
+
+    invalidatePreview() {
+        this.previewReady = false;
+        if (this.elements.applyButton) this.elements.applyButton.disabled = true;
+    }
+
+    showStep(step) {
+        const editing = step === 'edit';
+
+        this.elements.operations.hidden = !editing;
+        this.elements.addButton.hidden = !editing;
+        this.elements.summary.hidden = editing;
+        this.elements.results.hidden = editing;
+        this.elements.backButton.hidden = step !== 'preview';
+        this.elements.previewButton.hidden = step === 'report';
+        this.elements.applyButton.hidden = step === 'report';
+
+        if (editing) this.invalidatePreview();
+    }
+
+    setBusy(busy) {
+        this.isBusy = busy;
+        this.elements.previewButton.disabled = busy;
+        this.elements.applyButton.disabled = busy || !this.previewReady;
+        this.elements.overlay.querySelector('.bulk-edit-dialog').classList.toggle('busy', busy);
+    }
+
+    async submit(previewOnly) {
+        if (this.isBusy) return;
+
+        const operations = this.getOperations();
+        const error = this.validateOperations(operations);
+        if (error) {
+            window.showWarning?.('Uyarı', error);
+            return;
+        }
+
+        this.setBusy(true);
+        try {
+            const response = await fetch(this.endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'RequestVerificationToken': document.querySelector('input[name="__RequestVerificationToken"]')?.value || ''
+                },
+                body: JSON.stringify({ productIds: this.productIds, operations, previewOnly })
+            });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            if (!data.success) {
+                window.showError?.('Hata', data.message || 'Toplu düzenleme yapılamadı.');
+                return;
+            }
+
+            if (previewOnly) {
+                this.renderResults(data, true);
+                this.showStep('preview');
+                this.previewReady = data.changedCount > 0;
+            } else {
+                this.renderResults(data, false);
+                this.showStep('report');
+                this.afterApply(data);
+            }
+        } catch (err) {
+            console.error('❌ Bulk edit error:', err);
+            window.showError?.('Hata', 'Toplu düzenleme sırasında bir hata oluştu.');
+        } finally {
+            this.setBusy(false);
+        }
+    }
+
+    renderResults(data, preview) {
+        const parts = [
+            `<span class="bulk-edit-count changed">${data.changedCount} ürün ${preview ? 'değişecek' : 'güncellendi'}</span>`,
+            `<span class="bulk-edit-count unchanged">${data.unchangedCount} ürün değişmeyecek</span>`
+        ];
+        if (data.failCount) {
+            parts.push(`<span class="bulk-edit-count failed">${data.failCount} ürün ${preview ? 'güncellenemez' : 'hatalı'}</span>`);
+        }
+        this.elements.summary.innerHTML = parts.join('');
+
+        // Failures first, unchanged products last - the interesting rows stay on top
+        const order = (result) => !result.success ? 0 : (result.changes.length ? 1 : 2);
+        const rows = [...data.results].sort((a, b) => order(a) - order(b)).map(result => {
+            const status = !result.success ? 'failed' : (result.changes.length ? 'changed' : 'unchanged');
+            const changes = result.changes.length
+                ? result.changes.map(change => `
+                    <div class="bulk-edit-change">
+                        <span class="bulk-edit-field">${this.escapeHtml(this.getField(change.field).label)}</span>
+                        <del>${this.formatValue(change.before)}</del>
+                        <i class="fas fa-arrow-right"></i>
+                        <ins>${this.formatValue(change.after)}</ins>
+                    </div>`).join('')
+                : `<span class="bulk-edit-message">${this.escapeHtml(result.message || '')}</span>`;
+
+            return `
+                <tr class="${status}">
+                    <td>
+                        <a href="/Product/Details/${result.productId}" target="_blank" rel="noopener">${this.escapeHtml(result.name || `Ürün #${result.productId}`)}</a>
+                    </td>
+                    <td>${changes}</td>
+                </tr>`;
+        }).join('');
+
+        this.elements.results.innerHTML = `
+            <table class="bulk-edit-table">
+                <thead><tr><th>Ürün</th><th>${preview ? 'Önce → Sonra' : 'Sonuç'}</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>
+        `;
+    }
+
+    formatValue(value) {
+        return value ? this.escapeHtml(value) : '<em>(boş)</em>';
+    }
+
+    afterApply(data) {
+        if (data.changedCount > 0) {
+            window.showSuccess?.('Başarılı', `${data.changedCount} ürün güncellendi.`);
+        }
+        if (data.failCount > 0) {
+            window.showWarning?.('Uyarı', `${data.failCount} ürün güncellenemedi, ayrıntılar raporda.`);
+        }
+        if (!data.changedCount) return;
+
+        // Refresh the grid in place when the JSON grid is active, otherwise reload once the report is closed
+        const manager = window.productIndexManager;
+        if (manager?.state?.jsonGridEnabled) {
+            manager.refreshGrid();
+        } else {
+            this.reloadOnClose = true;
+        }
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value ?? '';
+        return div.innerHTML;
+    }
+}
+
+// Export globally only if not already defined
+if (!window.BulkEditDialog) {
+    window.BulkEditDialog = BulkEditDialog;
+}
+
+if (!window.bulkEditDialog) {
+    window.bulkEditDialog = new BulkEditDialog();
+}
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => window.bulkEditDialog.init());
+} else {
+    window.bulkEditDialog.init();
+}
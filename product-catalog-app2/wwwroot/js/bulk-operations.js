@@ -1,11 +1,24 @@
 /**
  * BULK OPERATIONS MODULE - Clean Architecture
  * Handles bulk selection and operations for products
+ * Selection survives pagination, filter changes and reloads (sessionStorage, per page scope)
+ * Archive / unarchive / delete can be undone from the success toast for a short time (delete only moves to the trash)
+ * Large selections are sent in batches with live progress, pause/cancel and retry of failed batches
  */
 
 class BulkOperationsManager {
     constructor() {
         this.selectedItems = new Set();
+        this.selectedDetails = new Map(); // id -> { name, sku } for the selection tray
+        this.storageKey = 'productBulkSelection';
+        this.scope = 'index'; // 'index' | 'archive' - separate selections per page
+        this.matchingEndpoint = '/Product/MatchingProducts';
+        this.trayLimit = 200; // Rows rendered in the selection tray
+        this.undoStorageKey = 'productBulkUndo';
+        this.undoDuration = 15000; // How long the "Geri Al" toast stays up (ms)
+        this.batchSize = 100; // Ids per BulkOperation request - the server accepts at most 500
+        this.compareEndpoint = '/Product/Compare';
+        this.compareLimits = { min: 2, max: 4 }; // Same as ProductComparisonService
         this.isInitialized = false;
         console.log('🏗️ BulkOperationsManager constructor called');
     }
@@ -17,7 +30,12 @@ class BulkOperationsManager {
         }
         
         console.log('🚀 Initializing BulkOperationsManager...');
+        this.scope = document.getElementById('bulkActionsPanel')?.dataset.selectionScope || 'index';
+        this.loadSelection();
         this.setupEventListeners();
+        this.syncCheckboxes();
+        this.updateBulkActionsVisibility();
+        this.showPendingUndo();
         this.isInitialized = true;
         console.log('✅ BulkOperationsManager initialized successfully');
     }
@@ -44,7 +62,8 @@ class BulkOperationsManager {
             const action = actionElement.dataset.action;
             
             // Only handle bulk operation actions
-            if (['export-excel', 'bulk-archive', 'bulk-unarchive', 'bulk-delete', 'clear-selection'].includes(action)) {
+            if (['export-excel', 'bulk-archive', 'bulk-unarchive', 'bulk-delete', 'bulk-edit', 'bulk-move-category', 'clear-selection',
+                 'compare-selected', 'select-all-matching', 'toggle-selection-tray', 'remove-selected'].includes(action)) {
                 console.log('🎯 Bulk action triggered:', action);
                 e.preventDefault();
                 e.stopPropagation();
@@ -62,9 +81,27 @@ class BulkOperationsManager {
                     case 'bulk-delete':
                         this.performBulkAction('delete');
                         break;
+                    case 'bulk-edit':
+                        window.bulkEditDialog?.open(this.getSelectedItems());
+                        break;
+                    case 'bulk-move-category':
+                        window.productCategoryDropManager?.openPicker();
+                        break;
+                    case 'compare-selected':
+                        this.compareSelected();
+                        break;
                     case 'clear-selection':
                         this.clearSelection();
                         break;
+                    case 'select-all-matching':
+                        this.selectAllMatching();
+                        break;
+                    case 'toggle-selection-tray':
+                        this.toggleSelectionTray();
+                        break;
+                    case 'remove-selected':
+                        this.removeFromSelection(actionElement.dataset.productId);
+                        break;
                 }
             }
         });
@@ -79,26 +116,204 @@ class BulkOperationsManager {
         
         checkboxes.forEach(checkbox => {
             checkbox.checked = checked;
-            this.updateItemSelection(checkbox.value, checked);
+            this.updateItemSelection(checkbox.value, checked, this.getCheckboxDetails(checkbox));
         });
+        this.persistSelection();
         this.updateBulkActionsVisibility();
     }
 
     handleItemSelection(checkbox) {
-        this.updateItemSelection(checkbox.value, checkbox.checked);
+        this.updateItemSelection(checkbox.value, checkbox.checked, this.getCheckboxDetails(checkbox));
+        this.persistSelection();
         this.updateSelectAllState();
         this.updateBulkActionsVisibility();
     }
 
-    updateItemSelection(itemId, selected) {
+    updateItemSelection(itemId, selected, details = null) {
         if (selected) {
             this.selectedItems.add(itemId);
+            if (details) this.selectedDetails.set(itemId, details);
         } else {
             this.selectedItems.delete(itemId);
+            this.selectedDetails.delete(itemId);
         }
         console.log(`📊 Selected items count: ${this.selectedItems.size}`);
     }
 
+    getCheckboxDetails(checkbox) {
+        const row = checkbox.closest('tr');
+        return {
+            name: checkbox.dataset.productName || '',
+            sku: row?.querySelector('.product-sku-cell')?.textContent.trim() || ''
+        };
+    }
+
+    // ===== Kalıcı seçim (sessionStorage) =====
+
+    getStorageKey() {
+        return `${this.storageKey}:${this.scope}`;
+    }
+
+    loadSelection() {
+        try {
+            const stored = JSON.parse(sessionStorage.getItem(this.getStorageKey()) || 'null');
+            if (!stored || !Array.isArray(stored.items)) return;
+
+            stored.items.forEach(([id, details]) => {
+                this.selectedItems.add(String(id));
+                if (details) this.selectedDetails.set(String(id), details);
+            });
+            console.log(`📦 Restored ${this.selectedItems.size} selected items`);
+        } catch (error) {
+            console.warn('⚠️ Stored selection could not be read:', error);
+        }
+    }
+
+    persistSelection() {
+        try {
+            const items = Array.from(this.selectedItems).map(id => [id, this.selectedDetails.get(id) || null]);
+            sessionStorage.setItem(this.getStorageKey(), JSON.stringify({ items }));
+        } catch (error) {
+            console.warn('⚠️ Selection could not be saved:', error);
+        }
+    }
+
+    /**
+     * Check the visible checkboxes of selected products (server-rendered rows, restored selection)
+     */
+    syncCheckboxes() {
+        document.querySelectorAll('.product-checkbox').forEach(checkbox => {
+            checkbox.checked = this.selectedItems.has(checkbox.value);
+            if (checkbox.checked && !this.selectedDetails.has(checkbox.value)) {
+                this.selectedDetails.set(checkbox.value, this.getCheckboxDetails(checkbox));
+            }
+        });
+        this.updateSelectAllState();
+    }
+
+    removeFromSelection(itemId) {
+        if (!itemId) return;
+
+        this.updateItemSelection(itemId, false);
+        const checkbox = document.querySelector(`.product-checkbox[value="${CSS.escape(itemId)}"]`);
+        if (checkbox) checkbox.checked = false;
+
+        this.persistSelection();
+        this.updateSelectAllState();
+        this.updateBulkActionsVisibility();
+    }
+
+    /**
+     * Total products matching the current filter - the JSON grid keeps it up to date, otherwise the server-rendered value
+     */
+    getMatchingTotal() {
+        const manager = window.productIndexManager;
+        if (manager?.state?.jsonGridEnabled) {
+            return manager.state.totalCount || 0;
+        }
+        return parseInt(document.getElementById('bulkActionsPanel')?.dataset.totalCount || '0', 10);
+    }
+
+    getMatchingQuery() {
+        const manager = window.productIndexManager;
+        const params = manager?.state?.jsonGridEnabled
+            ? manager.collectSearchParameters()
+            : Object.fromEntries(new URLSearchParams(window.location.search));
+
+        if (this.scope === 'archive') {
+            params.status = 'archived';
+        }
+
+        const query = new URLSearchParams();
+        Object.entries(params).forEach(([key, value]) => {
+            if (value !== '' && value !== null && value !== undefined && !['page', 'pageSize', 'sortBy', 'sortDirection'].includes(key)) {
+                query.append(key, value);
+            }
+        });
+        return query.toString();
+    }
+
+    /**
+     * "Select all N matching this filter" - IDs are resolved on the server, not just the visible page
+     */
+    async selectAllMatching() {
+        const button = document.querySelector('[data-action="select-all-matching"]');
+        if (button) {
+            button.disabled = true;
+            button.textContent = 'Eşleşen ürünler alınıyor...';
+        }
+
+        try {
+            const response = await fetch(`${this.matchingEndpoint}?${this.getMatchingQuery()}`);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const result = await response.json();
+            if (!result.success) throw new Error(result.message || 'Eşleşen ürünler alınamadı');
+
+            result.items.forEach(item => {
+                this.updateItemSelection(String(item.id), true, { name: item.name, sku: item.sku });
+            });
+            this.persistSelection();
+            this.syncCheckboxes();
+
+            if (result.truncated && typeof window.showWarning === 'function') {
+                window.showWarning('Seçim Sınırı', `Filtreye uyan ${result.totalCount} üründen ilk ${result.items.length} tanesi seçildi.`);
+            } else if (typeof window.showSuccess === 'function') {
+                window.showSuccess('Seçildi', `Filtreye uyan ${result.items.length} ürün seçildi.`);
+            }
+        } catch (error) {
+            console.error('Select all matching error:', error);
+            if (typeof window.showError === 'function') {
+                window.showError('Hata', 'Eşleşen ürünler seçilemedi.');
+            }
+        } finally {
+            if (button) button.disabled = false;
+            this.updateBulkActionsVisibility();
+        }
+    }
+
+    toggleSelectionTray(forceOpen) {
+        const tray = document.getElementById('selectionTray');
+        if (!tray) return;
+
+        const open = forceOpen ?? tray.hidden;
+        tray.hidden = !open;
+        this.renderSelectionTray();
+    }
+
+    renderSelectionTray() {
+        const tray = document.getElementById('selectionTray');
+        const toggle = document.querySelector('[data-action="toggle-selection-tray"]');
+        if (toggle) {
+            toggle.innerHTML = `<i class="fas fa-list"></i> ${tray && !tray.hidden ? 'Seçilenleri gizle' : 'Seçilenleri göster'}`;
+        }
+        if (!tray || tray.hidden) return;
+
+        const list = tray.querySelector('.selection-tray-list');
+        const footer = tray.querySelector('.selection-tray-footer');
+        const ids = Array.from(this.selectedItems);
+        const escape = (value) => {
+            const div = document.createElement('div');
+            div.textContent = value ?? '';
+            return div.innerHTML;
+        };
+
+        list.innerHTML = ids.slice(0, this.trayLimit).map(id => {
+            const details = this.selectedDetails.get(id);
+            return `
+                <li>
+                    <a class="selection-tray-name" href="/Product/Details/${encodeURIComponent(id)}" target="_blank" rel="noopener">${escape(details?.name || `Ürün #${id}`)}</a>
+                    ${details?.sku ? `<code>${escape(details.sku)}</code>` : ''}
+                    <button type="button" class="selection-tray-remove" data-action="remove-selected" data-product-id="${escape(id)}" title="Seçimden çıkar">&times;</button>
+                </li>
+            `;
+        }).join('');
+
+        footer.textContent = ids.length > this.trayLimit
+            ? `İlk ${this.trayLimit} ürün gösteriliyor, toplam ${ids.length} ürün seçili.`
+            : '';
+    }
+
     updateSelectAllState() {
         const selectAllCheckbox = document.getElementById('selectAll');
         const checkboxes = document.querySelectorAll('.product-checkbox');
@@ -119,10 +334,35 @@ class BulkOperationsManager {
         if (bulkActionsPanel) {
             if (selectedCount > 0) {
                 bulkActionsPanel.style.display = 'block';
+                const checkboxes = document.querySelectorAll('.product-checkbox');
+                const visibleSelected = Array.from(checkboxes).filter(cb => cb.checked).length;
                 const countElement = bulkActionsPanel.querySelector('.selected-count');
                 if (countElement) {
-                    countElement.textContent = `${selectedCount} ürün seçildi`;
+                    countElement.textContent = visibleSelected < selectedCount
+                        ? `${selectedCount} ürün seçildi (${visibleSelected} tanesi bu sayfada)`
+                        : `${selectedCount} ürün seçildi`;
+                }
+
+                // Whole page selected but the filter matches more - offer to select all of them
+                const selectAllMatching = bulkActionsPanel.querySelector('[data-action="select-all-matching"]');
+                if (selectAllMatching && !selectAllMatching.disabled) {
+                    const total = this.getMatchingTotal();
+                    const pageFullySelected = checkboxes.length > 0 && visibleSelected === checkboxes.length;
+                    selectAllMatching.hidden = !(pageFullySelected && total > checkboxes.length && selectedCount < total);
+                    selectAllMatching.textContent = `Bu filtreye uyan ${total} ürünün tümünü seç`;
                 }
+
+                // Comparison only makes sense for a handful of products
+                const compareButton = bulkActionsPanel.querySelector('[data-action="compare-selected"]');
+                if (compareButton) {
+                    const { min, max } = this.compareLimits;
+                    compareButton.disabled = selectedCount < min || selectedCount > max;
+                    compareButton.title = compareButton.disabled
+                        ? `Karşılaştırmak için ${min}-${max} ürün seçin`
+                        : 'Seçilen ürünleri yan yana karşılaştır';
+                }
+
+                this.renderSelectionTray();
                 console.log('✅ Bulk actions panel shown');
             } else {
                 bulkActionsPanel.style.display = 'none';
@@ -133,6 +373,17 @@ class BulkOperationsManager {
         }
     }
 
+    compareSelected() {
+        const { min, max } = this.compareLimits;
+        const selectedIds = this.getSelectedItems();
+        if (selectedIds.length < min || selectedIds.length > max) {
+            window.showWarning?.('Uyarı', `Karşılaştırmak için ${min}-${max} ürün seçiniz.`);
+            return;
+        }
+
+        window.location.href = `${this.compareEndpoint}?ids=${selectedIds.join(',')}`;
+    }
+
     async performBulkAction(action) {
         if (this.selectedItems.size === 0) {
             if (typeof window.showWarning === 'function') {
@@ -150,58 +401,236 @@ class BulkOperationsManager {
         const confirmed = await this.showConfirmationDialog(action, selectedIds.length);
         if (!confirmed) return;
 
+        const label = this.getOperationLabel(action);
         try {
-            if (typeof window.showInfo === 'function') {
-                window.showInfo('İşlem', `${selectedIds.length} ürün işleniyor...`);
-            }
-            
-            const response = await fetch('/Product/BulkOperation', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'RequestVerificationToken': document.querySelector('input[name="__RequestVerificationToken"]').value
-                },
-                body: JSON.stringify({
-                    action: action,
-                    productIds: selectedIds
-                })
-            });
-
-            if (response.ok) {
-                const result = await response.json();
-                if (result.success) {
-                    if (typeof window.showSuccess === 'function') {
-                        window.showSuccess('Başarılı', `${selectedIds.length} ürün başarıyla ${this.getActionText(action)}.`);
-                    }
-                    this.selectedItems.clear();
-                    location.reload(); // Refresh page to show changes
-                } else {
-                    if (typeof window.showError === 'function') {
-                        window.showError('Hata', result.message || 'İşlem başarısız oldu.');
-                    }
-                }
-            } else {
-                throw new Error('Server error');
-            }
+            const outcome = await this.runBulkOperation(action, selectedIds, label);
+            this.finishBulkOperation(action, outcome, label);
         } catch (error) {
             console.error('Bulk operation error:', error);
             if (typeof window.showError === 'function') {
-                window.showError('Hata', 'İşlem sırasında bir hata oluştu.');
+                window.showError('Hata', error.message || 'İşlem sırasında bir hata oluştu.');
+            }
+        }
+    }
+
+    // ===== Parçalı (batch) işlemler =====
+
+    getOperationLabel(action) {
+        const labels = {
+            'archive': 'Toplu Arşivleme',
+            'unarchive': 'Toplu Arşivden Çıkarma',
+            'delete': 'Toplu Silme',
+            'restore': 'Geri Alma'
+        };
+        return labels[action] || 'Toplu İşlem';
+    }
+
+    getProductLabel(id) {
+        return this.selectedDetails.get(String(id))?.name || `Ürün #${id}`;
+    }
+
+    /**
+     * Products the server skipped inside a successful request (already archived, missing...)
+     */
+    getProductFailures(action, batch, processedIds) {
+        if (!Array.isArray(processedIds)) return [];
+
+        const reasons = {
+            'archive': 'Bulunamadı veya zaten arşivde',
+            'unarchive': 'Bulunamadı veya arşivde değil',
+            'delete': 'Bulunamadı veya zaten silinmiş',
+            'restore': 'Çöp kutusunda bulunamadı'
+        };
+        const processed = new Set(processedIds);
+        return batch
+            .filter(id => !processed.has(id))
+            .map(id => ({ id, name: this.getProductLabel(id), message: reasons[action] || 'İşlenemedi' }));
+    }
+
+    /**
+     * Up to batchSize products go in one request as before; larger selections are split into batches.
+     * Result: { batched, total, processedIds, failures, failedBatches, cancelled }
+     */
+    async runBulkOperation(action, productIds, label) {
+        const ids = productIds.map(id => parseInt(id));
+
+        if (ids.length <= this.batchSize) {
+            window.showInfo?.('İşlem', `${ids.length} ürün işleniyor...`);
+
+            const result = await this.sendBulkOperation(action, ids);
+            if (!result.success) {
+                throw new Error(result.message || 'İşlem başarısız oldu.');
             }
+            return {
+                batched: false,
+                total: ids.length,
+                processedIds: result.processedIds || [],
+                failures: this.getProductFailures(action, ids, result.processedIds),
+                failedBatches: [],
+                cancelled: false
+            };
+        }
+
+        const batches = [];
+        for (let i = 0; i < ids.length; i += this.batchSize) {
+            batches.push(ids.slice(i, i + this.batchSize));
         }
+        return this.runBatches(action, batches, label);
+    }
+
+    async runBatches(action, batches, label) {
+        const total = batches.reduce((sum, batch) => sum + batch.length, 0);
+        const control = { paused: false, cancelled: false, resume: null };
+        const outcome = { batched: true, total, processedIds: [], failures: [], failedBatches: [], cancelled: false };
+
+        window.notificationSystem?.showBulkProgress(label, total, {
+            onPause: () => { control.paused = true; },
+            onResume: () => {
+                control.paused = false;
+                control.resume?.();
+            },
+            onCancel: () => {
+                control.cancelled = true;
+                control.paused = false;
+                control.resume?.();
+            }
+        });
+
+        let done = 0;
+        for (const batch of batches) {
+            // Pause/cancel take effect between batches - a request already sent is not interrupted
+            if (control.paused) {
+                await new Promise(resolve => { control.resume = resolve; });
+                control.resume = null;
+            }
+            if (control.cancelled) break;
+
+            try {
+                const result = await this.sendBulkOperation(action, batch);
+                if (!result.success) {
+                    throw new Error(result.message || 'İşlem başarısız oldu');
+                }
+                outcome.processedIds.push(...(result.processedIds || []));
+                outcome.failures.push(...this.getProductFailures(action, batch, result.processedIds));
+            } catch (error) {
+                console.error(`❌ Bulk ${action} batch failed:`, error);
+                outcome.failedBatches.push(batch);
+                outcome.failures.push(...batch.map(id => ({ id, name: this.getProductLabel(id), message: `İstek başarısız: ${error.message}` })));
+            }
+
+            done += batch.length;
+            window.notificationSystem?.updateBulkProgress(done, total, label);
+        }
+
+        outcome.cancelled = control.cancelled;
+        console.log(`📦 Bulk ${action}: ${outcome.processedIds.length}/${total} processed, ${outcome.failedBatches.length} batches failed`);
+        return outcome;
+    }
+
+    async retryBulkOperation(action, previous, label) {
+        const retriedIds = new Set(previous.failedBatches.flat());
+        const outcome = await this.runBatches(action, previous.failedBatches, label);
+
+        this.finishBulkOperation(action, {
+            batched: true,
+            total: previous.total,
+            processedIds: [...previous.processedIds, ...outcome.processedIds],
+            failures: [...previous.failures.filter(f => !retriedIds.has(f.id)), ...outcome.failures],
+            failedBatches: outcome.failedBatches,
+            cancelled: outcome.cancelled
+        }, label);
+    }
+
+    /**
+     * Summarise the outcome and refresh the list. The JSON grid refreshes in place so the summary stays visible;
+     * the archive page reloads and the undo offer is shown after the reload
+     */
+    finishBulkOperation(action, outcome, label) {
+        const processedCount = outcome.processedIds.length;
+        const clean = !outcome.failures.length && !outcome.cancelled;
+        const message = `${processedCount} ürün başarıyla ${this.getActionText(action)}.`
+            + (outcome.failures.length ? ` ${outcome.failures.length} ürün işlenemedi.` : '');
+
+        // Failed products stay selected so they can be tried again
+        this.deselectItems(outcome.processedIds);
+
+        const indexManager = window.productIndexManager;
+        const refreshInPlace = !!indexManager?.state?.jsonGridEnabled;
+
+        // A batched run with problems keeps its summary (and retry) on screen instead of reloading
+        if (!refreshInPlace && (clean || (!outcome.batched && processedCount))) {
+            this.rememberUndo(action, outcome.processedIds, message);
+            location.reload();
+            return;
+        }
+
+        if (outcome.batched) {
+            const undoAction = this.getUndoAction(action);
+            window.notificationSystem?.completeBulkOperation(processedCount, outcome.total, label, {
+                failures: outcome.failures,
+                cancelled: outcome.cancelled,
+                duration: this.undoDuration,
+                retry: outcome.failedBatches.length ? () => this.retryBulkOperation(action, outcome, label) : null,
+                undo: undoAction && processedCount ? () => this.undoBulkAction(undoAction, outcome.processedIds) : null
+            });
+        } else if (processedCount) {
+            this.offerUndo(action, outcome.processedIds, message);
+        } else {
+            window.showWarning?.('Uyarı', message);
+        }
+
+        if (refreshInPlace && processedCount) {
+            indexManager.refreshGrid();
+        }
+    }
+
+    /**
+     * Drop processed products from the selection in one go
+     */
+    deselectItems(itemIds) {
+        itemIds.forEach(id => {
+            this.selectedItems.delete(String(id));
+            this.selectedDetails.delete(String(id));
+        });
+        this.persistSelection();
+        this.syncCheckboxes();
+        this.updateBulkActionsVisibility();
+    }
+
+    async sendBulkOperation(action, productIds) {
+        const response = await fetch('/Product/BulkOperation', {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'RequestVerificationToken': document.querySelector('input[name="__RequestVerificationToken"]')?.value || ''
+            },
+            body: JSON.stringify({
+                action: action,
+                productIds: productIds.map(id => parseInt(id))
+            })
+        });
+
+        if (!response.ok) {
+            throw new Error('Server error');
+        }
+        return response.json();
     }
 
     showConfirmationDialog(action, count) {
         return new Promise((resolve) => {
-            const actionText = this.getActionText(action);
-            const message = `${count} ürünü ${actionText} istediğinizden emin misiniz?`;
+            const verbs = {
+                'delete': 'çöp kutusuna taşımak',
+                'archive': 'arşivlemek',
+                'unarchive': 'arşivden çıkarmak'
+            };
+            const message = `${count} ürünü ${verbs[action] || 'işlemek'} istediğinizden emin misiniz?`;
             resolve(confirm(message));
         });
     }
 
     getActionText(action) {
         const actionTexts = {
-            'delete': 'silindi',
+            'delete': 'çöp kutusuna taşındı',
             'archive': 'arşivlendi',
             'unarchive': 'arşivden çıkarıldı'
         };
@@ -211,6 +640,8 @@ class BulkOperationsManager {
     clearSelection() {
         console.log('🧹 Clearing selection...');
         this.selectedItems.clear();
+        this.selectedDetails.clear();
+        this.persistSelection();
         document.querySelectorAll('.product-checkbox').forEach(cb => cb.checked = false);
         const selectAllCheckbox = document.getElementById('selectAll');
         if (selectAllCheckbox) {
@@ -220,6 +651,105 @@ class BulkOperationsManager {
         this.updateBulkActionsVisibility();
     }
 
+    // ===== Geri alma (undo) =====
+
+    getUndoAction(action) {
+        const undoActions = {
+            'archive': 'unarchive',
+            'unarchive': 'archive',
+            'delete': 'restore'
+        };
+        return undoActions[action] || null;
+    }
+
+    /**
+     * Bulk actions reload the page, so the undo offer is parked in sessionStorage
+     * and shown again after the reload with the time that is left
+     */
+    rememberUndo(action, productIds, message) {
+        if (!this.getUndoAction(action) || !productIds?.length) {
+            window.showSuccess?.('Başarılı', message);
+            return;
+        }
+
+        try {
+            sessionStorage.setItem(this.undoStorageKey, JSON.stringify({
+                action,
+                productIds,
+                message,
+                expiresAt: Date.now() + this.undoDuration
+            }));
+        } catch (error) {
+            console.warn('⚠️ Undo could not be stored:', error);
+            window.showSuccess?.('Başarılı', message);
+        }
+    }
+
+    showPendingUndo() {
+        let entry = null;
+        try {
+            entry = JSON.parse(sessionStorage.getItem(this.undoStorageKey) || 'null');
+            sessionStorage.removeItem(this.undoStorageKey);
+        } catch (error) {
+            console.warn('⚠️ Stored undo could not be read:', error);
+        }
+        if (!entry) return;
+
+        const remaining = entry.expiresAt - Date.now();
+        if (remaining < 1000) {
+            window.showSuccess?.('Başarılı', entry.message);
+            return;
+        }
+        this.offerUndo(entry.action, entry.productIds, entry.message, remaining);
+    }
+
+    /**
+     * Success toast with a "Geri Al" button - the undo is simply the reverse bulk action on the processed ids
+     */
+    offerUndo(action, productIds, message, duration = this.undoDuration) {
+        const undoAction = this.getUndoAction(action);
+        if (!window.notificationSystem || !undoAction || !productIds?.length) {
+            window.showSuccess?.('Başarılı', message);
+            return;
+        }
+
+        window.notificationSystem.show({
+            type: 'success',
+            title: 'Başarılı',
+            message,
+            duration,
+            action: { text: 'Geri Al', callback: () => this.undoBulkAction(undoAction, productIds) }
+        });
+    }
+
+    async undoBulkAction(undoAction, productIds) {
+        console.log(`↩️ Undoing bulk action with ${undoAction} on ${productIds.length} items`);
+
+        try {
+            const label = this.getOperationLabel('restore');
+            const outcome = await this.runBulkOperation(undoAction, productIds, label);
+
+            if (outcome.batched) {
+                window.notificationSystem?.completeBulkOperation(outcome.processedIds.length, outcome.total, label, {
+                    failures: outcome.failures,
+                    cancelled: outcome.cancelled
+                });
+            } else {
+                window.showSuccess?.('Geri Alındı', `${outcome.processedIds.length} ürün eski durumuna döndü.`);
+            }
+
+            const indexManager = window.productIndexManager;
+            if (indexManager?.state?.jsonGridEnabled) {
+                indexManager.refreshGrid();
+            } else {
+                setTimeout(() => location.reload(), 1000);
+            }
+        } catch (error) {
+            console.error('Undo error:', error);
+            window.showError?.('Hata', 'İşlem geri alınamadı. Silinen ürünler çöp kutusundan geri yüklenebilir.');
+        }
+    }
+
     // Individual product archive/unarchive methods (Professional approach)
     async archiveProduct(productId, productName) {
         return this.performSingleProductAction('archive', productId, productName);
@@ -238,7 +768,7 @@ class BulkOperationsManager {
         const actionTexts = {
             'archive': { verb: 'arşivle', past: 'arşivlendi' },
             'unarchive': { verb: 'arşivden çıkar', past: 'arşivden çıkarıldı' },
-            'delete': { verb: 'sil', past: 'silindi' }
+            'delete': { verb: 'sil', past: 'çöp kutusuna taşındı' }
         };
 
         const actionText = actionTexts[action];
@@ -256,39 +786,20 @@ class BulkOperationsManager {
                 window.showInfo('İşlem', `${productName} ${actionText.verb}ılıyor...`);
             }
 
-            const response = await fetch('/Product/BulkOperation', {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json',
-                    'RequestVerificationToken': document.querySelector('input[name="__RequestVerificationToken"]')?.value || ''
-                },
-                body: JSON.stringify({
-                    action: action,
-                    productIds: [parseInt(productId)]
-                })
-            });
+            const result = await this.sendBulkOperation(action, [productId]);
+            if (result.success) {
+                this.rememberUndo(action, result.processedIds, `${productName} başarıyla ${actionText.past}.`);
+                this.removeFromSelection(String(productId));
 
-            if (response.ok) {
-                const result = await response.json();
-                if (result.success) {
-                    if (typeof window.showSuccess === 'function') {
-                        window.showSuccess('Başarılı', `${productName} başarıyla ${actionText.past}.`);
-                    }
-                    
-                    // Refresh page to show changes
-                    setTimeout(() => {
-                        location.reload();
-                    }, 1000);
-                    
-                    return true;
-                } else {
-                    if (typeof window.showError === 'function') {
-                        window.showError('Hata', result.message || 'İşlem başarısız oldu.');
-                    }
-                    return false;
-                }
+                // Refresh page to show changes
+                location.reload();
+
+                return true;
             } else {
-                throw new Error('Server error');
+                if (typeof window.showError === 'function') {
+                    window.showError('Hata', result.message || 'İşlem başarısız oldu.');
+                }
+                return false;
             }
         } catch (error) {
             console.error(`${action} operation error:`, error);
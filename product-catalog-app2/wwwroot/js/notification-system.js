@@ -306,6 +306,67 @@ class NotificationSystem {
                 background: #17a2b8;
             }
 
+            .notification-action {
+                margin-left: 12px;
+                padding: 4px 10px;
+                border: 1px solid currentColor;
+                border-radius: 6px;
+                background: white;
+                font-size: 12px;
+                font-weight: 600;
+                cursor: pointer;
+                white-space: nowrap;
+            }
+
+            /* Bulk Operation Progress */
+            .bulk-progress-track {
+                height: 6px;
+                margin: 6px 0;
+                background: rgba(0, 0, 0, 0.1);
+                border-radius: 3px;
+                overflow: hidden;
+            }
+
+            .bulk-progress-fill {
+                width: 0;
+                height: 100%;
+                background: #17a2b8;
+                transition: width 0.3s ease;
+            }
+
+            .bulk-progress-controls {
+                display: flex;
+                gap: 6px;
+            }
+
+            .bulk-progress-btn {
+                padding: 2px 10px;
+                border: 1px solid #17a2b8;
+                border-radius: 4px;
+                background: white;
+                color: #17a2b8;
+                font-size: 12px;
+                cursor: pointer;
+            }
+
+            .bulk-progress-btn.danger {
+                border-color: #dc3545;
+                color: #dc3545;
+            }
+
+            .bulk-progress-btn:disabled {
+                opacity: 0.5;
+                cursor: default;
+            }
+
+            .bulk-failure-list {
+                margin: 6px 0 0 0;
+                padding-left: 18px;
+                max-height: 140px;
+                overflow-y: auto;
+                font-size: 12px;
+            }
+
             /* Sticky Banner */
             .sticky-banner-container {
                 position: relative;
@@ -708,7 +769,7 @@ class NotificationSystem {
     displayNotification(config) {
         const notification = this.createNotificationElement(config);
         this.container.appendChild(notification);
-        this.notifications.set(config.id, { element: notification, config });
+        this.notifications.set(config.id, { element: notification, config, actionCallback: config.action?.callback });
 
         // Trigger animation
         requestAnimationFrame(() => {
@@ -933,35 +994,118 @@ class NotificationSystem {
     }
 
     // Bulk operations notifications
-    showBulkProgress(operation, total) {
+    /**
+     * controls: { onPause, onResume, onCancel } - pause/cancel buttons are rendered only for the callbacks given
+     */
+    showBulkProgress(operation, total, controls = {}) {
+        const buttons = [
+            controls.onPause ? '<button type="button" class="bulk-progress-btn" data-bulk-control="pause">Duraklat</button>' : '',
+            controls.onCancel ? '<button type="button" class="bulk-progress-btn danger" data-bulk-control="cancel">İptal</button>' : ''
+        ].join('');
+
+        this.bulkControls = controls;
+        this.bindBulkControls();
+
         return this.show({
             type: 'info',
             title: operation,
-            message: `0 / ${total} işlendi`,
+            message: `
+                <span class="bulk-progress-text">0 / ${total} işlendi</span>
+                <div class="bulk-progress-track"><div class="bulk-progress-fill"></div></div>
+                ${buttons ? `<div class="bulk-progress-controls">${buttons}</div>` : ''}
+            `,
             persistent: true,
+            allowClose: !buttons, // Closing would hide a still running operation
             id: 'bulk-operation',
             showProgress: false
         });
     }
 
+    bindBulkControls() {
+        if (this.bulkControlsBound) return;
+
+        this.container.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-bulk-control]');
+            if (!button || !this.bulkControls) return;
+
+            switch (button.dataset.bulkControl) {
+                case 'pause':
+                    this.bulkControls.onPause?.();
+                    button.dataset.bulkControl = 'resume';
+                    button.textContent = 'Devam Et';
+                    break;
+                case 'resume':
+                    this.bulkControls.onResume?.();
+                    button.dataset.bulkControl = 'pause';
+                    button.textContent = 'Duraklat';
+                    break;
+                case 'cancel':
+                    this.bulkControls.onCancel?.();
+                    button.closest('.bulk-progress-controls')?.querySelectorAll('button').forEach(btn => btn.disabled = true);
+                    break;
+            }
+        });
+        this.bulkControlsBound = true;
+    }
+
     updateBulkProgress(processed, total, operation = 'İşlem') {
         const id = 'bulk-operation';
         if (this.notifications.has(id)) {
             const element = this.notifications.get(id).element;
-            const messageEl = element.querySelector('.notification-message');
-            if (messageEl) {
-                messageEl.textContent = `${processed} / ${total} ${operation.toLowerCase()} tamamlandı`;
+            const textEl = element.querySelector('.bulk-progress-text') || element.querySelector('.notification-message');
+            if (textEl) {
+                textEl.textContent = `${processed} / ${total} ${operation.toLowerCase()} tamamlandı`;
+            }
+            const fill = element.querySelector('.bulk-progress-fill');
+            if (fill) {
+                fill.style.width = `${total > 0 ? Math.round(processed / total * 100) : 0}%`;
             }
         }
     }
 
-    completeBulkOperation(processed, total, operation = 'İşlem') {
+    /**
+     * summary: { failures: [{ name, message }], cancelled, retry, undo, duration }
+     * Without failures this is the plain success toast; retry wins over undo for the action button
+     */
+    completeBulkOperation(processed, total, operation = 'İşlem', summary = {}) {
         this.hide('bulk-operation');
-        this.success(
-            `${operation} Tamamlandı`,
-            `${processed} / ${total} öğe başarıyla işlendi`,
-            { duration: 6000 }
-        );
+        this.bulkControls = null;
+
+        const failures = summary.failures || [];
+        const action = summary.retry
+            ? { text: 'Tekrar Dene', callback: summary.retry }
+            : (summary.undo ? { text: 'Geri Al', callback: summary.undo } : null);
+
+        if (!failures.length && !summary.cancelled) {
+            this.success(
+                `${operation} Tamamlandı`,
+                `${processed} / ${total} öğe başarıyla işlendi`,
+                { duration: summary.duration || 6000, action }
+            );
+            return;
+        }
+
+        const escape = (value) => {
+            const div = document.createElement('div');
+            div.textContent = value ?? '';
+            return div.innerHTML;
+        };
+        const shown = failures.slice(0, 10);
+        const failureList = shown.length
+            ? `<ul class="bulk-failure-list">
+                ${shown.map(f => `<li><strong>${escape(f.name)}</strong> - ${escape(f.message)}</li>`).join('')}
+                ${failures.length > shown.length ? `<li>... ve ${failures.length - shown.length} öğe daha</li>` : ''}
+               </ul>`
+            : '';
+
+        this.show({
+            type: 'warning',
+            title: summary.cancelled ? `${operation} İptal Edildi` : `${operation} Tamamlandı`,
+            message: `${processed} / ${total} öğe başarıyla işlendi${failures.length ? `, ${failures.length} öğe işlenemedi` : ''}${failureList}`,
+            persistent: !!summary.retry,
+            duration: summary.duration || 15000,
+            action
+        });
     }
 
     playNotificationSound(type) {
@@ -0,0 +1,349 @@
+/**
+ * PRODUCT CATEGORY DROP MANAGER
+ * Toplu kategori taşıma - seçili ürün satırları (ya da toplu işlem panelindeki "Kategoriye Taşı" tutamacı)
+ * sürüklendiğinde kategori kenar çubuğu açılır; bir kategorinin üzerine bırakınca onay alınır ve
+ * Category + CategoryId birlikte güncellenir. Sonuç bildiriminden "Geri Al" ile önceki kategoriler geri yazılır.
+ * Sürüklemeden de kullanılabilir: butona tıklayınca kenar çubuğu seçim modunda açılır.
+ */
+
+class ProductCategoryDropManager {
+    constructor() {
+        this.isInitialized = false;
+        this.endpoint = '/Product/BulkReassignCategory';
+        this.restoreEndpoint = '/Product/RestoreCategoryAssignments';
+        this.categoriesEndpoint = '/Category/GetCategories';
+        this.maxItems = 500;
+        this.undoDuration = 15000;
+        this.dragType = 'application/x-product-ids';
+
+        this.categories = null;
+        this.dragIds = [];
+        this.isBusy = false;
+        this.elements = {};
+    }
+
+    init() {
+        if (this.isInitialized) return;
+        if (!document.getElementById('bulkActionsPanel')) return;
+
+        this.elements.sidebar = this.createSidebar();
+        document.body.appendChild(this.elements.sidebar);
+        this.setupEventListeners();
+
+        this.isInitialized = true;
+        console.log('✅ ProductCategoryDropManager initialized');
+    }
+
+    createSidebar() {
+        const sidebar = document.createElement('aside');
+        sidebar.className = 'category-drop-sidebar';
+        sidebar.setAttribute('aria-label', 'Kategoriye taşı');
+        sidebar.innerHTML = `
+            <div class="category-drop-header">
+                <div>
+                    <h3>Kategoriye Taşı</h3>
+                    <span class="category-drop-hint"></span>
+                </div>
+                <button type="button" class="category-drop-close" data-category-drop="close" title="Kapat">&times;</button>
+            </div>
+            <input type="search" class="filter-input category-drop-search" placeholder="Kategori ara..." aria-label="Kategori ara">
+            <ul class="category-drop-list"></ul>
+        `;
+
+        this.elements.hint = sidebar.querySelector('.category-drop-hint');
+        this.elements.search = sidebar.querySelector('.category-drop-search');
+        this.elements.list = sidebar.querySelector('.category-drop-list');
+        return sidebar;
+    }
+
+    setupEventListeners() {
+        // Only selected rows are draggable, so text in other rows can still be selected normally
+        document.addEventListener('pointerdown', (e) => {
+            const row = e.target.closest('tr.product-row');
+            if (!row || e.target.closest('input, button, a, select, textarea')) return;
+            row.draggable = !!row.querySelector('.product-checkbox:checked');
+        });
+
+        document.addEventListener('dragstart', (e) => {
+            if (e.target.closest?.('.category-drop-sidebar')) return;
+
+            const handle = e.target.closest?.('[data-action="bulk-move-category"]');
+            const row = handle ? null : e.target.closest?.('tr.product-row');
+            if (!handle && !row?.draggable) return;
+
+            const ids = this.getSelectedIds();
+            if (!ids.length) {
+                e.preventDefault();
+                return;
+            }
+
+            this.dragIds = ids;
+            e.dataTransfer.effectAllowed = 'move';
+            e.dataTransfer.setData(this.dragType, ids.join(','));
+            e.dataTransfer.setData('text/plain', `${ids.length} ürün`);
+            this.setDragImage(e, ids.length);
+            this.open(true);
+        });
+
+        document.addEventListener('dragend', () => {
+            if (!this.dragIds.length) return;
+            this.dragIds = [];
+            this.elements.sidebar.classList.remove('dragging');
+            this.close();
+        });
+
+        const list = this.elements.list;
+        list.addEventListener('dragover', (e) => {
+            const target = e.target.closest('.category-drop-target');
+            if (!target || !this.dragIds.length) return;
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'move';
+            this.highlight(target);
+        });
+        list.addEventListener('dragleave', (e) => {
+            const target = e.target.closest('.category-drop-target');
+            if (target && !target.contains(e.relatedTarget)) target.classList.remove('drag-over');
+        });
+        list.addEventListener('drop', (e) => {
+            const target = e.target.closest('.category-drop-target');
+            if (!target) return;
+            e.preventDefault();
+            target.classList.remove('drag-over');
+
+            const ids = this.dragIds.length
+                ? this.dragIds
+                : (e.dataTransfer.getData(this.dragType) || '').split(',').map(id => parseInt(id)).filter(id => id > 0);
+            this.dragIds = [];
+            this.moveToCategory(ids, this.getCategory(target));
+        });
+
+        this.elements.sidebar.addEventListener('click', (e) => {
+            if (e.target.closest('[data-category-drop="close"]')) {
+                this.close();
+                return;
+            }
+            const target = e.target.closest('.category-drop-target');
+            if (target) this.moveToCategory(this.getSelectedIds(), this.getCategory(target));
+        });
+        this.elements.sidebar.addEventListener('keydown', (e) => {
+            // Page shortcuts (j/k, Ctrl+A...) must not fire while the sidebar has focus
+            e.stopPropagation();
+            if (e.key === 'Escape') this.close();
+        });
+        this.elements.search.addEventListener('input', () => this.renderCategories());
+    }
+
+    /**
+     * Click mode - opened from the bulk actions panel button
+     */
+    openPicker() {
+        const ids = this.getSelectedIds();
+        if (!ids.length) {
+            window.showWarning?.('Uyarı', 'Lütfen taşımak için en az bir ürün seçin.');
+            return;
+        }
+        this.open(false);
+        this.elements.search.focus();
+    }
+
+    async open(dragging) {
+        const count = dragging ? this.dragIds.length : this.getSelectedIds().length;
+        this.elements.hint.textContent = dragging
+            ? `${count} ürünü bir kategorinin üzerine bırakın`
+            : `${count} ürün için kategori seçin`;
+        this.elements.sidebar.classList.toggle('dragging', dragging);
+        this.elements.sidebar.classList.add('show');
+
+        if (!this.categories) {
+            this.elements.list.innerHTML = '<li class="category-drop-empty">Kategoriler yükleniyor...</li>';
+            await this.loadCategories();
+        }
+        this.renderCategories();
+    }
+
+    close() {
+        if (this.isBusy) return;
+        this.elements.sidebar.classList.remove('show', 'dragging');
+        this.elements.search.value = '';
+    }
+
+    async loadCategories() {
+        try {
+            const response = await fetch(this.categoriesEndpoint);
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+            const data = await response.json();
+            if (!Array.isArray(data)) throw new Error(data?.error || 'Geçersiz yanıt');
+            this.categories = data;
+        } catch (error) {
+            console.error('❌ Category list error:', error);
+            this.categories = null;
+        }
+    }
+
+    renderCategories() {
+        if (!this.categories) {
+            this.elements.list.innerHTML = '<li class="category-drop-empty">Kategoriler yüklenemedi.</li>';
+            return;
+        }
+
+        const term = this.elements.search.value.trim().toLocaleLowerCase('tr-TR');
+        const categories = this.categories.filter(category => !term || category.name.toLocaleLowerCase('tr-TR').includes(term));
+        if (!categories.length) {
+            this.elements.list.innerHTML = '<li class="category-drop-empty">Eşleşen kategori yok.</li>';
+            return;
+        }
+
+        this.elements.list.innerHTML = categories.map(category => `
+            <li class="category-drop-target" tabindex="0" data-category-id="${category.id}" data-category-name="${this.escapeHtml(category.name)}">
+                <i class="fas fa-folder"></i>
+                <span>${this.escapeHtml(category.name)}</span>
+            </li>
+        `).join('');
+    }
+
+    highlight(target) {
+        this.elements.list.querySelectorAll('.drag-over').forEach(item => {
+            if (item !== target) item.classList.remove('drag-over');
+        });
+        target.classList.add('drag-over');
+    }
+
+    getCategory(target) {
+        return { id: parseInt(target.dataset.categoryId), name: target.dataset.categoryName };
+    }
+
+    getSelectedIds() {
+        const manager = window.bulkOperationsManager;
+        const ids = manager ? manager.getSelectedItems() : Array.from(document.querySelectorAll('.product-checkbox:checked')).map(cb => cb.value);
+        return ids.map(id => parseInt(id)).filter(id => id > 0);
+    }
+
+    setDragImage(e, count) {
+        const ghost = document.createElement('div');
+        ghost.className = 'category-drag-ghost';
+        ghost.textContent = `📦 ${count} ürün`;
+        document.body.appendChild(ghost);
+        e.dataTransfer.setDragImage(ghost, 16, 16);
+        setTimeout(() => ghost.remove(), 0);
+    }
+
+    async moveToCategory(ids, category) {
+        if (this.isBusy || !ids.length || !category.id) return;
+
+        if (ids.length > this.maxItems) {
+            window.showWarning?.('Uyarı', `Tek seferde en fazla ${this.maxItems} ürün taşınabilir.`);
+            return;
+        }
+        if (!confirm(`${ids.length} ürün "${category.name}" kategorisine taşınsın mı?`)) return;
+
+        this.isBusy = true;
+        this.elements.sidebar.classList.add('busy');
+
+        try {
+            const result = await this.post(this.endpoint, { productIds: ids, categoryId: category.id });
+            this.isBusy = false;
+            this.close();
+
+            window.bulkOperationsManager?.deselectItems(ids);
+            this.refresh(result.processedIds, category.name);
+            this.offerUndo(result, category.name);
+        } catch (error) {
+            console.error('❌ Category reassignment error:', error);
+            window.showError?.('Hata', error.message || 'Kategori taşıma sırasında bir hata oluştu.');
+        } finally {
+            this.isBusy = false;
+            this.elements.sidebar.classList.remove('busy');
+        }
+    }
+
+    offerUndo(result, categoryName) {
+        const message = `${result.successCount} ürün "${this.escapeHtml(categoryName)}" kategorisine taşındı.`
+            + (result.skippedCount ? ` ${result.skippedCount} ürün zaten bu kategorideydi.` : '');
+
+        if (!result.previous?.length || !window.notificationSystem) {
+            window.showSuccess?.('Başarılı', message);
+            return;
+        }
+
+        window.notificationSystem.show({
+            type: 'success',
+            title: 'Kategori Değişti',
+            message,
+            duration: this.undoDuration,
+            action: { text: 'Geri Al', callback: () => this.undo(result.previous) }
+        });
+    }
+
+    async undo(previous) {
+        try {
+            const result = await this.post(this.restoreEndpoint, { assignments: previous });
+            const names = new Map(previous.map(item => [item.productId, item.category]));
+            this.refresh(result.processedIds, id => names.get(id));
+            window.showSuccess?.('Geri Alındı', `${result.successCount} ürün önceki kategorisine döndü.`);
+        } catch (error) {
+            console.error('❌ Category undo error:', error);
+            window.showError?.('Hata', error.message || 'Kategori taşıma geri alınamadı.');
+        }
+    }
+
+    async post(url, body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'RequestVerificationToken': document.querySelector('input[name="__RequestVerificationToken"]')?.value || ''
+            },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+        const result = await response.json();
+        if (!result.success) throw new Error(result.message);
+        return result;
+    }
+
+    /**
+     * JSON grid is re-queried (the category filter may no longer match); server-rendered rows get their badge updated
+     */
+    refresh(productIds, categoryName) {
+        if (!productIds?.length) return;
+
+        const manager = window.productIndexManager;
+        if (manager?.state?.jsonGridEnabled) {
+            manager.refreshGrid();
+            return;
+        }
+
+        productIds.forEach(id => {
+            const cell = document.querySelector(`tr.product-row[data-product-id="${id}"] .product-category-cell`);
+            if (!cell) return;
+            const name = typeof categoryName === 'function' ? categoryName(id) : categoryName;
+            cell.innerHTML = name
+                ? `<span class="category-badge">${this.escapeHtml(name)}</span>`
+                : '<span class="no-category">Kategori yok</span>';
+        });
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value ?? '';
+        return div.innerHTML;
+    }
+}
+
+// Export globally only if not already defined
+if (!window.ProductCategoryDropManager) {
+    window.ProductCategoryDropManager = ProductCategoryDropManager;
+}
+
+if (!window.productCategoryDropManager) {
+    window.productCategoryDropManager = new ProductCategoryDropManager();
+}
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => window.productCategoryDropManager.init());
+} else {
+    window.productCategoryDropManager.init();
+}
@@ -0,0 +1,589 @@
+/**
+ * PRODUCT COLUMN MANAGER
+ * Column chooser for the product index table - show/hide, reorder, resize and sort by column.
+ * Extra columns come from the export metadata (/api/ExportImport/columns); layout is kept per browser.
+ */
+
+class ProductColumnManager {
+    constructor() {
+        this.isInitialized = false;
+        this.storageKey = 'productIndexColumns';
+        this.columnsEndpoint = '/api/ExportImport/columns';
+
+        // Columns the table always renders; everything else comes from the export metadata
+        this.builtInColumns = [
+            { key: 'Image', label: 'Görsel', cellClass: 'product-image-cell', headerClass: 'product-image-col', sortKey: null },
+            { key: 'Name', label: 'Ürün Adı', cellClass: 'product-name-cell', headerClass: 'product-name-col', sortKey: 'name', required: true },
+            { key: 'Category', label: 'Kategori', cellClass: 'product-category-cell', headerClass: 'product-category-col', sortKey: 'category' },
+            { key: 'Brand', label: 'Marka', cellClass: 'product-brand-cell', headerClass: 'product-brand-col', sortKey: 'brand' },
+            { key: 'SKU', label: 'SKU', cellClass: 'product-sku-cell', headerClass: 'product-sku-col', sortKey: 'sku' },
+            { key: 'EanCode', label: 'EAN Kodu', cellClass: 'product-ean-cell', headerClass: 'product-ean-col', sortKey: 'EanCode' },
+            { key: 'UpdatedDate', label: 'Son Güncelleme', cellClass: 'product-updated-cell', headerClass: 'product-updated-col', sortKey: 'updated' },
+            { key: 'IsArchived', label: 'Durum', cellClass: 'product-status-cell', headerClass: 'product-status-col', sortKey: 'IsArchived' }
+        ];
+
+        // Indexed/computed export columns that don't map to a database column
+        this.unsortablePattern = /^(LogoBarcode|ProductImage|MarketplaceImage|Video)\d+$|^(Marketplace)?Description_/;
+
+        this.extraColumns = new Map(); // propertyName -> export column metadata
+        this.categories = [];
+        this.layout = this.getDefaultLayout();
+        this.elements = {};
+        this.dragKey = null;
+    }
+
+    init() {
+        if (this.isInitialized) return;
+
+        this.elements.table = document.getElementById('productTable');
+        if (!this.elements.table || this.elements.table.dataset.jsonGrid !== 'true') return;
+
+        this.elements.headerRow = this.elements.table.tHead?.rows[0];
+        this.elements.toggle = document.getElementById('columnChooserToggle');
+        this.elements.panel = document.getElementById('columnChooserPanel');
+        this.elements.activeList = document.getElementById('columnChooserActive');
+        this.elements.availableList = document.getElementById('columnChooserAvailable');
+        this.elements.sortBySelect = document.getElementById('sortBy');
+        this.elements.sortDirectionSelect = document.getElementById('sortDirection');
+
+        this.layout = this.loadLayout();
+        this.setupEventHandlers();
+        this.applyLayout();
+        this.isInitialized = true;
+
+        this.loadColumnMetadata();
+        console.log('✅ ProductColumnManager initialized');
+    }
+
+    getDefaultLayout() {
+        return {
+            columns: this.builtInColumns.map(column => ({ key: column.key, visible: true })),
+            widths: {}
+        };
+    }
+
+    loadLayout() {
+        try {
+            const stored = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+            if (!stored || !Array.isArray(stored.columns)) return this.getDefaultLayout();
+
+            // Built-in columns missing from an older layout are appended at the end
+            const columns = stored.columns.filter(column => column && typeof column.key === 'string');
+            this.builtInColumns.forEach(builtIn => {
+                if (!columns.some(column => column.key === builtIn.key)) {
+                    columns.push({ key: builtIn.key, visible: true });
+                }
+            });
+
+            return { columns, widths: stored.widths || {} };
+        } catch (error) {
+            console.warn('⚠️ Column layout could not be read, using defaults:', error);
+            return this.getDefaultLayout();
+        }
+    }
+
+    persistLayout() {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.layout));
+    }
+
+    /**
+     * Fetch export column metadata, then refresh rows when the saved layout shows extra columns
+     */
+    async loadColumnMetadata() {
+        try {
+            const response = await fetch(this.columnsEndpoint, { headers: { 'Accept': 'application/json' } });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            const builtInKeys = new Set(this.builtInColumns.map(column => column.key));
+
+            this.categories = (result.categories || []).map(group => ({
+                category: group.category,
+                columns: (group.columns || []).filter(column => !builtInKeys.has(column.propertyName))
+            })).filter(group => group.columns.length > 0);
+
+            this.categories.forEach(group => {
+                group.columns.forEach(column => this.extraColumns.set(column.propertyName, column));
+            });
+        } catch (error) {
+            console.error('❌ Column metadata could not be loaded:', error);
+            return;
+        }
+
+        // Drop columns that no longer exist in the metadata
+        const before = this.layout.columns.length;
+        this.layout.columns = this.layout.columns.filter(column => this.isBuiltIn(column.key) || this.extraColumns.has(column.key));
+        if (this.layout.columns.length !== before) {
+            this.persistLayout();
+        }
+
+        this.applyLayout();
+        this.renderChooser();
+
+        // Server-rendered rows don't carry extra column values
+        if (this.getExtraColumnKeys().length > 0) {
+            window.productIndexManager?.refreshGrid();
+        }
+    }
+
+    setupEventHandlers() {
+        this.elements.toggle?.addEventListener('click', () => {
+            const open = this.elements.panel.classList.contains('hidden');
+            this.elements.panel.classList.toggle('hidden', !open);
+            this.elements.toggle.classList.toggle('active', open);
+        });
+
+        this.elements.panel?.addEventListener('change', (e) => {
+            const checkbox = e.target.closest('input[data-column-key]');
+            if (checkbox) {
+                this.setColumnVisible(checkbox.dataset.columnKey, checkbox.checked);
+            }
+        });
+
+        this.elements.panel?.addEventListener('click', (e) => {
+            if (e.target.closest('[data-column-action="reset"]')) {
+                this.resetLayout();
+            }
+        });
+
+        // Reorder by dragging items of the active list
+        const list = this.elements.activeList;
+        if (list) {
+            list.addEventListener('dragstart', (e) => {
+                const item = e.target.closest('li[data-column-key]');
+                if (!item) return;
+                this.dragKey = item.dataset.columnKey;
+                item.classList.add('dragging');
+                e.dataTransfer.effectAllowed = 'move';
+                e.dataTransfer.setData('text/plain', this.dragKey);
+            });
+
+            list.addEventListener('dragover', (e) => {
+                if (!this.dragKey) return;
+                e.preventDefault();
+                const dragging = list.querySelector('li.dragging');
+                const target = e.target.closest('li[data-column-key]');
+                if (!dragging || !target || target === dragging) return;
+
+                const rect = target.getBoundingClientRect();
+                const after = e.clientY > rect.top + rect.height / 2;
+                list.insertBefore(dragging, after ? target.nextSibling : target);
+            });
+
+            list.addEventListener('dragend', () => {
+                list.querySelector('li.dragging')?.classList.remove('dragging');
+                if (!this.dragKey) return;
+                this.dragKey = null;
+
+                const order = Array.from(list.querySelectorAll('li[data-column-key]')).map(item => item.dataset.columnKey);
+                this.layout.columns.sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key));
+                this.persistLayout();
+                this.applyLayout();
+            });
+        }
+
+        // Header clicks sort, the handle on the right edge resizes
+        this.elements.headerRow?.addEventListener('click', (e) => {
+            if (e.target.closest('.col-resizer') || this.justResized) return;
+            const th = e.target.closest('th[data-sort-key]');
+            if (th) {
+                this.sortByColumn(th.dataset.sortKey);
+            }
+        });
+
+        this.elements.headerRow?.addEventListener('pointerdown', (e) => {
+            const handle = e.target.closest('.col-resizer');
+            if (handle) {
+                this.startResize(e, handle.parentElement);
+            }
+        });
+    }
+
+    isBuiltIn(key) {
+        return this.builtInColumns.some(column => column.key === key);
+    }
+
+    getColumnLabel(key) {
+        const builtIn = this.builtInColumns.find(column => column.key === key);
+        return builtIn ? builtIn.label : (this.extraColumns.get(key)?.displayName || key);
+    }
+
+    getSortKey(key) {
+        const builtIn = this.builtInColumns.find(column => column.key === key);
+        if (builtIn) return builtIn.sortKey;
+        return this.unsortablePattern.test(key) ? null : key;
+    }
+
+    /**
+     * Extra (non built-in) columns currently shown - sent to /api/Products/search as ?columns=
+     */
+    getExtraColumnKeys() {
+        return this.layout.columns
+            .filter(column => column.visible && !this.isBuiltIn(column.key))
+            .map(column => column.key);
+    }
+
+    setColumnVisible(key, visible) {
+        const existing = this.layout.columns.find(column => column.key === key);
+        const builtIn = this.builtInColumns.find(column => column.key === key);
+        if (builtIn?.required) return;
+
+        let needsData = false;
+        if (builtIn) {
+            existing.visible = visible;
+        } else if (visible && !existing) {
+            this.layout.columns.push({ key, visible: true });
+            needsData = true;
+        } else if (!visible && existing) {
+            // Unchecked extra columns go back to the available list
+            this.layout.columns = this.layout.columns.filter(column => column.key !== key);
+        }
+
+        this.persistLayout();
+        this.applyLayout();
+        this.renderChooser();
+
+        if (needsData) {
+            window.productIndexManager?.refreshGrid();
+        }
+    }
+
+    resetLayout() {
+        const hadExtras = this.getExtraColumnKeys().length > 0;
+        this.layout = this.getDefaultLayout();
+        this.persistLayout();
+
+        // Drop extra header cells and any inline widths
+        this.elements.headerRow?.querySelectorAll('th').forEach(th => {
+            th.style.width = '';
+            th.style.minWidth = '';
+        });
+
+        this.applyLayout();
+        this.renderChooser();
+
+        if (hadExtras) {
+            window.productIndexManager?.refreshGrid();
+        }
+    }
+
+    /**
+     * Apply order, visibility and widths to the header and every rendered row
+     */
+    applyLayout() {
+        const headerRow = this.elements.headerRow;
+        if (!headerRow) return;
+
+        // Header cells for extra columns
+        this.layout.columns.forEach(column => {
+            if (this.isBuiltIn(column.key) || headerRow.querySelector(`th[data-column="${CSS.escape(column.key)}"]`)) return;
+            const th = document.createElement('th');
+            th.className = 'product-extra-col';
+            th.dataset.column = column.key;
+            headerRow.insertBefore(th, headerRow.lastElementChild);
+        });
+
+        this.arrangeRow(headerRow, true);
+
+        headerRow.querySelectorAll('th[data-column]').forEach(th => {
+            const key = th.dataset.column;
+            if (!this.isBuiltIn(key)) {
+                th.textContent = this.getColumnLabel(key);
+                th.title = this.extraColumns.get(key)?.description || '';
+            }
+
+            const sortKey = this.getSortKey(key);
+            if (sortKey) {
+                th.dataset.sortKey = sortKey;
+                th.classList.add('sortable-col');
+            }
+
+            if (!th.querySelector('.col-resizer')) {
+                const handle = document.createElement('span');
+                handle.className = 'col-resizer';
+                th.appendChild(handle);
+            }
+
+            const width = this.layout.widths[key];
+            th.style.width = width ? `${width}px` : '';
+            th.style.minWidth = width ? `${width}px` : '';
+        });
+
+        this.elements.table.querySelectorAll('tbody tr.product-row').forEach(row => this.arrangeRow(row, false));
+
+        this.syncSortOptions();
+        this.updateSortIndicators();
+    }
+
+    /**
+     * Called by ProductIndexManager for every row it builds from JSON
+     */
+    decorateRow(row, product) {
+        const extra = product?.extra || {};
+        this.getExtraColumnKeys().forEach(key => {
+            row.insertBefore(this.createExtraCell(key, extra[key], key in extra), row.lastElementChild);
+        });
+        this.arrangeRow(row, false);
+    }
+
+    createExtraCell(key, value, hasValue) {
+        const cell = document.createElement('td');
+        cell.className = 'product-extra-cell';
+        cell.dataset.column = key;
+
+        const text = hasValue ? this.formatValue(value, this.extraColumns.get(key)?.dataType) : '…';
+        cell.textContent = text;
+        if (text.length > 40) {
+            cell.title = text;
+        }
+        return cell;
+    }
+
+    formatValue(value, dataType) {
+        if (value === null || value === undefined || value === '') return '-';
+
+        switch (dataType) {
+            case 'bool':
+                return value ? 'Evet' : 'Hayır';
+            case 'datetime':
+                return new Date(value).toLocaleString('tr-TR', { timeZone: 'Europe/Istanbul', dateStyle: 'short', timeStyle: 'short' });
+            case 'decimal':
+            case 'int':
+                return Number(value).toLocaleString('tr-TR');
+            default:
+                return String(value);
+        }
+    }
+
+    /**
+     * Reorder a header or body row: selection first, layout columns, actions last
+     */
+    arrangeRow(row, isHeader) {
+        const cellsByKey = new Map();
+        let selectCell = null;
+        let actionsCell = null;
+
+        Array.from(row.children).forEach(cell => {
+            const key = this.getCellKey(cell, isHeader);
+            if (key === '__select') selectCell = cell;
+            else if (key === '__actions') actionsCell = cell;
+            else if (key) cellsByKey.set(key, cell);
+        });
+
+        if (selectCell) row.appendChild(selectCell);
+
+        this.layout.columns.forEach(column => {
+            let cell = cellsByKey.get(column.key);
+            if (!cell && !isHeader && column.visible && !this.isBuiltIn(column.key)) {
+                // Row rendered before the column was added - placeholder until the refresh arrives
+                cell = this.createExtraCell(column.key, null, false);
+            }
+            if (!cell) return;
+
+            cell.classList.toggle('col-hidden', !column.visible);
+            row.appendChild(cell);
+            cellsByKey.delete(column.key);
+        });
+
+        // Extra columns that were removed from the layout
+        cellsByKey.forEach((cell, key) => {
+            if (this.isBuiltIn(key)) {
+                row.appendChild(cell);
+            } else {
+                cell.remove();
+            }
+        });
+
+        if (actionsCell) row.appendChild(actionsCell);
+    }
+
+    getCellKey(cell, isHeader) {
+        if (cell.dataset.column) return cell.dataset.column;
+
+        const suffix = isHeader ? 'col' : 'cell';
+        if (cell.classList.contains(`product-select-${suffix}`)) return '__select';
+        if (cell.classList.contains(`product-actions-${suffix}`)) return '__actions';
+
+        const builtIn = this.builtInColumns.find(column => cell.classList.contains(isHeader ? column.headerClass : column.cellClass));
+        if (builtIn) {
+            cell.dataset.column = builtIn.key;
+            return builtIn.key;
+        }
+        return null;
+    }
+
+    /**
+     * Visible extra columns become options of the sort select so saved views and the URL can use them
+     */
+    syncSortOptions() {
+        const select = this.elements.sortBySelect;
+        if (!select) return;
+
+        let group = select.querySelector('optgroup[data-column-sorts]');
+        if (!group) {
+            group = document.createElement('optgroup');
+            group.label = 'Tablo Sütunları';
+            group.dataset.columnSorts = 'true';
+            select.appendChild(group);
+        }
+
+        const requested = new URLSearchParams(window.location.search).get('sortBy');
+        const current = select.value;
+        const builtInValues = new Set(Array.from(select.options).filter(option => option.parentElement !== group).map(option => option.value));
+
+        group.innerHTML = '';
+        this.layout.columns.forEach(column => {
+            const sortKey = this.getSortKey(column.key);
+            if (!column.visible || !sortKey || builtInValues.has(sortKey)) return;
+            const option = document.createElement('option');
+            option.value = sortKey;
+            option.textContent = this.getColumnLabel(column.key);
+            group.appendChild(option);
+        });
+        group.hidden = group.children.length === 0;
+
+        // Keep the current sort; on first load pick up a column sort from the URL
+        if (Array.from(select.options).some(option => option.value === current)) {
+            select.value = current;
+        } else if (requested && Array.from(select.options).some(option => option.value === requested)) {
+            select.value = requested;
+        }
+    }
+
+    sortByColumn(sortKey) {
+        const sortSelect = this.elements.sortBySelect;
+        const directionSelect = this.elements.sortDirectionSelect;
+        if (!sortSelect || !directionSelect) return;
+
+        if (!Array.from(sortSelect.options).some(option => option.value === sortKey)) {
+            this.syncSortOptions();
+        }
+
+        // Same column toggles the direction, a new column starts ascending
+        const sameColumn = sortSelect.value.toLowerCase() === sortKey.toLowerCase();
+        directionSelect.value = sameColumn && directionSelect.value === 'asc' ? 'desc' : 'asc';
+        sortSelect.value = sortKey;
+
+        this.updateSortIndicators();
+        window.productIndexManager?.refreshFromForm();
+    }
+
+    updateSortIndicators() {
+        const sortBy = (this.elements.sortBySelect?.value || '').toLowerCase();
+        const direction = this.elements.sortDirectionSelect?.value || 'asc';
+
+        this.elements.headerRow?.querySelectorAll('th[data-sort-key]').forEach(th => {
+            const active = th.dataset.sortKey.toLowerCase() === sortBy;
+            th.classList.toggle('sort-asc', active && direction === 'asc');
+            th.classList.toggle('sort-desc', active && direction === 'desc');
+        });
+    }
+
+    startResize(e, th) {
+        e.preventDefault();
+        const key = th.dataset.column;
+        const startX = e.clientX;
+        const startWidth = th.getBoundingClientRect().width;
+        th.classList.add('resizing');
+
+        const onMove = (moveEvent) => {
+            const width = Math.max(60, Math.round(startWidth + moveEvent.clientX - startX));
+            th.style.width = `${width}px`;
+            th.style.minWidth = `${width}px`;
+        };
+
+        const onUp = () => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            th.classList.remove('resizing');
+
+            this.layout.widths[key] = Math.round(th.getBoundingClientRect().width);
+            this.persistLayout();
+
+            // The click that ends a drag must not sort the column
+            this.justResized = true;
+            setTimeout(() => { this.justResized = false; }, 0);
+        };
+
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+    }
+
+    /**
+     * Chooser panel: active columns (draggable, in table order) and the remaining export columns by category
+     */
+    renderChooser() {
+        const activeList = this.elements.activeList;
+        const availableList = this.elements.availableList;
+        if (!activeList || !availableList) return;
+
+        activeList.innerHTML = '';
+        this.layout.columns.forEach(column => {
+            const builtIn = this.builtInColumns.find(item => item.key === column.key);
+            const item = document.createElement('li');
+            item.className = 'column-chooser-item';
+            item.draggable = true;
+            item.dataset.columnKey = column.key;
+
+            const handle = document.createElement('i');
+            handle.className = 'fas fa-grip-vertical column-drag-handle';
+
+            const label = document.createElement('label');
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.checked = column.visible;
+            checkbox.disabled = builtIn?.required === true;
+            checkbox.dataset.columnKey = column.key;
+            label.append(checkbox, document.createTextNode(' ' + this.getColumnLabel(column.key)));
+
+            item.append(handle, label);
+            activeList.appendChild(item);
+        });
+
+        availableList.innerHTML = '';
+        const activeKeys = new Set(this.layout.columns.map(column => column.key));
+        this.categories.forEach(group => {
+            const columns = group.columns.filter(column => !activeKeys.has(column.propertyName));
+            if (columns.length === 0) return;
+
+            const section = document.createElement('div');
+            section.className = 'column-chooser-group';
+
+            const title = document.createElement('h5');
+            title.textContent = group.category;
+            section.appendChild(title);
+
+            columns.forEach(column => {
+                const label = document.createElement('label');
+                label.className = 'column-chooser-option';
+                label.title = column.description || '';
+
+                const checkbox = document.createElement('input');
+                checkbox.type = 'checkbox';
+                checkbox.dataset.columnKey = column.propertyName;
+                label.append(checkbox, document.createTextNode(' ' + column.displayName));
+                section.appendChild(label);
+            });
+
+            availableList.appendChild(section);
+        });
+    }
+}
+
+// Export globally only if not already defined
+if (!window.ProductColumnManager) {
+    window.ProductColumnManager = ProductColumnManager;
+}
+
+if (!window.productColumnManager) {
+    window.productColumnManager = new ProductColumnManager();
+}
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => window.productColumnManager.init());
+} else {
+    window.productColumnManager.init();
+}
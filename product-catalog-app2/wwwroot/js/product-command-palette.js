@@ -0,0 +1,490 @@
+/**
+ * PRODUCT COMMAND PALETTE
+ * Ctrl+K palette for the product index - fuzzy-searches actions, saved filters, categories and products.
+ * Also owns the "?" keyboard shortcut cheat-sheet. Keys are routed here by ProductIndexManager.handleKeyboardShortcuts.
+ */
+
+class ProductCommandPalette {
+    constructor() {
+        this.isInitialized = false;
+        this.productEndpoint = '/Product/SearchSuggestions';
+        this.productDelay = 200;
+        this.maxPerGroup = 6;
+
+        this.groups = [
+            { key: 'action', label: 'Eylemler', icon: 'fas fa-bolt' },
+            { key: 'view', label: 'Kayıtlı Filtreler', icon: 'fas fa-bookmark' },
+            { key: 'category', label: 'Kategoriler', icon: 'fas fa-folder' },
+            { key: 'product', label: 'Ürünler', icon: 'fas fa-box' }
+        ];
+
+        this.shortcuts = [
+            { keys: ['j', 'k'], separator: ' / ', description: 'Sonraki / önceki satır' },
+            { keys: ['x'], description: 'Satırı seçime ekle / çıkar' },
+            { keys: ['e'], description: 'Ürünü düzenle' },
+            { keys: ['Enter'], description: 'Ürün detayları' },
+            { keys: ['a'], description: 'Ürünü arşivle' },
+            { keys: ['u'], description: 'Ürünü arşivden çıkar' },
+            { keys: ['Esc'], description: 'Satır odağını kaldır / aramayı temizle' },
+            { keys: ['Ctrl', 'K'], description: 'Komut paleti' },
+            { keys: ['Ctrl', 'F'], description: 'Aramaya odaklan' },
+            { keys: ['Ctrl', 'A'], description: 'Sayfadaki tüm ürünleri seç' },
+            { keys: ['Ctrl', 'Z'], description: 'Son satır içi düzenlemeyi geri al' },
+            { keys: ['?'], description: 'Bu yardım' }
+        ];
+
+        this.items = [];
+        this.activeIndex = -1;
+        this.productResults = [];
+        this.productController = null;
+        this.productTimer = null;
+        this.returnFocus = null;
+        this.elements = {};
+    }
+
+    init() {
+        if (this.isInitialized) return;
+
+        this.elements.palette = this.createPalette();
+        this.elements.cheatSheet = this.createCheatSheet();
+        document.body.append(this.elements.palette, this.elements.cheatSheet);
+        document.getElementById('commandPaletteToggle')?.addEventListener('click', () => this.open());
+
+        this.isInitialized = true;
+        console.log('✅ ProductCommandPalette initialized');
+    }
+
+    isOpen() {
+        return this.isPaletteOpen() || this.isCheatSheetOpen();
+    }
+
+    isPaletteOpen() {
+        return this.elements.palette?.classList.contains('show') === true;
+    }
+
+    isCheatSheetOpen() {
+        return this.elements.cheatSheet?.classList.contains('show') === true;
+    }
+
+    toggle() {
+        if (this.isPaletteOpen()) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    open() {
+        if (!this.isInitialized) return;
+
+        this.hideCheatSheet();
+        this.returnFocus = document.activeElement;
+        this.elements.palette.classList.add('show');
+        this.elements.input.value = '';
+        this.productResults = [];
+        this.render();
+        this.elements.input.focus();
+    }
+
+    close() {
+        if (!this.isPaletteOpen()) return;
+
+        this.elements.palette.classList.remove('show');
+        this.productController?.abort();
+        clearTimeout(this.productTimer);
+        this.returnFocus?.focus?.();
+        this.returnFocus = null;
+    }
+
+    createPalette() {
+        const overlay = document.createElement('div');
+        overlay.className = 'command-palette-overlay';
+        overlay.innerHTML = `
+            <div class="command-palette" role="dialog" aria-modal="true" aria-label="Komut paleti">
+                <div class="command-palette-search">
+                    <i class="fas fa-search"></i>
+                    <input type="text" class="command-palette-input" placeholder="Eylem, filtre, kategori veya ürün ara..."
+                           role="combobox" aria-expanded="true" aria-controls="commandPaletteList" autocomplete="off" />
+                    <kbd>Esc</kbd>
+                </div>
+                <div class="command-palette-list" id="commandPaletteList" role="listbox"></div>
+                <div class="command-palette-footer">
+                    <span><kbd>↑</kbd><kbd>↓</kbd> gezin</span>
+                    <span><kbd>Enter</kbd> çalıştır</span>
+                    <span><kbd>?</kbd> kısayollar</span>
+                </div>
+            </div>
+        `;
+
+        this.elements.input = overlay.querySelector('.command-palette-input');
+        this.elements.list = overlay.querySelector('.command-palette-list');
+
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay) this.close();
+        });
+        this.elements.input.addEventListener('input', () => this.handleInput());
+        this.elements.input.addEventListener('keydown', (e) => this.handleKeydown(e));
+        this.elements.list.addEventListener('mousemove', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option && Number(option.dataset.index) !== this.activeIndex) {
+                this.setActive(Number(option.dataset.index));
+            }
+        });
+        this.elements.list.addEventListener('click', (e) => {
+            const option = e.target.closest('[data-index]');
+            if (option) this.execute(this.items[Number(option.dataset.index)]);
+        });
+
+        return overlay;
+    }
+
+    handleInput() {
+        this.render();
+
+        // Products come from the server - debounce and drop stale answers
+        clearTimeout(this.productTimer);
+        this.productController?.abort();
+        const query = this.elements.input.value.trim();
+        if (query.length < 2) {
+            this.productResults = [];
+            return;
+        }
+        this.productTimer = setTimeout(() => this.fetchProducts(query), this.productDelay);
+    }
+
+    handleKeydown(event) {
+        // Keep page shortcuts (j/k, Ctrl+A...) out of the palette input
+        event.stopPropagation();
+
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                this.setActive(this.items.length ? (this.activeIndex + 1) % this.items.length : -1);
+                break;
+            case 'ArrowUp':
+                event.preventDefault();
+                this.setActive(this.items.length ? (this.activeIndex - 1 + this.items.length) % this.items.length : -1);
+                break;
+            case 'Enter':
+                event.preventDefault();
+                if (this.activeIndex >= 0) this.execute(this.items[this.activeIndex]);
+                break;
+            case 'Escape':
+                event.preventDefault();
+                this.close();
+                break;
+            case 'k':
+            case 'K':
+                if (event.ctrlKey || event.metaKey) {
+                    event.preventDefault();
+                    this.close();
+                }
+                break;
+        }
+    }
+
+    async fetchProducts(query) {
+        const controller = new AbortController();
+        this.productController = controller;
+
+        try {
+            const response = await fetch(`${this.productEndpoint}?query=${encodeURIComponent(query)}`, { signal: controller.signal });
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            const suggestions = await response.json();
+
+            if (controller.signal.aborted || this.elements.input.value.trim() !== query) return;
+
+            // One entry per product, best suggestion first
+            const seen = new Set();
+            this.productResults = suggestions
+                .filter(s => s.productId && !seen.has(s.productId) && seen.add(s.productId))
+                .slice(0, this.maxPerGroup)
+                .map(s => ({
+                    group: 'product',
+                    label: s.text,
+                    labelHtml: s.highlight,
+                    hint: s.type === 'product' ? '' : s.type.toUpperCase(),
+                    run: () => { window.location.href = `/Product/Details/${s.productId}`; }
+                }));
+            this.render();
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.warn('⚠️ Command palette product search failed:', error);
+            }
+        }
+    }
+
+    /**
+     * Everything except products is resolved locally on each keystroke
+     */
+    collectLocalItems(query) {
+        const sources = [
+            ...this.getActions(),
+            ...this.getSavedViews(),
+            ...(query ? this.getCategories() : [])
+        ];
+
+        if (!query) {
+            return sources.map(item => ({ ...item, score: 0, positions: [] }));
+        }
+
+        return sources
+            .map(item => {
+                const match = this.fuzzyMatch(item.label + (item.keywords ? ` ${item.keywords}` : ''), query);
+                return match && { ...item, score: match.score, positions: match.positions.filter(p => p < item.label.length) };
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score);
+    }
+
+    getActions() {
+        const manager = window.productIndexManager;
+        const bulk = window.bulkOperationsManager;
+        const isInfinite = manager?.state?.infinite?.enabled === true;
+        const click = (id) => () => document.getElementById(id)?.click();
+
+        const actions = [
+            { label: 'Yeni ürün ekle', icon: 'fas fa-plus', keywords: 'oluştur create', run: () => { window.location.href = '/Product/CreateProduct'; } },
+            { label: 'Aramaya odaklan', icon: 'fas fa-search', hint: 'Ctrl+F', run: () => manager?.elements.searchInput?.focus() },
+            { label: 'Filtreleri temizle', icon: 'fas fa-eraser', keywords: 'sıfırla reset', run: () => window.clearAllFilters?.() },
+            { label: 'Mevcut filtreyi kaydet', icon: 'fas fa-bookmark', keywords: 'görünüm view', run: () => window.advancedSearchManager?.saveCurrentView() },
+            { label: 'Sütunları düzenle', icon: 'fas fa-columns', keywords: 'kolon column', run: click('columnChooserToggle') },
+            { label: 'Barkod okuma geçmişi', icon: 'fas fa-barcode', keywords: 'scanner tarayıcı', run: click('scanHistoryToggle') },
+            isInfinite
+                ? { label: 'Sayfalı görünüme geç', icon: 'fas fa-list-ol', keywords: 'pagination', run: () => manager?.setListMode('paged') }
+                : { label: 'Sonsuz kaydırmaya geç', icon: 'fas fa-stream', keywords: 'infinite scroll', run: () => manager?.setListMode('infinite') },
+            { label: 'Arşivi aç', icon: 'fas fa-archive', run: () => { window.location.href = '/Product/Archive'; } },
+            { label: 'İçe / dışa aktarma', icon: 'fas fa-file-export', keywords: 'excel import export', run: () => { window.location.href = '/Product/ExportImport'; } },
+            { label: 'Klavye kısayolları', icon: 'fas fa-keyboard', hint: '?', keywords: 'yardım help', run: () => this.showCheatSheet() }
+        ];
+
+        const selectedCount = bulk?.selectedItems?.size || 0;
+        if (selectedCount > 0) {
+            actions.push(
+                { label: `Seçili ${selectedCount} ürünü Excel'e aktar`, icon: 'fas fa-file-excel', run: () => bulk.exportSelectedToExcel() },
+                { label: 'Seçimi temizle', icon: 'fas fa-times', run: () => bulk.clearSelection() }
+            );
+        }
+
+        return actions.map(action => ({ group: 'action', ...action }));
+    }
+
+    getSavedViews() {
+        const manager = window.advancedSearchManager;
+        return (manager?.savedViews || []).map(view => ({
+            group: 'view',
+            label: view.name,
+            icon: view.pinned ? 'fas fa-thumbtack' : 'fas fa-bookmark',
+            hint: view.isDefault ? 'varsayılan' : '',
+            run: () => manager.applyView(view.id)
+        }));
+    }
+
+    getCategories() {
+        const select = document.getElementById('categoryFilter');
+        if (!select) return [];
+
+        return Array.from(select.options)
+            .filter(option => option.value)
+            .map(option => ({
+                group: 'category',
+                label: option.dataset.label || option.textContent.trim(), // facet counts keep the plain label in data-label
+                icon: 'fas fa-folder',
+                run: () => this.applyCategory(select, option.value)
+            }));
+    }
+
+    applyCategory(select, value) {
+        select.value = value;
+        const manager = window.productIndexManager;
+        if (manager?.state?.jsonGridEnabled) {
+            manager.handleFilterChange();
+        } else {
+            select.form?.submit();
+        }
+    }
+
+    render() {
+        const query = this.elements.input.value.trim();
+        const local = this.collectLocalItems(query);
+
+        this.items = [];
+        const html = [];
+        this.groups.forEach(group => {
+            const groupItems = group.key === 'product'
+                ? this.productResults
+                : local.filter(item => item.group === group.key).slice(0, this.maxPerGroup);
+            if (groupItems.length === 0) return;
+
+            html.push(`<div class="command-palette-group"><i class="${group.icon}"></i> ${group.label}</div>`);
+            groupItems.forEach(item => {
+                const index = this.items.push(item) - 1;
+                const label = item.labelHtml || this.highlight(item.label, item.positions || []);
+                html.push(`
+                    <div class="command-palette-item" role="option" id="commandPaletteItem${index}" data-index="${index}">
+                        <i class="${item.icon || group.icon}"></i>
+                        <span class="command-palette-label">${label}</span>
+                        ${item.hint ? `<span class="command-palette-hint">${this.escapeHtml(item.hint)}</span>` : ''}
+                    </div>
+                `);
+            });
+        });
+
+        this.elements.list.innerHTML = html.length
+            ? html.join('')
+            : '<div class="command-palette-empty">Sonuç bulunamadı</div>';
+        this.setActive(this.items.length ? 0 : -1);
+    }
+
+    setActive(index) {
+        this.activeIndex = index;
+        this.elements.list.querySelectorAll('.command-palette-item').forEach(option => {
+            const isActive = Number(option.dataset.index) === index;
+            option.classList.toggle('active', isActive);
+            option.setAttribute('aria-selected', String(isActive));
+            if (isActive) option.scrollIntoView({ block: 'nearest' });
+        });
+
+        if (index >= 0) {
+            this.elements.input.setAttribute('aria-activedescendant', `commandPaletteItem${index}`);
+        } else {
+            this.elements.input.removeAttribute('aria-activedescendant');
+        }
+    }
+
+    execute(item) {
+        if (!item) return;
+
+        // Close first so actions that move focus (search, dialogs) keep it
+        this.returnFocus = null;
+        this.close();
+        try {
+            item.run();
+        } catch (error) {
+            console.error('❌ Command palette action failed:', error);
+        }
+    }
+
+    /**
+     * Turkish-aware fuzzy match: substring matches rank above scattered (subsequence) ones
+     */
+    fuzzyMatch(text, query) {
+        const foldedText = this.fold(text);
+        const foldedQuery = this.fold(query);
+
+        const index = foldedText.indexOf(foldedQuery);
+        if (index >= 0) {
+            const wordStart = index === 0 || /[^a-z0-9]/.test(foldedText[index - 1]);
+            return {
+                score: 1000 - index + (wordStart ? 200 : 0),
+                positions: Array.from({ length: foldedQuery.length }, (_, i) => index + i)
+            };
+        }
+
+        const positions = [];
+        let score = 500;
+        let last = -1;
+        for (const char of foldedQuery) {
+            if (char === ' ') continue;
+            const found = foldedText.indexOf(char, last + 1);
+            if (found === -1) return null;
+            score -= found - last - 1; // penalise gaps
+            positions.push(found);
+            last = found;
+        }
+        return { score, positions };
+    }
+
+    fold(text) {
+        const map = { 'ı': 'i', 'ş': 's', 'ğ': 'g', 'ü': 'u', 'ö': 'o', 'ç': 'c', 'â': 'a', 'î': 'i', 'û': 'u' };
+        return Array.from(String(text)).map(char => {
+            const lower = char.toLocaleLowerCase('tr-TR');
+            // Keep one character per character so match positions stay valid
+            return lower.length === 1 ? (map[lower] || lower) : char;
+        }).join('');
+    }
+
+    highlight(text, positions) {
+        if (!positions.length) return this.escapeHtml(text);
+
+        const marked = new Set(positions);
+        let html = '';
+        let open = false;
+        Array.from(text).forEach((char, i) => {
+            if (marked.has(i) && !open) { html += '<mark>'; open = true; }
+            if (!marked.has(i) && open) { html += '</mark>'; open = false; }
+            html += this.escapeHtml(char);
+        });
+        return open ? html + '</mark>' : html;
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value ?? '';
+        return div.innerHTML;
+    }
+
+    // ===== Kısayol yardımı (cheat-sheet) =====
+
+    createCheatSheet() {
+        const overlay = document.createElement('div');
+        overlay.className = 'command-palette-overlay shortcut-cheatsheet-overlay';
+        overlay.innerHTML = `
+            <div class="shortcut-cheatsheet" role="dialog" aria-modal="true" aria-label="Klavye kısayolları" tabindex="-1">
+                <div class="shortcut-cheatsheet-header">
+                    <h3><i class="fas fa-keyboard"></i> Klavye Kısayolları</h3>
+                    <button type="button" class="btn-close-cheatsheet" aria-label="Kapat">&times;</button>
+                </div>
+                <dl class="shortcut-list">
+                    ${this.shortcuts.map(shortcut => `
+                        <div class="shortcut-item">
+                            <dt>${shortcut.keys.map(key => `<kbd>${this.escapeHtml(key)}</kbd>`).join(shortcut.separator || ' + ')}</dt>
+                            <dd>${this.escapeHtml(shortcut.description)}</dd>
+                        </div>
+                    `).join('')}
+                </dl>
+            </div>
+        `;
+
+        overlay.addEventListener('mousedown', (e) => {
+            if (e.target === overlay || e.target.closest('.btn-close-cheatsheet')) this.hideCheatSheet();
+        });
+        overlay.addEventListener('keydown', (e) => {
+            e.stopPropagation();
+            if (e.key === 'Escape' || e.key === '?') {
+                e.preventDefault();
+                this.hideCheatSheet();
+            }
+        });
+
+        return overlay;
+    }
+
+    showCheatSheet() {
+        if (!this.isInitialized) return;
+
+        this.close();
+        this.elements.cheatSheet.classList.add('show');
+        this.elements.cheatSheet.querySelector('.shortcut-cheatsheet').focus();
+    }
+
+    hideCheatSheet() {
+        this.elements.cheatSheet?.classList.remove('show');
+    }
+}
+
+// Export globally only if not already defined
+if (!window.ProductCommandPalette) {
+    window.ProductCommandPalette = ProductCommandPalette;
+}
+
+if (!window.productCommandPalette) {
+    window.productCommandPalette = new ProductCommandPalette();
+}
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => window.productCommandPalette.init());
+} else {
+    window.productCommandPalette.init();
+}
@@ -37,7 +37,19 @@ class ProductIndexManager {
             maxPageSize: 200,
             searchDelay: 450, // Increased from 300ms to reduce server load
             maxRetries: 3,
-            cacheTimeout: 10 * 60 * 1000 // Increased to 10 minutes for better caching
+            cacheTimeout: 10 * 60 * 1000, // Increased to 10 minutes for better caching
+            apiEndpoint: '/api/Products/search', // JSON search endpoint used by the client-side grid
+            facetEndpoint: '/Product/Facets', // Per-option result counts for the filter selects
+            listModeStorageKey: 'productIndexListMode', // 'paged' | 'infinite'
+            virtualBufferRows: 15, // Rows rendered above/below the viewport in infinite mode
+            prefetchRows: 30, // Load the next page when this close to the end of loaded rows
+            barcodeLookupEndpoint: '/Product/BarcodeLookup',
+            scanHistoryStorageKey: 'productIndexScanHistory',
+            scannerModeStorageKey: 'productIndexScannerMode', // 'on' | 'off'
+            scanMaxKeyInterval: 50, // ms between keystrokes - scanners type much faster than people
+            scanMinLength: 6, // Shortest code treated as a scan
+            scanHistoryLimit: 50,
+            shortcutScanDelay: 120 // Single-key shortcuts wait this long in scanner mode so scanned letters don't fire them
         };
 
         // State management
@@ -52,7 +64,42 @@ class ProductIndexManager {
             lastSearchParams: null,
             lastSearchTime: 0,
             lastSearchParamsHash: null,
-            userTriggeredSearch: false
+            userTriggeredSearch: false,
+            jsonGridEnabled: false,
+            searchController: null, // AbortController of the in-flight search
+            searchRequestId: 0, // Increments per search; older responses are discarded
+            facetController: null, // AbortController of the in-flight facet request
+            keyboard: {
+                focusedRowId: null, // Row highlighted by j/k
+                pendingFocus: null, // 'first' | 'last' - row to focus once the next page renders
+                pendingShortcut: null // Deferred single-key shortcut timer (scanner mode)
+            },
+            scanner: {
+                enabled: false,
+                buffer: '', // Characters of the current fast keystroke run
+                lastKeyTime: 0,
+                target: null, // Field the scanner typed into, if any
+                valueBefore: null, // Its value before the scan started
+                held: '', // Burst characters kept from the page until Enter shows whether they were a scan
+                releaseTimer: null,
+                history: []
+            },
+            suggestions: {
+                items: [], // Suggestions currently rendered in the dropdown
+                activeIndex: -1, // Keyboard-highlighted suggestion
+                controller: null // AbortController of the in-flight suggestion request
+            },
+            infinite: {
+                enabled: false,
+                products: [],
+                loadedPages: 0,
+                totalPages: 1,
+                isFetching: false,
+                pageController: null,
+                rowHeight: 0,
+                windowStart: -1,
+                windowEnd: -1
+            }
         };
 
         // DOM elements
@@ -101,10 +148,14 @@ class ProductIndexManager {
             
             // Initialize core functionality
             this.cacheElements();
+            this.initializeJsonGrid();
             this.setupEventListeners();
             this.initializeBulkOperations();
             this.initializeSearch();
             this.initializePagination();
+            this.initializeListMode();
+            this.initializeBarcodeScanner();
+            this.initializeKeyboardNavigation();
             this.initializeImageHandling();
             this.initializeProgressIndicator();
             
@@ -284,19 +335,20 @@ class ProductIndexManager {
             sortBySelect: document.getElementById('sortBy'),
             sortDirectionSelect: document.getElementById('sortDirection'),
             
-            // Special filters
-            hasImageCheckbox: document.getElementById('hasImage'),
-            hasEanCheckbox: document.getElementById('hasEan'),
-            hasBarcodeCheckbox: document.getElementById('hasBarcode'),
+            // Special filters (true / false / empty selects)
+            hasImageSelect: document.getElementById('hasImage'),
+            hasEanSelect: document.getElementById('hasEan'),
+            hasBarcodeSelect: document.getElementById('hasBarcode'),
             barcodeTypeSelect: document.getElementById('barcodeType'),
             
             // Pagination
             paginationContainer: document.querySelector('.pagination-container'),
             pageSizeSelect: document.getElementById('pageSize'),
             
-            // Product grid
-            productGrid: document.querySelector('.product-grid'),
-            productCards: document.querySelectorAll('.product-card'),
+            // Product table
+            productTable: document.getElementById('productTable'),
+            productTableBody: document.querySelector('#productTable tbody'),
+            totalCountStat: document.querySelector('.stats-cards .stat-card:first-child h3'),
             
             // Bulk operations
             selectAllCheckbox: document.getElementById('selectAllProducts'),
@@ -318,6 +370,33 @@ class ProductIndexManager {
         });
     }
 
+    /**
+     * Enable the client-side grid when the table is rendered for JSON updates
+     */
+    initializeJsonGrid() {
+        this.state.jsonGridEnabled = this.elements.productTable?.dataset.jsonGrid === 'true';
+        if (!this.state.jsonGridEnabled) return;
+
+        const urlParams = new URLSearchParams(window.location.search);
+        const pageSize = parseInt(this.elements.pageSizeSelect?.value);
+        if (pageSize) {
+            this.config.pageSize = Math.min(pageSize, this.config.maxPageSize);
+        }
+
+        const initialParams = this.collectSearchParameters();
+        initialParams.page = parseInt(urlParams.get('page')) || 1;
+        initialParams.pageSize = this.config.pageSize;
+
+        // Server already rendered this state - don't fetch it again
+        this.state.currentPage = initialParams.page;
+        this.state.lastSearchParams = initialParams;
+        this.state.lastSearchParamsHash = JSON.stringify(initialParams);
+        window.history.replaceState(initialParams, '', window.location.href);
+        this.loadFacets(initialParams);
+
+        console.log('✅ JSON product grid enabled');
+    }
+
     /**
      * Initialize user interaction tracking
      */
@@ -370,29 +449,18 @@ class ProductIndexManager {
 
     /**
      * Initialize search suggestions
+     * Typing is handled by the unified input handler in setupEventListeners; this wires dismissal and keyboard navigation
      */
     initializeSearchSuggestions() {
         if (!this.elements.searchInput) return;
         
-        let suggestionTimeout;
         const suggestionsContainer = document.getElementById('searchSuggestions');
         
         if (!suggestionsContainer) return;
 
-        // Handle input for search suggestions
-        this.elements.searchInput.addEventListener('input', (e) => {
-            clearTimeout(suggestionTimeout);
-            const query = e.target.value.trim();
-            
-            if (query.length < 2) {
-                this.hideSuggestions();
-                return;
-            }
-            
-            suggestionTimeout = setTimeout(() => {
-                this.fetchSearchSuggestions(query);
-            }, 300);
-        });
+        suggestionsContainer.setAttribute('role', 'listbox');
+        this.elements.searchInput.setAttribute('aria-autocomplete', 'list');
+        this.elements.searchInput.setAttribute('aria-controls', 'searchSuggestions');
 
         // Hide suggestions when clicking outside
         document.addEventListener('click', (e) => {
@@ -401,60 +469,161 @@ class ProductIndexManager {
             }
         });
 
-        // Handle escape key
+        // Arrow keys move through the suggestions, Enter picks the highlighted one, Escape closes the list
         this.elements.searchInput.addEventListener('keydown', (e) => {
-            if (e.key === 'Escape') {
-                this.hideSuggestions();
+            const isOpen = !suggestionsContainer.classList.contains('hidden');
+            const { items, activeIndex } = this.state.suggestions;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    if (!isOpen || items.length === 0) return;
+                    e.preventDefault();
+                    this.setActiveSuggestion(activeIndex + 1 >= items.length ? 0 : activeIndex + 1);
+                    break;
+                case 'ArrowUp':
+                    if (!isOpen || items.length === 0) return;
+                    e.preventDefault();
+                    this.setActiveSuggestion(activeIndex <= 0 ? items.length - 1 : activeIndex - 1);
+                    break;
+                case 'Enter':
+                    if (isOpen && activeIndex >= 0) {
+                        e.preventDefault();
+                        this.selectSuggestion(items[activeIndex]);
+                    }
+                    break;
+                case 'Escape':
+                    this.hideSuggestions();
+                    break;
             }
         });
     }
 
     /**
      * Fetch search suggestions from server
+     * A newer keystroke aborts the previous request so late answers never overwrite the list
      */
     async fetchSearchSuggestions(query) {
+        if (this.state.suggestions.controller) {
+            this.state.suggestions.controller.abort();
+        }
+        const controller = new AbortController();
+        this.state.suggestions.controller = controller;
+
         try {
-            const response = await fetch(`/Product/SearchSuggestions?query=${encodeURIComponent(query)}`);
+            const response = await fetch(`/Product/SearchSuggestions?query=${encodeURIComponent(query)}`, {
+                headers: { 'Accept': 'application/json' },
+                signal: controller.signal
+            });
             const suggestions = await response.json();
+
+            // The input may have changed (or been cleared) while the request was in flight
+            if (this.elements.searchInput?.value.trim() !== query) return;
             this.showSuggestions(suggestions);
         } catch (error) {
+            if (error.name === 'AbortError') return;
             console.error('Error fetching search suggestions:', error);
             this.hideSuggestions();
+        } finally {
+            if (this.state.suggestions.controller === controller) {
+                this.state.suggestions.controller = null;
+            }
         }
     }
 
     /**
-     * Show search suggestions
+     * Show search suggestions grouped by type (product name, SKU, brand, barcode)
+     * The server returns them ranked by fuzzy score, with HTML-encoded <mark> highlights
      */
     showSuggestions(suggestions) {
         const suggestionsContainer = document.getElementById('searchSuggestions');
         if (!suggestionsContainer) return;
 
-        if (suggestions.length === 0) {
+        if (!Array.isArray(suggestions) || suggestions.length === 0) {
             this.hideSuggestions();
             return;
         }
 
+        const groups = {
+            product: { label: 'Ürün Adı', icon: 'fa-box' },
+            sku: { label: 'SKU', icon: 'fa-hashtag' },
+            brand: { label: 'Marka', icon: 'fa-tag' },
+            barcode: { label: 'Barkod', icon: 'fa-barcode' }
+        };
+
         suggestionsContainer.innerHTML = '';
-        
+        this.state.suggestions.items = [];
+        this.state.suggestions.activeIndex = -1;
+
+        let currentType = null;
         suggestions.forEach(suggestion => {
+            const group = groups[suggestion.type] || groups.product;
+
+            if (suggestion.type !== currentType) {
+                currentType = suggestion.type;
+                const header = document.createElement('div');
+                header.className = 'suggestion-group';
+                header.textContent = group.label;
+                suggestionsContainer.appendChild(header);
+            }
+
+            const index = this.state.suggestions.items.length;
             const suggestionItem = document.createElement('div');
             suggestionItem.className = 'suggestion-item';
+            suggestionItem.id = `searchSuggestion-${index}`;
+            suggestionItem.setAttribute('role', 'option');
             suggestionItem.innerHTML = `
-                <span class="suggestion-text">${suggestion.highlight || suggestion.text}</span>
-                <span class="suggestion-type">${suggestion.type === 'product' ? 'Ürün' : 'Marka'}</span>
+                <i class="fas ${group.icon}"></i>
+                <span class="suggestion-text">${suggestion.highlight || this.escapeHtml(suggestion.text)}</span>
             `;
             
-            suggestionItem.addEventListener('click', () => {
-                this.elements.searchInput.value = suggestion.text;
-                this.hideSuggestions();
-                this.handleSearch(); // Trigger search when suggestion is clicked
+            suggestionItem.addEventListener('mousedown', (e) => e.preventDefault()); // keep focus in the input
+            suggestionItem.addEventListener('click', () => this.selectSuggestion(suggestion));
+            suggestionItem.addEventListener('mousemove', () => {
+                if (this.state.suggestions.activeIndex !== index) {
+                    this.setActiveSuggestion(index);
+                }
             });
             
             suggestionsContainer.appendChild(suggestionItem);
+            this.state.suggestions.items.push(suggestion);
         });
 
         suggestionsContainer.classList.remove('hidden');
+        this.elements.searchInput?.setAttribute('aria-expanded', 'true');
+    }
+
+    /**
+     * Highlight the suggestion at index for keyboard navigation
+     */
+    setActiveSuggestion(index) {
+        const suggestionsContainer = document.getElementById('searchSuggestions');
+        if (!suggestionsContainer) return;
+
+        suggestionsContainer.querySelectorAll('.suggestion-item.active').forEach(item => {
+            item.classList.remove('active');
+            item.setAttribute('aria-selected', 'false');
+        });
+
+        this.state.suggestions.activeIndex = index;
+        const activeItem = document.getElementById(`searchSuggestion-${index}`);
+        if (activeItem) {
+            activeItem.classList.add('active');
+            activeItem.setAttribute('aria-selected', 'true');
+            activeItem.scrollIntoView({ block: 'nearest' });
+            this.elements.searchInput?.setAttribute('aria-activedescendant', activeItem.id);
+        }
+    }
+
+    /**
+     * Put the suggestion into the search box and run the search
+     */
+    selectSuggestion(suggestion) {
+        if (!suggestion || !this.elements.searchInput) return;
+
+        this.elements.searchInput.value = suggestion.text;
+        this.hideSuggestions();
+        this.state.userTriggeredSearch = true;
+        this.handleSearch(); // Trigger search when suggestion is clicked
     }
 
     /**
@@ -465,6 +634,11 @@ class ProductIndexManager {
         if (suggestionsContainer) {
             suggestionsContainer.classList.add('hidden');
         }
+
+        this.state.suggestions.items = [];
+        this.state.suggestions.activeIndex = -1;
+        this.elements.searchInput?.setAttribute('aria-expanded', 'false');
+        this.elements.searchInput?.removeAttribute('aria-activedescendant');
     }
 
     /**
@@ -510,7 +684,8 @@ class ProductIndexManager {
         }        // Filter changes
         const filterElements = [
             'categorySelect', 'brandSelect', 'statusSelect', 'materialSelect', 
-            'colorSelect', 'sortBySelect', 'sortDirectionSelect', 'barcodeTypeSelect'
+            'colorSelect', 'sortBySelect', 'sortDirectionSelect', 'barcodeTypeSelect',
+            'hasImageSelect', 'hasEanSelect', 'hasBarcodeSelect'
         ];
 
         filterElements.forEach(elementKey => {
@@ -535,16 +710,6 @@ class ProductIndexManager {
             }
         });
 
-        // Checkbox filters
-        const checkboxElements = ['hasImageCheckbox', 'hasEanCheckbox', 'hasBarcodeCheckbox'];
-        checkboxElements.forEach(elementKey => {
-            if (this.elements[elementKey] && !this.elements[elementKey].hasAttribute('data-checkbox-listener-added')) {
-                this.addEventListenerWithCleanup(this.elements[elementKey], 'change',
-                    this.handleFilterChange.bind(this));
-                this.elements[elementKey].setAttribute('data-checkbox-listener-added', 'true');
-            }
-        });
-
         // Page size change
         if (this.elements.pageSizeSelect && !this.elements.pageSizeSelect.hasAttribute('data-pagesize-listener-added')) {
             this.addEventListenerWithCleanup(this.elements.pageSizeSelect, 'change',
@@ -696,7 +861,14 @@ class ProductIndexManager {
                 this.state.userTriggeredSearch = true;
                 console.log('🔍 Search form submitted - performance optimized');
                 
-                // Let form submit naturally - no expensive operations
+                // JSON grid: render results in place instead of reloading the page
+                if (this.state.jsonGridEnabled) {
+                    e.preventDefault();
+                    this.hideSuggestions();
+                    this.performSearch(1);
+                }
+                
+                // Otherwise let form submit naturally - no expensive operations
             });
             searchForm.setAttribute('data-form-listener-added', 'true');
         }
@@ -725,12 +897,7 @@ class ProductIndexManager {
                 clearTimeout(timeout);
                 timeout = null;
                 
-                // Skip if loading to prevent race conditions - add null checks
-                if (self && self.state && self.state.isLoading) {
-                    console.log('Debounced function skipped - operation in progress');
-                    return;
-                }
-                
+                // No in-progress check here: performSearch aborts older requests itself
                 func.call(self, ...args);
             };
             
@@ -745,14 +912,6 @@ class ProductIndexManager {
      * Handle search input - Now only called programmatically when needed
      */
     async handleSearch() {
-        // Force cleanup any stuck loading states first
-        if (this.state.isLoading) {
-            console.log('Search already in progress, force cleaning and aborting...');
-            this.forceHideAllLoadingIndicators();
-            this.state.isLoading = false;
-            return;
-        }
-        
         this.state.lastSearchTime = Date.now();
         
         try {
@@ -771,11 +930,6 @@ class ProductIndexManager {
     async handleFilterChange() {
         console.log('🔥 Filter change started - isLoading:', this.state.isLoading);
         
-        if (this.state.isLoading) {
-            console.warn('⚠️ Filter change blocked - already loading');
-            return;
-        }
-        
         try {
             console.log('🔄 Starting filter search...');
             await this.performSearch(1); // Reset to first page on filter change
@@ -803,68 +957,240 @@ class ProductIndexManager {
     }
 
     /**
-     * Perform search with current parameters
+     * Perform search with current parameters.
+     * Every call aborts the request before it, so the latest query always wins.
      */
-    async performSearch(page = null) {
+    async performSearch(page = null, options = {}) {
         console.log('🔍 performSearch called - page:', page, 'isLoading:', this.state.isLoading);
         
-        // Prevent multiple concurrent searches
-        if (this.state.isLoading) {
-            console.log('🚫 Search already in progress, aborting...');
+        // Without the JSON grid the page is navigated by the search form instead
+        if (!this.state.jsonGridEnabled) {
             return;
         }
-
+        
+        const searchParams = this.collectSearchParameters();
+        searchParams.page = page || this.state.currentPage;
+        searchParams.pageSize = this.config.pageSize;
+        
+        console.log('📋 Search params collected:', JSON.stringify(searchParams, null, 2));
+
+        // Skip if parameters haven't changed
+        const currentParamsHash = JSON.stringify(searchParams);
+        if (this.state.lastSearchParamsHash === currentParamsHash) {
+            console.log('⏭️ Search parameters unchanged, skipping search');
+            // Back/forward to the same results still returns to the remembered position
+            if (this.state.infinite.enabled && options.restoreInfinite) {
+                await this.restoreInfiniteScroll(options.restoreInfinite);
+            }
+            return;
+        }
+        
+        // Cancel the previous search (and any infinite-scroll page load for the old filters)
+        this.abortPendingSearch();
+        
+        const controller = new AbortController();
+        const requestId = ++this.state.searchRequestId;
+        this.state.searchController = controller;
+        this.state.lastSearchParamsHash = currentParamsHash;
         this.state.isLoading = true;
         console.log('🏁 Starting search - loading indicator will show');
         this.showLoadingIndicator(true);
 
         try {
-            const searchParams = this.collectSearchParameters();
-            searchParams.page = page || this.state.currentPage;
-            searchParams.pageSize = this.config.pageSize;
+            // Check cache first - extra table columns change the response, so they are part of the key
+            const cacheKey = this.generateCacheKey({ ...searchParams, columns: this.getGridColumnsParam() });
+            let response = this.getFromCache(cacheKey);
             
-            console.log('📋 Search params collected:', JSON.stringify(searchParams, null, 2));
+            if (!response) {
+                // Make API request
+                response = await this.makeSearchRequest(searchParams, controller.signal);
+                
+                // A newer search started while this one was in flight - drop the response
+                if (requestId !== this.state.searchRequestId) {
+                    console.log('⏭️ Stale search response ignored');
+                    return;
+                }
+                
+                if (!response.success) {
+                    throw new Error(response.message || 'Search failed');
+                }
+                
+                // Only completed, current responses are cached
+                this.addToCache(cacheKey, response);
+            }
 
-            // Skip if parameters haven't changed
-            const currentParamsHash = JSON.stringify(searchParams);
-            if (this.state.lastSearchParamsHash === currentParamsHash) {
-                console.log('⏭️ Search parameters unchanged, skipping search');
-                this.state.isLoading = false;
-                this.showLoadingIndicator(false);
-                return;
+            // Infinite list refresh or back/forward: fetch the other loaded pages too, then swap the list once
+            if (this.state.infinite.enabled && options.restoreInfinite) {
+                response = await this.loadInfinitePages(response, searchParams, options.restoreInfinite.loadedPages, controller.signal);
+                if (requestId !== this.state.searchRequestId) return;
             }
-            
-            this.state.lastSearchParamsHash = currentParamsHash;
 
-            // Check cache first
-            const cacheKey = this.generateCacheKey(searchParams);
-            const cachedResult = this.getFromCache(cacheKey);
+            this.handleSearchResults(response, searchParams, options);
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                console.log('🛑 Search aborted by a newer query');
+                return;
+            }
             
-            if (cachedResult) {
-                this.handleSearchResults(cachedResult, searchParams);
+            console.error('Search error:', error);
+            if (requestId === this.state.searchRequestId) {
+                // Allow retrying the same parameters after a failure
+                this.state.lastSearchParamsHash = null;
+                this.showErrorNotification('Arama sırasında bir hata oluştu');
+            }
+        } finally {
+            // Only the latest search owns the loading state
+            if (requestId === this.state.searchRequestId) {
+                this.state.searchController = null;
                 this.state.isLoading = false;
                 this.showLoadingIndicator(false);
-                return;
             }
+        }
+    }
 
-            // Make API request
-            const response = await this.makeSearchRequest(searchParams);
-            
-            if (response.success) {
-                // Cache the results
-                this.addToCache(cacheKey, response);
-                this.handleSearchResults(response, searchParams);
-            } else {
-                throw new Error(response.message || 'Search failed');
+    /**
+     * Abort in-flight search and next-page requests
+     */
+    abortPendingSearch() {
+        if (this.state.searchController) {
+            this.state.searchController.abort();
+            this.state.searchController = null;
+        }
+        
+        if (this.state.infinite.pageController) {
+            this.state.infinite.pageController.abort();
+            this.state.infinite.pageController = null;
+            this.state.infinite.isFetching = false;
+        }
+    }
+
+    /**
+     * Fetch facet counts for the given filters; a newer request aborts the previous one
+     */
+    async loadFacets(params) {
+        if (this.state.facetController) {
+            this.state.facetController.abort();
+        }
+        const controller = new AbortController();
+        this.state.facetController = controller;
+
+        const url = new URL(this.config.facetEndpoint, window.location.origin);
+        const skip = ['page', 'pageSize', 'sortBy', 'sortDirection'];
+        Object.keys(params).forEach(key => {
+            if (!skip.includes(key) && params[key] !== '' && params[key] !== false && params[key] !== null) {
+                url.searchParams.append(key, params[key]);
+            }
+        });
+
+        try {
+            const response = await fetch(url.toString(), {
+                headers: {
+                    'X-Requested-With': 'XMLHttpRequest',
+                    'Accept': 'application/json'
+                },
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
 
+            const facets = await response.json();
+            if (this.state.facetController === controller) {
+                this.applyFacetCounts(facets);
+            }
         } catch (error) {
-            console.error('Search error:', error);
-            this.showErrorNotification('Arama sırasında bir hata oluştu');
+            if (error.name !== 'AbortError') {
+                console.warn('⚠️ Facet counts could not be loaded:', error);
+            }
         } finally {
-            this.state.isLoading = false;
-            this.showLoadingIndicator(false);
+            if (this.state.facetController === controller) {
+                this.state.facetController = null;
+            }
+        }
+    }
+
+    /**
+     * Show "Label (N)" on filter options and grey out options that would return nothing
+     */
+    applyFacetCounts(facets) {
+        const targets = [
+            [this.elements.categorySelect, facets.categories],
+            [this.elements.brandSelect, facets.brands],
+            [this.elements.materialSelect, facets.materials],
+            [this.elements.colorSelect, facets.colors],
+            [this.elements.barcodeTypeSelect, facets.barcodeTypes]
+        ];
+
+        targets.forEach(([select, counts]) => {
+            if (!select || !counts) return;
+
+            Array.from(select.options).forEach(option => {
+                // "Tümü" style placeholder options stay as they are
+                if (!option.value) return;
+
+                if (option.dataset.label === undefined) {
+                    option.dataset.label = option.textContent.trim();
+                }
+
+                const count = counts[option.value] || 0;
+                const isEmpty = count === 0 && !option.selected;
+                option.textContent = `${option.dataset.label} (${count.toLocaleString('tr-TR')})`;
+                option.disabled = isEmpty;
+                option.classList.toggle('facet-empty', isEmpty);
+            });
+        });
+    }
+
+    /**
+     * Extra column keys for the JSON endpoint (comma separated, empty when none)
+     */
+    getGridColumnsParam() {
+        return window.productColumnManager?.getExtraColumnKeys().join(',') || '';
+    }
+
+    /**
+     * Drop cached result pages - call after products were changed outside the grid's own searches
+     */
+    invalidateCache() {
+        this.state.cache.clear();
+    }
+
+    /**
+     * Reload the current results without touching the URL (column chooser added a column, products were edited etc.)
+     * Cached pages are dropped first so no page is served from before the change
+     */
+    refreshGrid() {
+        if (!this.state.jsonGridEnabled) return;
+
+        this.invalidateCache();
+        this.state.lastSearchParamsHash = null;
+
+        // Infinite list: reload every page loaded so far and stay at the same scroll offset
+        if (this.state.infinite.enabled) {
+            return this.performSearch(1, {
+                fromHistory: true,
+                restoreInfinite: {
+                    loadedPages: this.state.infinite.loadedPages,
+                    scrollY: Math.round(window.scrollY)
+                }
+            });
+        }
+
+        return this.performSearch(this.state.currentPage, { fromHistory: true });
+    }
+
+    /**
+     * Re-run the search after form fields were changed from outside (saved views etc.)
+     */
+    refreshFromForm() {
+        const pageSize = parseInt(this.elements.pageSizeSelect?.value);
+        if (pageSize) {
+            this.config.pageSize = Math.min(pageSize, this.config.maxPageSize);
         }
+        
+        this.state.userTriggeredSearch = true;
+        return this.performSearch(1);
     }
 
     /**
@@ -887,9 +1213,9 @@ class ProductIndexManager {
             maxWarranty: this.elements.maxWarrantyInput?.value || '',
             sortBy: this.elements.sortBySelect?.value || 'name',
             sortDirection: this.elements.sortDirectionSelect?.value || 'asc',
-            hasImage: this.elements.hasImageCheckbox?.checked || false,
-            hasEan: this.elements.hasEanCheckbox?.checked || false,
-            hasBarcode: this.elements.hasBarcodeCheckbox?.checked || false,
+            hasImage: this.elements.hasImageSelect?.value || '',
+            hasEan: this.elements.hasEanSelect?.value || '',
+            hasBarcode: this.elements.hasBarcodeSelect?.value || '',
             barcodeType: this.elements.barcodeTypeSelect?.value || ''
         };
     }
@@ -900,7 +1226,15 @@ class ProductIndexManager {
      */
     generateCacheKey(params) {
         try {
-            return encodeURIComponent(JSON.stringify(params));
+            // Sorted keys without empty values: the same query always maps to the same key
+            const normalized = {};
+            Object.keys(params).sort().forEach(key => {
+                const value = params[key];
+                if (value !== '' && value !== null && value !== undefined && value !== false) {
+                    normalized[key] = String(value);
+                }
+            });
+            return encodeURIComponent(JSON.stringify(normalized));
         } catch (error) {
             console.warn('Cache key generation failed:', error);
             return `cache_${Date.now()}_${Math.random()}`;
@@ -936,51 +1270,73 @@ class ProductIndexManager {
     }
 
     /**
-     * Make search request to server
+     * Make search request to the JSON product endpoint
      */
-    async makeSearchRequest(params) {
-        const url = new URL(window.location.pathname, window.location.origin);
+    async makeSearchRequest(params, signal = undefined) {
+        const url = new URL(this.config.apiEndpoint, window.location.origin);
         
         // Add parameters to URL
         Object.keys(params).forEach(key => {
-            if (params[key] !== '' && params[key] !== false) {
+            if (params[key] !== '' && params[key] !== false && params[key] !== null) {
                 url.searchParams.append(key, params[key]);
             }
         });
 
+        // Extra columns picked in the column chooser
+        const columns = this.getGridColumnsParam();
+        if (columns) {
+            url.searchParams.append('columns', columns);
+        }
+
         const response = await fetch(url.toString(), {
             method: 'GET',
             headers: {
                 'X-Requested-With': 'XMLHttpRequest',
-                'Accept': 'text/html,application/xhtml+xml'
-            }
+                'Accept': 'application/json'
+            },
+            signal: signal
         });
 
         if (!response.ok) {
             throw new Error(`HTTP ${response.status}: ${response.statusText}`);
         }
 
-        const html = await response.text();
-        return { success: true, html: html };
+        const data = await response.json();
+        return { success: true, data: data };
     }
 
     /**
      * Handle search results
      */
-    handleSearchResults(response, searchParams) {
+    handleSearchResults(response, searchParams, options = {}) {
         try {
-            // Update page content with new results
-            this.updatePageContent(response.html);
+            const data = response.data;
+
+            // Patch table rows and pagination in place - no markup reload
+            if (this.state.infinite.enabled) {
+                this.resetInfiniteList(data, options.restoreInfinite);
+            } else {
+                this.renderProductRows(data.products || []);
+            }
+            this.renderPagination(data);
             
             // Update state
-            this.state.currentPage = searchParams.page;
+            this.state.currentPage = data.page;
+            this.state.totalPages = data.totalPages;
+            this.state.totalCount = data.totalCount;
             this.state.lastSearchParams = searchParams;
             
-            // Update URL without page reload
-            this.updateBrowserHistory(searchParams);
+            // Update URL without page reload (skip when restoring from history)
+            if (!options.fromHistory) {
+                this.updateBrowserHistory(searchParams);
+            }
+            
+            // Highlight the saved view matching the new filters
+            window.advancedSearchManager?.renderSavedViews();
+            window.productColumnManager?.updateSortIndicators();
             
-            // Re-initialize components for new content
-            this.reinitializeComponents();
+            // Refresh option counts for the new filter combination
+            this.loadFacets(searchParams);
             
             // Only show notification if user explicitly triggered the search
             if (this.state.userTriggeredSearch) {
@@ -997,122 +1353,936 @@ class ProductIndexManager {
     }
 
     /**
-     * Update page content with new HTML - OPTIMIZED with smooth transitions
+     * Render product rows - existing rows are reused by product Id.
+     * Infinite mode passes spacer heights standing in for rows outside the window.
      */
-    updatePageContent(html) {
-        // Create temporary container to parse new HTML
-        const tempDiv = document.createElement('div');
-        tempDiv.innerHTML = html;
-        
-        // Extract and update specific sections
-        const newProductGrid = tempDiv.querySelector('.product-grid');
-        const newPagination = tempDiv.querySelector('.pagination-container');
-        const newResultsInfo = tempDiv.querySelector('.results-info');
-        
-        // Smooth content updates with fade effects to prevent "black screen"
-        if (newProductGrid && this.elements.productGrid) {
-            this.smoothUpdateElement(this.elements.productGrid, newProductGrid.innerHTML);
+    renderProductRows(products, spacers = null) {
+        const tbody = this.elements.productTableBody;
+        if (!tbody) return;
+
+        const existingRows = new Map();
+        tbody.querySelectorAll('tr.product-row').forEach(row => {
+            existingRows.set(row.dataset.productId, row);
+        });
+
+        const fragment = document.createDocumentFragment();
+        products.forEach(product => {
+            const id = String(product.id);
+            const rowHash = JSON.stringify(product);
+            let row = existingRows.get(id);
+
+            // Only rebuild rows whose data actually changed
+            if (!row || row.dataset.rowHash !== rowHash) {
+                row = this.buildProductRow(product);
+                row.dataset.rowHash = rowHash;
+            }
+
+            existingRows.delete(id);
+            fragment.appendChild(row);
+        });
+
+        // Rows that are no longer part of the result set
+        existingRows.forEach(row => row.remove());
+        tbody.querySelectorAll('tr.product-empty-row, tr.virtual-spacer').forEach(row => row.remove());
+
+        if (spacers) {
+            fragment.insertBefore(this.createSpacerRow(spacers.top), fragment.firstChild);
+            fragment.appendChild(this.createSpacerRow(spacers.bottom));
         }
-        
-        if (newPagination && this.elements.paginationContainer) {
-            this.smoothUpdateElement(this.elements.paginationContainer, newPagination.innerHTML);
+
+        if (products.length === 0 && !spacers?.top) {
+            const emptyRow = document.createElement('tr');
+            emptyRow.className = 'product-empty-row';
+            emptyRow.innerHTML = `
+                <td colspan="${this.elements.productTable.tHead?.rows[0]?.cells.length || 10}" class="no-results-cell">
+                    <i class="fas fa-search"></i> Arama kriterlerine uygun ürün bulunamadı.
+                </td>
+            `;
+            fragment.appendChild(emptyRow);
         }
-        
-        if (newResultsInfo && this.elements.resultsInfo) {
-            this.smoothUpdateElement(this.elements.resultsInfo, newResultsInfo.innerHTML);
+
+        tbody.appendChild(fragment);
+        this.restoreRowFocus();
+
+        // Keep checkbox state in sync with the bulk selection set (it spans pages and filters)
+        const selectedItems = window.bulkOperationsManager?.selectedItems;
+        if (selectedItems) {
+            tbody.querySelectorAll('.product-checkbox').forEach(checkbox => {
+                checkbox.checked = selectedItems.has(checkbox.value);
+            });
+            window.bulkOperationsManager.updateSelectAllState();
+            window.bulkOperationsManager.updateBulkActionsVisibility();
         }
     }
 
     /**
-     * Smooth element update with fade transition to prevent flashing
+     * Build a single product row - mirrors the markup in Views/Product/Index.cshtml
      */
-    smoothUpdateElement(element, newContent) {
-        if (!element) return;
-        
-        // Quick opacity transition to prevent "black screen" effect
-        element.style.transition = 'opacity 0.15s ease';
-        element.style.opacity = '0.7';
-        
-        // Use requestAnimationFrame for smooth update
-        requestAnimationFrame(() => {
-            element.innerHTML = newContent;
-            
-            // Restore opacity quickly
-            requestAnimationFrame(() => {
-                element.style.opacity = '1';
-                
-                // Clean up transition after animation
-                setTimeout(() => {
-                    element.style.transition = '';
-                }, 200);
-            });
-        });
-    }
-
     /**
-     * Re-initialize components after content update
+     * Variant group badge - same markup as the server-rendered rows
      */
-    reinitializeComponents() {
-        // Re-cache elements that might have changed
-        this.cacheElements();
-        
-        // Re-initialize bulk operations
-        this.initializeBulkOperations();
-        
-        // Re-initialize image handling
-        this.initializeImageHandling();
-        
-        // Re-setup pagination
-        this.initializePagination();
+    buildVariantBadge(variant) {
+        if (!variant) return '';
+
+        const text = variant.isParent
+            ? `🧬 Varyant grubu · ${variant.variantCount} varyant`
+            : `↳ ${variant.label || 'Varyant'}`;
+        return `<a href="/Product/Details/${variant.groupId}" class="variant-badge${variant.isParent ? ' variant-parent' : ''}" title="Varyant grubunu aç">${this.escapeHtml(text)}</a>`;
     }
 
-    /**
-     * Update browser history
-     */
-    updateBrowserHistory(params) {
-        const url = new URL(window.location);
-        
-        // Clear existing parameters
-        url.search = '';
-        
-        // Add new parameters
-        Object.keys(params).forEach(key => {
-            if (params[key] !== '' && params[key] !== false && params[key] !== null) {
-                url.searchParams.set(key, params[key]);
-            }
-        });
-        
-        // Update history without reload
-        window.history.pushState(params, '', url.toString());
+    buildProductRow(product) {
+        const esc = (value) => this.escapeHtml(value);
+        const id = product.id;
+        const name = product.name || '';
+        const isArchived = product.isArchived === true;
+
+        let imageHtml;
+        if (product.marketplaceImageUrls && product.marketplaceImageUrls.length > 0) {
+            imageHtml = `
+                <img src="${esc(product.marketplaceImageUrls[0])}" 
+                     alt="${esc(name)}" 
+                     class="product-thumbnail clickable-image marketplace-image" 
+                     data-action="open-gallery"
+                     data-product-id="${id}"
+                     data-product-name="${esc(name)}"
+                     data-images="${esc(product.marketplaceImageUrls.join('|'))}"
+                     title="Pazaryeri görsellerini görmek için tıklayın (${product.marketplaceImageCount} görsel)" />
+                ${product.marketplaceImageCount > 1 ? `<div class="image-count-badge">${product.marketplaceImageCount}</div>` : ''}
+            `;
+        } else if (product.imageUrl) {
+            imageHtml = `
+                <img src="${esc(product.imageUrl)}" 
+                     alt="${esc(name)}" 
+                     class="product-thumbnail clickable-image" 
+                     data-action="open-image"
+                     data-image-url="${esc(product.imageUrl)}"
+                     data-product-name="${esc(name)}"
+                     title="Büyük görüntülemek için tıklayın" />
+            `;
+        } else {
+            imageHtml = '<div class="no-image-small">📷</div>';
+        }
+
+        const updated = this.formatUpdatedDate(product.updatedDate);
+        const variantHtml = this.buildVariantBadge(product.variant);
+        const actionsHtml = isArchived
+            ? `
+                <button type="button" class="btn-small btn-success" title="Arşivden Çıkar" data-action="unarchive-product" data-product-id="${id}" data-product-name="${esc(name)}">📤</button>
+                <button type="button" class="btn-small btn-danger" title="Çöp Kutusuna Taşı" data-action="delete-product" data-product-id="${id}" data-product-name="${esc(name)}">🗑️</button>
+            `
+            : `
+                <a href="/Product/EditProduct/${id}" class="btn-small btn-warning" title="Düzenle">✏️</a>
+                <a href="/Product/CreateProduct?cloneFrom=${id}" class="btn-small btn-secondary" title="Kopyala">📋</a>
+                <button type="button" class="btn-small btn-info" title="Arşivle" data-action="archive-product" data-product-id="${id}" data-product-name="${esc(name)}">📥</button>
+                <button type="button" class="btn-small btn-danger" title="Sil" data-action="delete-product" data-product-id="${id}" data-product-name="${esc(name)}">🗑️</button>
+            `;
+
+        const row = document.createElement('tr');
+        row.className = product.variant && !product.variant.isParent ? 'product-row variant-child' : 'product-row';
+        row.dataset.productId = id;
+        row.innerHTML = `
+            <td class="product-select-cell">
+                <input type="checkbox" class="product-checkbox" name="selectedProducts" value="${id}" data-product-name="${esc(name)}">
+            </td>
+            <td class="product-image-cell">${imageHtml}</td>
+            <td class="product-name-cell">
+                <div class="product-name">${esc(name)}</div>
+                ${variantHtml}
+            </td>
+            <td class="product-category-cell">
+                ${product.category ? `<span class="category-badge">${esc(product.category)}</span>` : '<span class="no-category">Kategori yok</span>'}
+            </td>
+            <td class="product-brand-cell">${esc(product.brand)}</td>
+            <td class="product-sku-cell"><code>${esc(product.sku)}</code></td>
+            <td class="product-ean-cell">
+                ${product.eanCode ? `<code>${esc(product.eanCode)}</code>` : '<span class="no-ean">-</span>'}
+            </td>
+            <td class="product-updated-cell">
+                <div class="updated-date-container">
+                    <span class="${updated.cssClass}" title="${updated.title}">${updated.label}</span>
+                </div>
+            </td>
+            <td class="product-status-cell">
+                ${isArchived ? '<span class="status-badge archived">🗄️ Arşiv</span>' : '<span class="status-badge active">✅ Aktif</span>'}
+            </td>
+            <td class="product-actions-cell">
+                <div class="action-buttons-inline">
+                    <a href="/Product/Details/${id}" class="btn-small btn-primary" title="Detaylar">👁️</a>
+                    ${actionsHtml}
+                </div>
+            </td>
+        `;
+
+        const thumbnail = row.querySelector('.product-thumbnail');
+        if (thumbnail && typeof this.handleImageError === 'function') {
+            thumbnail.addEventListener('error', () => this.handleImageError(thumbnail));
+        }
+
+        // Column chooser: extra cells, order and hidden columns
+        window.productColumnManager?.decorateRow(row, product);
+
+        return row;
     }
 
     /**
-     * Handle browser back/forward
+     * Format UTC date the same way the server does (Türkiye saati, UTC+3)
      */
-    handlePopState(event) {
-        if (event.state) {
-            this.restoreStateFromHistory(event.state);
+    formatUpdatedDate(utcString) {
+        const pad = (n) => String(n).padStart(2, '0');
+        const toTurkey = (date) => new Date(date.getTime() + 3 * 60 * 60 * 1000);
+        const dayStart = (date) => Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate());
+
+        const display = toTurkey(new Date(utcString));
+        const now = toTurkey(new Date());
+        const time = `${pad(display.getUTCHours())}:${pad(display.getUTCMinutes())}`;
+        const dayMonth = `${pad(display.getUTCDate())}.${pad(display.getUTCMonth() + 1)}`;
+        const fullDate = `${dayMonth}.${display.getUTCFullYear()}`;
+        const title = `${fullDate} ${time} (Türkiye Saati)`;
+
+        const dayDiff = Math.round((dayStart(now) - dayStart(display)) / (24 * 60 * 60 * 1000));
+        const minutesAgo = (now - display) / (60 * 1000);
+
+        if (dayDiff === 0) {
+            const ago = minutesAgo < 60 ? `${Math.round(minutesAgo)} dakika önce` : `${Math.round(minutesAgo / 60)} saat önce`;
+            return { cssClass: 'updated-today', label: `🕐 Bugün ${time}`, title: `${title}&#10;Son güncelleme: ${ago}` };
+        }
+        if (dayDiff === 1) {
+            return { cssClass: 'updated-yesterday', label: `📅 Dün ${time}`, title: title };
         }
+        if (display >= dayStart(now) - 7 * 24 * 60 * 60 * 1000) {
+            return { cssClass: 'updated-week', label: `📆 ${dayMonth} ${time}`, title: title };
+        }
+        return { cssClass: 'updated-old', label: `📋 ${fullDate}`, title: title };
     }
 
     /**
-     * Restore state from browser history
+     * Render pagination buttons for the current result set
      */
-    restoreStateFromHistory(state) {
-        // Update form fields
-        Object.keys(state).forEach(key => {
-            const element = this.elements[key + 'Input'] || this.elements[key + 'Select'] || this.elements[key + 'Checkbox'];
-            if (element) {
-                if (element.type === 'checkbox') {
-                    element.checked = state[key];
-                } else {
-                    element.value = state[key];
-                }
+    renderPagination(data) {
+        const container = this.elements.paginationContainer;
+        if (!container) return;
+
+        const { page, totalPages, totalCount } = data;
+        container.style.display = totalPages > 1 && !this.state.infinite.enabled ? '' : 'none';
+
+        const info = container.querySelector('.pagination-info');
+        if (info) {
+            info.textContent = `Sayfa ${page} / ${totalPages} (${totalCount} ürün)`;
+        }
+
+        const buttons = container.querySelector('.pagination-buttons');
+        if (!buttons) return;
+
+        const link = (target, label) => `<a href="#" class="btn btn-outline page-link" data-page="${target}">${label}</a>`;
+        let html = '';
+
+        if (page > 1) {
+            html += link(1, 'İlk') + link(page - 1, '← Önceki');
+        }
+        for (let i = Math.max(1, page - 2); i <= Math.min(totalPages, page + 2); i++) {
+            html += i === page ? `<span class="btn btn-primary page-current">${i}</span>` : link(i, i);
+        }
+        if (page < totalPages) {
+            html += link(page + 1, 'Sonraki →') + link(totalPages, 'Son');
+        }
+
+        buttons.innerHTML = html;
+
+        if (this.elements.totalCountStat) {
+            this.elements.totalCountStat.textContent = totalCount;
+        }
+    }
+
+    /**
+     * Initialize paged / infinite list mode toggle
+     */
+    initializeListMode() {
+        if (!this.state.jsonGridEnabled) return;
+
+        this.elements.listModeToggle = document.getElementById('listModeToggle');
+        this.elements.infiniteStatus = document.getElementById('infiniteScrollStatus');
+
+        if (this.elements.listModeToggle) {
+            this.addEventListenerWithCleanup(this.elements.listModeToggle, 'click', () => {
+                this.setListMode(this.state.infinite.enabled ? 'paged' : 'infinite');
+            });
+        }
+
+        // Select all in infinite mode covers every loaded row, not only the rendered window
+        this.addEventListenerWithCleanup(document, 'change', (e) => {
+            if (!this.state.infinite.enabled || !e.target.matches('#selectAll')) return;
+
+            const bulkManager = window.bulkOperationsManager;
+            if (!bulkManager) return;
+
+            this.state.infinite.products.forEach(product => {
+                bulkManager.updateItemSelection(String(product.id), e.target.checked);
+            });
+            bulkManager.updateBulkActionsVisibility();
+        });
+
+        this.addEventListenerWithCleanup(window, 'scroll', () => {
+            if (!this.state.infinite.enabled || this._infiniteScrollFrame) return;
+
+            this._infiniteScrollFrame = requestAnimationFrame(() => {
+                this._infiniteScrollFrame = null;
+                this.handleInfiniteScroll();
+            });
+        }, { passive: true });
+
+        this.addEventListenerWithCleanup(window, 'resize', () => {
+            if (this.state.infinite.enabled) {
+                this.renderVirtualWindow(true);
+            }
+        });
+
+        if (localStorage.getItem(this.config.listModeStorageKey) === 'infinite') {
+            this.enableInfiniteScroll(window.history.state?.infinite);
+        }
+    }
+
+    /**
+     * Switch between paged and infinite list mode
+     */
+    setListMode(mode) {
+        localStorage.setItem(this.config.listModeStorageKey, mode);
+
+        if (mode === 'infinite') {
+            this.enableInfiniteScroll();
+        } else {
+            this.disableInfiniteScroll();
+        }
+    }
+
+    /**
+     * Turn on infinite scroll - restore = { loadedPages, scrollY } from history state
+     */
+    async enableInfiniteScroll(restore = null) {
+        const infinite = this.state.infinite;
+        infinite.enabled = true;
+
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'manual';
+        }
+
+        this.elements.productTable?.classList.add('infinite-mode');
+        if (this.elements.paginationContainer) {
+            this.elements.paginationContainer.style.display = 'none';
+        }
+        this.updateListModeToggle();
+
+        // Infinite list always starts from the first page of the current filters - through performSearch,
+        // so a search started meanwhile aborts this request instead of being overwritten by it
+        this.state.lastSearchParamsHash = null;
+        await this.performSearch(1, { fromHistory: true, restoreInfinite: restore });
+    }
+
+    /**
+     * Back to classic pagination
+     */
+    disableInfiniteScroll() {
+        const infinite = this.state.infinite;
+        infinite.enabled = false;
+        infinite.products = [];
+        infinite.loadedPages = 0;
+        infinite.windowStart = -1;
+        infinite.windowEnd = -1;
+
+        if ('scrollRestoration' in window.history) {
+            window.history.scrollRestoration = 'auto';
+        }
+
+        this.elements.productTable?.classList.remove('infinite-mode');
+        this.updateListModeToggle();
+        this.updateInfiniteStatus();
+
+        // Force a fresh paged render of the current filters
+        this.state.lastSearchParamsHash = null;
+        this.performSearch(1);
+    }
+
+    /**
+     * Replace loaded rows with a new result set - restore = { scrollY } keeps the position instead of jumping to the top
+     */
+    resetInfiniteList(data, restore = null) {
+        const infinite = this.state.infinite;
+        infinite.products = data.products || [];
+        infinite.loadedPages = data.loadedPages || data.page;
+        infinite.totalPages = data.totalPages;
+        this.state.totalCount = data.totalCount;
+
+        infinite.windowStart = -1;
+        infinite.windowEnd = -1;
+
+        if (!restore) {
+            const tableTop = this.elements.productTable?.getBoundingClientRect().top;
+            if (tableTop < 0) {
+                window.scrollBy(0, tableTop);
+            }
+        }
+
+        this.renderVirtualWindow(true);
+
+        if (restore) {
+            window.scrollTo(0, restore.scrollY || 0);
+            this.renderVirtualWindow(true);
+            this.saveInfiniteScrollState();
+        }
+
+        this.updateInfiniteStatus();
+    }
+
+    /**
+     * Fetch pages 2..loadedPages after the first one so a refresh replaces the whole infinite list at once
+     */
+    async loadInfinitePages(firstResponse, searchParams, loadedPages, signal) {
+        const first = firstResponse.data;
+        const targetPages = Math.min(Math.max(1, parseInt(loadedPages) || 1), first.totalPages);
+        const products = [...(first.products || [])];
+        const knownIds = new Set(products.map(product => product.id));
+        let lastPage = first.page;
+
+        for (let page = first.page + 1; page <= targetPages; page++) {
+            const params = { ...searchParams, page };
+            const cacheKey = this.generateCacheKey({ ...params, columns: this.getGridColumnsParam() });
+            let response = this.getFromCache(cacheKey);
+            if (!response) {
+                response = await this.makeSearchRequest(params, signal);
+                this.addToCache(cacheKey, response);
+            }
+
+            (response.data.products || []).forEach(product => {
+                if (knownIds.has(product.id)) return;
+                knownIds.add(product.id);
+                products.push(product);
+            });
+            lastPage = response.data.page;
+        }
+
+        return { ...firstResponse, data: { ...first, products, loadedPages: lastPage } };
+    }
+
+    /**
+     * Fetch and append the next page of results
+     */
+    async loadNextPage() {
+        const infinite = this.state.infinite;
+        if (!infinite.enabled || infinite.isFetching || infinite.loadedPages >= infinite.totalPages) return;
+        // A search in flight replaces the whole list - appending to the old one would mix result sets
+        if (this.state.isLoading) return;
+
+        infinite.isFetching = true;
+        this.updateInfiniteStatus();
+
+        const params = { ...this.state.lastSearchParams, page: infinite.loadedPages + 1 };
+        const requestHash = this.state.lastSearchParamsHash;
+        const controller = new AbortController();
+        infinite.pageController = controller;
+
+        try {
+            // Same key as performSearch - pages cached before a column change lack the new cells
+            const cacheKey = this.generateCacheKey({ ...params, columns: this.getGridColumnsParam() });
+            let response = this.getFromCache(cacheKey);
+            if (!response) {
+                response = await this.makeSearchRequest(params, controller.signal);
+                this.addToCache(cacheKey, response);
+            }
+
+            // Filters changed while the page was loading - drop the stale page
+            if (requestHash !== this.state.lastSearchParamsHash || !infinite.enabled) return;
+
+            const knownIds = new Set(infinite.products.map(product => product.id));
+            const newProducts = (response.data.products || []).filter(product => !knownIds.has(product.id));
+
+            infinite.products = infinite.products.concat(newProducts);
+            infinite.loadedPages = response.data.page;
+            infinite.totalPages = response.data.totalPages;
+
+            this.renderVirtualWindow(true);
+            this.saveInfiniteScrollState();
+        } catch (error) {
+            if (error.name === 'AbortError') return;
+            console.error('Next page load error:', error);
+            this.showErrorNotification('Sonraki ürünler yüklenirken bir hata oluştu');
+        } finally {
+            if (infinite.pageController === controller) {
+                infinite.pageController = null;
+                infinite.isFetching = false;
+                this.updateInfiniteStatus();
+            }
+        }
+    }
+
+    /**
+     * Load pages up to the remembered count and restore the scroll offset
+     */
+    async restoreInfiniteScroll(restore) {
+        const targetPages = Math.max(1, parseInt(restore.loadedPages) || 1);
+
+        while (this.state.infinite.enabled && this.state.infinite.loadedPages < Math.min(targetPages, this.state.infinite.totalPages)) {
+            const loadedBefore = this.state.infinite.loadedPages;
+            await this.loadNextPage();
+            if (this.state.infinite.loadedPages === loadedBefore) break;
+        }
+
+        window.scrollTo(0, restore.scrollY || 0);
+        this.renderVirtualWindow(true);
+    }
+
+    /**
+     * Scroll handler - re-window rows, prefetch and remember position
+     */
+    handleInfiniteScroll() {
+        const infinite = this.state.infinite;
+        this.renderVirtualWindow();
+
+        if (infinite.windowEnd >= infinite.products.length - this.config.prefetchRows) {
+            this.loadNextPage();
+        }
+
+        this.saveInfiniteScrollState();
+    }
+
+    /**
+     * Render only the rows around the viewport; spacer rows keep the scroll height
+     */
+    renderVirtualWindow(force = false) {
+        const infinite = this.state.infinite;
+        const tbody = this.elements.productTableBody;
+        if (!tbody) return;
+
+        const rowHeight = infinite.rowHeight || 64;
+        const scrolledPast = Math.max(0, -tbody.getBoundingClientRect().top);
+        const firstVisible = Math.floor(scrolledPast / rowHeight);
+        const visibleCount = Math.ceil(window.innerHeight / rowHeight);
+
+        const start = Math.max(0, Math.min(firstVisible - this.config.virtualBufferRows, infinite.products.length - visibleCount));
+        const end = Math.min(infinite.products.length, firstVisible + visibleCount + this.config.virtualBufferRows);
+
+        if (!force && start === infinite.windowStart && end === infinite.windowEnd) return;
+
+        infinite.windowStart = Math.max(0, start);
+        infinite.windowEnd = end;
+
+        this.renderProductRows(infinite.products.slice(infinite.windowStart, end), {
+            top: infinite.windowStart * rowHeight,
+            bottom: (infinite.products.length - end) * rowHeight
+        });
+
+        // Measure once real rows exist so spacers match the actual row height
+        if (!infinite.rowHeight) {
+            const rows = tbody.querySelectorAll('tr.product-row');
+            if (rows.length > 0) {
+                const total = Array.from(rows).reduce((sum, row) => sum + row.offsetHeight, 0);
+                infinite.rowHeight = Math.max(1, Math.round(total / rows.length));
+                this.renderVirtualWindow(true);
+            }
+        }
+    }
+
+    /**
+     * Spacer row standing in for rows outside the rendered window
+     */
+    createSpacerRow(height) {
+        const row = document.createElement('tr');
+        row.className = 'virtual-spacer';
+        row.setAttribute('aria-hidden', 'true');
+        row.innerHTML = `<td colspan="${this.elements.productTable.tHead?.rows[0]?.cells.length || 10}" style="height: ${height}px;"></td>`;
+        if (height <= 0) {
+            row.style.display = 'none';
+        }
+        return row;
+    }
+
+    /**
+     * Remember loaded pages and scroll offset on the current history entry
+     */
+    saveInfiniteScrollState() {
+        clearTimeout(this._infiniteSaveTimeout);
+        this._infiniteSaveTimeout = setTimeout(() => {
+            if (!this.state.infinite.enabled) return;
+
+            const state = {
+                ...(window.history.state || this.state.lastSearchParams),
+                infinite: {
+                    loadedPages: this.state.infinite.loadedPages,
+                    scrollY: Math.round(window.scrollY)
+                }
+            };
+            window.history.replaceState(state, '', window.location.href);
+        }, 200);
+    }
+
+    updateListModeToggle() {
+        const toggle = this.elements.listModeToggle;
+        if (!toggle) return;
+
+        toggle.innerHTML = this.state.infinite.enabled
+            ? '<i class="fas fa-list-ol"></i> Sayfalı Görünüm'
+            : '<i class="fas fa-stream"></i> Sonsuz Kaydırma';
+        toggle.classList.toggle('active', this.state.infinite.enabled);
+    }
+
+    updateInfiniteStatus() {
+        const status = this.elements.infiniteStatus;
+        if (!status) return;
+
+        const infinite = this.state.infinite;
+        if (!infinite.enabled) {
+            status.style.display = 'none';
+            return;
+        }
+
+        status.style.display = '';
+        if (infinite.isFetching) {
+            status.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Ürünler yükleniyor...';
+        } else if (infinite.loadedPages >= infinite.totalPages) {
+            status.textContent = `Tüm ürünler yüklendi (${infinite.products.length} ürün)`;
+        } else {
+            status.textContent = `${infinite.products.length} / ${this.state.totalCount} ürün yüklendi`;
+        }
+    }
+
+    /**
+     * Barcode scanner mode: USB scanners type the code at keyboard speed no person reaches and finish with Enter
+     */
+    initializeBarcodeScanner() {
+        const panel = document.getElementById('scanHistoryPanel');
+        if (!panel) return;
+
+        this.elements.scanHistoryPanel = panel;
+        this.elements.scanHistoryList = document.getElementById('scanHistoryList');
+        this.elements.scanHistoryToggle = document.getElementById('scanHistoryToggle');
+        this.elements.scannerModeToggle = document.getElementById('scannerModeToggle');
+
+        // Opt-in: the capture-phase listener only runs for users who turned scanner mode on
+        this.state.scanner.enabled = localStorage.getItem(this.config.scannerModeStorageKey) === 'on';
+        this.state.scanner.history = this.loadScanHistory();
+        if (this.elements.scannerModeToggle) {
+            this.elements.scannerModeToggle.checked = this.state.scanner.enabled;
+            this.addEventListenerWithCleanup(this.elements.scannerModeToggle, 'change', (e) => {
+                this.state.scanner.enabled = e.target.checked;
+                if (!e.target.checked) this.releaseHeldScanKeys();
+                localStorage.setItem(this.config.scannerModeStorageKey, e.target.checked ? 'on' : 'off');
+            });
+        }
+
+        if (this.elements.scanHistoryToggle) {
+            this.addEventListenerWithCleanup(this.elements.scanHistoryToggle, 'click', () => this.toggleScanHistory());
+        }
+
+        this.addEventListenerWithCleanup(panel, 'click', (e) => {
+            if (e.target.closest('[data-scan-action="clear"]')) {
+                this.state.scanner.history = [];
+                this.persistScanHistory();
+            }
+        });
+
+        // Capture phase: the Enter that ends a scan must not submit forms or trigger shortcuts
+        this.addEventListenerWithCleanup(document, 'keydown', (e) => this.handleScannerKeydown(e), true);
+
+        this.renderScanHistory();
+        console.log('✅ Barcode scanner mode initialized');
+    }
+
+    /**
+     * Collect fast keystroke runs; a run of scanMinLength+ characters ended by Enter is a scan
+     */
+    handleScannerKeydown(e) {
+        const scanner = this.state.scanner;
+        if (!scanner.enabled || e.ctrlKey || e.altKey || e.metaKey) return;
+
+        const now = performance.now();
+        const gap = now - scanner.lastKeyTime;
+
+        if (e.key === 'Enter') {
+            const code = scanner.buffer.trim();
+            const isScan = code.length >= this.config.scanMinLength && gap <= this.config.scanMaxKeyInterval * 2;
+            const { target, valueBefore } = scanner;
+            scanner.buffer = '';
+            scanner.lastKeyTime = 0;
+            if (!isScan) {
+                // Fast typing, not a scan - the held characters belong in the field before Enter acts
+                this.releaseHeldScanKeys();
+                return;
+            }
+
+            e.preventDefault();
+            e.stopPropagation();
+            clearTimeout(scanner.releaseTimer);
+            scanner.held = '';
+
+            // Only the first character of the scan reached the field - take it back out
+            if (target && valueBefore !== null && 'value' in target) {
+                target.value = valueBefore;
+            }
+            this.hideSuggestions();
+            this.handleBarcodeScan(code);
+            return;
+        }
+
+        // Shift, arrows etc. don't type anything
+        if (e.key.length !== 1) return;
+
+        scanner.lastKeyTime = now;
+        if (gap > this.config.scanMaxKeyInterval) {
+            // Slow keystroke: a person typing, or the first character of a new scan
+            this.releaseHeldScanKeys();
+            const target = e.target;
+            const isField = target && (target.tagName === 'INPUT' || target.tagName === 'TEXTAREA');
+            scanner.buffer = '';
+            scanner.target = isField ? target : null;
+            scanner.valueBefore = isField ? target.value : null;
+        } else if (scanner.target || !this.isTypingTarget(e.target)) {
+            // Second fast keystroke in a row: a scanner burst - keep it from the field, search and shortcut handlers
+            e.preventDefault();
+            e.stopPropagation();
+            scanner.held += e.key;
+            clearTimeout(scanner.releaseTimer);
+            scanner.releaseTimer = setTimeout(() => this.releaseHeldScanKeys(), this.config.scanMaxKeyInterval * 2);
+        }
+        scanner.buffer += e.key;
+    }
+
+    /**
+     * A burst that did not end in a scan was fast typing - put the held characters into the field after all
+     */
+    releaseHeldScanKeys() {
+        const scanner = this.state.scanner;
+        clearTimeout(scanner.releaseTimer);
+        scanner.releaseTimer = null;
+
+        const { held, target } = scanner;
+        scanner.held = '';
+        if (!held || !target || !target.isConnected) return;
+
+        try {
+            target.setRangeText(held, target.selectionStart, target.selectionEnd, 'end');
+        } catch (error) {
+            // Number inputs etc. have no selection API
+            target.value += held;
+        }
+        target.dispatchEvent(new Event('input', { bubbles: true }));
+    }
+
+    /**
+     * Look the scanned code up and jump to the product
+     */
+    async handleBarcodeScan(code) {
+        console.log('🔫 Barcode scanned:', code);
+
+        let matches;
+        try {
+            const response = await fetch(`${this.config.barcodeLookupEndpoint}?code=${encodeURIComponent(code)}`, {
+                headers: { 'Accept': 'application/json' }
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            }
+
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.message || 'Barkod aranamadı');
+            }
+            matches = result.matches || [];
+        } catch (error) {
+            console.error('❌ Barcode lookup failed:', error);
+            this.showErrorNotification(`Barkod aranamadı: ${code}`);
+            return;
+        }
+
+        this.addScanHistory(code, matches);
+
+        if (matches.length === 0) {
+            if (window.notificationSystem) {
+                window.notificationSystem.warning('Ürün bulunamadı', `${code} barkoduna sahip ürün yok`);
+            } else {
+                this.showWarningNotification(`Ürün bulunamadı: ${code}`);
+            }
+            return;
+        }
+
+        if (matches.length === 1) {
+            this.jumpToProduct(matches[0]);
+            return;
+        }
+
+        // Same code on several products - let the user pick from the history panel
+        this.toggleScanHistory(true);
+        this.showWarningNotification(`${code} barkodu ${matches.length} üründe kayıtlı, geçmişten seçin`);
+    }
+
+    /**
+     * Highlight the product when it is on the current page, otherwise open its details
+     */
+    jumpToProduct(match) {
+        const row = this.elements.productTableBody?.querySelector(`tr.product-row[data-product-id="${match.productId}"]`);
+        if (!row) {
+            window.location.href = `/Product/Details/${match.productId}`;
+            return;
+        }
+
+        row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        row.classList.remove('scan-highlight');
+        void row.offsetWidth; // restart the animation on repeated scans
+        row.classList.add('scan-highlight');
+        this.showSuccessNotification(`${match.name} (${match.matchedFields.join(', ')})`);
+    }
+
+    toggleScanHistory(forceOpen) {
+        const panel = this.elements.scanHistoryPanel;
+        if (!panel) return;
+
+        const open = forceOpen ?? panel.classList.contains('hidden');
+        panel.classList.toggle('hidden', !open);
+        this.elements.scanHistoryToggle?.classList.toggle('active', open);
+    }
+
+    loadScanHistory() {
+        try {
+            const history = JSON.parse(localStorage.getItem(this.config.scanHistoryStorageKey) || '[]');
+            return Array.isArray(history) ? history : [];
+        } catch (error) {
+            console.warn('⚠️ Scan history could not be read, starting empty:', error);
+            return [];
+        }
+    }
+
+    persistScanHistory() {
+        localStorage.setItem(this.config.scanHistoryStorageKey, JSON.stringify(this.state.scanner.history));
+        this.renderScanHistory();
+    }
+
+    addScanHistory(code, matches) {
+        this.state.scanner.history.unshift({
+            code,
+            scannedAt: new Date().toISOString(),
+            matches: matches.slice(0, 5).map(m => ({
+                productId: m.productId,
+                name: m.name,
+                sku: m.sku,
+                isArchived: m.isArchived,
+                matchedFields: m.matchedFields
+            })),
+            matchCount: matches.length
+        });
+        this.state.scanner.history = this.state.scanner.history.slice(0, this.config.scanHistoryLimit);
+        this.persistScanHistory();
+    }
+
+    renderScanHistory() {
+        const list = this.elements.scanHistoryList;
+        if (!list) return;
+
+        list.innerHTML = '';
+        const history = this.state.scanner.history;
+
+        if (history.length === 0) {
+            const empty = document.createElement('li');
+            empty.className = 'scan-history-empty';
+            empty.textContent = 'Henüz barkod okutulmadı. Okuyucu ile bir barkod okutun.';
+            list.appendChild(empty);
+            return;
+        }
+
+        history.forEach(entry => {
+            const item = document.createElement('li');
+            item.className = 'scan-history-item';
+            item.classList.toggle('not-found', entry.matchCount === 0);
+
+            const code = document.createElement('code');
+            code.textContent = entry.code;
+
+            const result = document.createElement('span');
+            result.className = 'scan-result';
+            if (entry.matchCount === 0) {
+                result.textContent = 'Bulunamadı';
+            } else {
+                entry.matches.forEach((match, index) => {
+                    if (index > 0) result.appendChild(document.createTextNode(', '));
+                    const link = document.createElement('a');
+                    link.href = `/Product/Details/${match.productId}`;
+                    link.textContent = match.isArchived ? `${match.name} (Arşiv)` : match.name;
+                    link.title = `${match.sku} - ${(match.matchedFields || []).join(', ')}`;
+                    result.appendChild(link);
+                });
+                if (entry.matchCount > entry.matches.length) {
+                    result.appendChild(document.createTextNode(` +${entry.matchCount - entry.matches.length}`));
+                }
+            }
+
+            const time = document.createElement('span');
+            time.className = 'scan-time';
+            time.textContent = new Date(entry.scannedAt).toLocaleTimeString('tr-TR');
+
+            item.append(code, result, time);
+            list.appendChild(item);
+        });
+    }
+
+    /**
+     * Escape text for safe use in HTML markup and attributes
+     */
+    escapeHtml(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    /**
+     * Update browser history
+     */
+    updateBrowserHistory(params) {
+        const url = new URL(window.location);
+        
+        // Clear existing parameters
+        url.search = '';
+        
+        // Add new parameters
+        Object.keys(params).forEach(key => {
+            if (params[key] !== '' && params[key] !== false && params[key] !== null) {
+                url.searchParams.set(key, params[key]);
+            }
+        });
+        
+        // Update history without reload
+        window.history.pushState(params, '', url.toString());
+    }
+
+    /**
+     * Handle browser back/forward
+     */
+    handlePopState(event) {
+        if (event.state) {
+            this.restoreStateFromHistory(event.state);
+        }
+    }
+
+    /**
+     * Restore state from browser history
+     */
+    restoreStateFromHistory(state) {
+        // Update form fields
+        Object.keys(state).forEach(key => {
+            const element = this.elements[key + 'Input'] || this.elements[key + 'Select'] || this.elements[key + 'Checkbox'];
+            if (element) {
+                if (element.type === 'checkbox') {
+                    element.checked = state[key];
+                } else {
+                    element.value = state[key];
+                }
             }
         });
         
+        if (state.pageSize) {
+            this.config.pageSize = state.pageSize;
+        }
+        
         // Perform search with historical state
-        this.performSearch(state.page);
+        this.performSearch(state.page, { fromHistory: true, restoreInfinite: state.infinite });
     }
 
     /**
@@ -1198,7 +2368,12 @@ class ProductIndexManager {
             const response = await this.submitBulkOperation(action, selectedIds);
             
             if (response.success) {
-                this.showSuccessNotification(`İşlem başarıyla tamamlandı (${selectedIds.length} ürün)`);
+                const message = `İşlem başarıyla tamamlandı (${response.processedIds?.length ?? selectedIds.length} ürün)`;
+                if (window.bulkOperationsManager) {
+                    window.bulkOperationsManager.offerUndo(action, response.processedIds, message);
+                } else {
+                    this.showSuccessNotification(message);
+                }
                 await this.performSearch(); // Refresh results
             } else {
                 throw new Error(response.message || 'Bulk operation failed');
@@ -1216,14 +2391,12 @@ class ProductIndexManager {
      * Submit bulk operation to server
      */
     async submitBulkOperation(action, productIds) {
-        const formData = new FormData();
-        formData.append('action', action);
-        productIds.forEach(id => formData.append('productIds', id));
-
+        // BulkOperation binds [FromBody] - form data would be rejected
         const response = await fetch('/Product/BulkOperation', {
             method: 'POST',
-            body: formData,
+            body: JSON.stringify({ action, productIds: productIds.map(id => parseInt(id)) }),
             headers: {
+                'Content-Type': 'application/json',
                 'RequestVerificationToken': this.getAntiForgeryToken()
             }
         });
@@ -1247,11 +2420,14 @@ class ProductIndexManager {
      * Initialize pagination
      */
     initializePagination() {
+        if (!this.state.jsonGridEnabled) return;
+
         // Setup pagination click handlers
-        document.addEventListener('click', (e) => {
-            if (e.target.matches('.page-link')) {
+        this.addEventListenerWithCleanup(document, 'click', (e) => {
+            const link = e.target.closest('.page-link');
+            if (link) {
                 e.preventDefault();
-                const page = parseInt(e.target.dataset.page);
+                const page = parseInt(link.dataset.page);
                 if (page && !isNaN(page)) {
                     this.performSearch(page);
                 }
@@ -1346,6 +2522,9 @@ class ProductIndexManager {
             }
         };
 
+        // Rows rendered later by renderProductRows reuse the same handler
+        this.handleImageError = handleImageError;
+
         // Apply to existing thumbnails
         const thumbnails = document.querySelectorAll('.product-thumbnail');
         thumbnails.forEach(img => {
@@ -1589,9 +2768,24 @@ class ProductIndexManager {
     }
 
     /**
-     * Handle keyboard shortcuts
+     * Handle keyboard shortcuts - j/k move the focused row, x toggles its selection, e edits,
+     * Enter opens details, a/u archive/unarchive, Ctrl+K opens the command palette, ? the cheat-sheet
      */
     handleKeyboardShortcuts(event) {
+        const palette = window.productCommandPalette;
+
+        // Ctrl+K: Command palette - works from inside inputs too
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'k') {
+            event.preventDefault();
+            palette?.toggle();
+            return;
+        }
+
+        // Palette and cheat-sheet handle their own keys
+        if (palette?.isOpen()) return;
+
+        const isTyping = this.isTypingTarget(event.target);
+
         // Ctrl+F: Focus search
         if (event.ctrlKey && event.key === 'f') {
             event.preventDefault();
@@ -1603,14 +2797,164 @@ class ProductIndexManager {
             if (this.elements.searchInput === document.activeElement) {
                 this.elements.searchInput.value = '';
                 this.handleSearch();
+            } else if (!isTyping) {
+                this.setFocusedRow(null);
             }
         }
         
-        // Ctrl+A: Select all products
-        if (event.ctrlKey && event.key === 'a' && this.elements.selectAllCheckbox) {
+        // Ctrl+A: Select all products (inputs keep their own select-all)
+        if (event.ctrlKey && event.key === 'a' && this.elements.selectAllCheckbox && !isTyping) {
             event.preventDefault();
             this.elements.selectAllCheckbox.click();
         }
+
+        if (isTyping || event.ctrlKey || event.metaKey || event.altKey) return;
+        if (document.querySelector('.modal.show, .modal-overlay')) return;
+
+        const shortcuts = {
+            'j': () => this.moveRowFocus(1),
+            'k': () => this.moveRowFocus(-1),
+            'x': () => this.toggleFocusedRowSelection(),
+            'e': () => this.openFocusedRow('EditProduct'),
+            'a': () => this.runFocusedRowAction('archive-product'),
+            'u': () => this.runFocusedRowAction('unarchive-product'),
+            '?': () => palette?.showCheatSheet()
+        };
+
+        // Enter opens details of the focused row; on links/buttons it keeps its normal meaning
+        if (event.key === 'Enter' && this.state.keyboard.focusedRowId && !event.target.closest?.('a, button')) {
+            shortcuts['Enter'] = () => this.openFocusedRow('Details');
+        }
+
+        const run = shortcuts[event.key];
+        if (!run) return;
+
+        event.preventDefault();
+
+        // In scanner mode a scanned code typed into the page would otherwise trigger shortcuts,
+        // so wait a moment and drop the shortcut when more fast keystrokes follow
+        const keyboard = this.state.keyboard;
+        clearTimeout(keyboard.pendingShortcut);
+        keyboard.pendingShortcut = null;
+
+        if (this.state.scanner.enabled) {
+            if (this.state.scanner.buffer.length > 1) return;
+            keyboard.pendingShortcut = setTimeout(() => {
+                keyboard.pendingShortcut = null;
+                if (this.state.scanner.buffer.length <= 1) run();
+            }, this.config.shortcutScanDelay);
+        } else {
+            run();
+        }
+    }
+
+    isTypingTarget(target) {
+        if (!target || !target.closest) return false;
+        return !!target.closest('input, textarea, select, [contenteditable="true"]');
+    }
+
+    /**
+     * Keyboard row navigation - clicking a row also makes it the focused row
+     */
+    initializeKeyboardNavigation() {
+        const tbody = this.elements.productTableBody;
+        if (!tbody) return;
+
+        this.addEventListenerWithCleanup(tbody, 'mousedown', (e) => {
+            const row = e.target.closest('tr.product-row');
+            if (row) this.setFocusedRow(row, false);
+        });
+    }
+
+    getNavigableRows() {
+        const tbody = this.elements.productTableBody;
+        return tbody ? Array.from(tbody.querySelectorAll('tr.product-row')) : [];
+    }
+
+    getFocusedRow() {
+        const id = this.state.keyboard.focusedRowId;
+        if (!id || !this.elements.productTableBody) return null;
+        return this.elements.productTableBody.querySelector(`tr.product-row[data-product-id="${CSS.escape(id)}"]`);
+    }
+
+    setFocusedRow(row, scroll = true) {
+        this.elements.productTableBody?.querySelectorAll('tr.keyboard-focus').forEach(r => r.classList.remove('keyboard-focus'));
+        this.state.keyboard.focusedRowId = row?.dataset.productId || null;
+
+        if (row) {
+            row.classList.add('keyboard-focus');
+            if (scroll) row.scrollIntoView({ block: 'nearest' });
+        }
+    }
+
+    /**
+     * Move the focused row; past the first/last row of a page continue on the previous/next page
+     */
+    moveRowFocus(step) {
+        const rows = this.getNavigableRows();
+        if (rows.length === 0) return;
+
+        const current = this.getFocusedRow();
+        const index = current ? rows.indexOf(current) + step : (step > 0 ? 0 : rows.length - 1);
+
+        if (index >= rows.length || index < 0) {
+            const targetPage = this.state.currentPage + step;
+            const canPage = this.state.jsonGridEnabled && !this.state.infinite.enabled &&
+                targetPage >= 1 && targetPage <= this.state.totalPages;
+            if (canPage) {
+                this.state.keyboard.pendingFocus = step > 0 ? 'first' : 'last';
+                this.performSearch(targetPage);
+            }
+            return;
+        }
+
+        this.setFocusedRow(rows[index]);
+    }
+
+    /**
+     * Re-apply the focus highlight after rows were re-rendered
+     */
+    restoreRowFocus() {
+        const keyboard = this.state.keyboard;
+        if (keyboard.pendingFocus) {
+            const rows = this.getNavigableRows();
+            const row = keyboard.pendingFocus === 'first' ? rows[0] : rows[rows.length - 1];
+            keyboard.pendingFocus = null;
+            this.setFocusedRow(row || null);
+            return;
+        }
+
+        this.getFocusedRow()?.classList.add('keyboard-focus');
+    }
+
+    toggleFocusedRowSelection() {
+        const checkbox = this.getFocusedRow()?.querySelector('.product-checkbox');
+        if (!checkbox) return;
+
+        checkbox.checked = !checkbox.checked;
+        checkbox.dispatchEvent(new Event('change', { bubbles: true }));
+    }
+
+    openFocusedRow(action) {
+        const id = this.state.keyboard.focusedRowId;
+        if (id) {
+            window.location.href = `/Product/${action}/${encodeURIComponent(id)}`;
+        }
+    }
+
+    /**
+     * Archive/unarchive the focused row through its own action button (same confirmation flow)
+     */
+    runFocusedRowAction(action) {
+        const row = this.getFocusedRow();
+        if (!row) return;
+
+        const button = row.querySelector(`[data-action="${action}"]`);
+        if (button) {
+            button.click();
+        } else {
+            this.showWarningNotification(action === 'archive-product' ? 'Ürün zaten arşivde' : 'Ürün arşivde değil');
+        }
     }
 
     /**
@@ -1795,6 +3139,13 @@ window.clearAllFilters = function() {
         checkbox.checked = false;
     });
     
+    // JSON grid: re-render in place instead of submitting the form
+    if (window.productIndexManager?.state.jsonGridEnabled) {
+        window.productIndexManager.performSearch(1);
+        console.log('✅ All filters cleared, grid refreshed');
+        return;
+    }
+    
     // Reset page to 1
     const pageInput = form.querySelector('input[name="page"]');
     if (pageInput) {
@@ -1878,7 +3229,7 @@ window.showImageErrorNotification = function(failedCount) {
 
 // Individual Product Actions - Must be outside the class definition
 window.deleteProduct = function(productId, productName) {
-    if (confirm(`"${productName}" ürünü kalıcı olarak silmek istediğinizden emin misiniz? Bu işlem geri alınamaz!`)) {
+    if (confirm(`"${productName}" ürününü çöp kutusuna taşımak istediğinizden emin misiniz? Çöp kutusundan geri yükleyebilirsiniz.`)) {
         // Show loading indicator if available
         if (window.showProgress) {
             window.showProgress('Ürün Siliniyor', `"${productName}" siliniyor...`);
@@ -0,0 +1,452 @@
+/**
+ * PRODUCT INLINE EDITOR
+ * Double-click a cell in the product index table to edit simple text/number fields in place.
+ * Saves optimistically through /Product/UpdateField and keeps an undo stack (Ctrl+Z or the toast action).
+ */
+
+class ProductInlineEditor {
+    constructor() {
+        this.isInitialized = false;
+        this.updateEndpoint = '/Product/UpdateField';
+        this.uniquenessEndpoints = {
+            SKU: { url: '/Product/CheckSkuUniqueness', key: 'sku', message: 'Bu Üretici Ürün Kodu zaten kullanılıyor' },
+            EanCode: { url: '/Product/CheckEanUniqueness', key: 'eanCode', message: 'Bu EAN Kodu zaten kullanılıyor' }
+        };
+
+        // Mirrors ProductFieldService - the server has the final word
+        this.textFields = new Map([
+            ['Name', 500], ['SKU', 100], ['Brand', 200], ['EanCode', 100], ['Material', 200], ['Color', 200],
+            ['TrendyolBarcode', 100], ['HepsiburadaBarcode', 100], ['HepsiburadaSellerStockCode', 100], ['HepsiburadaTedarikBarcode', 100],
+            ['KoctasBarcode', 100], ['KoctasIstanbulBarcode', 100], ['KoctasEanBarcode', 100], ['KoctasEanIstanbulBarcode', 100],
+            ['PttAvmBarcode', 100], ['PttUrunStokKodu', 100], ['PazaramaBarcode', 100], ['HaceyapiBarcode', 100], ['AmazonBarcode', 100],
+            ['N11CatalogId', 100], ['N11ProductCode', 100], ['EntegraUrunId', 100], ['EntegraUrunKodu', 100], ['EntegraBarkod', 100],
+            ['SpareBarcode1', 100], ['SpareBarcode2', 100], ['SpareBarcode3', 100], ['SpareBarcode4', 100],
+            ['KlozetKanalYapisi', 200], ['KlozetTipi', 200], ['KlozetKapakCinsi', 200], ['KlozetMontajTipi', 200],
+            ['LawaboSuTasmaDeligi', 200], ['LawaboArmaturDeligi', 200], ['LawaboTipi', 200], ['LawaboOzelligi', 200],
+            ['BataryaCikisUcuUzunlugu', 200], ['BataryaYuksekligi', 200], ['KabinTipi', 200]
+        ]);
+        this.numberFields = new Set(['Weight', 'Desi', 'Width', 'Height', 'Depth', 'Length', 'WarrantyMonths']);
+        this.maxWeight = 9999.99; // Only weight has an upper bound on the product form (ValidationService)
+
+        // Built-in columns live on the top level of the grid row JSON
+        this.rowProperties = { Name: 'name', SKU: 'sku', Brand: 'brand', EanCode: 'eanCode' };
+
+        this.active = null;
+        this.undoStack = [];
+        this.undoLimit = 20;
+        this.elements = {};
+    }
+
+    init() {
+        if (this.isInitialized) return;
+
+        this.elements.table = document.getElementById('productTable');
+        this.elements.tbody = document.getElementById('productTableBody');
+        if (!this.elements.table || !this.elements.tbody || this.elements.table.dataset.jsonGrid !== 'true') return;
+
+        this.elements.tbody.addEventListener('dblclick', (e) => this.handleDoubleClick(e));
+        document.addEventListener('keydown', (e) => this.handleUndoShortcut(e));
+
+        this.isInitialized = true;
+        console.log('✅ ProductInlineEditor initialized');
+    }
+
+    isEditable(field) {
+        return this.textFields.has(field) || this.numberFields.has(field);
+    }
+
+    handleDoubleClick(event) {
+        if (event.target.closest('a, button, input, select, textarea, img')) return;
+
+        const cell = event.target.closest('td');
+        const row = cell?.closest('tr.product-row');
+        if (!cell || !row || cell === this.active?.cell) return;
+
+        const field = cell.dataset.column;
+        if (!this.isEditable(field)) return;
+
+        window.getSelection()?.removeAllRanges();
+        this.startEdit(row, cell, field);
+    }
+
+    startEdit(row, cell, field) {
+        if (this.active) {
+            this.cancelEdit();
+        }
+
+        const value = this.getFieldValue(row, cell, field);
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'inline-edit-input';
+        input.value = value;
+        input.setAttribute('aria-label', `${this.getFieldLabel(field)} düzenle`);
+        if (this.numberFields.has(field)) {
+            input.inputMode = 'decimal';
+        } else {
+            input.maxLength = this.textFields.get(field);
+        }
+
+        this.active = {
+            row,
+            cell,
+            field,
+            input,
+            productId: row.dataset.productId,
+            originalValue: value,
+            originalHtml: cell.innerHTML,
+            saving: false
+        };
+
+        cell.classList.add('inline-editing');
+        cell.innerHTML = '';
+        cell.appendChild(input);
+        input.focus();
+        input.select();
+
+        input.addEventListener('keydown', (e) => this.handleEditorKeydown(e));
+        input.addEventListener('blur', () => this.commitEdit());
+    }
+
+    handleEditorKeydown(event) {
+        // Page shortcuts (Ctrl+A select all, Escape clears search) must not fire while editing
+        event.stopPropagation();
+
+        if (event.key === 'Enter') {
+            event.preventDefault();
+            this.commitEdit();
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            this.cancelEdit();
+        } else if (event.key === 'Tab') {
+            event.preventDefault();
+            const { row, cell } = this.active;
+            const next = this.findAdjacentEditableCell(row, cell, event.shiftKey ? -1 : 1);
+            this.commitEdit().then(saved => {
+                if (saved && next && next.isConnected) {
+                    this.startEdit(row, next, next.dataset.column);
+                }
+            });
+        }
+    }
+
+    findAdjacentEditableCell(row, cell, direction) {
+        const cells = Array.from(row.cells).filter(td =>
+            this.isEditable(td.dataset.column) && !td.classList.contains('col-hidden'));
+        const index = cells.indexOf(cell);
+        return index >= 0 ? cells[index + direction] || null : null;
+    }
+
+    cancelEdit() {
+        if (!this.active) return;
+
+        const { cell, originalHtml } = this.active;
+        this.active = null;
+        cell.classList.remove('inline-editing');
+        cell.innerHTML = originalHtml;
+    }
+
+    /**
+     * Validate, check uniqueness, then close the editor and save in the background.
+     * Resolves true when the editor was closed (saved or unchanged), false when it stays open with an error.
+     */
+    async commitEdit() {
+        const edit = this.active;
+        if (!edit || edit.saving) return false;
+
+        const newValue = edit.input.value.trim();
+        if (newValue === edit.originalValue.trim()) {
+            this.cancelEdit();
+            return true;
+        }
+
+        const error = this.validate(edit.field, newValue);
+        if (error) {
+            this.showEditorError(edit, error);
+            return false;
+        }
+
+        const uniqueness = this.uniquenessEndpoints[edit.field];
+        if (uniqueness && newValue) {
+            edit.saving = true;
+            edit.input.disabled = true;
+            const isUnique = await this.checkUniqueness(uniqueness, newValue, edit.productId);
+            edit.saving = false;
+            edit.input.disabled = false;
+
+            if (this.active !== edit) return false;
+            if (!isUnique) {
+                this.showEditorError(edit, uniqueness.message);
+                edit.input.focus();
+                return false;
+            }
+        }
+
+        this.active = null;
+        edit.cell.classList.remove('inline-editing');
+        this.applyChange({
+            productId: edit.productId,
+            field: edit.field,
+            oldValue: edit.originalValue,
+            newValue
+        }, false);
+        return true;
+    }
+
+    validate(field, value) {
+        if (this.numberFields.has(field)) {
+            if (value === '') return '';
+            const number = this.parseNumber(value);
+            if (Number.isNaN(number) || number < 0) return 'Geçerli bir pozitif sayı girin';
+            if (field === 'WarrantyMonths' && !Number.isInteger(number)) return 'Garanti süresi tam sayı olmalıdır';
+            if (field === 'Weight' && number > this.maxWeight) return `Ağırlık 0 ile ${this.maxWeight.toLocaleString('tr-TR')} kg arasında olmalıdır`;
+            return '';
+        }
+
+        if (field === 'Name' && !value) return 'Ürün adı zorunludur';
+
+        const maxLength = this.textFields.get(field);
+        if (value.length > maxLength) return `En fazla ${maxLength} karakter girilebilir`;
+        return '';
+    }
+
+    parseNumber(value) {
+        // "1.234,5" (tr-TR) and "1,5" / "1.5" are all accepted, like the server
+        const normalized = value.includes(',') && value.includes('.')
+            ? value.replace(/\./g, '').replace(',', '.')
+            : value.replace(',', '.');
+        return /^\d+(\.\d+)?$/.test(normalized) ? Number(normalized) : NaN;
+    }
+
+    showEditorError(edit, message) {
+        edit.input.classList.add('is-invalid');
+        edit.input.title = message;
+
+        let tooltip = edit.cell.querySelector('.inline-edit-error');
+        if (!tooltip) {
+            tooltip = document.createElement('div');
+            tooltip.className = 'inline-edit-error';
+            edit.cell.appendChild(tooltip);
+        }
+        tooltip.textContent = message;
+
+        edit.input.addEventListener('input', () => {
+            edit.input.classList.remove('is-invalid');
+            edit.input.removeAttribute('title');
+            tooltip.remove();
+        }, { once: true });
+    }
+
+    async checkUniqueness(endpoint, value, productId) {
+        try {
+            const response = await fetch(endpoint.url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ [endpoint.key]: value, excludeProductId: Number(productId) })
+            });
+            const result = await response.json();
+            return result.isUnique === true;
+        } catch (error) {
+            // The server checks again on save, so a failed pre-check is not fatal
+            console.warn('⚠️ Uniqueness pre-check failed:', error);
+            return true;
+        }
+    }
+
+    /**
+     * Render the new value right away, then save; roll back if the server rejects it
+     */
+    async applyChange(change, isUndo) {
+        const { productId, field, oldValue, newValue } = change;
+        this.renderValue(productId, field, newValue, 'inline-saving');
+
+        const result = await this.saveField(productId, field, newValue, oldValue);
+
+        if (result.success) {
+            this.renderValue(productId, field, result.value, 'inline-saved');
+            window.productIndexManager?.invalidateCache();
+
+            if (isUndo) {
+                window.notificationSystem?.info('Geri Alındı', `${this.getFieldLabel(field)} eski değerine döndürüldü`);
+            } else {
+                this.pushUndo({ productId, field, oldValue: result.previousValue, newValue: result.value });
+            }
+            return;
+        }
+
+        if (result.isConflict) {
+            this.renderValue(productId, field, result.value, 'inline-error');
+            window.notificationSystem?.warning('Çakışma', result.message);
+        } else {
+            this.renderValue(productId, field, oldValue, 'inline-error');
+            window.notificationSystem?.error('Kaydedilemedi', result.message || 'Alan kaydedilemedi');
+        }
+    }
+
+    async saveField(productId, field, value, expectedValue) {
+        try {
+            const response = await fetch(this.updateEndpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'RequestVerificationToken': document.querySelector('input[name="__RequestVerificationToken"]')?.value || ''
+                },
+                body: JSON.stringify({ productId: Number(productId), field, value, expectedValue })
+            });
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            return await response.json();
+        } catch (error) {
+            console.error('❌ Inline save failed:', error);
+            return { success: false, message: 'Sunucuya ulaşılamadı, değişiklik geri alındı' };
+        }
+    }
+
+    pushUndo(entry) {
+        this.undoStack.push(entry);
+        if (this.undoStack.length > this.undoLimit) {
+            this.undoStack.shift();
+        }
+
+        window.notificationSystem?.show({
+            type: 'success',
+            title: 'Kaydedildi',
+            message: `${this.getFieldLabel(entry.field)} güncellendi`,
+            duration: 6000,
+            action: { text: 'Geri Al', callback: () => this.undo(entry) }
+        });
+    }
+
+    undo(entry = this.undoStack[this.undoStack.length - 1]) {
+        if (!entry) return;
+
+        const index = this.undoStack.lastIndexOf(entry);
+        if (index === -1) return; // already undone
+        this.undoStack.splice(index, 1);
+
+        this.applyChange({
+            productId: entry.productId,
+            field: entry.field,
+            oldValue: entry.newValue,
+            newValue: entry.oldValue
+        }, true);
+    }
+
+    handleUndoShortcut(event) {
+        if (!(event.ctrlKey || event.metaKey) || event.key.toLowerCase() !== 'z' || event.shiftKey) return;
+        if (this.active || !this.undoStack.length) return;
+
+        const target = event.target;
+        if (target.closest?.('input, textarea, select, [contenteditable="true"]')) return;
+
+        event.preventDefault();
+        this.undo();
+    }
+
+    /**
+     * Current value of a cell - from the row JSON when available, otherwise from the rendered text
+     */
+    getFieldValue(row, cell, field) {
+        const product = this.getRowData(row);
+        if (product) {
+            const property = this.rowProperties[field];
+            const value = property ? product[property] : product.extra?.[field];
+            if (value !== undefined) {
+                return value === null ? '' : String(value);
+            }
+        }
+
+        const text = cell.textContent.trim();
+        return text === '-' || text === '…' ? '' : text;
+    }
+
+    getRowData(row) {
+        try {
+            return row.dataset.rowHash ? JSON.parse(row.dataset.rowHash) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    getFieldLabel(field) {
+        const builtIn = window.productColumnManager?.builtInColumns?.find(column => column.key === field);
+        return builtIn?.label || window.productColumnManager?.extraColumns?.get(field)?.displayName || field;
+    }
+
+    /**
+     * Write a value into the cell and the row JSON; rows may have been re-rendered meanwhile, so look them up again
+     */
+    renderValue(productId, field, value, stateClass) {
+        const row = this.elements.tbody.querySelector(`tr.product-row[data-product-id="${CSS.escape(String(productId))}"]`);
+        const cell = row?.querySelector(`td[data-column="${CSS.escape(field)}"]`);
+        if (!row || !cell) return;
+
+        if (this.active?.cell === cell) {
+            this.cancelEdit();
+        }
+
+        const text = value ?? '';
+        switch (field) {
+            case 'Name': {
+                const nameEl = cell.querySelector('.product-name');
+                if (nameEl) nameEl.textContent = text;
+                else cell.textContent = text;
+                row.querySelector('.product-checkbox')?.setAttribute('data-product-name', text);
+                break;
+            }
+            case 'SKU':
+                cell.innerHTML = '';
+                cell.appendChild(Object.assign(document.createElement('code'), { textContent: text }));
+                break;
+            case 'EanCode':
+                cell.innerHTML = text ? '' : '<span class="no-ean">-</span>';
+                if (text) cell.appendChild(Object.assign(document.createElement('code'), { textContent: text }));
+                break;
+            case 'Brand':
+                cell.textContent = text;
+                break;
+            default: {
+                const dataType = window.productColumnManager?.extraColumns?.get(field)?.dataType;
+                const typed = this.numberFields.has(field) && text !== '' ? Number(text) : text;
+                cell.textContent = window.productColumnManager
+                    ? window.productColumnManager.formatValue(typed, dataType)
+                    : (text || '-');
+            }
+        }
+
+        const product = this.getRowData(row);
+        if (product) {
+            const property = this.rowProperties[field];
+            const typed = this.numberFields.has(field) ? Number(text || 0) : text;
+            if (property) {
+                product[property] = typed;
+            } else if (product.extra) {
+                product.extra[field] = typed;
+            }
+            row.dataset.rowHash = JSON.stringify(product);
+        }
+
+        cell.classList.remove('inline-saving', 'inline-saved', 'inline-error');
+        if (stateClass) {
+            void cell.offsetWidth; // restart the flash animation
+            cell.classList.add(stateClass);
+        }
+    }
+}
+
+// Export globally only if not already defined
+if (!window.ProductInlineEditor) {
+    window.ProductInlineEditor = ProductInlineEditor;
+}
+
+if (!window.productInlineEditor) {
+    window.productInlineEditor = new ProductInlineEditor();
+}
+
+// Auto-initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => window.productInlineEditor.init());
+} else {
+    window.productInlineEditor.init();
+}
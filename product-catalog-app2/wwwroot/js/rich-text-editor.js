@@ -38,6 +38,14 @@
 let editorInstance = null;
 let isPasteInProgress = false;
 
+// Markdown dönüşümünde HTML olarak bırakılan blok etiketleri
+const MARKDOWN_BLOCK_TAGS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'ul', 'ol', 'li', 'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'div', 'blockquote', 'hr', 'pre'];
+const MARKDOWN_LIST_ITEM = /^([ \t]*)([-+*]|\d+[.)])(?:[ \t]+(.*))?$/;
+
+// Pazaryeri temizliğinde korunan nitelikler ve kaldırılınca yerine satır sonu bırakılan bloklar - MarketplaceDescriptionProfiles.cs ile aynı
+const MARKETPLACE_ALLOWED_ATTRIBUTES = ['href', 'src', 'alt', 'colspan', 'rowspan'];
+const MARKETPLACE_BLOCK_TAGS = ['p', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'li', 'ul', 'ol', 'tr', 'table', 'div', 'blockquote', 'pre'];
+
 class RichTextEditor {
     constructor() {
         this.editor = null;
@@ -50,12 +58,22 @@ class RichTextEditor {
         this.previewElement = null;
         this.sourceElement = null;
         this.sourceTextarea = null;
-        this.currentMode = 'visual'; // 'visual', 'preview', 'source'
+        this.markdownElement = null;
+        this.markdownTextarea = null;
+        this.marketplaceSelect = null;
+        this.currentMode = 'visual'; // 'visual', 'preview', 'source', 'markdown'
         
         // Performance optimization flags
         this._isUpdatingButtons = false;
         this._updateTimeout = null;
         this._charCountTimeout = null;
+        
+        // Editörün kendi geri al / yinele geçmişi
+        this.undoStack = [];
+        this.redoStack = [];
+        this.currentSnapshot = null;
+        this.maxHistorySize = 100;
+        this._historyTimeout = null;
     }
 
     // Debounce utility for performance optimization
@@ -128,8 +146,11 @@ class RichTextEditor {
         this.previewElement = document.getElementById('editor-preview');
         this.sourceElement = document.getElementById('editor-source');
         this.sourceTextarea = document.getElementById('source-textarea');
+        this.markdownElement = document.getElementById('editor-markdown');
+        this.markdownTextarea = document.getElementById('markdown-textarea');
 
-        if (!this.editor || !this.textarea || !this.previewElement || !this.sourceElement || !this.sourceTextarea) {
+        if (!this.editor || !this.textarea || !this.previewElement || !this.sourceElement || !this.sourceTextarea
+            || !this.markdownElement || !this.markdownTextarea) {
             Logger.error('Critical: Editor elements bulunamadı - DOM hazır değil');
             return false;
         }
@@ -146,6 +167,8 @@ class RichTextEditor {
         this.setupToolbar();
         this.setupEventListeners();
         this.setupSourceTextareaListener();
+        this.setupMarkdownTextareaListener();
+        this.setupMarketplaceProfiles();
         this.loadInitialContent();
         this.updateButtonStates();
         this.updateCharacterCounter(); // İlk karakter sayısını ayarla
@@ -212,8 +235,6 @@ class RichTextEditor {
                 if (mode) {
                     // Mode switching
                     this.switchMode(mode);
-                } else if (command === 'heading') {
-                    this.toggleHeading(value);
                 } else if (command) {
                     // Only execute command if command exists
                     this.executeCommand(command, value);
@@ -233,6 +254,7 @@ class RichTextEditor {
         this.addEventListener(this.editor, 'input', () => {
             this.updateTextarea();
             this.handlePlaceholder();
+            this.scheduleHistorySnapshot();
             this.debouncedUpdateButtonStates(); // 🚀 Optimized: Debounced version
         });
 
@@ -265,6 +287,14 @@ class RichTextEditor {
             this.handleKeydown(e);
         });
 
+        // Tarayıcı menüsünden gelen geri al / yinele de editörün geçmişini kullanır
+        this.addEventListener(this.editor, 'beforeinput', (e) => {
+            if (e.inputType === 'historyUndo' || e.inputType === 'historyRedo') {
+                e.preventDefault();
+                this.executeCommand(e.inputType === 'historyUndo' ? 'undo' : 'redo');
+            }
+        });
+
         // Button state güncellemesi - optimized with smart throttling
         let lastUpdateTime = 0;
         const THROTTLE_DELAY = 150;
@@ -314,6 +344,9 @@ class RichTextEditor {
         e.stopPropagation();
         e.stopImmediatePropagation();
         
+        // Bekleyen yazma adımını kapat - yapıştırma ayrı bir geri alma adımı olur
+        this.commitHistorySnapshot();
+        
         // Mevcut selection/cursor pozisyonunu kaydet
         const sel = window.getSelection();
         if (sel.rangeCount > 0) {
@@ -334,9 +367,13 @@ class RichTextEditor {
 
         console.log('📊 Paste verisi - Plain:', plainText.length, 'chars, HTML:', htmlText.length, 'chars');
 
-        // HTML içeriği varsa ve farklıysa modal göster
-        if (htmlText && htmlText.trim() !== plainText.trim() && plainText.trim()) {
-            this.showPasteModal(htmlText, plainText);
+        // Düz metin Markdown gibi görünüyorsa dönüştürme seçeneği sunulur
+        const isMarkdown = this.looksLikeMarkdown(plainText);
+        const hasDistinctHtml = htmlText && htmlText.trim() !== plainText.trim() && plainText.trim();
+
+        // HTML içeriği varsa ve farklıysa ya da metin Markdown ise modal göster
+        if (hasDistinctHtml || isMarkdown) {
+            this.showPasteModal(hasDistinctHtml ? htmlText : '', plainText, isMarkdown);
         } else if (plainText.trim()) {
             console.log('📝 Düz metin olarak yapıştırılıyor');
             this.insertPlainText(plainText);
@@ -350,7 +387,7 @@ class RichTextEditor {
     }
 
     // Yapıştırma modalı
-    showPasteModal(htmlContent, plainText) {
+    showPasteModal(htmlContent, plainText, isMarkdown = false) {
         const existingModal = document.getElementById('paste-modal');
         if (existingModal) {
             existingModal.remove();
@@ -367,6 +404,7 @@ class RichTextEditor {
                     <p>İçeriği nasıl yapıştırmak istiyorsunuz?</p>
                 </div>
                 <div class="paste-modal-body">
+                    ${htmlContent ? `
                     <div class="paste-option" data-action="keep-format">
                         <div class="paste-option-icon">
                             <i class="fas fa-magic"></i>
@@ -376,7 +414,18 @@ class RichTextEditor {
                             <p>Metnin formatını (kalın, italik, başlık vb.) koruyarak yapıştır</p>
                             <div class="paste-preview" id="html-preview"></div>
                         </div>
-                    </div>
+                    </div>` : ''}
+                    ${isMarkdown ? `
+                    <div class="paste-option" data-action="markdown">
+                        <div class="paste-option-icon">
+                            <i class="fab fa-markdown"></i>
+                        </div>
+                        <div class="paste-option-content">
+                            <h4>Markdown'dan Dönüştür</h4>
+                            <p>Markdown işaretlerini (#, **, -, |) başlık, kalın, liste ve tabloya çevirerek yapıştır</p>
+                            <div class="paste-preview" id="markdown-preview"></div>
+                        </div>
+                    </div>` : ''}
                     <div class="paste-option" data-action="plain-text">
                         <div class="paste-option-icon">
                             <i class="fas fa-font"></i>
@@ -398,13 +447,20 @@ class RichTextEditor {
 
         // Önizlemeleri doldur
         const htmlPreview = modal.querySelector('#html-preview');
+        const markdownPreview = modal.querySelector('#markdown-preview');
         const textPreview = modal.querySelector('#text-preview');
+        const markdownHtml = isMarkdown ? this.markdownToHtml(plainText) : '';
         
         if (htmlPreview) {
             const cleanHtml = this.sanitizeHtml(htmlContent);
             htmlPreview.innerHTML = cleanHtml.substring(0, 200) + (cleanHtml.length > 200 ? '...' : '');
         }
         
+        if (markdownPreview) {
+            const cleanHtml = this.sanitizeHtml(markdownHtml);
+            markdownPreview.innerHTML = cleanHtml.substring(0, 200) + (cleanHtml.length > 200 ? '...' : '');
+        }
+        
         if (textPreview) {
             textPreview.textContent = plainText.substring(0, 200) + (plainText.length > 200 ? '...' : '');
         }
@@ -422,6 +478,14 @@ class RichTextEditor {
                 // Cursor pozisyonunu geri yükle ve içeriği ekle
                 this.insertFormattedContentAtSavedPosition(htmlContent);
                 this.resetPasteFlag();
+            } else if (action === 'markdown') {
+                console.log('📝 Markdown dönüştürme seçildi');
+                modal.remove();
+                document.removeEventListener('keydown', escHandler);
+                
+                // Dönüştürülen HTML biçimli içerik gibi temizlenerek eklenir
+                this.insertFormattedContentAtSavedPosition(markdownHtml);
+                this.resetPasteFlag();
             } else if (action === 'plain-text') {
                 console.log('📝 Düz metin seçildi');
                 // Modal'ı hemen kapat
@@ -496,15 +560,32 @@ class RichTextEditor {
         const tempDiv = document.createElement('div');
         tempDiv.innerHTML = cleanedHtml;
 
-        // İzin verilen etiketler - başlık etiketleri dahil
-        const allowedTags = ['p', 'br', 'strong', 'b', 'em', 'i', 'u', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+        // İzin verilen etiketler - başlık, tablo, bağlantı ve görsel etiketleri dahil
+        const allowedTags = ['p', 'br', 'strong', 'b', 'em', 'i', 'u', 'ul', 'ol', 'li', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+            'table', 'thead', 'tbody', 'tr', 'th', 'td', 'a', 'img'];
+        
+        // Etiket bazında korunan attribute'lar ve geçerlilik kontrolleri
+        const isSpan = value => /^\d+$/.test(value) && parseInt(value, 10) > 1 && parseInt(value, 10) <= 50;
+        const allowedAttributes = {
+            td: { colspan: isSpan, rowspan: isSpan },
+            th: { colspan: isSpan, rowspan: isSpan },
+            a: { href: value => this.isSafeUrl(value) },
+            img: { src: value => this.isSafeUrl(value), alt: () => true }
+        };
         
         // İzin verilmeyen elementleri temizle
         const allElements = tempDiv.querySelectorAll('*');
         allElements.forEach(el => {
             const tagName = el.tagName.toLowerCase();
             
-            if (!allowedTags.includes(tagName)) {
+            // Güvenli adresi olmayan bağlantı metin olarak, görsel hiç eklenmez
+            const isUnsafeLink = tagName === 'a' && !this.isSafeUrl(el.getAttribute('href'));
+            if (tagName === 'img' && !this.isSafeUrl(el.getAttribute('src'))) {
+                el.remove();
+                return;
+            }
+            
+            if (!allowedTags.includes(tagName) || isUnsafeLink) {
                 // İzin verilmeyen element - içeriği koru, elementi kaldır
                 const parent = el.parentNode;
                 while (el.firstChild) {
@@ -512,11 +593,20 @@ class RichTextEditor {
                 }
                 parent.removeChild(el);
             } else {
-                // İzin verilen element - tüm attribute'ları temizle
+                // İzin verilen element - whitelist dışındaki tüm attribute'ları temizle
+                const rules = allowedAttributes[tagName] || {};
                 const attrs = [...el.attributes];
                 attrs.forEach(attr => {
-                    el.removeAttribute(attr.name);
+                    const isValid = rules[attr.name];
+                    if (!isValid || !isValid(attr.value.trim())) {
+                        el.removeAttribute(attr.name);
+                    }
                 });
+                
+                // Dış bağlantılar sayfaya erişemesin
+                if (tagName === 'a') {
+                    el.setAttribute('rel', 'noopener');
+                }
             }
         });
 
@@ -541,6 +631,7 @@ class RichTextEditor {
         
         this.insertHtmlAtSavedCursorPosition(cleanHtml);
         this.updateTextarea();
+        this.commitHistorySnapshot();
         this.debouncedUpdateButtonStates();
     }
 
@@ -555,6 +646,7 @@ class RichTextEditor {
         
         this.insertHtmlAtSavedCursorPosition(html || `<p>${this.escapeHtml(text)}</p>`);
         this.updateTextarea();
+        this.commitHistorySnapshot();
     }
 
     // Formatlanmış içeriği ekle
@@ -563,6 +655,7 @@ class RichTextEditor {
         
         this.insertHtmlAtCursor(cleanHtml);
         this.updateTextarea();
+        this.commitHistorySnapshot();
         this.debouncedUpdateButtonStates();
     }
 
@@ -578,6 +671,7 @@ class RichTextEditor {
         
         this.insertHtmlAtCursor(html || `<p>${this.escapeHtml(text)}</p>`);
         this.updateTextarea();
+        this.commitHistorySnapshot();
         
         console.log('✅ Düz metin başarıyla eklendi');
     }
@@ -908,6 +1002,19 @@ class RichTextEditor {
         
         this.editor.focus();
         
+        // Geri al / yinele tarayıcının değil editörün geçmişini kullanır
+        if (command === 'undo' || command === 'redo') {
+            if (command === 'undo') {
+                this.undo();
+            } else {
+                this.redo();
+            }
+            return;
+        }
+        
+        // Bekleyen yazma adımını kapat - komut ayrı bir geri alma adımı olur
+        this.commitHistorySnapshot();
+        
         try {
             if (command === 'heading') {
                 this.toggleHeading(value);
@@ -917,12 +1024,22 @@ class RichTextEditor {
                 this.outdentContent();
             } else if (command === 'removeFormat') {
                 this.clearFormatting();
+            } else if (command === 'insertTable' || command.startsWith('table')) {
+                this.executeTableCommand(command);
+            } else if (command === 'createLink') {
+                // Pencere kapanınca kendi geçmiş adımını kaydeder
+                this.insertLink();
+            } else if (command === 'unlink') {
+                this.removeLink();
+            } else if (command === 'insertImage') {
+                this.insertImage();
             } else {
                 const success = document.execCommand(command, false, value);
                 // Debug log removed for production
             }
             
             this.updateTextarea();
+            this.commitHistorySnapshot();
             this.debouncedUpdateButtonStates(); // Optimize edildi (debounced)
         } catch (error) {
             console.error('Komut hatası:', error);
@@ -1102,231 +1219,1159 @@ class RichTextEditor {
         }
     }
 
-    // Biçimlendirmeyi temizleme (Clear Formatting) - Gelişmiş
-    clearFormatting() {
-        try {
-            const selection = window.getSelection();
-            if (!selection.rangeCount) return;
-            
-            // Eğer seçim varsa, sadece seçili alanı temizle
-            if (!selection.isCollapsed) {
-                this.clearSelectedFormatting(selection);
-            } else {
-                this.clearAllFormatting();
-            }
-            
-            // İşlem sonunda Microsoft Word HTML'ini de temizle
-            this.cleanMicrosoftWordHtml();
-            
-        } catch (error) {
-            console.error('❌ Biçimlendirme temizleme hatası:', error);
-        }
+    // ===== GERİ AL / YİNELE =====
+
+    // Geçmişi mevcut içerikle sıfırla
+    resetHistory() {
+        clearTimeout(this._historyTimeout);
+        this._historyTimeout = null;
+        this.undoStack = [];
+        this.redoStack = [];
+        this.currentSnapshot = this.captureSnapshot();
+        this.updateButtonStates();
     }
-    
-    // Microsoft Word HTML'ini temizle
-    cleanMicrosoftWordHtml() {
-        const currentContent = this.editor.innerHTML;
-        if (currentContent && (currentContent.includes('MsoNormal') || currentContent.includes('class="Mso') || currentContent.includes('microsoft'))) {
-            const cleanedContent = this.sanitizeHtml(currentContent);
-            this.editor.innerHTML = cleanedContent;
-            this.updateTextarea();
+
+    // İçerik ve seçimin anlık görüntüsü
+    captureSnapshot() {
+        return {
+            html: this.editor.innerHTML,
+            selection: this.captureSelection()
+        };
+    }
+
+    // Seçim editöre göre node yolu + offset olarak saklanır; innerHTML yenilense de geri yüklenebilir
+    captureSelection() {
+        const selection = window.getSelection();
+        if (!selection.rangeCount) return null;
+
+        const range = selection.getRangeAt(0);
+        const start = this.getNodePath(range.startContainer);
+        const end = this.getNodePath(range.endContainer);
+        if (!start || !end) return null;
+
+        return { start, startOffset: range.startOffset, end, endOffset: range.endOffset };
+    }
+
+    getNodePath(node) {
+        const path = [];
+        while (node && node !== this.editor) {
+            const parent = node.parentNode;
+            if (!parent) return null;
+            path.unshift(Array.prototype.indexOf.call(parent.childNodes, node));
+            node = parent;
         }
+        return node === this.editor ? path : null;
     }
 
-    // Seçili alanın formatını temizle
-    clearSelectedFormatting(selection) {
-        try {
-            const range = selection.getRangeAt(0);
-            const fragment = range.cloneContents();
-            
-            // Seçili içeriğin sadece text halini al
-            const plainText = this.extractPlainText(fragment);
-            
-            // Seçili alanı sil ve temiz metin ekle
-            range.deleteContents();
-            
-            // Yeni metin node'u oluştur ve ekle
-            const textNode = document.createTextNode(plainText);
-            range.insertNode(textNode);
-            
-            // Seçimi yeni eklenen metnin sonuna koy
-            range.setStartAfter(textNode);
-            range.collapse(true);
-            selection.removeAllRanges();
-            selection.addRange(range);
-            
-            console.log('✅ Seçili alandaki biçimlendirme temizlendi');
-            
-        } catch (error) {
-            console.error('❌ Seçili alan temizleme hatası:', error);
+    getNodeByPath(path) {
+        let node = this.editor;
+        for (const index of path) {
+            node = node?.childNodes[index];
         }
+        return node || null;
     }
 
-    // Tüm editörün formatını temizle
-    clearAllFormatting() {
+    // Saklanan seçimi geri yükle - yol artık geçerli değilse imleç sona konur
+    restoreSelection(saved) {
+        const range = document.createRange();
+        const nodeLength = node => node.nodeType === 3 ? node.length : node.childNodes.length;
+
         try {
-            // Cursor pozisyonunu kaydet
-            this.saveCursorPosition();
-            
-            // Editörün tüm text içeriğini al
-            const plainText = this.extractPlainText(this.editor);
-            
-            // Temiz paragraflar halinde yeniden düzenle
-            const paragraphs = plainText.split(/\n\s*\n/).filter(p => p.trim());
-            
-            if (paragraphs.length === 0) {
-                this.editor.innerHTML = '<p><br></p>';
-            } else {
-                const cleanHtml = paragraphs
-                    .map(p => `<p>${p.replace(/\n/g, '<br>')}</p>`)
-                    .join('');
-                this.editor.innerHTML = cleanHtml;
-            }
-            
-            // Cursor pozisyonunu geri yükle veya sona koy
-            setTimeout(() => {
-                try {
-                    this.restoreCursorPosition();
-                } catch (e) {
-                    this.setCursorToEnd();
-                }
-            }, 50);
-            
-            console.log('✅ Tüm biçimlendirme temizlendi');
-            
+            const start = saved ? this.getNodeByPath(saved.start) : null;
+            const end = saved ? this.getNodeByPath(saved.end) : null;
+            if (!start || !end) throw new Error('Seçim konumu bulunamadı');
+
+            range.setStart(start, Math.min(saved.startOffset, nodeLength(start)));
+            range.setEnd(end, Math.min(saved.endOffset, nodeLength(end)));
         } catch (error) {
-            console.error('❌ Tüm editör temizleme hatası:', error);
+            range.selectNodeContents(this.editor);
+            range.collapse(false);
         }
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
     }
 
-    // Element veya fragment'tan sadece plain text çıkar
-    extractPlainText(element) {
-        if (element.nodeType === Node.TEXT_NODE) {
-            return element.textContent || '';
+    // İçerik değiştiyse önceki durumu geri alma yığınına at
+    commitHistorySnapshot() {
+        if (!this.currentSnapshot || this.currentMode !== 'visual') return;
+
+        clearTimeout(this._historyTimeout);
+        this._historyTimeout = null;
+
+        if (this.editor.innerHTML === this.currentSnapshot.html) {
+            // İçerik aynı - yalnızca imleç konumu tazelenir, geri almada işlemden önceki konuma dönülür
+            this.currentSnapshot.selection = this.captureSelection() || this.currentSnapshot.selection;
+            return;
         }
-        
-        let text = '';
-        const walker = document.createTreeWalker(
-            element,
-            NodeFilter.SHOW_TEXT,
-            null,
-            false
-        );
-        
-        let node;
-        while (node = walker.nextNode()) {
-            text += node.textContent;
+
+        this.undoStack.push(this.currentSnapshot);
+        if (this.undoStack.length > this.maxHistorySize) {
+            this.undoStack.shift();
         }
-        
-        return text;
+        this.redoStack = [];
+        this.currentSnapshot = this.captureSnapshot();
+        this.updateButtonStates();
     }
 
-    // Focus işleme
-    handleFocus() {
-        const container = this.editor.closest('.rich-text-editor');
-        if (container) {
-            container.style.borderColor = '#667eea';
-            container.style.boxShadow = '0 0 0 0.2rem rgba(102, 126, 234, 0.25)';
-        }
-        
-        // Placeholder temizle - ama cursor pozisyonunu koruyarak
-        if (this.editor.innerHTML.includes('Ürün açıklamasını buraya yazın')) {
-            // Mevcut cursor pozisyonunu kaydet
-            const sel = window.getSelection();
-            const savedRange = sel.rangeCount > 0 ? sel.getRangeAt(0) : null;
-            
-            this.editor.innerHTML = '<p></p>';
-            this.editor.style.color = '#333';
-            
-            // Cursor pozisyonunu geri yükle veya uygun konuma yerleştir
-            if (savedRange) {
-                try {
-                    sel.removeAllRanges();
-                    sel.addRange(savedRange);
-                } catch (e) {
-                    // Hata durumunda ilk paragrafın içine cursor koy
-                    const newRange = document.createRange();
-                    const firstP = this.editor.querySelector('p');
-                    if (firstP) {
-                        newRange.setStart(firstP, 0);
-                        newRange.collapse(true);
-                        sel.removeAllRanges();
-                        sel.addRange(newRange);
-                    }
-                }
-            } else {
-                // Cursor yoksa ilk paragrafın içine koy
-                const newRange = document.createRange();
-                const firstP = this.editor.querySelector('p');
-                if (firstP) {
-                    newRange.setStart(firstP, 0);
-                    newRange.collapse(true);
-                    sel.removeAllRanges();
-                    sel.addRange(newRange);
-                }
-            }
-        }
-        
-        this.debouncedUpdateButtonStates(); // Optimize edildi (debounced)
+    // Yazarken her tuş ayrı adım olmasın - kısa bir duraksamada tek adım olarak kaydedilir
+    scheduleHistorySnapshot() {
+        clearTimeout(this._historyTimeout);
+        this._historyTimeout = setTimeout(() => {
+            this.commitHistorySnapshot();
+        }, 500);
     }
 
-    // Blur işleme
-    handleBlur() {
-        const container = this.editor.closest('.rich-text-editor');
-        if (container) {
-            container.style.borderColor = '#e9ecef';
-            container.style.boxShadow = 'none';
-        }
-        this.updateTextarea();
-        this.handlePlaceholder();
+    // Geri al
+    undo() {
+        this.commitHistorySnapshot();
+        if (this.undoStack.length === 0) return;
+
+        this.redoStack.push(this.currentSnapshot);
+        this.applySnapshot(this.undoStack.pop());
     }
 
-    // Klavye kısayolları
-    handleKeydown(e) {
-        // Tab ve Shift+Tab için girinti kontrolleri
-        if (e.key === 'Tab') {
-            e.preventDefault();
-            if (e.shiftKey) {
-                this.executeCommand('outdent');
-            } else {
-                this.executeCommand('indent');
-            }
-            return;
-        }
-        
-        if (e.ctrlKey || e.metaKey) {
-            switch(e.key.toLowerCase()) {
-                case 'b':
-                    e.preventDefault();
-                    this.executeCommand('bold');
-                    break;
-                case 'i':
-                    e.preventDefault();
-                    this.executeCommand('italic');
-                    break;
-                case 'u':
-                    e.preventDefault();
-                    this.executeCommand('underline');
-                    break;
-            }
-        }
+    // Yinele
+    redo() {
+        this.commitHistorySnapshot();
+        if (this.redoStack.length === 0) return;
+
+        this.undoStack.push(this.currentSnapshot);
+        this.applySnapshot(this.redoStack.pop());
     }
 
-    // Placeholder yönetimi
-    handlePlaceholder() {
-        const content = this.editor.innerHTML.trim();
-        const isEmpty = content === '' || content === '<p><br></p>' || content === '<br>' || content === '<p></p>';
-        
-        if (isEmpty) {
-            this.editor.innerHTML = '<p style="color: #999; font-style: italic;">Ürün açıklamasını buraya yazın...</p>';
-        }
+    applySnapshot(snapshot) {
+        this.currentSnapshot = snapshot;
+        this.editor.innerHTML = snapshot.html;
+        this.editor.focus();
+        this.restoreSelection(snapshot.selection);
+        this.updateTextarea();
+        this.updateButtonStates();
     }
 
-    // Textarea'yı güncelle - Mode-aware version with auto HTML cleanup
-    updateTextarea() {
-        if (!this.textarea) return;
-        
-        let content = '';
+    // Geri al / yinele butonları yığın boşken pasif
+    updateHistoryButtonStates() {
+        const isVisual = this.currentMode === 'visual';
+        const hasPendingChange = this._historyTimeout !== null;
+        const states = {
+            undo: isVisual && (this.undoStack.length > 0 || hasPendingChange),
+            redo: isVisual && this.redoStack.length > 0 && !hasPendingChange
+        };
+
+        Object.keys(states).forEach(command => {
+            const button = document.querySelector(`.editor-btn[data-command="${command}"]`);
+            if (!button) return;
+            button.disabled = !states[command];
+            button.style.opacity = states[command] ? '1' : '0.5';
+        });
+    }
+
+    // ===== BAĞLANTI VE GÖRSEL =====
+
+    // Yalnızca mutlak http/https adresleri kabul edilir
+    isSafeUrl(url) {
+        return /^https?:\/\/[^\s"'<>]+$/i.test((url || '').trim());
+    }
+
+    // Ürün formundaki görsel adresleri - kaydedilmemiş değişiklikler de görünür
+    getProductImageUrls() {
+        const inputs = document.querySelectorAll('input[name^="ImageUrls["], input[name^="MarketplaceImageUrls["]');
+        const urls = Array.from(inputs).map(input => input.value.trim()).filter(url => this.isSafeUrl(url));
+        return [...new Set(urls)];
+    }
+
+    getCurrentLink() {
+        const selection = window.getSelection();
+        if (!selection.rangeCount) return null;
+
+        let node = selection.anchorNode;
+        if (node?.nodeType === 3) node = node.parentElement;
+        const link = node?.closest?.('a');
+        return link && this.editor.contains(link) ? link : null;
+    }
+
+    // Bağlantı ve görsel için ortak adres penceresi - iptal edilirse null döner
+    showUrlDialog({ title, icon, confirmText, url = '', textLabel = null, text = '', images = [] }) {
+        return new Promise(resolve => {
+            document.getElementById('url-dialog')?.remove();
+
+            const modal = document.createElement('div');
+            modal.id = 'url-dialog';
+            modal.className = 'paste-modal-backdrop';
+            modal.innerHTML = `
+                <div class="paste-modal url-dialog">
+                    <div class="paste-modal-header">
+                        <h3><i class="${icon}"></i> ${title}</h3>
+                    </div>
+                    <div class="paste-modal-body">
+                        <label class="url-dialog-field">
+                            <span>Adres (http / https)</span>
+                            <input type="url" class="form-control" data-field="url" placeholder="https://">
+                        </label>
+                        ${textLabel ? `
+                        <label class="url-dialog-field">
+                            <span>${textLabel}</span>
+                            <input type="text" class="form-control" data-field="text">
+                        </label>` : ''}
+                        ${images.length ? `
+                        <div class="url-dialog-gallery-title">Ürün görsellerinden seç</div>
+                        <div class="url-dialog-gallery">
+                            ${images.map(image => `
+                                <button type="button" class="url-dialog-image" data-url="${this.escapeHtml(image)}" title="${this.escapeHtml(image)}">
+                                    <img src="${this.escapeHtml(image)}" alt="" loading="lazy">
+                                </button>`).join('')}
+                        </div>` : ''}
+                    </div>
+                    <div class="paste-modal-footer">
+                        <button type="button" class="paste-btn paste-btn-cancel">İptal</button>
+                        <button type="button" class="paste-btn paste-btn-confirm">${confirmText}</button>
+                    </div>
+                </div>
+            `;
+            document.body.appendChild(modal);
+
+            const urlInput = modal.querySelector('[data-field="url"]');
+            const textInput = modal.querySelector('[data-field="text"]');
+            urlInput.value = url;
+            if (textInput) textInput.value = text;
+
+            const close = (result) => {
+                modal.remove();
+                document.removeEventListener('keydown', keyHandler);
+                resolve(result);
+            };
+
+            const confirm = () => {
+                const value = urlInput.value.trim();
+                if (!this.isSafeUrl(value)) {
+                    window.showError?.('Geçerli bir http:// veya https:// adresi girin');
+                    urlInput.focus();
+                    return;
+                }
+                close({ url: value, text: textInput ? textInput.value.trim() : '' });
+            };
+
+            const keyHandler = (e) => {
+                if (e.key === 'Escape') {
+                    close(null);
+                } else if (e.key === 'Enter' && e.target.closest?.('#url-dialog')) {
+                    e.preventDefault();
+                    confirm();
+                }
+            };
+            document.addEventListener('keydown', keyHandler);
+
+            modal.addEventListener('click', (e) => {
+                const image = e.target.closest('.url-dialog-image');
+                if (image) {
+                    modal.querySelectorAll('.url-dialog-image').forEach(item => item.classList.toggle('selected', item === image));
+                    urlInput.value = image.dataset.url;
+                } else if (e.target.closest('.paste-btn-confirm')) {
+                    confirm();
+                } else if (e.target.closest('.paste-btn-cancel') || e.target === modal) {
+                    close(null);
+                }
+            });
+
+            requestAnimationFrame(() => {
+                modal.classList.add('show');
+                urlInput.focus();
+            });
+        });
+    }
+
+    // Pencere odağı aldıktan sonra editördeki seçimi geri yükle
+    restoreEditorRange(range) {
+        this.editor.focus();
+        if (!range || !this.editor.contains(range.startContainer)) return false;
+
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+        return true;
+    }
+
+    // Bağlantı ekle / düzenle
+    async insertLink() {
+        const selection = window.getSelection();
+        const range = selection.rangeCount ? selection.getRangeAt(0).cloneRange() : null;
+        const existingLink = this.getCurrentLink();
+        const selectedText = existingLink ? existingLink.textContent : (range ? range.toString() : '');
+
+        const result = await this.showUrlDialog({
+            title: existingLink ? 'Bağlantıyı Düzenle' : 'Bağlantı Ekle',
+            icon: 'fas fa-link',
+            confirmText: existingLink ? 'Güncelle' : 'Ekle',
+            url: existingLink?.getAttribute('href') || '',
+            textLabel: 'Bağlantı metni',
+            text: selectedText
+        });
+        if (!result) {
+            this.restoreEditorRange(range);
+            return;
+        }
+
+        this.commitHistorySnapshot();
+
+        if (existingLink) {
+            existingLink.setAttribute('href', result.url);
+            existingLink.setAttribute('rel', 'noopener');
+            if (result.text && result.text !== existingLink.textContent) {
+                existingLink.textContent = result.text;
+            }
+        } else if (this.restoreEditorRange(range) && !range.collapsed && (!result.text || result.text === selectedText)) {
+            // Seçim birden fazla etiketi kapsayabilir - tarayıcı sarmalar, href/rel sonradan güvenli değerle yazılır
+            const marker = `https://rte-link-${Date.now()}.invalid/`;
+            document.execCommand('createLink', false, marker);
+            this.editor.querySelectorAll(`a[href="${marker}"]`).forEach(link => {
+                link.setAttribute('href', result.url);
+                link.setAttribute('rel', 'noopener');
+            });
+        } else {
+            const link = document.createElement('a');
+            link.setAttribute('href', result.url);
+            link.setAttribute('rel', 'noopener');
+            link.textContent = result.text || result.url;
+            this.insertNodeAtRange(range, link);
+        }
+
+        this.updateTextarea();
+        this.commitHistorySnapshot();
+        this.debouncedUpdateButtonStates();
+    }
+
+    // Bağlantıyı kaldır - metin korunur
+    removeLink() {
+        const link = this.getCurrentLink();
+        const selection = window.getSelection();
+
+        if (link && selection.isCollapsed) {
+            link.replaceWith(...link.childNodes);
+        } else {
+            document.execCommand('unlink', false, null);
+        }
+    }
+
+    // Görsel ekle - adres elle girilir ya da ürün görsellerinden seçilir
+    async insertImage() {
+        const selection = window.getSelection();
+        const range = selection.rangeCount ? selection.getRangeAt(0).cloneRange() : null;
+
+        const result = await this.showUrlDialog({
+            title: 'Görsel Ekle',
+            icon: 'fas fa-image',
+            confirmText: 'Ekle',
+            textLabel: 'Alternatif metin (görseli tarif eden kısa açıklama)',
+            images: this.getProductImageUrls()
+        });
+        if (!result) {
+            this.restoreEditorRange(range);
+            return;
+        }
+
+        this.commitHistorySnapshot();
+
+        const image = document.createElement('img');
+        image.setAttribute('src', result.url);
+        image.setAttribute('alt', result.text);
+        this.insertNodeAtRange(this.restoreEditorRange(range) ? range : null, image);
+
+        this.updateTextarea();
+        this.commitHistorySnapshot();
+        this.debouncedUpdateButtonStates();
+    }
+
+    // Node'u seçimin yerine ekle, imleci arkasına taşı; seçim yoksa sona eklenir
+    insertNodeAtRange(range, node) {
+        if (range && this.editor.contains(range.startContainer)) {
+            range.deleteContents();
+            range.insertNode(node);
+        } else {
+            const paragraph = document.createElement('p');
+            paragraph.appendChild(node);
+            this.editor.appendChild(paragraph);
+        }
+
+        const after = document.createRange();
+        after.setStartAfter(node);
+        after.collapse(true);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(after);
+    }
+
+    // ===== TABLO DESTEĞİ =====
+
+    // Tablo komutlarını çalıştır
+    executeTableCommand(command) {
+        if (command === 'insertTable') {
+            this.insertTable();
+            return;
+        }
+
+        const cell = this.getCurrentCell();
+        if (!cell) {
+            window.showError?.('Bu işlem için imleci bir tablo hücresine getirin');
+            return;
+        }
+
+        switch (command) {
+            case 'tableAddRow':
+                this.addTableRow(cell);
+                break;
+            case 'tableAddColumn':
+                this.addTableColumn(cell);
+                break;
+            case 'tableDeleteRow':
+                this.deleteTableRow(cell);
+                break;
+            case 'tableDeleteColumn':
+                this.deleteTableColumn(cell);
+                break;
+            case 'tableToggleHeader':
+                this.toggleTableHeader(cell);
+                break;
+            case 'tableMergeCells':
+                this.mergeTableCells(cell);
+                break;
+            case 'tableSplitCell':
+                this.splitTableCell(cell);
+                break;
+            case 'tableDelete':
+                this.deleteTable(cell);
+                break;
+        }
+    }
+
+    // İmlecin bulunduğu tablo hücresini bul
+    getCurrentCell(node = null) {
+        if (!node) {
+            const selection = window.getSelection();
+            if (!selection.rangeCount) return null;
+            node = selection.anchorNode;
+        }
+
+        const element = node?.nodeType === 3 ? node.parentElement : node;
+        const cell = element?.closest?.('td, th');
+        return cell && this.editor.contains(cell) ? cell : null;
+    }
+
+    // Tabloyu ızgaraya çevir - colspan/rowspan'li hücre kapladığı her konuma yazılır
+    getTableGrid(table) {
+        const rows = Array.from(table.rows);
+        const grid = rows.map(() => []);
+
+        rows.forEach((row, r) => {
+            let c = 0;
+            Array.from(row.cells).forEach(cell => {
+                while (grid[r][c]) c++;
+                const rowSpan = Math.min(Math.max(cell.rowSpan, 1), rows.length - r);
+                const colSpan = Math.max(cell.colSpan, 1);
+                for (let dr = 0; dr < rowSpan; dr++) {
+                    for (let dc = 0; dc < colSpan; dc++) {
+                        grid[r + dr][c + dc] = cell;
+                    }
+                }
+                c += colSpan;
+            });
+        });
+
+        return { rows, grid, columnCount: Math.max(0, ...grid.map(row => row.length)) };
+    }
+
+    // Hücrenin ızgaradaki kapsadığı alan
+    getCellPosition(grid, cell) {
+        let position = null;
+        grid.forEach((row, r) => {
+            row.forEach((item, c) => {
+                if (item !== cell) return;
+                if (!position) {
+                    position = { row: r, col: c, rowEnd: r, colEnd: c };
+                } else {
+                    position.rowEnd = Math.max(position.rowEnd, r);
+                    position.colEnd = Math.max(position.colEnd, c);
+                }
+            });
+        });
+        return position;
+    }
+
+    // Satırın bölümüne uygun boş hücre (thead içinde th)
+    createTableCell(row) {
+        const cell = document.createElement(row.parentElement?.tagName === 'THEAD' ? 'th' : 'td');
+        cell.innerHTML = '<br>';
+        return cell;
+    }
+
+    // Hücreyi satırda verilen sütuna denk gelecek yere ekle
+    insertCellAtColumn(row, grid, col, cell) {
+        const next = Array.from(row.cells).find(item => {
+            const position = this.getCellPosition(grid, item);
+            return position && position.col > col;
+        });
+        row.insertBefore(cell, next || null);
+    }
+
+    // colspan/rowspan değerini ayarla - 1 ise attribute kaldırılır
+    setCellSpan(cell, name, value) {
+        if (value > 1) {
+            cell.setAttribute(name, value);
+        } else {
+            cell.removeAttribute(name);
+        }
+    }
+
+    // İmleci hücrenin başına koy
+    placeCursorInCell(cell) {
+        if (!cell) return;
+        const range = document.createRange();
+        range.selectNodeContents(cell);
+        range.collapse(true);
+        const selection = window.getSelection();
+        selection.removeAllRanges();
+        selection.addRange(range);
+    }
+
+    // Boş kalan satır ve bölümleri temizle, tablo tamamen boşaldıysa kaldır
+    normalizeTable(table) {
+        const { rows, grid } = this.getTableGrid(table);
+
+        rows.forEach((row, r) => {
+            if (row.cells.length > 0) return;
+            // Bu satırı kaplayan hücrelerin rowspan'i bir azalır
+            new Set(grid[r]).forEach(cell => {
+                if (cell) this.setCellSpan(cell, 'rowspan', cell.rowSpan - 1);
+            });
+            row.remove();
+        });
+
+        Array.from(table.querySelectorAll('thead, tbody, tfoot')).forEach(section => {
+            if (section.rows.length === 0) section.remove();
+        });
+
+        if (table.rows.length === 0) {
+            const paragraph = document.createElement('p');
+            paragraph.innerHTML = '<br>';
+            table.replaceWith(paragraph);
+            this.placeCursorInCell(paragraph);
+            return false;
+        }
+
+        return true;
+    }
+
+    // Yeni tablo ekle - boyut "satır x sütun" olarak sorulur
+    insertTable() {
+        // prompt odağı aldığı için imleç konumu önceden saklanır
+        const selection = window.getSelection();
+        const savedRange = selection.rangeCount ? selection.getRangeAt(0).cloneRange() : null;
+        const input = prompt('Tablo boyutu (satır x sütun):', '3x2');
+        if (!input) return;
+
+        const match = input.match(/^\s*(\d+)\s*[x×*]\s*(\d+)\s*$/i);
+        if (!match) {
+            window.showError?.('Tablo boyutunu "satır x sütun" biçiminde girin, örn: 3x2');
+            return;
+        }
+
+        const rowCount = Math.min(Math.max(parseInt(match[1], 10), 1), 50);
+        const columnCount = Math.min(Math.max(parseInt(match[2], 10), 1), 10);
+
+        const table = document.createElement('table');
+        const tbody = table.createTBody();
+        for (let r = 0; r < rowCount; r++) {
+            const row = tbody.insertRow();
+            for (let c = 0; c < columnCount; c++) {
+                row.appendChild(this.createTableCell(row));
+            }
+        }
+
+        this.editor.focus();
+
+        // Tablo blok seviyesinde eklenir: imlecin bulunduğu bloğun (ya da tablonun) arkasına
+        let block = savedRange && this.editor.contains(savedRange.startContainer) ? savedRange.startContainer : null;
+        while (block && block.parentNode !== this.editor) {
+            block = block.parentNode;
+        }
+
+        if (block && block.nodeType === 1 && block.tagName !== 'TABLE' && !block.textContent.trim() && !block.querySelector('img')) {
+            block.replaceWith(table);
+        } else if (block) {
+            block.after(table);
+        } else {
+            this.editor.appendChild(table);
+        }
+
+        // Tablodan sonra yazmaya devam edebilmek için boş paragraf
+        if (!table.nextElementSibling) {
+            const paragraph = document.createElement('p');
+            paragraph.innerHTML = '<br>';
+            table.after(paragraph);
+        }
+
+        this.placeCursorInCell(table.rows[0].cells[0]);
+        console.log(`✅ ${rowCount}x${columnCount} tablo eklendi`);
+    }
+
+    // Bulunulan satırın altına satır ekle
+    addTableRow(cell) {
+        const table = cell.closest('table');
+        const { rows, grid, columnCount } = this.getTableGrid(table);
+        const position = this.getCellPosition(grid, cell);
+        const r = position.rowEnd;
+        const newRow = document.createElement('tr');
+
+        // Başlık satırının altına eklenen satır gövdenin başına gider
+        const isHeaderRow = rows[r].parentElement.tagName === 'THEAD';
+        const isLastRowOfSection = rows[r] === rows[r].parentElement.lastElementChild;
+        if (isHeaderRow && isLastRowOfSection) {
+            const tbody = table.tBodies[0] || table.createTBody();
+            tbody.insertBefore(newRow, tbody.firstChild);
+        } else {
+            rows[r].after(newRow);
+        }
+
+        const extended = new Set();
+        for (let c = 0; c < columnCount; c++) {
+            const item = grid[r][c];
+            const itemPosition = item ? this.getCellPosition(grid, item) : null;
+            if (item && itemPosition.rowEnd > r && !(isHeaderRow && isLastRowOfSection)) {
+                // Satır sınırını aşan birleşik hücre yeni satırı da kaplar
+                if (!extended.has(item)) {
+                    this.setCellSpan(item, 'rowspan', item.rowSpan + 1);
+                    extended.add(item);
+                }
+            } else {
+                newRow.appendChild(this.createTableCell(newRow));
+            }
+        }
+
+        this.placeCursorInCell(newRow.cells[0]);
+    }
+
+    // Bulunulan sütunun sağına sütun ekle
+    addTableColumn(cell) {
+        const table = cell.closest('table');
+        const { rows, grid } = this.getTableGrid(table);
+        const c = this.getCellPosition(grid, cell).colEnd;
+        const extended = new Set();
+
+        rows.forEach((row, r) => {
+            const item = grid[r][c];
+            if (item && this.getCellPosition(grid, item).colEnd > c) {
+                // Sütun sınırını aşan birleşik hücre yeni sütunu da kaplar
+                if (!extended.has(item)) {
+                    this.setCellSpan(item, 'colspan', item.colSpan + 1);
+                    extended.add(item);
+                }
+                return;
+            }
+            this.insertCellAtColumn(row, grid, c, this.createTableCell(row));
+        });
+    }
+
+    // Bulunulan satırı sil
+    deleteTableRow(cell) {
+        const table = cell.closest('table');
+        const { rows, grid, columnCount } = this.getTableGrid(table);
+        const row = cell.parentElement;
+        const r = rows.indexOf(row);
+        const col = this.getCellPosition(grid, cell).col;
+
+        new Set(grid[r]).forEach(item => {
+            if (!item || item.rowSpan <= 1) return;
+            const position = this.getCellPosition(grid, item);
+            if (position.rowEnd === r) return;
+            // Bu satırda başlayan birleşik hücre bir alt satıra taşınır
+            if (position.row === r) {
+                this.insertCellAtColumn(rows[r + 1], grid, position.col - 1, item);
+            }
+            this.setCellSpan(item, 'rowspan', item.rowSpan - 1);
+        });
+
+        row.remove();
+        if (!this.normalizeTable(table)) return;
+
+        const target = grid[r + 1]?.[col] || grid[r - 1]?.[col];
+        this.placeCursorInCell(target && target.isConnected ? target : table.rows[0].cells[0]);
+        console.log(`🗑️ Tablo satırı silindi (${columnCount} sütun)`);
+    }
+
+    // Bulunulan sütunu sil
+    deleteTableColumn(cell) {
+        const table = cell.closest('table');
+        const { grid } = this.getTableGrid(table);
+        const c = this.getCellPosition(grid, cell).col;
+
+        new Set(grid.map(row => row[c])).forEach(item => {
+            if (!item) return;
+            if (item.colSpan > 1) {
+                this.setCellSpan(item, 'colspan', item.colSpan - 1);
+            } else {
+                item.remove();
+            }
+        });
+
+        if (!this.normalizeTable(table)) return;
+
+        const nextCell = grid.map(row => row[c + 1] || row[c - 1]).find(item => item && item.isConnected);
+        this.placeCursorInCell(nextCell || table.rows[0].cells[0]);
+    }
+
+    // İlk satırı başlık satırı (thead/th) yap ya da geri al
+    toggleTableHeader(cell) {
+        const table = cell.closest('table');
+        const cellIndex = Array.from(table.querySelectorAll('th, td')).indexOf(cell);
+
+        const replaceCellTag = (item, tagName) => {
+            const replacement = document.createElement(tagName);
+            ['colspan', 'rowspan'].forEach(name => {
+                if (item.hasAttribute(name)) replacement.setAttribute(name, item.getAttribute(name));
+            });
+            while (item.firstChild) {
+                replacement.appendChild(item.firstChild);
+            }
+            item.replaceWith(replacement);
+        };
+
+        if (table.tHead) {
+            const tbody = table.tBodies[0] || table.createTBody();
+            Array.from(table.tHead.rows).reverse().forEach(row => {
+                Array.from(row.cells).forEach(item => replaceCellTag(item, 'td'));
+                tbody.insertBefore(row, tbody.firstChild);
+            });
+            table.deleteTHead();
+        } else {
+            const firstRow = table.rows[0];
+            if (Array.from(firstRow.cells).some(item => item.rowSpan > 1)) {
+                window.showError?.('İlk satırda alt satırlarla birleştirilmiş hücre var; önce hücreyi ayırın');
+                return;
+            }
+            const thead = table.createTHead();
+            thead.appendChild(firstRow);
+            Array.from(firstRow.cells).forEach(item => replaceCellTag(item, 'th'));
+        }
+
+        this.normalizeTable(table);
+        this.placeCursorInCell(table.querySelectorAll('th, td')[cellIndex]);
+    }
+
+    // Hücreleri birleştir - seçim birden fazla hücreyi kapsıyorsa dikdörtgen alan, yoksa sağdaki hücre
+    mergeTableCells(cell) {
+        const table = cell.closest('table');
+        const { rows, grid } = this.getTableGrid(table);
+        const selection = window.getSelection();
+        const range = selection.rangeCount ? selection.getRangeAt(0) : null;
+        const startCell = range ? this.getCurrentCell(range.startContainer) : null;
+        const endCell = range ? this.getCurrentCell(range.endContainer) : null;
+
+        let area;
+        if (startCell && endCell && startCell !== endCell && endCell.closest('table') === table) {
+            const start = this.getCellPosition(grid, startCell);
+            const end = this.getCellPosition(grid, endCell);
+            area = {
+                top: Math.min(start.row, end.row),
+                bottom: Math.max(start.rowEnd, end.rowEnd),
+                left: Math.min(start.col, end.col),
+                right: Math.max(start.colEnd, end.colEnd)
+            };
+        } else {
+            const position = this.getCellPosition(grid, cell);
+            const neighbor = grid[position.row][position.colEnd + 1];
+            if (!neighbor) {
+                window.showError?.('Birleştirilecek sağ hücre yok. Birden fazla hücre için hücreleri seçin.');
+                return;
+            }
+            const neighborPosition = this.getCellPosition(grid, neighbor);
+            area = {
+                top: Math.min(position.row, neighborPosition.row),
+                bottom: Math.max(position.rowEnd, neighborPosition.rowEnd),
+                left: position.col,
+                right: neighborPosition.colEnd
+            };
+        }
+
+        // Alanı kısmen kaplayan birleşik hücreler alana tamamen dahil edilir
+        let expanded = true;
+        while (expanded) {
+            expanded = false;
+            for (let r = area.top; r <= area.bottom; r++) {
+                for (let c = area.left; c <= area.right; c++) {
+                    const item = grid[r][c];
+                    if (!item) continue;
+                    const position = this.getCellPosition(grid, item);
+                    if (position.row < area.top) { area.top = position.row; expanded = true; }
+                    if (position.rowEnd > area.bottom) { area.bottom = position.rowEnd; expanded = true; }
+                    if (position.col < area.left) { area.left = position.col; expanded = true; }
+                    if (position.colEnd > area.right) { area.right = position.colEnd; expanded = true; }
+                }
+            }
+        }
+
+        if (rows[area.top].parentElement !== rows[area.bottom].parentElement) {
+            window.showError?.('Başlık satırı ile gövde hücreleri birleştirilemez');
+            return;
+        }
+
+        const cells = [];
+        for (let r = area.top; r <= area.bottom; r++) {
+            for (let c = area.left; c <= area.right; c++) {
+                const item = grid[r][c];
+                if (item && !cells.includes(item)) cells.push(item);
+            }
+        }
+
+        const target = cells.shift();
+        if (!target || cells.length === 0) return;
+
+        // Dolu hücrelerin içeriği hedef hücrede satır sonlarıyla birleşir
+        const isEmpty = item => !item.textContent.trim() && !item.querySelector('img');
+        if (isEmpty(target)) target.innerHTML = '';
+        cells.forEach(item => {
+            if (!isEmpty(item)) {
+                if (target.childNodes.length > 0) target.appendChild(document.createElement('br'));
+                while (item.firstChild) {
+                    target.appendChild(item.firstChild);
+                }
+            }
+            item.remove();
+        });
+        if (!target.firstChild) target.innerHTML = '<br>';
+
+        this.setCellSpan(target, 'colspan', area.right - area.left + 1);
+        this.setCellSpan(target, 'rowspan', area.bottom - area.top + 1);
+        this.normalizeTable(table);
+        this.placeCursorInCell(target);
+        console.log(`✅ ${cells.length + 1} hücre birleştirildi`);
+    }
+
+    // Birleştirilmiş hücreyi ayır - boşalan konumlar yeni hücrelerle doldurulur
+    splitTableCell(cell) {
+        if (cell.colSpan <= 1 && cell.rowSpan <= 1) {
+            window.showError?.('Bu hücre birleştirilmiş değil');
+            return;
+        }
+
+        const table = cell.closest('table');
+        const { rows, grid } = this.getTableGrid(table);
+        const position = this.getCellPosition(grid, cell);
+
+        this.setCellSpan(cell, 'colspan', 1);
+        this.setCellSpan(cell, 'rowspan', 1);
+
+        for (let r = position.row; r <= position.rowEnd; r++) {
+            const row = rows[r];
+            if (r === position.row) {
+                let previous = cell;
+                for (let c = position.col + 1; c <= position.colEnd; c++) {
+                    const newCell = this.createTableCell(row);
+                    previous.after(newCell);
+                    previous = newCell;
+                }
+            } else {
+                for (let c = position.col; c <= position.colEnd; c++) {
+                    this.insertCellAtColumn(row, grid, position.colEnd, this.createTableCell(row));
+                }
+            }
+        }
+
+        this.placeCursorInCell(cell);
+    }
+
+    // Tabloyu tamamen kaldır
+    deleteTable(cell) {
+        const table = cell.closest('table');
+        if (!confirm('Tablo tamamen silinsin mi?')) return;
+
+        const paragraph = document.createElement('p');
+        paragraph.innerHTML = '<br>';
+        table.replaceWith(paragraph);
+        this.placeCursorInCell(paragraph);
+    }
+
+    // Tab / Shift+Tab ile hücreler arasında gezin - son hücrede Tab yeni satır açar
+    moveToAdjacentCell(cell, backwards) {
+        const table = cell.closest('table');
+        const cells = Array.from(table.querySelectorAll('th, td'));
+        const index = cells.indexOf(cell);
+
+        if (backwards) {
+            if (index > 0) this.placeCursorInCell(cells[index - 1]);
+            return;
+        }
+
+        if (index < cells.length - 1) {
+            this.placeCursorInCell(cells[index + 1]);
+        } else {
+            this.commitHistorySnapshot();
+            this.addTableRow(cell);
+            this.updateTextarea();
+            this.commitHistorySnapshot();
+        }
+    }
+
+    // Tablo butonları yalnızca imleç bir tablo hücresindeyken etkin
+    updateTableButtonStates() {
+        const cell = this.currentMode === 'visual' ? this.getCurrentCell() : null;
+        document.querySelectorAll('.editor-btn.table-cell-btn').forEach(button => {
+            button.disabled = !cell;
+            button.style.opacity = cell ? '1' : '0.5';
+        });
+
+        if (cell?.closest('table')?.tHead) {
+            this.activateButton('tableToggleHeader');
+        }
+        if (cell && (cell.colSpan > 1 || cell.rowSpan > 1)) {
+            this.activateButton('tableSplitCell');
+        }
+    }
+
+    // Biçimlendirmeyi temizleme (Clear Formatting) - Gelişmiş
+    clearFormatting() {
+        try {
+            const selection = window.getSelection();
+            if (!selection.rangeCount) return;
+            
+            // Eğer seçim varsa, sadece seçili alanı temizle
+            if (!selection.isCollapsed) {
+                this.clearSelectedFormatting(selection);
+            } else {
+                this.clearAllFormatting();
+            }
+            
+            // İşlem sonunda Microsoft Word HTML'ini de temizle
+            this.cleanMicrosoftWordHtml();
+            
+        } catch (error) {
+            console.error('❌ Biçimlendirme temizleme hatası:', error);
+        }
+    }
+    
+    // Microsoft Word HTML'ini temizle
+    cleanMicrosoftWordHtml() {
+        const currentContent = this.editor.innerHTML;
+        if (currentContent && (currentContent.includes('MsoNormal') || currentContent.includes('class="Mso') || currentContent.includes('microsoft'))) {
+            const cleanedContent = this.sanitizeHtml(currentContent);
+            this.editor.innerHTML = cleanedContent;
+            this.updateTextarea();
+        }
+    }
+
+    // Seçili alanın formatını temizle
+    clearSelectedFormatting(selection) {
+        try {
+            const range = selection.getRangeAt(0);
+            const fragment = range.cloneContents();
+            
+            // Seçili içeriğin sadece text halini al
+            const plainText = this.extractPlainText(fragment);
+            
+            // Seçili alanı sil ve temiz metin ekle
+            range.deleteContents();
+            
+            // Yeni metin node'u oluştur ve ekle
+            const textNode = document.createTextNode(plainText);
+            range.insertNode(textNode);
+            
+            // Seçimi yeni eklenen metnin sonuna koy
+            range.setStartAfter(textNode);
+            range.collapse(true);
+            selection.removeAllRanges();
+            selection.addRange(range);
+            
+            console.log('✅ Seçili alandaki biçimlendirme temizlendi');
+            
+        } catch (error) {
+            console.error('❌ Seçili alan temizleme hatası:', error);
+        }
+    }
+
+    // Tüm editörün formatını temizle
+    clearAllFormatting() {
+        try {
+            // Cursor pozisyonunu kaydet
+            this.saveCursorPosition();
+            
+            // Editörün tüm text içeriğini al
+            const plainText = this.extractPlainText(this.editor);
+            
+            // Temiz paragraflar halinde yeniden düzenle
+            const paragraphs = plainText.split(/\n\s*\n/).filter(p => p.trim());
+            
+            if (paragraphs.length === 0) {
+                this.editor.innerHTML = '<p><br></p>';
+            } else {
+                const cleanHtml = paragraphs
+                    .map(p => `<p>${p.replace(/\n/g, '<br>')}</p>`)
+                    .join('');
+                this.editor.innerHTML = cleanHtml;
+            }
+            
+            // Cursor pozisyonunu geri yükle veya sona koy
+            setTimeout(() => {
+                try {
+                    this.restoreCursorPosition();
+                } catch (e) {
+                    this.setCursorToEnd();
+                }
+            }, 50);
+            
+            console.log('✅ Tüm biçimlendirme temizlendi');
+            
+        } catch (error) {
+            console.error('❌ Tüm editör temizleme hatası:', error);
+        }
+    }
+
+    // Element veya fragment'tan sadece plain text çıkar
+    extractPlainText(element) {
+        if (element.nodeType === Node.TEXT_NODE) {
+            return element.textContent || '';
+        }
+        
+        let text = '';
+        const walker = document.createTreeWalker(
+            element,
+            NodeFilter.SHOW_TEXT,
+            null,
+            false
+        );
+        
+        let node;
+        while (node = walker.nextNode()) {
+            text += node.textContent;
+        }
+        
+        return text;
+    }
+
+    // Focus işleme
+    handleFocus() {
+        const container = this.editor.closest('.rich-text-editor');
+        if (container) {
+            container.style.borderColor = '#667eea';
+            container.style.boxShadow = '0 0 0 0.2rem rgba(102, 126, 234, 0.25)';
+        }
+        
+        // Placeholder temizle - ama cursor pozisyonunu koruyarak
+        if (this.editor.innerHTML.includes('Ürün açıklamasını buraya yazın')) {
+            // Mevcut cursor pozisyonunu kaydet
+            const sel = window.getSelection();
+            const savedRange = sel.rangeCount > 0 ? sel.getRangeAt(0) : null;
+            
+            this.editor.innerHTML = '<p></p>';
+            this.editor.style.color = '#333';
+            
+            // Placeholder yalnızca görüntü amaçlı - kaldırılması geri alma adımı sayılmaz
+            if (this.currentSnapshot) {
+                this.currentSnapshot.html = this.editor.innerHTML;
+            }
+            
+            // Cursor pozisyonunu geri yükle veya uygun konuma yerleştir
+            if (savedRange) {
+                try {
+                    sel.removeAllRanges();
+                    sel.addRange(savedRange);
+                } catch (e) {
+                    // Hata durumunda ilk paragrafın içine cursor koy
+                    const newRange = document.createRange();
+                    const firstP = this.editor.querySelector('p');
+                    if (firstP) {
+                        newRange.setStart(firstP, 0);
+                        newRange.collapse(true);
+                        sel.removeAllRanges();
+                        sel.addRange(newRange);
+                    }
+                }
+            } else {
+                // Cursor yoksa ilk paragrafın içine koy
+                const newRange = document.createRange();
+                const firstP = this.editor.querySelector('p');
+                if (firstP) {
+                    newRange.setStart(firstP, 0);
+                    newRange.collapse(true);
+                    sel.removeAllRanges();
+                    sel.addRange(newRange);
+                }
+            }
+        }
+        
+        this.debouncedUpdateButtonStates(); // Optimize edildi (debounced)
+    }
+
+    // Blur işleme
+    handleBlur() {
+        const container = this.editor.closest('.rich-text-editor');
+        if (container) {
+            container.style.borderColor = '#e9ecef';
+            container.style.boxShadow = 'none';
+        }
+        this.updateTextarea();
+        this.handlePlaceholder();
+    }
+
+    // Klavye kısayolları
+    handleKeydown(e) {
+        // Tab ve Shift+Tab için girinti kontrolleri - tabloda hücreler arası geçiş
+        if (e.key === 'Tab') {
+            e.preventDefault();
+            const cell = this.getCurrentCell();
+            if (cell) {
+                this.moveToAdjacentCell(cell, e.shiftKey);
+            } else if (e.shiftKey) {
+                this.executeCommand('outdent');
+            } else {
+                this.executeCommand('indent');
+            }
+            return;
+        }
+        
+        if (e.ctrlKey || e.metaKey) {
+            switch(e.key.toLowerCase()) {
+                case 'z':
+                    e.preventDefault();
+                    this.executeCommand(e.shiftKey ? 'redo' : 'undo');
+                    break;
+                case 'y':
+                    e.preventDefault();
+                    this.executeCommand('redo');
+                    break;
+                case 'k':
+                    e.preventDefault();
+                    this.executeCommand('createLink');
+                    break;
+                case 'b':
+                    e.preventDefault();
+                    this.executeCommand('bold');
+                    break;
+                case 'i':
+                    e.preventDefault();
+                    this.executeCommand('italic');
+                    break;
+                case 'u':
+                    e.preventDefault();
+                    this.executeCommand('underline');
+                    break;
+            }
+        }
+    }
+
+    // Placeholder yönetimi
+    handlePlaceholder() {
+        const content = this.editor.innerHTML.trim();
+        const isEmpty = content === '' || content === '<p><br></p>' || content === '<br>' || content === '<p></p>';
+        
+        if (isEmpty) {
+            this.editor.innerHTML = '<p style="color: #999; font-style: italic;">Ürün açıklamasını buraya yazın...</p>';
+        }
+    }
+
+    // Textarea'yı güncelle - Mode-aware version with auto HTML cleanup
+    updateTextarea() {
+        if (!this.textarea) return;
+        
+        let content = '';
         
         // Get content based on current mode
         switch (this.currentMode) {
@@ -1336,6 +2381,9 @@ class RichTextEditor {
             case 'source':
                 content = this.sourceTextarea.value;
                 break;
+            case 'markdown':
+                content = this.markdownToHtml(this.markdownTextarea.value);
+                break;
             case 'preview':
                 // Preview mode uses existing textarea content
                 return;
@@ -1431,6 +2479,8 @@ class RichTextEditor {
         }
         
         console.log(`📊 Karakter sayısı güncellendi: ${textLength}/${maxLength}`);
+        
+        this.updateMarketplaceValidation();
     }
 
     // Button durumlarını güncelle - Optimize edildi
@@ -1491,6 +2541,17 @@ class RichTextEditor {
             // Heading durumlarını kontrol et
             this.checkHeadingState();
             
+            // İmleç bir bağlantıdaysa bağlantı butonu aktif
+            if (this.getCurrentLink()) {
+                this.activateButton('createLink');
+            }
+            
+            // Tablo butonlarını imlecin konumuna göre etkinleştir
+            this.updateTableButtonStates();
+            
+            // Geri al / yinele butonlarını geçmişe göre etkinleştir
+            this.updateHistoryButtonStates();
+            
         } catch (error) {
             console.warn('Button state güncelleme hatası:', error);
         } finally {
@@ -1583,6 +2644,9 @@ class RichTextEditor {
         
         // Initialize preview content
         this.updatePreviewContent();
+        
+        // Geri alma geçmişi yüklenen içerikten başlar
+        this.resetHistory();
     }
 
     // ===== MODE SWITCHING FUNCTIONALITY =====
@@ -1590,6 +2654,9 @@ class RichTextEditor {
     switchMode(mode) {
         if (this.currentMode === mode) return;
         
+        // Görsel editörden çıkarken bekleyen yazma adımını kapat
+        this.commitHistorySnapshot();
+        
         // Save current content before switching
         this.saveCurrentContent();
         
@@ -1600,6 +2667,7 @@ class RichTextEditor {
         this.editor.style.display = 'none';
         this.previewElement.style.display = 'none';
         this.sourceElement.style.display = 'none';
+        this.markdownElement.style.display = 'none';
         
         // Show selected mode
         switch (mode) {
@@ -1617,9 +2685,19 @@ class RichTextEditor {
                 this.enableToolbarButtons(false);
                 this.syncToSourceTextarea();
                 break;
+            case 'markdown':
+                this.markdownTextarea.value = this.htmlToMarkdown(this.textarea.value || this.editor.innerHTML);
+                this.markdownElement.style.display = 'block';
+                this.enableToolbarButtons(false);
+                break;
         }
         
         this.currentMode = mode;
+        
+        // Kaynak kod / Markdown modunda yapılan değişiklik tek bir geri alma adımı olur
+        if (mode === 'visual') {
+            this.commitHistorySnapshot();
+        }
         // Mode switch completed
     }
     
@@ -1632,6 +2710,10 @@ class RichTextEditor {
                 this.textarea.value = this.sourceTextarea.value;
                 this.editor.innerHTML = this.sourceTextarea.value;
                 break;
+            case 'markdown':
+                this.textarea.value = this.markdownToHtml(this.markdownTextarea.value);
+                this.editor.innerHTML = this.textarea.value;
+                break;
         }
     }
     
@@ -1653,6 +2735,11 @@ class RichTextEditor {
             btn.disabled = !enable;
             btn.style.opacity = enable ? '1' : '0.5';
         });
+        
+        if (enable) {
+            this.updateTableButtonStates();
+            this.updateHistoryButtonStates();
+        }
     }
     
     updatePreviewContent() {
@@ -1676,6 +2763,660 @@ class RichTextEditor {
             });
         }
     }
+
+    // Markdown textarea'dan değişiklikleri dinle
+    setupMarkdownTextareaListener() {
+        if (this.markdownTextarea) {
+            this.addEventListener(this.markdownTextarea, 'input', () => {
+                this.textarea.value = this.markdownToHtml(this.markdownTextarea.value);
+                this.updateCharacterCounter();
+            });
+        }
+    }
+
+    // ===== PAZARYERİ PROFİLLERİ =====
+    // Profiller sunucudaki MarketplaceDescriptionProfiles listesinden seçim kutusuna yazılır. Editör izin verilmeyen
+    // etiketleri ve uzunluk aşımını canlı gösterir; export aynı kurallarla pazaryerine özel açıklama sütunu üretir.
+
+    setupMarketplaceProfiles() {
+        this.marketplaceSelect = document.getElementById('marketplace-profile');
+        if (!this.marketplaceSelect) return;
+
+        // Seçilen profil sayfalar arasında hatırlanır
+        const savedProfile = localStorage.getItem('descriptionMarketplaceProfile');
+        if (savedProfile && Array.from(this.marketplaceSelect.options).some(option => option.value === savedProfile)) {
+            this.marketplaceSelect.value = savedProfile;
+        }
+
+        this.addEventListener(this.marketplaceSelect, 'change', () => {
+            localStorage.setItem('descriptionMarketplaceProfile', this.marketplaceSelect.value);
+            this.updateMarketplaceValidation();
+        });
+    }
+
+    getMarketplaceProfile() {
+        const option = this.marketplaceSelect?.selectedOptions[0];
+        if (!option || !option.value) return null;
+
+        return {
+            key: option.value,
+            name: option.textContent.trim(),
+            maxLength: parseInt(option.dataset.maxLength, 10),
+            allowedTags: option.dataset.allowedTags.split(',')
+        };
+    }
+
+    // Kontrol edilen içerik - görsel modda editör, diğer modlarda form alanı
+    getMarketplaceCheckHtml() {
+        const html = this.currentMode === 'visual' ? this.editor.innerHTML : (this.textarea.value || this.editor.innerHTML);
+        return html.includes('Ürün açıklamasını buraya yazın') ? '' : html;
+    }
+
+    // Açıklamayı profile göre temizler - MarketplaceDescriptionProfiles.Clean ile aynı kurallar, kısaltma hariç
+    cleanForMarketplace(html, profile) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        template.content.querySelectorAll('script, style').forEach(element => element.remove());
+
+        const lineBreak = () => profile.allowedTags.includes('br') ? document.createElement('br') : document.createTextNode(' ');
+        const cleanChildren = (parent) => {
+            Array.from(parent.childNodes).forEach(node => {
+                if (node.nodeType === Node.COMMENT_NODE) {
+                    node.remove();
+                    return;
+                }
+                if (node.nodeType !== Node.ELEMENT_NODE) return;
+
+                cleanChildren(node);
+                const tag = node.tagName.toLowerCase();
+
+                if (profile.allowedTags.includes(tag)) {
+                    Array.from(node.attributes).forEach(attribute => {
+                        const keep = MARKETPLACE_ALLOWED_ATTRIBUTES.includes(attribute.name)
+                            && (!['href', 'src'].includes(attribute.name) || this.isSafeUrl(attribute.value));
+                        if (!keep) node.removeAttribute(attribute.name);
+                    });
+                    if (tag === 'img' && !node.hasAttribute('src')) node.remove();
+                    return;
+                }
+
+                // Metin birbirine yapışmasın diye kaldırılan blok etiketinin yerine satır sonu, hücrenin yerine boşluk bırakılır
+                let separator = null;
+                if (tag === 'br' || MARKETPLACE_BLOCK_TAGS.includes(tag)) {
+                    separator = lineBreak();
+                } else if (tag === 'td' || tag === 'th') {
+                    separator = document.createTextNode(' ');
+                }
+                node.replaceWith(...node.childNodes, ...(separator ? [separator] : []));
+            });
+        };
+        cleanChildren(template.content);
+
+        let cleaned = template.innerHTML.replace(/\s+/g, ' ').replace(/>\s+</g, '><');
+        let previous;
+        do {
+            previous = cleaned;
+            cleaned = cleaned.replace(/<(p|h[1-6]|li|ul|ol|strong|b|em|i|u)>(\s|&nbsp;)*<\/\1>/gi, '');
+        } while (cleaned !== previous);
+
+        return cleaned
+            .replace(/(<br>\s*){3,}/gi, '<br><br>')
+            .replace(/^(\s|<br>)+|(\s|<br>)+$/gi, '');
+    }
+
+    // Seçili profile göre canlı kontrol - izin verilmeyen etiketler ve uzunluk aşımı listelenir, editörde vurgulanır
+    updateMarketplaceValidation() {
+        const status = document.getElementById('marketplace-status');
+        const issuesList = document.getElementById('marketplace-issues');
+        if (!this.marketplaceSelect || !status || !issuesList) return;
+
+        const profile = this.getMarketplaceProfile();
+        issuesList.innerHTML = '';
+
+        if (!profile) {
+            status.textContent = '';
+            status.className = 'marketplace-status';
+            this.setMarketplaceHighlight('');
+            return;
+        }
+
+        const html = this.getMarketplaceCheckHtml();
+        const template = document.createElement('template');
+        template.innerHTML = html;
+
+        // İzin verilmeyen etiketler, kaç yerde geçtikleriyle - tablo kabul edilmiyorsa iç etiketleri ayrıca sayılmaz
+        const tableAllowed = profile.allowedTags.includes('table');
+        const disallowedTags = new Map();
+        template.content.querySelectorAll('*').forEach(element => {
+            const tag = element.tagName.toLowerCase();
+            if (!tableAllowed && ['thead', 'tbody', 'tfoot', 'tr', 'th', 'td'].includes(tag)) return;
+            if (!profile.allowedTags.includes(tag)) {
+                disallowedTags.set(tag, (disallowedTags.get(tag) || 0) + 1);
+            }
+        });
+
+        const cleanedLength = this.cleanForMarketplace(html, profile).length;
+        const isTooLong = cleanedLength > profile.maxLength;
+        const issues = [];
+
+        disallowedTags.forEach((count, tag) => {
+            issues.push(`<${tag}> etiketi ${count} yerde kullanılmış - ${profile.name} kabul etmiyor, export'ta içeriği korunarak kaldırılır`);
+        });
+        if (isTooLong) {
+            issues.push(`Açıklama sınırı ${cleanedLength - profile.maxLength} karakter aşıyor - export'ta ${profile.maxLength} karakterde kesilir`);
+        }
+
+        issues.forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            issuesList.appendChild(item);
+        });
+
+        status.textContent = `${issues.length ? `${issues.length} sorun` : 'Uygun'} · ${cleanedLength}/${profile.maxLength} karakter`;
+        status.className = `marketplace-status ${isTooLong ? 'danger' : (issues.length ? 'warning' : 'success')}`;
+
+        const overflowIndex = isTooLong ? this.getMarketplaceOverflowIndex(template, profile) : -1;
+        this.setMarketplaceHighlight(this.buildMarketplaceHighlightCss(Array.from(disallowedTags.keys()), overflowIndex));
+    }
+
+    // Sınırın aşıldığı üst düzey blok (1'den başlar) - bu bloktan sonrası export'ta kesilir
+    getMarketplaceOverflowIndex(template, profile) {
+        const blocks = Array.from(template.content.children);
+        let length = 0;
+
+        for (let i = 0; i < blocks.length; i++) {
+            length += this.cleanForMarketplace(blocks[i].outerHTML, profile).length;
+            if (length > profile.maxLength) return i + 1;
+        }
+
+        return -1;
+    }
+
+    buildMarketplaceHighlightCss(tags, overflowIndex) {
+        const scopes = ['#editor-content', '#editor-preview .preview-content'];
+        const rules = [];
+
+        if (tags.length) {
+            const selectors = scopes.flatMap(scope => tags.map(tag => `${scope} ${CSS.escape(tag)}`));
+            rules.push(`${selectors.join(', ')} { outline: 2px dashed #dc3545; outline-offset: 2px; }`);
+        }
+        if (overflowIndex > 0) {
+            const selectors = scopes.map(scope => `${scope} > :nth-child(n+${overflowIndex})`);
+            rules.push(`${selectors.join(', ')} { background: rgba(220, 53, 69, 0.08); box-shadow: inset 3px 0 0 #dc3545; }`);
+        }
+
+        return rules.join('\n');
+    }
+
+    // Vurgu içeriğe sınıf eklemek yerine ayrı bir stil etiketiyle yapılır; kaydedilen HTML'e ve geri alma geçmişine girmez
+    setMarketplaceHighlight(css) {
+        let style = document.getElementById('marketplace-highlight-style');
+        if (!style) {
+            style = document.createElement('style');
+            style.id = 'marketplace-highlight-style';
+            document.head.appendChild(style);
+        }
+        style.textContent = css;
+    }
+
+    // ===== MARKDOWN DÖNÜŞÜMÜ =====
+    // Desteklenen alt küme: başlık, paragraf, kalın, italik, satır sonu, listeler ve başlık satırlı tablolar.
+    // Markdown karşılığı olmayan yapılar (girinti, birleşik hücre, altı çizili vb.) HTML olarak aynen
+    // bırakılır; böylece HTML -> Markdown -> HTML dönüşümü içerik kaybetmez.
+
+    // Yapıştırılan düz metin Markdown mı - en az iki farklı işaret aranır
+    looksLikeMarkdown(text) {
+        if (!text || !text.trim()) return false;
+
+        const signals = [
+            /^#{1,6}\s+\S/m,
+            /^\s*[-*+]\s+\S/m,
+            /^\s*\d+[.)]\s+\S/m,
+            /\*\*[^*\n]+\*\*|__[^_\n]+__/,
+            /\[[^\]\n]+\]\(https?:\/\/[^)\s]+\)/,
+            /^\s*\|?\s*:?-{3,}:?\s*\|/m
+        ];
+        return signals.filter(pattern => pattern.test(text)).length >= 2;
+    }
+
+    // HTML -> Markdown
+    htmlToMarkdown(html) {
+        const container = document.createElement('div');
+        container.innerHTML = (html || '').includes('Ürün açıklamasını buraya yazın') ? '' : html || '';
+
+        const blocks = [];
+        let inlineNodes = [];
+        const flushInline = () => {
+            const content = this.inlineNodesToMarkdown(inlineNodes).trim();
+            if (content) blocks.push(this.escapeMarkdownLineStarts(content));
+            inlineNodes = [];
+        };
+
+        Array.from(container.childNodes).forEach(node => {
+            if (node.nodeType === 1 && this.isMarkdownBlock(node)) {
+                flushInline();
+                blocks.push(this.blockToMarkdown(node));
+            } else if (node.nodeType === 1 || node.nodeType === 3) {
+                inlineNodes.push(node);
+            }
+        });
+        flushInline();
+
+        return blocks.filter(block => block !== '').join('\n\n');
+    }
+
+    isMarkdownBlock(node) {
+        return node.nodeType === 1 && MARKDOWN_BLOCK_TAGS.includes(node.tagName.toLowerCase());
+    }
+
+    // Element yalnızca satır içi içerik taşıyor mu (blok eleman yok)
+    hasOnlyInlineContent(element) {
+        return !Array.from(element.querySelectorAll('*')).some(child => this.isMarkdownBlock(child));
+    }
+
+    // Markdown karşılığı olmayan blok HTML olarak bırakılır - boş satırlar blok bitişi sayıldığı için kaldırılır
+    htmlBlockToMarkdown(element) {
+        return element.outerHTML.replace(/\n\s*\n/g, '\n');
+    }
+
+    blockToMarkdown(element) {
+        const tagName = element.tagName.toLowerCase();
+        const isEmpty = !element.textContent.trim() && !element.querySelector('img');
+
+        if (element.attributes.length > 0 || isEmpty) {
+            return this.htmlBlockToMarkdown(element);
+        }
+
+        if (tagName === 'p' && this.hasOnlyInlineContent(element)) {
+            return this.escapeMarkdownLineStarts(this.inlineNodesToMarkdown(element.childNodes).trim());
+        }
+
+        if (/^h[1-6]$/.test(tagName) && this.hasOnlyInlineContent(element) && !element.querySelector('br')) {
+            const content = this.inlineNodesToMarkdown(element.childNodes).trim();
+            return `${'#'.repeat(parseInt(tagName[1], 10))} ${content}`;
+        }
+
+        if (tagName === 'ul' || tagName === 'ol') {
+            const lines = this.listToMarkdown(element, 0);
+            return lines ? lines.join('\n') : this.htmlBlockToMarkdown(element);
+        }
+
+        if (tagName === 'table') {
+            return this.tableToMarkdown(element) ?? this.htmlBlockToMarkdown(element);
+        }
+
+        return this.htmlBlockToMarkdown(element);
+    }
+
+    // Liste satırları; Markdown'a dökülemiyorsa null
+    listToMarkdown(list, depth) {
+        if (list.attributes.length > 0) return null;
+
+        const isOrdered = list.tagName.toLowerCase() === 'ol';
+        const indent = '    '.repeat(depth);
+        const lines = [];
+        let index = 0;
+
+        for (const node of Array.from(list.childNodes)) {
+            if (node.nodeType === 3 && !node.textContent.trim()) continue;
+            if (node.nodeType !== 1 || node.tagName.toLowerCase() !== 'li' || node.attributes.length > 0) return null;
+
+            // Madde içeriği: önce satır içi içerik, en sonda iç içe listeler
+            const children = Array.from(node.childNodes);
+            const firstNested = children.findIndex(child => child.nodeType === 1 && ['ul', 'ol'].includes(child.tagName.toLowerCase()));
+            const inlineChildren = firstNested === -1 ? children : children.slice(0, firstNested);
+            const nestedChildren = firstNested === -1 ? [] : children.slice(firstNested);
+
+            if (inlineChildren.some(child => this.isMarkdownBlock(child) || (child.nodeType === 1 && !this.hasOnlyInlineContent(child)))) return null;
+
+            const marker = isOrdered ? `${++index}. ` : '- ';
+            const content = this.escapeMarkdownLineStarts(this.inlineNodesToMarkdown(inlineChildren).trim());
+            const contentLines = content.split('\n');
+            lines.push(`${indent}${marker}${contentLines[0]}`.trimEnd());
+            contentLines.slice(1).forEach(line => lines.push(`${indent}  ${line}`));
+
+            for (const child of nestedChildren) {
+                if (child.nodeType === 3 && !child.textContent.trim()) continue;
+                if (child.nodeType !== 1 || !['ul', 'ol'].includes(child.tagName.toLowerCase())) return null;
+                const nestedLines = this.listToMarkdown(child, depth + 1);
+                if (!nestedLines) return null;
+                lines.push(...nestedLines);
+            }
+        }
+
+        return lines;
+    }
+
+    // GFM tablo; tek başlık satırı, birleşik hücre yoksa ve hücreler satır içi içerikse
+    tableToMarkdown(table) {
+        const { rows, columnCount } = this.getTableGrid(table);
+        const thead = table.tHead;
+        const sections = Array.from(table.children);
+
+        const isPlain = element => element.attributes.length === 0;
+        const isSimpleRow = (row, cellTag) => isPlain(row)
+            && row.cells.length === columnCount
+            && Array.from(row.cells).every(cell => cell.tagName.toLowerCase() === cellTag && isPlain(cell) && this.hasOnlyInlineContent(cell));
+
+        if (!thead || thead.rows.length !== 1 || !isSimpleRow(thead.rows[0], 'th')) return null;
+        if (!sections.every(section => ['thead', 'tbody'].includes(section.tagName.toLowerCase()) && isPlain(section))) return null;
+
+        const bodyRows = rows.slice(1);
+        if (!bodyRows.every(row => isSimpleRow(row, 'td'))) return null;
+
+        const toLine = row => `| ${Array.from(row.cells).map(cell => this.inlineNodesToMarkdown(cell.childNodes, { table: true }).trim()).join(' | ')} |`;
+        return [
+            toLine(rows[0]),
+            `|${' --- |'.repeat(columnCount)}`,
+            ...bodyRows.map(toLine)
+        ].join('\n');
+    }
+
+    inlineNodesToMarkdown(nodes, context = {}) {
+        return Array.from(nodes).map(node => this.inlineNodeToMarkdown(node, context)).join('');
+    }
+
+    inlineNodeToMarkdown(node, context) {
+        if (node.nodeType === 3) {
+            return this.escapeMarkdownText(node.textContent.replace(/[ \t\r\n]+/g, ' '), context);
+        }
+        if (node.nodeType !== 1) return '';
+
+        const tagName = node.tagName.toLowerCase();
+        const content = this.inlineNodesToMarkdown(node.childNodes, context);
+
+        if (tagName === 'br') {
+            return context.table ? '<br>' : '\\\n';
+        }
+
+        // İşaretler boşlukla başlayıp bitemez - kenar boşlukları dışarı alınır
+        const wrap = (marker) => {
+            const match = content.match(/^(\s*)([\s\S]*?)(\s*)$/);
+            return match[2] ? `${match[1]}${marker}${match[2]}${marker}${match[3]}` : content;
+        };
+
+        // Güvenli bağlantı ve görseller Markdown sözdizimiyle yazılır
+        if (tagName === 'a' && this.isMarkdownLink(node) && content.trim() && !content.includes('\n')) {
+            return `[${content}](${node.getAttribute('href')})`;
+        }
+        if (tagName === 'img' && this.isMarkdownImage(node)) {
+            return `![${node.getAttribute('alt')}](${node.getAttribute('src')})`;
+        }
+
+        if (node.attributes.length === 0 && !content.includes('\n')) {
+            if (tagName === 'strong' || tagName === 'b') {
+                return wrap('**');
+            }
+            // Kelime içindeki italik "_" ile yazılamaz; o durumda HTML kalır
+            if ((tagName === 'em' || tagName === 'i') && !this.isInsideWord(node)) {
+                return wrap('_');
+            }
+        }
+
+        const attributes = Array.from(node.attributes)
+            .map(attr => ` ${attr.name}="${attr.value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`)
+            .join('');
+        const voidTags = ['img', 'hr', 'wbr'];
+        return voidTags.includes(tagName)
+            ? `<${tagName}${attributes}>`
+            : `<${tagName}${attributes}>${content}</${tagName}>`;
+    }
+
+    // [metin](url) yalnızca href + rel="noopener" taşıyan bağlantılar için - dönüşte aynı HTML oluşur
+    isMarkdownLink(link) {
+        const names = Array.from(link.attributes).map(attr => attr.name).sort().join(',');
+        const href = link.getAttribute('href');
+        return names === 'href,rel' && link.getAttribute('rel') === 'noopener' && this.isSafeUrl(href) && !/[()]/.test(href);
+    }
+
+    isMarkdownImage(image) {
+        const names = Array.from(image.attributes).map(attr => attr.name).sort().join(',');
+        const src = image.getAttribute('src');
+        return names === 'alt,src' && this.isSafeUrl(src) && !/[()]/.test(src) && !/[\]\\\n]/.test(image.getAttribute('alt'));
+    }
+
+    isInsideWord(node) {
+        const wordChar = /[\p{L}\p{N}_]/u;
+        const before = node.previousSibling?.textContent || '';
+        const after = node.nextSibling?.textContent || '';
+        return wordChar.test(before.slice(-1)) || wordChar.test(after.charAt(0));
+    }
+
+    escapeMarkdownText(text, context = {}) {
+        let escaped = text
+            .replace(/\\/g, '\\\\')
+            .replace(/([*_\[\]])/g, '\\$1')
+            .replace(/<(?=[a-zA-Z/])/g, '\\<');
+        if (context.table) {
+            escaped = escaped.replace(/\|/g, '\\|');
+        }
+        return escaped;
+    }
+
+    // Satır başında liste/başlık/tablo gibi okunacak karakterleri kaçır
+    escapeMarkdownLineStarts(content) {
+        return content.split('\n').map(line => {
+            const trimmed = line.trim();
+            return trimmed
+                .replace(/^(#{1,6})(?=\s|$)/, '\\$1')
+                .replace(/^([-+])(?=\s|$)/, '\\$1')
+                .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2')
+                .replace(/^\|/, '\\|');
+        }).join('\n');
+    }
+
+    // Markdown -> HTML
+    markdownToHtml(markdown) {
+        const lines = (markdown || '').replace(/\r\n?/g, '\n').split('\n');
+        const html = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) {
+                i++;
+                continue;
+            }
+
+            // HTML blok - boş satıra kadar aynen alınır
+            if (this.isMarkdownHtmlBlockStart(line)) {
+                const block = [];
+                while (i < lines.length && lines[i].trim()) {
+                    block.push(lines[i++]);
+                }
+                html.push(block.join('\n'));
+                continue;
+            }
+
+            const heading = line.match(/^(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/);
+            if (heading) {
+                const level = heading[1].length;
+                html.push(`<h${level}>${this.parseMarkdownInline(heading[2])}</h${level}>`);
+                i++;
+                continue;
+            }
+
+            if (this.isMarkdownTableStart(lines, i)) {
+                const table = this.parseMarkdownTable(lines, i);
+                html.push(table.html);
+                i = table.next;
+                continue;
+            }
+
+            if (MARKDOWN_LIST_ITEM.test(line)) {
+                const list = this.parseMarkdownList(lines, i, this.getMarkdownIndent(line));
+                html.push(list.html);
+                i = list.next;
+                continue;
+            }
+
+            // Paragraf - boş satır ya da yeni bir blok başlayana kadar
+            const paragraph = [];
+            while (i < lines.length && lines[i].trim() && !this.isMarkdownBlockStart(lines, i)) {
+                paragraph.push(lines[i++]);
+            }
+            if (paragraph.length === 0) {
+                paragraph.push(lines[i++]);
+            }
+            html.push(`<p>${this.parseMarkdownInline(this.joinMarkdownLines(paragraph))}</p>`);
+        }
+
+        return html.join('');
+    }
+
+    getMarkdownIndent(line) {
+        return line.match(/^[ \t]*/)[0].replace(/\t/g, '    ').length;
+    }
+
+    isMarkdownHtmlBlockStart(line) {
+        return new RegExp(`^\\s*<\\/?(${MARKDOWN_BLOCK_TAGS.join('|')})(\\s|>|\\/|$)`, 'i').test(line);
+    }
+
+    isMarkdownBlockStart(lines, index) {
+        const line = lines[index];
+        return this.isMarkdownHtmlBlockStart(line)
+            || /^#{1,6}[ \t]+/.test(line)
+            || MARKDOWN_LIST_ITEM.test(line)
+            || this.isMarkdownTableStart(lines, index);
+    }
+
+    // Satırları birleştir - sonu "\" ya da iki boşlukla biten satır <br> olur
+    joinMarkdownLines(lines) {
+        return lines.map((line, index) => {
+            const isLast = index === lines.length - 1;
+            const hardBreak = /(^|[^\\])(\\\\)*\\$/.test(line) || / {2,}$/.test(line);
+            let text = line.trim();
+            if (hardBreak && text.endsWith('\\')) {
+                text = text.slice(0, -1);
+            }
+            if (isLast) return text;
+            return text + (hardBreak ? '<br>' : ' ');
+        }).join('');
+    }
+
+    splitMarkdownTableRow(line) {
+        const cells = [];
+        let current = '';
+        const text = line.trim().replace(/^\|/, '');
+
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+                current += text[i] + text[i + 1];
+                i++;
+            } else if (text[i] === '|') {
+                cells.push(current.trim());
+                current = '';
+            } else {
+                current += text[i];
+            }
+        }
+        if (current.trim()) {
+            cells.push(current.trim());
+        }
+        return cells;
+    }
+
+    isMarkdownTableStart(lines, index) {
+        const header = lines[index];
+        const separator = lines[index + 1];
+        if (!header?.includes('|') || !separator) return false;
+        if (!/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/.test(separator)) return false;
+        return this.splitMarkdownTableRow(header).length === this.splitMarkdownTableRow(separator).length;
+    }
+
+    parseMarkdownTable(lines, index) {
+        const header = this.splitMarkdownTableRow(lines[index]);
+        const toCells = (cells, tagName) => header
+            .map((_, c) => `<${tagName}>${this.parseMarkdownInline(cells[c] || '')}</${tagName}>`)
+            .join('');
+
+        let i = index + 2;
+        const bodyRows = [];
+        while (i < lines.length && lines[i].trim() && lines[i].includes('|')) {
+            bodyRows.push(`<tr>${toCells(this.splitMarkdownTableRow(lines[i]), 'td')}</tr>`);
+            i++;
+        }
+
+        const tbody = bodyRows.length ? `<tbody>${bodyRows.join('')}</tbody>` : '';
+        return {
+            html: `<table><thead><tr>${toCells(header, 'th')}</tr></thead>${tbody}</table>`,
+            next: i
+        };
+    }
+
+    // Liste - girinti artınca iç içe liste, farklı işaret türünde yeni liste başlar
+    parseMarkdownList(lines, index, baseIndent) {
+        const first = lines[index].match(MARKDOWN_LIST_ITEM);
+        const tagName = /\d/.test(first[2]) ? 'ol' : 'ul';
+        const items = [];
+        let i = index;
+
+        while (i < lines.length && lines[i].trim()) {
+            const line = lines[i];
+            const match = line.match(MARKDOWN_LIST_ITEM);
+
+            if (match) {
+                const indent = this.getMarkdownIndent(line);
+                if (indent < baseIndent) break;
+
+                if (indent >= baseIndent + 2 && items.length > 0) {
+                    const nested = this.parseMarkdownList(lines, i, indent);
+                    items[items.length - 1].nested += nested.html;
+                    i = nested.next;
+                    continue;
+                }
+
+                if ((/\d/.test(match[2]) ? 'ol' : 'ul') !== tagName) break;
+
+                items.push({ lines: [match[3] || ''], nested: '' });
+                i++;
+                continue;
+            }
+
+            // Devam satırı - maddenin metnine eklenir
+            if (items.length === 0 || this.isMarkdownBlockStart(lines, i)) break;
+            items[items.length - 1].lines.push(line);
+            i++;
+        }
+
+        const html = items.map(item => {
+            const content = this.parseMarkdownInline(this.joinMarkdownLines(item.lines));
+            return `<li>${content || (item.nested ? '' : '<br>')}${item.nested}</li>`;
+        }).join('');
+
+        return { html: `<${tagName}>${html}</${tagName}>`, next: i };
+    }
+
+    // Satır içi: kaçış karakterleri, HTML etiketleri, [bağlantı](url), ![görsel](url), **kalın**, _italik_ / *italik*
+    parseMarkdownInline(text) {
+        const tokens = [];
+        const hold = value => `\uE000${tokens.push(value) - 1}\uE001`;
+
+        let html = text
+            .replace(/\\([\\`*_{}\[\]()#+\-.!|<>~])/g, (match, char) => hold(this.escapeHtml(char)))
+            .replace(/<\/?[a-zA-Z][a-zA-Z0-9]*(?:\s[^<>]*)?\/?>/g, tag => hold(tag));
+
+        // Bağlantı ve görsel - adres yer tutucuya alınır, vurgu işaretlerinden etkilenmez
+        html = this.escapeHtml(html)
+            .replace(/!\[([^\]]*)\]\(([^()\s]+)\)/g, (match, alt, url) => this.isSafeUrl(url)
+                ? hold(`<img src="${url}" alt="${alt.replace(/"/g, '&quot;')}">`)
+                : match)
+            .replace(/\[([^\]]+)\]\(([^()\s]+)\)/g, (match, text, url) => this.isSafeUrl(url)
+                ? `${hold(`<a href="${url}" rel="noopener">`)}${text}${hold('</a>')}`
+                : match)
+            .replace(/\*\*\*(?=\S)([\s\S]*?\S)\*\*\*/g, '<strong><em>$1</em></strong>')
+            .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+            .replace(/__(?=\S)([\s\S]*?\S)__/g, '<strong>$1</strong>')
+            .replace(/(^|[^*])\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/g, '$1<em>$2</em>')
+            .replace(/(^|[^\p{L}\p{N}_])_(?=\S)([\s\S]*?\S)_(?![\p{L}\p{N}_])/gu, '$1<em>$2</em>');
+
+        // Etiket içinde kaçış karakteri olabilir - iç içe yer tutucular da çözülür
+        while (/\uE000\d+\uE001/.test(html)) {
+            html = html.replace(/\uE000(\d+)\uE001/g, (match, index) => tokens[index] ?? '');
+        }
+        return html;
+    }
 }
 
 // Global fonksiyonlar